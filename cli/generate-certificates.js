@@ -0,0 +1,525 @@
+#!/usr/bin/env node
+/**
+ * Herramienta de línea de comandos para generar certificados por lotes fuera del navegador (por ejemplo,
+ * en un servidor de integración): convierte una lista de participantes en una carpeta de PDF y un
+ * manifiesto JSON/CSV con los IDs emitidos.
+ *
+ * Carga en un contexto de Node los mismos módulos que index.html, así que el diseño del PDF, los IDs y
+ * la validación de la lista son los de la aplicación, y los mensajes salen de su catálogo de textos.
+ * Necesita Node 18 o posterior y las dependencias de package.json (jspdf); xlsx, para leer listas en
+ * Excel, es opcional.
+ *
+ * Los certificados no se firman ni se guardan en el registro de ninguna aplicación: el manifiesto es
+ * el registro de lo emitido.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+const { webcrypto } = require('crypto');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+// Módulos de la aplicación que se cargan, en el mismo orden que en index.html
+const APP_SCRIPTS = [
+    'js/vendor/qrcode.js',
+    'js/utils.js',
+    'js/settings.js',
+    'js/i18n.js',
+    'js/certificateSchema.js',
+    'js/certificateIds.js',
+    'js/roles.js',
+    'js/certificateQR.js',
+    'js/fonts.js',
+    'js/templates.js',
+    'js/pdfGenerator.js',
+    'js/rosterParser.js'
+];
+
+// Almacenes de la copia de seguridad de la aplicación de los que se toman los datos
+const BACKUP_STORES = {
+    EVENTS: 'events',
+    TEMPLATES: 'templates',
+    ROLES: 'roles',
+    FONTS: 'fonts',
+    FONT_FILES: 'fontFiles',
+    CERTIFICATES: 'certificates'
+};
+
+// Columnas del manifiesto CSV (los nombres de los campos se reconocen al leerlo como lista de participantes)
+const MANIFEST_COLUMNS = [
+    'row',
+    'id',
+    'file',
+    'participantName',
+    'participantEmail',
+    'participantNationalId',
+    'participantRole',
+    'dataHash',
+    'verificationUrl'
+];
+
+/**
+ * Error de uso o de validación: se muestra sin la traza y termina con el código indicado
+ */
+class CliError extends Error {
+    /**
+     * @param {string} message - Mensaje para el usuario
+     * @param {number} [exitCode] - Código de salida
+     */
+    constructor(message, exitCode = 2) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Carga los módulos de la aplicación en un contexto propio, como si fueran etiquetas <script>
+ * @returns {Object} - Módulos cargados
+ */
+const loadApp = () => {
+    // La configuración que en el navegador va en localStorage se guarda en memoria
+    const settings = new Map();
+    const sandbox = {
+        console,
+        atob,
+        btoa,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        URLSearchParams,
+        crypto: webcrypto,
+        // jsPDF se carga fuera del contexto y comprueba las fechas con instanceof: tienen que ser del mismo Date
+        Date,
+        jspdf: require('jspdf'),
+        localStorage: {
+            getItem: key => (settings.has(key) ? settings.get(key) : null),
+            setItem: (key, value) => settings.set(key, String(value)),
+            removeItem: key => settings.delete(key)
+        }
+    };
+    try {
+        sandbox.XLSX = require('xlsx');
+    } catch (error) {
+        // Sin xlsx solo se pueden leer listas CSV; RosterParser avisa si se pasa un Excel
+    }
+    sandbox.window = sandbox;
+
+    const context = vm.createContext(sandbox);
+    APP_SCRIPTS.forEach(script => {
+        const file = path.join(APP_ROOT, script);
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+    return vm.runInContext('({ Utils, Settings, I18n, CertificateIds, Roles, CertificateQR, Templates, Fonts, PDFGenerator, RosterParser })', context);
+};
+
+/**
+ * Lee las opciones de la línea de comandos
+ * @param {Array<string>} argv - Argumentos
+ * @returns {Object} - Opciones
+ */
+const readOptions = ({ I18n }, argv) => {
+    const string = { type: 'string' };
+    try {
+        return parseArgs({
+            args: argv,
+            options: {
+                roster: string,
+                'event-name': string,
+                'event-date': string,
+                'event-location': string,
+                'event-duration': string,
+                'event-code': string,
+                role: string,
+                template: string,
+                logo: string,
+                language: string,
+                'secondary-language': string,
+                backup: string,
+                'verification-url': string,
+                start: string,
+                out: { type: 'string', default: 'certificados' },
+                'ui-language': string,
+                'dry-run': { type: 'boolean', default: false },
+                help: { type: 'boolean', default: false }
+            }
+        }).values;
+    } catch (error) {
+        throw new CliError(`${error.message}\n\n${I18n.t('cli.usage')}`);
+    }
+};
+
+/**
+ * Lee un archivo JSON
+ * @param {Object} app - Módulos de la aplicación
+ * @param {string} file - Ruta del archivo
+ * @param {string} errorKey - Clave del mensaje de error en el catálogo (recibe file y message)
+ * @returns {Object} - Contenido
+ */
+const readJson = ({ I18n }, file, errorKey) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new CliError(I18n.t(errorKey, { file, message: error.message }));
+    }
+};
+
+/**
+ * Lee la copia de seguridad de la aplicación
+ * @param {Object} app - Módulos de la aplicación
+ * @param {string|undefined} file - Ruta de la copia
+ * @returns {Object} - { stores, settings, counters } (vacíos sin copia)
+ */
+const readBackup = (app, file) => {
+    if (!file) {
+        return { stores: {}, settings: {}, counters: [] };
+    }
+    const archive = readJson(app, file, 'cli.backupReadError');
+    if (!archive.stores || typeof archive.stores !== 'object') {
+        throw new CliError(app.I18n.t('cli.notABackup', { file }));
+    }
+    return { stores: archive.stores, settings: archive.settings || {}, counters: archive.counters || [] };
+};
+
+/**
+ * Obtiene la plantilla: de un archivo JSON, de la copia por ID o nombre, o la incorporada
+ * @param {Object} app - Módulos de la aplicación
+ * @param {string|undefined} value - Valor de --template
+ * @param {Object} backup - Copia de seguridad
+ * @returns {Object} - Plantilla completa
+ */
+const resolveTemplate = (app, value, backup) => {
+    const { I18n, Templates } = app;
+    if (!value) {
+        return Templates.normalize(Templates.DEFAULT_TEMPLATE);
+    }
+    if (fs.existsSync(value)) {
+        return Templates.normalize(readJson(app, value, 'cli.templateReadError'));
+    }
+    const template = [Templates.DEFAULT_TEMPLATE, ...(backup.stores[BACKUP_STORES.TEMPLATES] || [])]
+        .find(item => item.id === value || item.name === value);
+    if (!template) {
+        throw new CliError(I18n.t('cli.templateNotFound', { value }));
+    }
+    return Templates.normalize(template);
+};
+
+/**
+ * Lee el logo como URL de datos con el tipo detectado por su contenido
+ * @param {Object} app - Módulos de la aplicación
+ * @param {string|undefined} file - Ruta del logo
+ * @returns {string|null} - URL de datos del logo
+ */
+const readLogo = ({ I18n, PDFGenerator }, file) => {
+    if (!file) {
+        return null;
+    }
+    let base64;
+    try {
+        base64 = fs.readFileSync(file).toString('base64');
+    } catch (error) {
+        throw new CliError(I18n.t('cli.logoReadError', { file, message: error.message }));
+    }
+    const detected = PDFGenerator.detectImageFormat(`data:;base64,${base64}`);
+    if (!detected) {
+        throw new CliError(I18n.t('cli.logoFormat', { file }));
+    }
+    return `data:${detected.mimeType};base64,${base64}`;
+};
+
+/**
+ * Comprueba las opciones que no dependen de la lista
+ * @param {Object} app - Módulos de la aplicación
+ * @param {Object} options - Opciones
+ * @param {Object} template - Plantilla
+ * @returns {Array<string>} - Errores
+ */
+const validateOptions = ({ Settings, I18n, CertificateIds, Templates }, options, template) => {
+    const { t } = I18n;
+    const errors = Templates.validate(template).map(error => t('cli.templateError', { error }));
+
+    if (!Settings.get('verificationUrlTemplate').includes('{id}')) {
+        errors.push(t('cli.urlMissingId'));
+    }
+    [options.language, options['ui-language']].forEach(language => {
+        if (language && !I18n.isSupported(language)) {
+            errors.push(t('cli.unsupportedLanguage', { language }));
+        }
+    });
+    if (options['secondary-language'] && !I18n.isSupported(options['secondary-language'])) {
+        errors.push(t('cli.unsupportedSecondaryLanguage', { language: options['secondary-language'] }));
+    }
+    if (options.start !== undefined && !/^[1-9]\d*$/.test(options.start)) {
+        errors.push(t('cli.invalidStart'));
+    }
+    CertificateIds.validateFormat(CertificateIds.getFormat()).forEach(error => errors.push(t('cli.idFormatError', { error })));
+
+    return errors;
+};
+
+/**
+ * Lee la lista de participantes y valida cada fila con las reglas de la importación masiva
+ * @param {Object} app - Módulos de la aplicación
+ * @param {string} file - Ruta de la lista
+ * @param {Object} defaults - Valores para los campos sin columna
+ * @param {Array<Object>} roles - Catálogo de roles
+ * @returns {Promise<Array<Object>>} - Filas con { row, data, errors }
+ */
+const readRoster = async ({ I18n, RosterParser }, file, defaults, roles) => {
+    let content;
+    try {
+        content = fs.readFileSync(file);
+    } catch (error) {
+        throw new CliError(I18n.t('cli.rosterReadError', { file, message: error.message }));
+    }
+
+    // RosterParser recibe un File del navegador; solo usa su nombre y su contenido
+    const roster = await RosterParser.parseFile({
+        name: path.basename(file),
+        text: async () => content.toString('utf8'),
+        arrayBuffer: async () => content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength)
+    }).catch(error => {
+        throw new CliError(I18n.t('cli.rosterParseError', { message: error.message }), 1);
+    });
+
+    const mapping = RosterParser.guessMapping(roster.headers);
+    return RosterParser.mapRows(roster.rows, mapping, defaults, roles).map((data, index) => ({
+        // Número de fila en el archivo (la primera es la de las cabeceras)
+        row: index + 2,
+        data,
+        errors: RosterParser.validateRecord(data, roles)
+    }));
+};
+
+/**
+ * Busca avisos que no impiden generar: participantes repetidos y caracteres que ninguna fuente dibuja
+ * @param {Object} app - Módulos de la aplicación
+ * @param {Array<Object>} records - Filas válidas
+ * @param {Object} context - Plantilla, textos de rol y fuentes
+ * @returns {Promise<Array<string>>} - Avisos
+ */
+const findWarnings = async ({ Utils, I18n, Fonts, PDFGenerator }, records, { template, getRoleTexts, fonts }) => {
+    const warnings = [];
+
+    const seen = new Map();
+    records.forEach(({ row, data }) => {
+        const key = `${Utils.normalizeText(data.participantName)}|${Utils.normalizeText(data.participantRole)}`;
+        if (seen.has(key)) {
+            warnings.push(I18n.t('cli.duplicateRow', { row, name: data.participantName, previous: seen.get(key) }));
+        } else {
+            seen.set(key, row);
+        }
+    });
+
+    for (const { row, data } of records) {
+        const resolved = await Fonts.resolveAll(template.fonts, PDFGenerator.getCertificateTexts(data, template, {
+            roleTexts: getRoleTexts(data)
+        }), fonts);
+        const missing = [...new Set(Object.values(resolved).flatMap(font => font.missing))];
+        if (missing.length > 0) {
+            warnings.push(I18n.t('cli.missingGlyphs', { row, characters: missing.join(' ') }));
+        }
+    }
+
+    return warnings;
+};
+
+/**
+ * Convierte un valor en una celda CSV
+ * @param {*} value - Valor
+ * @returns {string} - Celda con comillas si las necesita
+ */
+const toCsvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Genera los certificados y el manifiesto (o solo valida con --dry-run)
+ * @param {Array<string>} argv - Argumentos de la línea de comandos
+ * @returns {Promise<number>} - Código de salida
+ */
+const run = async (app, argv) => {
+    const { Settings, I18n, CertificateIds, Roles, CertificateQR, Utils, PDFGenerator } = app;
+    const { t } = I18n;
+
+    const options = readOptions(app, argv);
+    I18n.setUiLanguage(options['ui-language']);
+    if (options.help) {
+        console.log(t('cli.usage'));
+        return 0;
+    }
+    if (!options.roster) {
+        throw new CliError(`${t('cli.missingRoster')}\n\n${t('cli.usage')}`);
+    }
+
+    // La copia aporta la configuración de la aplicación; las opciones de la línea de comandos mandan
+    const backup = readBackup(app, options.backup);
+    Settings.set({
+        ...(backup.settings.verificationUrlTemplate ? { verificationUrlTemplate: backup.settings.verificationUrlTemplate } : {}),
+        ...(backup.settings.idFormat ? { idFormat: backup.settings.idFormat } : {}),
+        ...(options['verification-url'] ? { verificationUrlTemplate: options['verification-url'] } : {})
+    });
+
+    const template = resolveTemplate(app, options.template, backup);
+    const logoDataUrl = readLogo(app, options.logo);
+    const roles = backup.stores[BACKUP_STORES.ROLES] || Roles.DEFAULT_ROLES;
+    const fonts = (backup.stores[BACKUP_STORES.FONTS] || []).map(font => ({
+        ...font,
+        data: ((backup.stores[BACKUP_STORES.FONT_FILES] || []).find(file => file.id === font.id) || {}).data
+    }));
+    const language = options.language || I18n.DEFAULT_LANGUAGE;
+    const secondaryLanguage = options['secondary-language'] && options['secondary-language'] !== language
+        ? options['secondary-language']
+        : '';
+
+    /**
+     * Obtiene el texto del rol en los idiomas del certificado
+     * @param {Object} data - Datos del certificado
+     * @returns {Object} - Textos indexados por código de idioma
+     */
+    const getRoleTexts = (data) => {
+        const role = roles.find(item => item.name === data.participantRole);
+        return Object.fromEntries([language, secondaryLanguage].filter(Boolean).map(lang => [
+            lang,
+            Roles.renderText(Roles.getText(role, lang), data, lang)
+        ]));
+    };
+
+    const optionErrors = validateOptions(app, options, template);
+
+    const records = await readRoster(app, options.roster, {
+        participantRole: options.role,
+        eventName: options['event-name'],
+        eventDate: options['event-date'],
+        eventLocation: options['event-location'],
+        eventDuration: options['event-duration']
+    }, roles);
+    const invalid = records.filter(record => record.errors.length > 0);
+    const valid = records.filter(record => record.errors.length === 0);
+    const warnings = await findWarnings(app, valid, { template, getRoleTexts, fonts });
+
+    optionErrors.forEach(error => console.error(t('cli.error', { message: error })));
+    invalid.forEach(({ row, errors }) => console.error(t('cli.rowMessage', { row, message: errors.join(' ') })));
+    warnings.forEach(warning => console.warn(t('cli.warning', { message: warning })));
+    console.log(t('bulk.summary', { total: records.length, valid: valid.length, invalid: invalid.length }));
+
+    if (optionErrors.length > 0 || invalid.length > 0) {
+        return 1;
+    }
+    if (options['dry-run']) {
+        return 0;
+    }
+
+    // IDs con las reglas de la aplicación; con copia, se sigue su contador sin repetir IDs ya emitidos
+    const format = CertificateIds.getFormat();
+    const createdAt = new Date();
+    const counterKey = CertificateIds.getCounterKey(format, createdAt);
+    const counter = backup.counters.find(item => item.id === counterKey);
+    const usedIds = new Set((backup.stores[BACKUP_STORES.CERTIFICATES] || []).map(certificate => certificate.id));
+    const events = backup.stores[BACKUP_STORES.EVENTS] || [];
+
+    /**
+     * Obtiene el código del evento de una fila para el marcador {event}: el de --event-code, el del
+     * evento de la copia con el mismo nombre (sin distinguir mayúsculas ni acentos) y fecha o las
+     * iniciales del nombre
+     * @param {Object} data - Datos de la fila
+     * @returns {string} - Código del evento
+     */
+    const getEventCode = (data) => {
+        const event = events.find(item => Utils.normalizeText(item.name) === Utils.normalizeText(data.eventName)
+            && item.date === data.eventDate);
+        return CertificateIds.getEventCode({
+            name: data.eventName,
+            code: options['event-code'] || (event && event.code)
+        });
+    };
+    let sequence = options.start !== undefined ? parseInt(options.start, 10) : (counter ? counter.value : 0) + 1;
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const issued = [];
+
+    for (const { row, data } of valid) {
+        const eventCode = getEventCode(data);
+        let id = CertificateIds.build(format, { sequence, date: createdAt, eventCode });
+        while (usedIds.has(id)) {
+            sequence++;
+            id = CertificateIds.build(format, { sequence, date: createdAt, eventCode });
+        }
+        usedIds.add(id);
+        sequence++;
+
+        // El correo y el documento van al manifiesto, no a los datos del certificado (como en la aplicación)
+        const { participantEmail, participantNationalId, ...fields } = data;
+        const certificate = {
+            ...fields,
+            id,
+            language,
+            secondaryLanguage,
+            templateId: template.id,
+            createdAt: createdAt.toISOString(),
+            signatories: []
+        };
+
+        const layoutWarnings = [];
+        const pdfDataUrl = await PDFGenerator.generateCertificatePDF(certificate, {
+            logoDataUrl,
+            template,
+            roleTexts: getRoleTexts(certificate),
+            fonts,
+            warnings: layoutWarnings
+        });
+        layoutWarnings.forEach(part => console.warn(t('cli.warning', {
+            message: t('cli.rowMessage', { row, message: t(`preview.overflow.${part}`) })
+        })));
+        const file = `Certificado_${id}.pdf`;
+        fs.writeFileSync(path.join(options.out, file), Buffer.from(Utils.dataUrlToBytes(pdfDataUrl)));
+
+        issued.push({
+            row,
+            id,
+            file,
+            participantName: certificate.participantName,
+            participantEmail,
+            participantNationalId,
+            participantRole: certificate.participantRole,
+            dataHash: await Utils.certificateDataHash(certificate),
+            verificationUrl: await CertificateQR.getVerificationUrl(certificate)
+        });
+        console.log(`${id}  ${certificate.participantName}`);
+    }
+
+    fs.writeFileSync(path.join(options.out, 'manifest.json'), JSON.stringify({
+        generatedAt: createdAt.toISOString(),
+        template: { id: template.id, name: template.name },
+        language,
+        secondaryLanguage,
+        nextSequence: sequence,
+        certificates: issued
+    }, null, 2));
+    fs.writeFileSync(path.join(options.out, 'manifest.csv'), [
+        MANIFEST_COLUMNS.join(','),
+        ...issued.map(item => MANIFEST_COLUMNS.map(column => toCsvCell(item[column])).join(','))
+    ].join('\n') + '\n');
+
+    console.log(t('cli.done', { count: issued.length, folder: options.out }));
+    return 0;
+};
+
+const app = loadApp();
+run(app, process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        if (error instanceof CliError) {
+            console.error(error.message);
+            process.exitCode = error.exitCode;
+            return;
+        }
+        console.error(app.I18n.t('cli.unexpectedError'), error);
+        process.exitCode = 1;
+    });
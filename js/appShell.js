@@ -0,0 +1,146 @@
+/**
+ * Módulo que comprueba que las bibliotecas externas se han cargado, registra el service worker que
+ * permite instalar la aplicación y usarla sin conexión, y avisa cuando hay una versión nueva
+ */
+
+const AppShell = (() => {
+    // Bibliotecas sin las que la aplicación no puede funcionar
+    const REQUIRED_LIBRARIES = [
+        { name: 'Bootstrap', isLoaded: () => Boolean(window.bootstrap) && isStylesheetLoaded('bootstrap') },
+        { name: 'Font Awesome', isLoaded: () => isStylesheetLoaded('fontawesome') },
+        { name: 'jsPDF', isLoaded: () => Boolean(window.jspdf && window.jspdf.jsPDF) },
+        { name: 'jspdf-autotable', isLoaded: () => Boolean(window.jspdf && window.jspdf.jsPDF && window.jspdf.jsPDF.API.autoTable) },
+        { name: 'PDF.js', isLoaded: () => Boolean(window.pdfjsLib) }
+    ];
+
+    let installPrompt = null;
+    let updating = false;
+
+    /**
+     * Indica si se ha cargado la hoja de estilos de una biblioteca (las que fallan no tienen hoja)
+     * @param {string} name - Parte de la dirección de la hoja
+     * @returns {boolean} - True si la hoja se ha cargado
+     */
+    const isStylesheetLoaded = (name) => {
+        const link = document.querySelector(`link[rel="stylesheet"][href*="${name}"]`);
+        return Boolean(link && link.sheet);
+    };
+
+    /**
+     * Obtiene las bibliotecas obligatorias que no se han cargado
+     * @returns {Array<string>} - Nombres de las bibliotecas que faltan
+     */
+    const getMissingLibraries = () => REQUIRED_LIBRARIES
+        .filter(library => !library.isLoaded())
+        .map(library => library.name);
+
+    /**
+     * Comprueba las bibliotecas y, si falta alguna, sustituye la aplicación por la pantalla de error
+     * @returns {boolean} - True si están todas
+     */
+    const checkLibraries = () => {
+        const missing = getMissingLibraries();
+        if (missing.length === 0) {
+            return true;
+        }
+
+        console.error('No se han podido cargar las bibliotecas:', missing.join(', '));
+        document.getElementById('library-error-list').textContent = missing.join(', ');
+        document.getElementById('library-error').hidden = false;
+        document.body.classList.add('library-missing');
+        document.getElementById('library-error-retry').addEventListener('click', () => location.reload());
+        return false;
+    };
+
+    /**
+     * Muestra el aviso de versión nueva; al aceptarlo, la nueva versión se activa y la página se recarga
+     * @param {ServiceWorker} worker - Service worker de la versión nueva, ya instalado y en espera
+     */
+    const showUpdate = (worker) => {
+        const banner = document.getElementById('update-banner');
+        banner.classList.remove('d-none');
+        document.getElementById('update-reload-btn').onclick = () => {
+            updating = true;
+            worker.postMessage('skipWaiting');
+        };
+    };
+
+    /**
+     * Registra el service worker y vigila las versiones nuevas
+     */
+    const registerServiceWorker = async () => {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        // La recarga solo se hace cuando el usuario ha pedido actualizar (no al instalar la primera versión)
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (updating) {
+                location.reload();
+            }
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            // Una versión descargada en una visita anterior puede estar esperando
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdate(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            // Sin service worker (por ejemplo, al abrir el archivo desde el disco) la aplicación funciona igual con conexión
+            console.error('Error al registrar el service worker:', error);
+        }
+    };
+
+    /**
+     * Ofrece instalar la aplicación cuando el navegador lo permite
+     */
+    const initInstall = () => {
+        const installItem = document.getElementById('install-item');
+
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            installPrompt = event;
+            installItem.classList.remove('d-none');
+        });
+
+        window.addEventListener('appinstalled', () => {
+            installPrompt = null;
+            installItem.classList.add('d-none');
+        });
+
+        document.getElementById('install-btn').addEventListener('click', async (event) => {
+            event.preventDefault();
+            if (!installPrompt) {
+                return;
+            }
+            installPrompt.prompt();
+            await installPrompt.userChoice;
+            installPrompt = null;
+            installItem.classList.add('d-none');
+        });
+    };
+
+    /**
+     * Inicializa el uso sin conexión, la instalación y el aviso de actualizaciones
+     */
+    const init = () => {
+        initInstall();
+        registerServiceWorker();
+    };
+
+    // API pública
+    return {
+        getMissingLibraries,
+        checkLibraries,
+        init
+    };
+})();
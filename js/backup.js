@@ -0,0 +1,616 @@
+/**
+ * Módulo para exportar e importar una copia de seguridad completa de los certificados
+ */
+
+const Backup = (() => {
+    const ARCHIVE_FORMAT = 'certificate-backup';
+    const ARCHIVE_VERSION = 1;
+
+    // Almacenes incluidos en la copia; las claves del emisor se exportan aparte desde la configuración
+    const BACKUP_STORES = [
+        Storage.STORES.EVENTS,
+        Storage.STORES.FONTS,
+        Storage.STORES.FONT_FILES,
+        Storage.STORES.TEMPLATES,
+        Storage.STORES.ROLES,
+        Storage.STORES.SIGNATORIES,
+        Storage.STORES.SIGNATURE_IMAGES,
+        Storage.STORES.PARTICIPANTS,
+        Storage.STORES.VERSIONS,
+        Storage.STORES.CERTIFICATES,
+        Storage.STORES.TRANSCRIPTS,
+        Storage.STORES.AUDIT
+    ];
+
+    // Almacenes cuyos registros pueden llevar su PDF en la copia
+    const PDF_STORES = [Storage.STORES.VERSIONS, Storage.STORES.CERTIFICATES, Storage.STORES.TRANSCRIPTS];
+
+    // Almacenes cuyos registros no se pueden duplicar: la clave de una versión depende del certificado y
+    // del número de versión, y el ID de un expediente forma parte de los datos firmados
+    const NO_COPY_STORES = [Storage.STORES.VERSIONS, Storage.STORES.TRANSCRIPTS];
+
+    // Formas de resolver un conflicto (su nombre está en el catálogo, backup.resolution.*)
+    const RESOLUTIONS = ['skip', 'overwrite', 'keepBoth'];
+
+    let pendingImport = null;
+
+    /**
+     * Obtiene el nombre de un almacén para el informe de conflictos y los errores
+     * @param {string} storeName - Nombre del almacén (uno de BACKUP_STORES)
+     * @returns {string} - Nombre en el idioma de la interfaz
+     */
+    const getStoreLabel = (storeName) => I18n.t(`backup.store.${storeName}`);
+
+    /**
+     * Obtiene la clave de un registro (las versiones sustituidas se guardan con la suya, id#versión)
+     * @param {string} storeName - Nombre del almacén
+     * @param {Object} record - Registro
+     * @returns {string} - Clave del registro en su almacén
+     */
+    const getRecordKey = (storeName, record) => (storeName === Storage.STORES.VERSIONS ? record.key : record.id);
+
+    /**
+     * Obtiene las resoluciones posibles de un conflicto
+     * @param {string} storeName - Nombre del almacén
+     * @returns {Array<string>} - Resoluciones
+     */
+    const getResolutions = (storeName) => (NO_COPY_STORES.includes(storeName)
+        ? RESOLUTIONS.filter(resolution => resolution !== 'keepBoth')
+        : RESOLUTIONS);
+
+    /**
+     * Construye el archivo de copia de seguridad con todos los datos
+     * @param {boolean} [includePdfs] - Si cada certificado, versión sustituida y expediente lleva su PDF como URL de datos
+     * @returns {Promise<Object>} - Contenido de la copia
+     */
+    const createArchive = async (includePdfs = true) => {
+        const stores = {};
+        for (const storeName of BACKUP_STORES) {
+            stores[storeName] = await Storage.getAllRecords(storeName);
+        }
+
+        if (includePdfs) {
+            for (const storeName of PDF_STORES) {
+                for (const certificate of stores[storeName]) {
+                    const pdfBlob = await Storage.getCertificatePdf(getRecordKey(storeName, certificate));
+                    if (pdfBlob) {
+                        certificate.pdfDataUrl = await Utils.blobToDataUrl(pdfBlob);
+                    }
+                }
+            }
+        }
+
+        return {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            counters: await Storage.getAllRecords(Storage.STORES.COUNTERS),
+            settings: Settings.getAll(),
+            stores
+        };
+    };
+
+    /**
+     * Descarga la copia de seguridad como archivo JSON
+     */
+    const exportArchive = async () => {
+        try {
+            const archive = await createArchive(document.getElementById('backup-include-pdfs').checked);
+            const date = archive.exportedAt.substring(0, 10);
+            Utils.downloadFile(
+                new Blob([JSON.stringify(archive)], { type: 'application/json' }),
+                `copia-certificados-${date}.json`
+            );
+            UI.showToast(I18n.t('backup.exported', { count: archive.stores[Storage.STORES.CERTIFICATES].length }));
+        } catch (error) {
+            console.error('Error al exportar la copia de seguridad:', error);
+            UI.showToast(I18n.t('backup.exportError'), 'danger');
+        }
+    };
+
+    /**
+     * Comprueba que un archivo tiene el formato de copia de seguridad y que sus registros son utilizables
+     * @param {Object} archive - Contenido del archivo
+     * @returns {Array<string>} - Lista de errores (vacía si es válido)
+     */
+    const validateArchive = (archive) => {
+        const { t } = I18n;
+        if (!archive || archive.format !== ARCHIVE_FORMAT) {
+            return [t('backup.invalidFormat')];
+        }
+        if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+            return [t('backup.unsupportedVersion', { version: archive.version })];
+        }
+        if (!archive.stores || typeof archive.stores !== 'object') {
+            return [t('backup.noData')];
+        }
+
+        const errors = [];
+        BACKUP_STORES.forEach(storeName => {
+            const records = archive.stores[storeName] || [];
+            if (!Array.isArray(records)) {
+                errors.push(t('backup.notAList', { store: getStoreLabel(storeName) }));
+                return;
+            }
+            records.forEach((record, index) => {
+                // Las entradas de auditoría reciben su ID numérico en cada base de datos: basta con su certificado
+                const key = record && (storeName === Storage.STORES.AUDIT ? record.certificateId : getRecordKey(storeName, record));
+                if (typeof key !== 'string' || !key) {
+                    errors.push(t('backup.missingId', { store: getStoreLabel(storeName), index: index + 1 }));
+                }
+            });
+        });
+
+        // Los registros restaurados siguen las mismas reglas que los que se crean en la aplicación
+        const validateCertificate = certificate => CertificateSchema.describe(CertificateSchema.validate(
+            certificate,
+            Utils.CERTIFICATE_FIELDS.filter(field => field !== 'id')
+        ));
+        const storeValidators = {
+            [Storage.STORES.EVENTS]: Events.validate,
+            [Storage.STORES.PARTICIPANTS]: Participants.validate,
+            [Storage.STORES.VERSIONS]: validateCertificate,
+            [Storage.STORES.CERTIFICATES]: validateCertificate
+        };
+        Object.entries(storeValidators).forEach(([storeName, validateRecord]) => {
+            const records = archive.stores[storeName] || [];
+            if (!Array.isArray(records)) {
+                return;
+            }
+            records.filter(Boolean).forEach(record => {
+                validateRecord(record).forEach(error => errors.push(t('backup.recordError', {
+                    store: getStoreLabel(storeName),
+                    id: getRecordKey(storeName, record),
+                    error
+                })));
+            });
+        });
+
+        PDF_STORES.forEach(storeName => {
+            const records = archive.stores[storeName] || [];
+            if (!Array.isArray(records)) {
+                return;
+            }
+            records.filter(Boolean).forEach(record => {
+                // El PDF es opcional: si falta, el de un certificado se regenera a partir de los datos al abrirlo
+                if (record.pdfDataUrl !== undefined
+                    && (typeof record.pdfDataUrl !== 'string' || !record.pdfDataUrl.startsWith('data:application/pdf'))) {
+                    errors.push(t('backup.invalidPdf', { store: getStoreLabel(storeName), id: getRecordKey(storeName, record) }));
+                }
+            });
+        });
+
+        // Las copias anteriores a los contadores en la base de datos solo tienen el contador global
+        if (archive.certificateCounter !== undefined && !Number.isInteger(archive.certificateCounter)) {
+            errors.push(t('backup.invalidCounter'));
+        }
+        if (archive.counters !== undefined && (!Array.isArray(archive.counters)
+            || archive.counters.some(counter => !counter || typeof counter.id !== 'string' || !Number.isInteger(counter.value)))) {
+            errors.push(t('backup.invalidCounters'));
+        }
+
+        return errors;
+    };
+
+    /**
+     * Obtiene la parte de un registro que se compara al importar (sin el PDF, que ya cubre la huella,
+     * ni los nombres normalizados del historial, que faltan en las copias anteriores a ellos)
+     * @param {Object} record - Registro de la copia o de la base de datos
+     * @returns {string} - Registro serializado
+     */
+    const getComparable = (record) => {
+        const { pdfDataUrl, normalizedParticipantName, normalizedEventName, ...comparable } = record;
+        return JSON.stringify(comparable);
+    };
+
+    /**
+     * Separa las entradas de auditoría de la copia que ya están en el registro; las demás se añaden
+     * sin su ID, que la base de datos asigna al guardarlas
+     * @param {Array<Object>} entries - Entradas de la copia
+     * @returns {Promise<Object>} - { newEntries, identical }
+     */
+    const analyzeAuditEntries = async (entries) => {
+        const existing = new Set((await Storage.getAllRecords(Storage.STORES.AUDIT)).map(({ id, ...entry }) => getComparable(entry)));
+        const newEntries = entries
+            .map(({ id, ...entry }) => entry)
+            .filter(entry => !existing.has(getComparable(entry)));
+        return { newEntries, identical: entries.length - newEntries.length };
+    };
+
+    /**
+     * Compara el contenido de la copia con la base de datos actual
+     * @param {Object} archive - Copia de seguridad válida
+     * @returns {Promise<Object>} - Registros nuevos, idénticos y en conflicto
+     */
+    const analyzeArchive = async (archive) => {
+        const analysis = { newRecords: [], identical: 0, conflicts: [] };
+
+        for (const storeName of BACKUP_STORES) {
+            if (storeName === Storage.STORES.AUDIT) {
+                // El registro de auditoría solo admite añadir: sus entradas nunca están en conflicto
+                const { newEntries, identical } = await analyzeAuditEntries(archive.stores[storeName] || []);
+                newEntries.forEach(record => analysis.newRecords.push({ storeName, record }));
+                analysis.identical += identical;
+                continue;
+            }
+
+            const existing = new Map((await Storage.getAllRecords(storeName)).map(record => [getRecordKey(storeName, record), record]));
+            (archive.stores[storeName] || []).forEach(record => {
+                const current = existing.get(getRecordKey(storeName, record));
+                if (!current) {
+                    analysis.newRecords.push({ storeName, record });
+                } else if (storeName === Storage.STORES.SIGNATURE_IMAGES || getComparable(current) === getComparable(record)) {
+                    // Las imágenes de firma se guardan con la huella de su contenido: el mismo ID es la misma imagen
+                    analysis.identical++;
+                } else {
+                    analysis.conflicts.push({ storeName, record, current, resolution: 'skip' });
+                }
+            });
+        }
+
+        return analysis;
+    };
+
+    /**
+     * Obtiene un ID libre para conservar una copia de un registro en conflicto
+     * @param {string} storeName - Nombre del almacén
+     * @param {string} id - ID original
+     * @returns {Promise<string>} - ID nuevo
+     */
+    const getFreeId = async (storeName, id) => {
+        let suffix = 2;
+        while (await Storage.getRecord(storeName, `${id}-${suffix}`)) {
+            suffix++;
+        }
+        return `${id}-${suffix}`;
+    };
+
+    /**
+     * Escribe en la base de datos los registros de la copia según la resolución de cada conflicto
+     * @param {Object} archive - Copia de seguridad válida
+     * @param {Object} analysis - Resultado de analyzeArchive con las resoluciones elegidas
+     * @param {boolean} restoreSettings - Si se restaura también la configuración
+     * @returns {Promise<Object>} - Número de registros importados, de certificados que fallaron y de
+     * certificados revocados que no se sobrescribieron
+     */
+    const applyImport = async (archive, analysis, restoreSettings) => {
+        // IDs nuevos de los registros que se conservan por duplicado, para actualizar las referencias
+        const renamed = {};
+        BACKUP_STORES.forEach(storeName => {
+            renamed[storeName] = new Map();
+        });
+
+        const toWrite = [...analysis.newRecords];
+        const overwritten = new Set();
+        const toReissue = [];
+        let keptRevoked = 0;
+
+        /**
+         * Obtiene el ID con el que se importa un registro (el nuevo si se conserva por duplicado)
+         * @param {string} storeName - Nombre del almacén
+         * @param {string} id - ID en la copia
+         * @returns {string} - ID en la base de datos
+         */
+        const getNewId = (storeName, id) => renamed[storeName].get(id) || id;
+
+        /**
+         * Prepara la copia de un registro con un ID nuevo; si tiene nombre, se marca como importado
+         * @param {string} storeName - Nombre del almacén
+         * @param {Object} record - Registro de la copia de seguridad
+         * @param {string} newId - ID nuevo
+         */
+        const addCopy = (storeName, record, newId) => {
+            renamed[storeName].set(record.id, newId);
+            toWrite.push({
+                storeName,
+                record: {
+                    ...record,
+                    id: newId,
+                    ...(record.name && { name: I18n.t('backup.importedName', { name: record.name }) })
+                }
+            });
+        };
+
+        for (const conflict of analysis.conflicts) {
+            const { storeName, record } = conflict;
+            if (conflict.resolution === 'overwrite') {
+                if (storeName === Storage.STORES.CERTIFICATES) {
+                    // Una copia anterior a la revocación no vuelve a dar por válido un certificado revocado
+                    if (conflict.current.status === Storage.CERTIFICATE_STATUS.REVOKED
+                        && record.status !== Storage.CERTIFICATE_STATUS.REVOKED) {
+                        keptRevoked++;
+                        continue;
+                    }
+                    overwritten.add(record.id);
+                }
+                toWrite.push(conflict);
+            } else if (conflict.resolution === 'keepBoth') {
+                if (storeName === Storage.STORES.CERTIFICATES) {
+                    // El ID forma parte de los datos firmados y del PDF: la copia se vuelve a emitir con un ID nuevo
+                    toReissue.push({ ...record, id: undefined });
+                } else if (storeName === Storage.STORES.FONTS || storeName === Storage.STORES.FONT_FILES) {
+                    // El archivo de una fuente se guarda con el ID de la fuente: las dos se copian juntas
+                    if (!renamed[Storage.STORES.FONTS].has(record.id)) {
+                        const newId = await getFreeId(Storage.STORES.FONTS, record.id);
+                        [Storage.STORES.FONTS, Storage.STORES.FONT_FILES].forEach(fontStore => {
+                            const fontRecord = (archive.stores[fontStore] || []).find(item => item.id === record.id);
+                            if (fontRecord) {
+                                addCopy(fontStore, fontRecord, newId);
+                            }
+                        });
+                    }
+                } else {
+                    addCopy(storeName, record, await getFreeId(storeName, record.id));
+                }
+            }
+        }
+
+        /**
+         * Actualiza las fuentes de una plantilla que han cambiado de ID
+         * @param {Object} template - Plantilla importada
+         * @returns {Object} - Plantilla con las fuentes actualizadas
+         */
+        const remapFonts = (template) => ({
+            ...template,
+            ...(template.fonts && {
+                fonts: {
+                    ...template.fonts,
+                    ...Object.fromEntries(Templates.FONT_FAMILY_KEYS
+                        .filter(key => template.fonts[key])
+                        .map(key => [key, getNewId(Storage.STORES.FONTS, template.fonts[key])]))
+                }
+            })
+        });
+
+        /**
+         * Actualiza las referencias a eventos, participantes, plantillas, firmantes e imágenes de firma que han cambiado de ID
+         * @param {Object} certificate - Certificado importado
+         * @returns {Object} - Certificado con las referencias actualizadas
+         */
+        const remapReferences = (certificate) => ({
+            ...certificate,
+            eventId: getNewId(Storage.STORES.EVENTS, certificate.eventId),
+            participantId: getNewId(Storage.STORES.PARTICIPANTS, certificate.participantId),
+            templateId: getNewId(Storage.STORES.TEMPLATES, certificate.templateId),
+            ...(certificate.signatories && {
+                signatories: certificate.signatories.map(signatory => ({
+                    ...signatory,
+                    signatoryId: getNewId(Storage.STORES.SIGNATORIES, signatory.signatoryId),
+                    imageId: getNewId(Storage.STORES.SIGNATURE_IMAGES, signatory.imageId)
+                }))
+            })
+        });
+
+        // Los almacenes se escriben en orden para que los certificados encuentren sus eventos, participantes, plantillas y firmas
+        let imported = 0;
+        for (const storeName of BACKUP_STORES) {
+            for (const { record } of toWrite.filter(item => item.storeName === storeName)) {
+                if (storeName === Storage.STORES.CERTIFICATES) {
+                    // Las copias anteriores a los estados solo contienen certificados activos
+                    const certificate = {
+                        status: Storage.CERTIFICATE_STATUS.ACTIVE,
+                        version: 1,
+                        ...remapReferences(record)
+                    };
+                    // Los certificados anteriores a los eventos se enlazan con el suyo
+                    if (!certificate.eventId || !(await Events.get(certificate.eventId))) {
+                        certificate.eventId = (await Events.resolve({ ...certificate, eventId: null })).id;
+                    }
+                    // Y los anteriores al directorio, con su participante
+                    if (!certificate.participantId || !(await Participants.get(certificate.participantId))) {
+                        certificate.participantId = (await Participants.resolve({ ...certificate, participantId: null })).id;
+                    }
+                    if (overwritten.has(certificate.id)) {
+                        // La versión guardada se conserva con su PDF, como al volver a emitir el certificado, y la
+                        // importada pasa a ser la más reciente
+                        certificate.version = Math.max(certificate.version, await Storage.supersedeCertificate(certificate.id));
+                    }
+                    if (certificate.pdfDataUrl) {
+                        await Storage.putCertificate(certificate, Utils.dataUrlToBlob(certificate.pdfDataUrl));
+                    } else {
+                        // Sin PDF en la copia, se descarta el guardado para que se regenere con los datos importados
+                        await Storage.putCertificate(certificate, null);
+                        await Storage.deleteRecord(Storage.STORES.PDFS, certificate.id);
+                    }
+                    await Storage.appendAuditEntry('import', certificate, {
+                        note: I18n.t(overwritten.has(certificate.id) ? 'backup.auditOverwritten' : 'backup.auditRestored')
+                    });
+                } else if (storeName === Storage.STORES.TRANSCRIPTS) {
+                    // El participante no forma parte de los datos firmados del expediente
+                    const { pdfDataUrl, ...transcript } = {
+                        ...record,
+                        participantId: getNewId(Storage.STORES.PARTICIPANTS, record.participantId)
+                    };
+                    if (pdfDataUrl) {
+                        await Storage.saveTranscript(transcript, Utils.dataUrlToBlob(pdfDataUrl));
+                    } else {
+                        await Storage.putRecord(storeName, transcript);
+                        await Storage.deleteRecord(Storage.STORES.PDFS, transcript.id);
+                    }
+                } else if (storeName === Storage.STORES.VERSIONS) {
+                    const { pdfDataUrl, ...version } = remapReferences(record);
+                    await Storage.putRecord(storeName, version);
+                    if (pdfDataUrl) {
+                        await Storage.saveCertificatePdf(version.key, Utils.dataUrlToBlob(pdfDataUrl));
+                    } else {
+                        await Storage.deleteRecord(Storage.STORES.PDFS, version.key);
+                    }
+                } else {
+                    await Storage.putRecord(storeName, storeName === Storage.STORES.TEMPLATES ? remapFonts(record) : record);
+                }
+                imported++;
+            }
+        }
+
+        let failures = 0;
+        for (const certificate of toReissue) {
+            try {
+                await Certificates.reissue(remapReferences(certificate));
+                imported++;
+            } catch (error) {
+                console.error('Error al volver a emitir el certificado importado:', error);
+                failures++;
+            }
+        }
+
+        // Los contadores nunca retroceden para no repetir IDs
+        const counters = archive.counters
+            || (Number.isInteger(archive.certificateCounter) ? [{ id: 'global', value: archive.certificateCounter }] : []);
+        await Storage.mergeCounters(counters);
+        if (restoreSettings && archive.settings) {
+            Settings.set(archive.settings);
+        }
+
+        return { imported, failures, keptRevoked };
+    };
+
+    /**
+     * Muestra el resumen de la importación y la lista de conflictos
+     * @param {Object} analysis - Resultado de analyzeArchive
+     */
+    const renderImportSummary = (analysis) => {
+        document.getElementById('backup-import-summary').textContent = I18n.t('backup.summary', {
+            newRecords: analysis.newRecords.length,
+            identical: analysis.identical,
+            conflicts: analysis.conflicts.length
+        });
+
+        const conflictsElement = document.getElementById('backup-conflicts');
+        conflictsElement.classList.toggle('d-none', analysis.conflicts.length === 0);
+
+        const body = document.getElementById('backup-conflicts-body');
+        body.innerHTML = '';
+        analysis.conflicts.forEach(conflict => {
+            const row = document.createElement('tr');
+            const description = conflict.record.participantName
+                ? `${conflict.record.participantName} · ${conflict.record.eventName}`
+                : conflict.record.name || '';
+            [getStoreLabel(conflict.storeName), getRecordKey(conflict.storeName, conflict.record), description].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm backup-resolution';
+            getResolutions(conflict.storeName).forEach(value => select.add(new Option(I18n.t(`backup.resolution.${value}`), value)));
+            select.value = conflict.resolution;
+            select.addEventListener('change', () => {
+                conflict.resolution = select.value;
+            });
+
+            const cell = document.createElement('td');
+            cell.appendChild(select);
+            row.appendChild(cell);
+            body.appendChild(row);
+        });
+    };
+
+    /**
+     * Lee un archivo de copia de seguridad y abre el diálogo de importación
+     * @param {File} file - Archivo elegido por el usuario
+     */
+    const openImport = async (file) => {
+        try {
+            let archive;
+            try {
+                archive = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error(I18n.t('backup.invalidJson'));
+            }
+
+            const errors = validateArchive(archive);
+            if (errors.length > 0) {
+                const shown = errors.slice(0, 5).join(' ');
+                throw new Error(errors.length > 5 ? I18n.t('backup.moreErrors', { errors: shown, count: errors.length - 5 }) : shown);
+            }
+
+            const analysis = await analyzeArchive(archive);
+            pendingImport = { archive, analysis };
+            renderImportSummary(analysis);
+            document.getElementById('backup-import-exported').textContent =
+                archive.exportedAt ? new Date(archive.exportedAt).toLocaleString(I18n.LANGUAGES[I18n.getUiLanguage()].locale) : '-';
+
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('settings-modal')).hide();
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('backup-modal')).show();
+        } catch (error) {
+            console.error('Error al leer la copia de seguridad:', error);
+            UI.showToast(I18n.t('backup.importReadError', { message: error.message }), 'danger');
+        }
+    };
+
+    /**
+     * Importa la copia pendiente con las resoluciones elegidas
+     * @param {Function} onImport - Se llama cuando termina la importación
+     */
+    const confirmImport = async (onImport) => {
+        if (!pendingImport) {
+            return;
+        }
+
+        const { archive, analysis } = pendingImport;
+        const restoreSettings = document.getElementById('backup-restore-settings').checked;
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('backup-modal')).hide();
+
+        try {
+            const { imported, failures, keptRevoked } = await applyImport(archive, analysis, restoreSettings);
+            pendingImport = null;
+            const messages = [failures > 0
+                ? I18n.t('backup.importedWithFailures', { imported, failures })
+                : I18n.t('backup.imported', { imported })];
+            if (keptRevoked > 0) {
+                messages.push(I18n.t('backup.keptRevoked', { count: keptRevoked }));
+            }
+            UI.showToast(messages.join(' '), failures > 0 || keptRevoked > 0 ? 'warning' : 'success');
+            onImport();
+        } catch (error) {
+            console.error('Error al importar la copia de seguridad:', error);
+            UI.showToast(I18n.t('backup.importError'), 'danger');
+        }
+    };
+
+    /**
+     * Inicializa los controles de copia de seguridad
+     * @param {Function} [onImport] - Se llama después de importar para refrescar la aplicación
+     */
+    const init = (onImport = () => {}) => {
+        document.getElementById('backup-export-btn').addEventListener('click', exportArchive);
+
+        document.getElementById('backup-import-file').addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                openImport(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+
+        // Aplicar la misma resolución a todos los conflictos
+        document.getElementById('backup-resolution-all').addEventListener('change', (e) => {
+            if (!pendingImport || !e.target.value) {
+                return;
+            }
+            // Los conflictos que no admiten la resolución elegida conservan la suya
+            pendingImport.analysis.conflicts
+                .filter(conflict => getResolutions(conflict.storeName).includes(e.target.value))
+                .forEach(conflict => {
+                    conflict.resolution = e.target.value;
+                });
+            const selects = document.querySelectorAll('#backup-conflicts-body .backup-resolution');
+            pendingImport.analysis.conflicts.forEach((conflict, index) => {
+                selects[index].value = conflict.resolution;
+            });
+            e.target.value = '';
+        });
+
+        document.getElementById('backup-import-btn').addEventListener('click', () => confirmImport(onImport));
+    };
+
+    // API pública
+    return {
+        ARCHIVE_VERSION,
+        createArchive,
+        validateArchive,
+        analyzeArchive,
+        applyImport,
+        init
+    };
+})();
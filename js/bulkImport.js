@@ -0,0 +1,276 @@
+/**
+ * Módulo que gestiona la generación masiva de certificados a partir de una lista de participantes
+ */
+
+const BulkImport = (() => {
+    // Número máximo de filas que se muestran en la vista previa
+    const MAX_PREVIEW_ROWS = 200;
+
+    let roster = null;
+    let mapping = {};
+    let records = [];
+    let roles = [];
+    let options = {};
+    // Evita que un segundo clic lance otra vez el lote mientras se genera
+    let generating = false;
+
+    /**
+     * Crea una celda de tabla con texto plano
+     * @param {string} tag - Etiqueta de la celda (td o th)
+     * @param {string} text - Contenido de la celda
+     * @returns {HTMLElement} - Celda creada
+     */
+    const createCell = (tag, text) => {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        return cell;
+    };
+
+    /**
+     * Une los primeros nombres de una lista para mostrarlos en un mensaje
+     * @param {Array<string>} names - Nombres
+     * @returns {string} - Hasta cinco nombres separados por comas, con puntos suspensivos si hay más
+     */
+    const listNames = (names) => `${names.slice(0, 5).join(', ')}${names.length > 5 ? '...' : ''}`;
+
+    /**
+     * Dibuja los selectores para asignar columnas del archivo a los campos del certificado
+     */
+    const renderMappingFields = () => {
+        const container = document.getElementById('bulk-mapping-fields');
+        container.innerHTML = '';
+
+        RosterParser.FIELDS.forEach(field => {
+            const col = document.createElement('div');
+            col.className = 'col-md-4';
+
+            const label = createCell('label', RosterParser.getFieldLabel(field.key));
+            label.className = 'form-label small mb-1';
+            label.htmlFor = `bulk-map-${field.key}`;
+
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            select.id = `bulk-map-${field.key}`;
+            select.dataset.field = field.key;
+
+            const fallback = document.createElement('option');
+            fallback.value = '-1';
+            fallback.textContent = I18n.t(field.optional ? 'bulk.noColumn' : 'bulk.useFormValue');
+            select.appendChild(fallback);
+
+            roster.headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = header;
+                select.appendChild(option);
+            });
+
+            select.value = String(mapping[field.key]);
+            select.addEventListener('change', () => {
+                mapping[field.key] = parseInt(select.value, 10);
+                renderPreview();
+            });
+
+            col.append(label, select);
+            container.appendChild(col);
+        });
+    };
+
+    /**
+     * Vuelve a construir los datos de cada fila y muestra la vista previa con sus errores
+     */
+    const renderPreview = async () => {
+        if (!roster) {
+            return;
+        }
+
+        // El catálogo puede haber cambiado desde la última vista previa
+        roles = await Roles.getAll();
+        records = RosterParser.mapRows(roster.rows, mapping, options.getDefaults(), roles).map(record => ({
+            data: record,
+            errors: RosterParser.validateRecord(record, roles)
+        }));
+
+        const head = document.getElementById('bulk-preview-head');
+        const body = document.getElementById('bulk-preview-body');
+        head.innerHTML = '';
+        body.innerHTML = '';
+
+        const headRow = document.createElement('tr');
+        headRow.appendChild(createCell('th', '#'));
+        RosterParser.FIELDS.forEach(field => headRow.appendChild(createCell('th', RosterParser.getFieldLabel(field.key))));
+        headRow.appendChild(createCell('th', I18n.t('bulk.status')));
+        head.appendChild(headRow);
+
+        records.slice(0, MAX_PREVIEW_ROWS).forEach((record, index) => {
+            const row = document.createElement('tr');
+            if (record.errors.length > 0) {
+                row.classList.add('table-danger');
+            }
+
+            row.appendChild(createCell('td', String(index + 1)));
+            RosterParser.FIELDS.forEach(field => row.appendChild(createCell('td', record.data[field.key])));
+            row.appendChild(createCell('td', record.errors.length > 0 ? record.errors.join(' ') : I18n.t('bulk.valid')));
+            body.appendChild(row);
+        });
+
+        const validCount = records.filter(record => record.errors.length === 0).length;
+        const summary = I18n.t('bulk.summary', { total: records.length, valid: validCount, invalid: records.length - validCount });
+        document.getElementById('bulk-summary').textContent = records.length > MAX_PREVIEW_ROWS
+            ? `${summary} ${I18n.t('bulk.previewLimited', { max: MAX_PREVIEW_ROWS })}`
+            : summary;
+        document.getElementById('bulk-generate-btn').disabled = generating || validCount === 0;
+    };
+
+    /**
+     * Carga el archivo seleccionado y prepara la asignación de columnas
+     * @param {File} file - Archivo CSV o XLSX
+     */
+    const loadRoster = async (file) => {
+        try {
+            roster = await RosterParser.parseFile(file);
+            mapping = RosterParser.guessMapping(roster.headers);
+            renderMappingFields();
+            await renderPreview();
+            document.getElementById('bulk-mapping').classList.remove('d-none');
+        } catch (error) {
+            roster = null;
+            document.getElementById('bulk-mapping').classList.add('d-none');
+            console.error('Error al leer la lista de participantes:', error);
+            UI.showToast(I18n.t('bulk.readError', { message: error.message }), 'danger');
+        }
+    };
+
+    /**
+     * Genera y guarda un certificado por cada fila válida; el botón queda desactivado hasta que termina
+     */
+    const generateAll = async () => {
+        if (generating) {
+            return;
+        }
+        generating = true;
+        document.getElementById('bulk-generate-btn').disabled = true;
+
+        let progress = null;
+        try {
+            const validRecords = records.filter(record => record.errors.length === 0);
+            const skipped = records.length - validRecords.length;
+
+            if (skipped > 0 && !confirm(I18n.t('bulk.confirmSkipped', { count: skipped }))) {
+                return;
+            }
+
+            // Todos los certificados del lote usan la plantilla, los firmantes y los idiomas elegidos en el formulario
+            const { templateId, signatories, language, secondaryLanguage } = options.getDefaults();
+
+            // Nombres con caracteres que ninguna fuente disponible puede dibujar
+            const unreadable = [];
+            for (const record of validRecords) {
+                const resolved = await Certificates.checkFonts({ ...record.data, templateId, signatories, language, secondaryLanguage });
+                if (Object.values(resolved).some(font => font.missing.length > 0)) {
+                    unreadable.push(record.data.participantName);
+                }
+            }
+            if (unreadable.length > 0 && !confirm(I18n.t('bulk.confirmUnreadable', { count: unreadable.length, names: listNames(unreadable) }))) {
+                return;
+            }
+
+            // Participantes que ya tienen un certificado vigente en el evento de su fila
+            const repeated = [];
+            for (const record of validRecords) {
+                if ((await Participants.findEventCertificates(record.data)).length > 0) {
+                    repeated.push(record.data.participantName);
+                }
+            }
+            if (repeated.length > 0 && !confirm(I18n.t('bulk.confirmRepeated', { count: repeated.length, names: listNames(repeated) }))) {
+                return;
+            }
+
+            let cancelled = false;
+            const failures = [];
+            progress = UI.showProgress({
+                title: I18n.t('bulk.generating'),
+                total: validRecords.length,
+                onCancel: () => {
+                    cancelled = true;
+                }
+            });
+
+            let done = 0;
+            for (const record of validRecords) {
+                if (cancelled) {
+                    break;
+                }
+
+                // El ID se reserva al emitir cada certificado
+                const certificateData = {
+                    ...record.data,
+                    templateId,
+                    signatories,
+                    language,
+                    secondaryLanguage
+                };
+
+                progress.update(done, certificateData.participantName);
+
+                try {
+                    await Certificates.issue(certificateData, { logoDataUrl: options.getLogoDataUrl() });
+                } catch (error) {
+                    console.error('Error al generar el certificado de la fila:', error);
+                    failures.push(certificateData.participantName);
+                }
+
+                done++;
+                progress.update(done, certificateData.participantName);
+            }
+
+            progress.close();
+            progress = null;
+
+            const generated = done - failures.length;
+            if (failures.length > 0) {
+                UI.showToast(I18n.t('bulk.doneWithFailures', { count: generated, names: failures.join(', ') }), 'danger');
+            } else if (cancelled) {
+                UI.showToast(I18n.t('bulk.cancelled', { count: generated }), 'warning');
+            } else {
+                UI.showToast(I18n.t('bulk.done', { count: generated }));
+            }
+        } catch (error) {
+            if (progress) {
+                progress.close();
+            }
+            console.error('Error en la generación masiva:', error);
+            UI.showToast(I18n.t('bulk.error', { message: error.message }), 'danger');
+        } finally {
+            generating = false;
+            document.getElementById('bulk-generate-btn').disabled = !records.some(record => record.errors.length === 0);
+        }
+    };
+
+    /**
+     * Inicializa los eventos de la importación masiva
+     * @param {Object} config - Configuración del módulo
+     * @param {Function} config.getDefaults - Devuelve los valores del formulario para los campos sin columna
+     * @param {Function} config.getLogoDataUrl - Devuelve el logo seleccionado (o null)
+     */
+    const init = (config) => {
+        options = config;
+
+        document.getElementById('roster-upload').addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                loadRoster(e.target.files[0]);
+            }
+        });
+
+        // Los campos sin columna dependen del formulario, así que se revalida al editarlo
+        document.getElementById('certificate-form').addEventListener('input', renderPreview);
+        document.getElementById('certificate-form').addEventListener('change', renderPreview);
+
+        document.getElementById('bulk-generate-btn').addEventListener('click', generateAll);
+    };
+
+    // API pública
+    return {
+        init
+    };
+})();
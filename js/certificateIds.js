@@ -0,0 +1,226 @@
+/**
+ * Módulo para componer los IDs de certificado según el formato configurado
+ */
+
+const CertificateIds = (() => {
+    // Formato por defecto: reproduce los IDs CERT-YYYYMMDD-XXXXX de las versiones anteriores
+    const DEFAULT_FORMAT = Object.freeze({
+        prefix: 'CERT',
+        pattern: '{prefix}-{date}-{seq}',
+        padding: 5,
+        // global: un único contador; yearly: el contador vuelve a 1 cada año
+        reset: 'global',
+        checkDigit: false
+    });
+
+    const TOKENS = ['prefix', 'event', 'year', 'date', 'seq'];
+
+    // Los expedientes tienen su propio prefijo y contador; solo comparten con los certificados las cifras y el dígito de control
+    const TRANSCRIPT_PREFIX = 'EXP';
+    const TRANSCRIPT_COUNTER = 'transcript';
+
+    // Caracteres válidos en un ID y base del dígito de control (Luhn mod 36)
+    const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    /**
+     * Obtiene el formato de ID configurado, completado con los valores por defecto
+     * @returns {Object} - Formato de ID
+     */
+    const getFormat = () => ({ ...DEFAULT_FORMAT, ...(Settings.get('idFormat') || {}) });
+
+    /**
+     * Valida un formato de ID antes de guardarlo
+     * @param {Object} format - Formato a validar
+     * @returns {Array<string>} - Lista de errores (vacía si es válido)
+     */
+    const validateFormat = (format) => {
+        const errors = [];
+        const pattern = format.pattern || '';
+
+        if (!pattern.includes('{seq}')) {
+            errors.push(I18n.t('ids.seqRequired'));
+        }
+        const unknown = [...pattern.matchAll(/\{(\w*)\}/g)]
+            .map(match => match[1])
+            .filter(token => !TOKENS.includes(token));
+        if (unknown.length > 0) {
+            errors.push(I18n.t('ids.unknownTokens', { tokens: unknown.map(token => `{${token}}`).join(', ') }));
+        }
+        // Fuera de los marcadores solo se admiten letras mayúsculas, números y guiones (la verificación busca el ID así)
+        if (!/^[A-Z0-9]/.test(pattern.replace(/\{\w*\}/g, 'X')) || /[^A-Z0-9-]/.test(pattern.replace(/\{\w*\}/g, ''))) {
+            errors.push(I18n.t('ids.patternChars'));
+        }
+        if (!/^[A-Z0-9]{0,10}$/.test(format.prefix || '')) {
+            errors.push(I18n.t('ids.prefix'));
+        }
+        if (!Number.isInteger(format.padding) || format.padding < 1 || format.padding > 10) {
+            errors.push(I18n.t('ids.padding'));
+        }
+        if (!['global', 'yearly'].includes(format.reset)) {
+            errors.push(I18n.t('ids.reset'));
+        }
+
+        return errors;
+    };
+
+    /**
+     * Obtiene el código de un evento para el marcador {event}
+     * @param {Object|null} event - Evento del certificado
+     * @returns {string} - Código del evento o, si no tiene, las iniciales de su nombre
+     */
+    const getEventCode = (event) => {
+        if (!event) {
+            return 'EV';
+        }
+        if (event.code) {
+            return event.code;
+        }
+        const initials = event.name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .split(/[^A-Z0-9]+/)
+            .filter(Boolean)
+            .map(word => word[0])
+            .join('');
+        return initials.substring(0, 6) || 'EV';
+    };
+
+    /**
+     * Obtiene la clave del contador que corresponde a una fecha de emisión
+     * @param {Object} format - Formato de ID
+     * @param {Date} date - Fecha de emisión
+     * @returns {string} - Clave del contador (global o year-YYYY)
+     */
+    const getCounterKey = (format, date) => (format.reset === 'yearly' ? `year-${date.getFullYear()}` : 'global');
+
+    /**
+     * Calcula el dígito de control de un texto con el algoritmo de Luhn en base 36
+     * @param {string} text - Texto (se ignoran los caracteres que no son letras ni números)
+     * @returns {string} - Dígito de control
+     */
+    const computeCheckDigit = (text) => {
+        const chars = text.toUpperCase().replace(/[^0-9A-Z]/g, '');
+        let factor = 2;
+        let sum = 0;
+        for (let i = chars.length - 1; i >= 0; i--) {
+            const addend = factor * CHARSET.indexOf(chars[i]);
+            sum += Math.floor(addend / CHARSET.length) + (addend % CHARSET.length);
+            factor = factor === 2 ? 1 : 2;
+        }
+        return CHARSET[(CHARSET.length - (sum % CHARSET.length)) % CHARSET.length];
+    };
+
+    /**
+     * Comprueba el dígito de control de un ID (el último carácter)
+     * @param {string} id - ID completo
+     * @returns {boolean} - True si el dígito de control es correcto
+     */
+    const hasValidCheckDigit = (id) => {
+        const chars = String(id).toUpperCase().replace(/[^0-9A-Z]/g, '');
+        return chars.length > 1 && computeCheckDigit(chars.slice(0, -1)) === chars.slice(-1);
+    };
+
+    /**
+     * Compone un ID a partir de su número de secuencia
+     * @param {Object} format - Formato de ID
+     * @param {Object} context - Datos del certificado
+     * @param {number} context.sequence - Número de secuencia
+     * @param {Date} context.date - Fecha de emisión
+     * @param {string} [context.eventCode] - Código del evento
+     * @returns {string} - ID compuesto
+     */
+    const build = (format, { sequence, date, eventCode = 'EV' }) => {
+        const values = {
+            prefix: format.prefix,
+            event: eventCode,
+            year: String(date.getFullYear()),
+            date: `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`,
+            seq: String(sequence).padStart(format.padding, '0')
+        };
+        const id = format.pattern
+            .replace(/\{(\w+)\}/g, (match, token) => values[token] ?? match)
+            .replace(/-{2,}/g, '-')
+            .replace(/^-|-$/g, '');
+        return format.checkDigit ? `${id}-${computeCheckDigit(id)}` : id;
+    };
+
+    /**
+     * Reserva el siguiente ID en una transacción, de modo que dos pestañas no puedan obtener el mismo
+     * @param {Object} [context] - Datos del certificado
+     * @param {Date} [context.date] - Fecha de emisión
+     * @param {Object|null} [context.event] - Evento del certificado
+     * @returns {Promise<string>} - Promesa que se resuelve con el ID reservado
+     */
+    const reserve = ({ date = new Date(), event = null } = {}) => {
+        const format = getFormat();
+        const eventCode = getEventCode(event);
+        return Storage.reserveCertificateId(
+            getCounterKey(format, date),
+            sequence => build(format, { sequence, date, eventCode })
+        );
+    };
+
+    /**
+     * Libera un ID reservado con reserve que no llegó a usarse (si nadie ha reservado otro después)
+     * @param {string} id - ID reservado
+     * @param {Object} [context] - Los mismos datos con los que se reservó
+     * @returns {Promise<boolean>} - Promesa que se resuelve con true si el número vuelve a estar disponible
+     */
+    const release = (id, { date = new Date(), event = null } = {}) => {
+        const format = getFormat();
+        const eventCode = getEventCode(event);
+        return Storage.releaseCertificateId(
+            getCounterKey(format, date),
+            sequence => build(format, { sequence, date, eventCode }),
+            id
+        );
+    };
+
+    /**
+     * Muestra el ID que recibiría el siguiente certificado sin reservarlo
+     * @param {Object} [context] - Datos del certificado (como en reserve)
+     * @returns {Promise<string>} - Promesa que se resuelve con el ID provisional
+     */
+    const peek = async ({ date = new Date(), event = null } = {}) => {
+        const format = getFormat();
+        const sequence = (await Storage.getCounterValue(getCounterKey(format, date))) + 1;
+        return build(format, { sequence, date, eventCode: getEventCode(event) });
+    };
+
+    /**
+     * Obtiene el formato de los IDs de expediente (EXP-YYYYMMDD-XXXXX)
+     * @returns {Object} - Formato de ID
+     */
+    const getTranscriptFormat = () => {
+        const { padding, checkDigit } = getFormat();
+        return { ...DEFAULT_FORMAT, prefix: TRANSCRIPT_PREFIX, padding, checkDigit };
+    };
+
+    /**
+     * Reserva el siguiente ID de expediente en una transacción, como reserve
+     * @param {Date} [date] - Fecha de emisión
+     * @returns {Promise<string>} - Promesa que se resuelve con el ID reservado
+     */
+    const reserveTranscript = (date = new Date()) => {
+        const format = getTranscriptFormat();
+        return Storage.reserveCertificateId(TRANSCRIPT_COUNTER, sequence => build(format, { sequence, date }));
+    };
+
+    // API pública
+    return {
+        DEFAULT_FORMAT,
+        TOKENS,
+        getFormat,
+        validateFormat,
+        getEventCode,
+        getCounterKey,
+        computeCheckDigit,
+        hasValidCheckDigit,
+        build,
+        reserve,
+        release,
+        peek,
+        reserveTranscript
+    };
+})();
@@ -0,0 +1,215 @@
+/**
+ * Módulo para revocar certificados y consultar sus versiones y su registro de auditoría
+ */
+
+const CertificateLog = (() => {
+    const STATUS_CLASSES = {
+        active: 'bg-success',
+        revoked: 'bg-danger',
+        superseded: 'bg-secondary'
+    };
+
+    // Acciones del registro de auditoría con texto en el catálogo (log.action.*)
+    const AUDIT_ACTIONS = ['create', 'reissue', 'revoke', 'delete', 'import'];
+
+    let revoking = null;
+    let callbacks = {
+        onChange: () => {}
+    };
+
+    /**
+     * Da formato a una fecha y hora en el idioma de la interfaz
+     * @param {string} value - Fecha en formato ISO
+     * @returns {string} - Fecha y hora legibles
+     */
+    const formatDateTime = (value) => (value
+        ? new Date(value).toLocaleString(I18n.LANGUAGES[I18n.getUiLanguage()].locale)
+        : '-');
+
+    /**
+     * Obtiene el nombre de un estado en el idioma de la interfaz
+     * @param {string} status - Estado del certificado
+     * @returns {string} - Nombre del estado
+     */
+    const getStatusLabel = (status) => I18n.t(`log.status.${status}`);
+
+    /**
+     * Genera la etiqueta de un estado
+     * @param {string} status - Estado del certificado
+     * @returns {string} - Marcado de la etiqueta
+     */
+    const getBadgeHtml = (status) => `<span class="badge ${STATUS_CLASSES[status]}">${getStatusLabel(status)}</span>`;
+
+    /**
+     * Genera las etiquetas de estado y versión de un certificado para la tabla del historial
+     * @param {Object} certificate - Certificado guardado o versión sustituida
+     * @returns {string} - Marcado de las etiquetas
+     */
+    const getStatusBadgeHtml = (certificate) => {
+        const status = Certificates.getStatus(certificate);
+        const version = certificate.version || 1;
+        const versionBadge = version > 1 || status === Storage.CERTIFICATE_STATUS.SUPERSEDED
+            ? ` <span class="badge bg-light text-dark border">v${Utils.escapeHtml(version)}</span>`
+            : '';
+        return `${getBadgeHtml(status)}${versionBadge}`;
+    };
+
+    /**
+     * Crea una celda de tabla con texto plano
+     * @param {string} value - Texto de la celda
+     * @returns {HTMLElement} - Celda creada
+     */
+    const createCell = (value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        return cell;
+    };
+
+    /**
+     * Abre el diálogo para revocar un certificado
+     * @param {Object} certificate - Certificado activo
+     */
+    const openRevoke = (certificate) => {
+        revoking = certificate;
+        document.getElementById('revoke-certificate').textContent = `${certificate.id} · ${certificate.participantName} · ${certificate.eventName}`;
+        document.getElementById('revoke-reason').value = '';
+        document.getElementById('revoke-errors').textContent = '';
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('revoke-modal')).show();
+    };
+
+    /**
+     * Revoca el certificado del diálogo con el motivo indicado
+     */
+    const confirmRevoke = async () => {
+        if (!revoking) {
+            return;
+        }
+
+        try {
+            const revoked = await Certificates.revoke(revoking.id, document.getElementById('revoke-reason').value);
+            revoking = null;
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('revoke-modal')).hide();
+            UI.showToast(I18n.t('toast.revoked', { id: revoked.id }), 'warning');
+            callbacks.onChange();
+        } catch (error) {
+            console.error('Error al revocar el certificado:', error);
+            document.getElementById('revoke-errors').textContent = error.message;
+        }
+    };
+
+    /**
+     * Descarga el PDF de una versión de un certificado
+     * @param {Object} record - Certificado guardado o versión sustituida
+     */
+    const downloadVersion = async (record) => {
+        try {
+            Utils.downloadFile(await Certificates.getPdf(record), `Certificado_${record.id}_v${record.version || 1}.pdf`);
+        } catch (error) {
+            console.error('Error al descargar la versión del certificado:', error);
+            UI.showToast(I18n.t('toast.versionDownloadError'), 'danger');
+        }
+    };
+
+    /**
+     * Muestra las versiones de un certificado, empezando por la vigente
+     * @param {Array<Object>} records - Versión vigente (si existe) y versiones sustituidas
+     */
+    const renderVersions = (records) => {
+        const body = document.getElementById('certificate-log-versions-body');
+        body.innerHTML = '';
+
+        records.forEach(record => {
+            const row = document.createElement('tr');
+            row.appendChild(createCell(`v${record.version || 1}`));
+            row.appendChild(createCell(formatDateTime(record.reissuedAt || record.createdAt)));
+
+            const statusCell = document.createElement('td');
+            statusCell.innerHTML = getBadgeHtml(Certificates.getStatus(record));
+            row.appendChild(statusCell);
+
+            row.appendChild(createCell(`${record.participantName} · ${record.eventName}`));
+
+            const actionsCell = document.createElement('td');
+            const downloadBtn = document.createElement('button');
+            downloadBtn.type = 'button';
+            downloadBtn.className = 'btn btn-outline-secondary btn-sm';
+            downloadBtn.title = I18n.t('log.downloadVersion');
+            downloadBtn.innerHTML = '<i class="fas fa-download"></i>';
+            downloadBtn.addEventListener('click', () => downloadVersion(record));
+            actionsCell.appendChild(downloadBtn);
+            row.appendChild(actionsCell);
+
+            body.appendChild(row);
+        });
+    };
+
+    /**
+     * Muestra las entradas del registro de auditoría
+     * @param {Array<Object>} entries - Entradas, de la más reciente a la más antigua
+     */
+    const renderAudit = (entries) => {
+        const body = document.getElementById('certificate-log-audit-body');
+        body.innerHTML = '';
+
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            row.appendChild(createCell(formatDateTime(entry.at)));
+            row.appendChild(createCell(AUDIT_ACTIONS.includes(entry.action) ? I18n.t(`log.action.${entry.action}`) : entry.action));
+            row.appendChild(createCell(`v${entry.version}`));
+            row.appendChild(createCell(entry.reason || entry.note || ''));
+            body.appendChild(row);
+        });
+    };
+
+    /**
+     * Abre el diálogo con el estado, las versiones y el registro de auditoría de un certificado
+     * @param {string} id - ID del certificado
+     */
+    const openLog = async (id) => {
+        const { t } = I18n;
+        try {
+            const { certificate, versions, audit } = await Certificates.getHistory(id);
+            document.getElementById('certificate-log-title').textContent = t('log.title', { id });
+
+            const statusElement = document.getElementById('certificate-log-status');
+            if (!certificate) {
+                statusElement.className = 'alert alert-secondary';
+                statusElement.textContent = t('log.deleted');
+            } else if (Certificates.getStatus(certificate) === Storage.CERTIFICATE_STATUS.REVOKED) {
+                statusElement.className = 'alert alert-danger';
+                statusElement.textContent = t('log.revokedOn', { date: formatDateTime(certificate.revokedAt), reason: certificate.revocationReason });
+            } else {
+                statusElement.className = 'alert alert-success';
+                statusElement.textContent = t('log.activeVersion', { version: certificate.version || 1 });
+            }
+
+            renderVersions(certificate ? [certificate, ...versions] : versions);
+            renderAudit(audit);
+            document.getElementById('certificate-log-empty').classList.toggle('d-none', audit.length > 0);
+
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('certificate-log-modal')).show();
+        } catch (error) {
+            console.error('Error al cargar el historial del certificado:', error);
+            UI.showToast(t('toast.logError'), 'danger');
+        }
+    };
+
+    /**
+     * Inicializa los diálogos de revocación y de historial
+     * @param {Object} options - Funciones de enlace con el resto de la aplicación
+     * @param {Function} options.onChange - Se llama cuando se revoca un certificado
+     */
+    const init = (options) => {
+        callbacks = { ...callbacks, ...options };
+        document.getElementById('revoke-confirm-btn').addEventListener('click', confirmRevoke);
+    };
+
+    // API pública
+    return {
+        getStatusLabel,
+        getStatusBadgeHtml,
+        openRevoke,
+        openLog,
+        init
+    };
+})();
@@ -0,0 +1,73 @@
+/**
+ * Módulo para generar el código QR de verificación de cada certificado
+ */
+
+const CertificateQR = (() => {
+    // Nivel de corrección de errores: M recupera hasta un 15% del código dañado
+    const ERROR_CORRECTION = 'M';
+
+    /**
+     * Construye la URL de verificación a partir de la plantilla configurada
+     * @param {Object} data - Datos del certificado (o del expediente)
+     * @param {string} [hash] - Huella corta ya calculada (por defecto, la de los datos del certificado)
+     * @returns {Promise<string>} - URL de verificación
+     */
+    const getVerificationUrl = async (data, hash = null) => {
+        hash = hash || await Utils.certificateDataHash(data);
+        return Settings.get('verificationUrlTemplate')
+            .replace(/\{id\}/g, encodeURIComponent(data.id))
+            .replace(/\{hash\}/g, hash);
+    };
+
+    /**
+     * Codifica un texto como código QR
+     * @param {string} text - Texto a codificar
+     * @returns {Object} - Código QR generado
+     */
+    const encode = (text) => {
+        const qr = qrcode(0, ERROR_CORRECTION);
+        qr.addData(text, 'Byte');
+        qr.make();
+        return qr;
+    };
+
+    /**
+     * Dibuja un código QR en el PDF como módulos vectoriales
+     * @param {Object} pdf - Documento jsPDF
+     * @param {string} text - Texto a codificar
+     * @param {number} x - Posición horizontal en mm
+     * @param {number} y - Posición vertical en mm
+     * @param {number} size - Tamaño del código en mm
+     */
+    const drawOnPdf = (pdf, text, x, y, size) => {
+        const qr = encode(text);
+        const count = qr.getModuleCount();
+        const moduleSize = size / count;
+
+        pdf.setFillColor(0, 0, 0);
+        for (let row = 0; row < count; row++) {
+            // Los módulos oscuros consecutivos de una fila se dibujan como un solo rectángulo para reducir el PDF
+            let col = 0;
+            while (col < count) {
+                if (!qr.isDark(row, col)) {
+                    col++;
+                    continue;
+                }
+                const start = col;
+                while (col < count && qr.isDark(row, col)) {
+                    col++;
+                }
+                pdf.rect(x + start * moduleSize, y + row * moduleSize, (col - start) * moduleSize, moduleSize, 'F');
+            }
+        }
+    };
+
+    // Los nombres y eventos pueden tener acentos: se codifican en UTF-8
+    qrcode.stringToBytes = qrcode.stringToBytesFuncs['UTF-8'];
+
+    // API pública
+    return {
+        getVerificationUrl,
+        drawOnPdf
+    };
+})();
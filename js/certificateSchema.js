@@ -0,0 +1,132 @@
+/**
+ * Módulo con las reglas de los datos de un certificado, compartidas por el formulario, los eventos, los
+ * participantes, la importación de listas y la restauración de copias
+ */
+
+const CertificateSchema = (() => {
+    // Primer año admitido en las fechas de los eventos
+    const MIN_YEAR = 1900;
+
+    // Duración admitida, en horas
+    const MIN_HOURS = 1;
+    const MAX_HOURS = 999;
+
+    // Reglas de cada campo. Las longitudes máximas son las que caben con la plantilla por defecto: el nombre
+    // va en una sola línea con letra grande y el evento y el lugar, dentro del texto del rol y de la línea de
+    // la fecha sin empujar el pie fuera de la página (la vista previa mide el ancho exacto de cada plantilla)
+    const FIELDS = {
+        eventName: { required: true, maxLength: 150 },
+        eventDate: { required: true, type: 'date' },
+        eventLocation: { required: true, maxLength: 100 },
+        eventDuration: { required: true, type: 'hours' },
+        participantName: { required: true, maxLength: 80 },
+        participantRole: { required: true, maxLength: 60 },
+        participantEmail: { type: 'email', maxLength: 254 },
+        participantNationalId: { maxLength: 30 }
+    };
+
+    /**
+     * Obtiene la fecha de hoy en la zona horaria del usuario
+     * @returns {string} - Fecha en formato AAAA-MM-DD
+     */
+    const getToday = () => {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    };
+
+    /**
+     * Comprueba que un texto es una fecha AAAA-MM-DD que existe en el calendario
+     * @param {string} value - Texto de la fecha
+     * @returns {boolean} - True si la fecha existe
+     */
+    const isCalendarDate = (value) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return false;
+        }
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().startsWith(value);
+    };
+
+    /**
+     * Valida un campo
+     * @param {string} field - Nombre del campo (uno de FIELDS)
+     * @param {*} value - Valor del campo
+     * @param {Object} [options] - Opciones de la validación
+     * @param {boolean} [options.allowFuture] - Si se admiten fechas posteriores a hoy (un evento se puede
+     * registrar antes de celebrarse; sus certificados, no)
+     * @returns {string|null} - Mensaje de error en el idioma de la interfaz, o null si es válido
+     */
+    const validateField = (field, value, { allowFuture = false } = {}) => {
+        const rule = FIELDS[field];
+        const text = String(value ?? '').trim();
+        if (!text) {
+            return rule.required ? I18n.t('validation.required') : null;
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+            return I18n.t('validation.maxLength', { max: rule.maxLength });
+        }
+
+        if (rule.type === 'date') {
+            if (!isCalendarDate(text)) {
+                return I18n.t('validation.date');
+            }
+            if (Number(text.substring(0, 4)) < MIN_YEAR) {
+                return I18n.t('validation.dateTooOld', { year: MIN_YEAR });
+            }
+            if (!allowFuture && text > getToday()) {
+                return I18n.t('validation.futureDate');
+            }
+        }
+
+        if (rule.type === 'hours') {
+            const hours = Number(text);
+            if (!/^\d+(\.\d{1,2})?$/.test(text) || hours < MIN_HOURS || hours > MAX_HOURS) {
+                return I18n.t('validation.hours', { min: MIN_HOURS, max: MAX_HOURS });
+            }
+        }
+
+        if (rule.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+            return I18n.t('validation.email');
+        }
+
+        return null;
+    };
+
+    /**
+     * Valida varios campos de unos datos
+     * @param {Object} data - Datos con los nombres de campo de FIELDS
+     * @param {Array<string>} [fields] - Campos a validar (por defecto, todos)
+     * @param {Object} [options] - Opciones de la validación (ver validateField)
+     * @returns {Object} - Mensaje de error de cada campo no válido (vacío si todo es válido)
+     */
+    const validate = (data, fields = Object.keys(FIELDS), options = {}) => {
+        const errors = {};
+        fields.forEach(field => {
+            const error = validateField(field, data[field], options);
+            if (error) {
+                errors[field] = error;
+            }
+        });
+        return errors;
+    };
+
+    /**
+     * Convierte los errores de validate en frases con el nombre de cada campo, para listas y notificaciones
+     * @param {Object} errors - Resultado de validate
+     * @returns {Array<string>} - Errores con el formato "Campo: mensaje"
+     */
+    const describe = (errors) => Object.entries(errors)
+        .map(([field, message]) => `${I18n.t(`validation.label.${field}`)}: ${message}`);
+
+    // API pública
+    return {
+        FIELDS,
+        MIN_YEAR,
+        MIN_HOURS,
+        MAX_HOURS,
+        getToday,
+        validateField,
+        validate,
+        describe
+    };
+})();
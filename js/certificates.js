@@ -0,0 +1,224 @@
+/**
+ * Módulo que reúne los pasos para emitir un certificado: firma, PDF y almacenamiento
+ */
+
+const Certificates = (() => {
+    // La vista previa lleva una firma, una huella de clave y una huella del QR de relleno con la misma longitud que
+    // las reales (una firma ECDSA P-256 ocupa 64 bytes), así que mide lo mismo sin usar las claves del emisor
+    const PREVIEW_SIGNATURE = {
+        signature: Utils.bytesToBase64(new Uint8Array(64)),
+        signatureKey: '0000:0000:0000:0000'
+    };
+    const PREVIEW_HASH = '0'.repeat(12);
+    
+    /**
+     * Genera el PDF de unos datos ya firmados con su plantilla y los textos de su rol
+     * @param {Object} signedData - Datos firmados del certificado
+     * @param {string|null} [logoDataUrl] - URL de datos del logo
+     * @returns {Promise<Blob>} - Promesa que se resuelve con el PDF
+     */
+    const render = async (signedData, logoDataUrl = null) => {
+        const template = await Templates.get(signedData.templateId);
+        
+        // Texto del rol en el idioma del certificado y, si es bilingüe, en el segundo idioma
+        const roleTexts = await Roles.describeAll(signedData);
+        
+        // Los firmantes se dibujan con la copia guardada en el certificado, no con los perfiles actuales
+        const signatories = await Signatories.withImages(signedData.signatories);
+        
+        const pdfDataUrl = await PDFGenerator.generateCertificatePDF(signedData, { logoDataUrl, template, roleTexts, signatories });
+        return Utils.dataUrlToBlob(pdfDataUrl);
+    };
+    
+    /**
+     * Genera el PDF tal como se emitiría, sin firmarlo, reservar el ID ni guardar nada, y comprueba si el texto cabe en la página
+     * @param {Object} data - Datos del certificado con el ID que recibiría (el del formulario)
+     * @param {Object} [assets] - Recursos gráficos del certificado
+     * @param {string|null} [assets.logoDataUrl] - URL de datos del logo
+     * @returns {Promise<Object>} - Promesa que se resuelve con { pdfDataUrl, warnings } (ver PDFGenerator.generateCertificatePDF)
+     */
+    const preview = async (data, { logoDataUrl = null } = {}) => {
+        const template = await Templates.get(data.templateId);
+        const roleTexts = await Roles.describeAll(data);
+        
+        const signedData = {
+            ...data,
+            ...PREVIEW_SIGNATURE,
+            createdAt: data.createdAt || new Date().toISOString()
+        };
+        
+        const warnings = [];
+        const pdfDataUrl = await PDFGenerator.generateCertificatePDF(signedData, {
+            logoDataUrl,
+            template,
+            roleTexts,
+            signatories: await Signatories.withImages(data.signatories),
+            warnings,
+            verificationHash: PREVIEW_HASH
+        });
+        return { pdfDataUrl, warnings };
+    };
+    
+    /**
+     * Comprueba antes de emitir si las fuentes de la plantilla pueden dibujar todos los textos del certificado
+     * @param {Object} data - Datos del certificado
+     * @returns {Promise<Object>} - Promesa que se resuelve con la fuente elegida para el título, el nombre y el texto
+     */
+    const checkFonts = async (data) => {
+        const template = await Templates.get(data.templateId);
+        const roleTexts = await Roles.describeAll(data);
+        return Fonts.resolveAll(template.fonts, PDFGenerator.getCertificateTexts(data, template, {
+            roleTexts,
+            signatories: data.signatories || []
+        }));
+    };
+    
+    /**
+     * Firma los datos, genera el PDF y guarda el certificado (si el ID ya existe, como una nueva versión); si
+     * algo falla, se eliminan el evento y el participante creados, se restaura el participante modificado y se
+     * libera el ID reservado
+     * @param {Object} data - Datos del certificado (sin id para asignarle uno nuevo; con participantEmail y
+     * participantNationalId si se conocen)
+     * @param {Object} [assets] - Recursos gráficos del certificado
+     * @param {string|null} [assets.logoDataUrl] - URL de datos del logo
+     * @returns {Promise<Object>} - Promesa que se resuelve con { certificate, pdfBlob }
+     */
+    const issue = async ({ participantEmail, participantNationalId, ...data }, { logoDataUrl = null } = {}) => {
+        // Lo que se crea o se reserva antes de guardar el certificado se deshace si la emisión falla
+        const rollback = [];
+        
+        try {
+            // Los datos del evento salen del registro del evento (se crea si el certificado trae uno nuevo)
+            const existingEvent = await Events.find(data);
+            const event = existingEvent || await Events.resolve(data);
+            if (!existingEvent) {
+                rollback.push(() => Events.remove(event.id));
+            }
+            
+            // El ID forma parte de los datos firmados, así que se reserva justo antes de firmar
+            let id = data.id;
+            if (!id) {
+                const date = new Date();
+                id = await CertificateIds.reserve({ date, event });
+                rollback.push(() => CertificateIds.release(id, { date, event }));
+            }
+            const eventData = { ...data, id, ...Events.toCertificateFields(event) };
+            
+            // La firma se calcula antes de generar el PDF para poder incrustarla en él
+            const signedData = {
+                ...eventData,
+                ...(await Signing.signCertificate(eventData))
+            };
+            
+            // La plantilla se resuelve por su ID para que una reemisión tenga el mismo aspecto
+            signedData.templateId = (await Templates.get(data.templateId)).id;
+            
+            // La fecha de emisión se fija antes de generar el PDF porque se imprime en él
+            signedData.createdAt = data.createdAt || new Date().toISOString();
+            
+            // Copia de los firmantes: los cambios posteriores en sus perfiles no afectan a este certificado
+            signedData.signatories = await Signatories.toSnapshot(data.signatories);
+            
+            const pdfBlob = await render(signedData, logoDataUrl);
+            
+            // El correo y el documento se guardan en el directorio de participantes, no en el certificado; el
+            // participante no forma parte de los datos firmados (una fusión puede cambiarlo sin invalidar la firma),
+            // así que se resuelve cuando el PDF ya está generado
+            const participantData = { ...data, participantEmail, participantNationalId };
+            const existingParticipant = await Participants.find(participantData);
+            const participant = await Participants.resolve(participantData);
+            // Si resolve ha añadido el correo o el documento a una ficha existente, se restaura como estaba
+            rollback.push(existingParticipant
+                ? () => Storage.putRecord(Storage.STORES.PARTICIPANTS, existingParticipant)
+                : () => Storage.deleteRecord(Storage.STORES.PARTICIPANTS, participant.id));
+            signedData.participantId = participant.id;
+            
+            const certificate = await Storage.saveCertificate(signedData, pdfBlob);
+            
+            return { certificate, pdfBlob };
+        } catch (error) {
+            for (const undo of rollback.reverse()) {
+                await undo().catch(undoError => console.error('Error al deshacer la emisión del certificado:', undoError));
+            }
+            throw error;
+        }
+    };
+    
+    /**
+     * Obtiene el PDF de un certificado guardado, regenerándolo a partir de sus datos si no está guardado
+     * @param {Object} certificate - Certificado guardado o una de sus versiones sustituidas
+     * @returns {Promise<Blob>} - Promesa que se resuelve con el PDF
+     */
+    const getPdf = async (certificate) => {
+        const key = certificate.key || certificate.id;
+        const stored = await Storage.getCertificatePdf(key);
+        if (stored) {
+            return stored;
+        }
+        
+        // Se reutiliza la firma guardada; el logo no se conserva, así que el archivo solo coincide con el original si no lo tenía
+        const pdfBlob = await render(certificate);
+        await Storage.saveCertificatePdf(key, pdfBlob);
+        return pdfBlob;
+    };
+    
+    /**
+     * Indica el estado de un certificado (los registros anteriores a los estados están activos)
+     * @param {Object} certificate - Certificado guardado o versión sustituida
+     * @returns {string} - Uno de los valores de Storage.CERTIFICATE_STATUS
+     */
+    const getStatus = (certificate) => certificate.status || Storage.CERTIFICATE_STATUS.ACTIVE;
+    
+    /**
+     * Revoca un certificado: sigue en el registro, pero la verificación lo muestra como revocado
+     * @param {string} id - ID del certificado
+     * @param {string} reason - Motivo de la revocación
+     * @returns {Promise<Object>} - Promesa que se resuelve con el certificado revocado
+     */
+    const revoke = (id, reason) => {
+        if (!(reason || '').trim()) {
+            return Promise.reject(new Error(I18n.t('log.reasonRequired')));
+        }
+        return Storage.revokeCertificate(id, reason.trim());
+    };
+    
+    /**
+     * Obtiene las versiones y el registro de auditoría de un certificado
+     * @param {string} id - ID del certificado
+     * @returns {Promise<Object>} - Promesa que se resuelve con { certificate, versions, audit }
+     */
+    const getHistory = async (id) => ({
+        certificate: await Storage.getCertificateById(id),
+        versions: await Storage.getCertificateVersions(id),
+        audit: await Storage.getAuditLog(id)
+    });
+    
+    /**
+     * Vuelve a emitir un certificado guardado con el mismo ID y fecha de creación; la versión anterior se conserva
+     * @param {Object} certificate - Certificado guardado
+     * @param {Object} [changes] - Datos que se corrigen en la nueva emisión
+     * @param {Object} [assets] - Recursos gráficos del certificado
+     * @returns {Promise<Object>} - Promesa que se resuelve con { certificate, pdfBlob }
+     */
+    const reissue = (certificate, changes = {}, assets = {}) => {
+        const data = {};
+        [...Utils.CERTIFICATE_FIELDS, 'eventId', 'participantId', 'templateId', 'signatories', 'language', 'secondaryLanguage', 'createdAt'].forEach(field => {
+            if (certificate[field] !== undefined) {
+                data[field] = certificate[field];
+            }
+        });
+        return issue({ ...data, ...changes }, assets);
+    };
+    
+    // API pública
+    return {
+        preview,
+        checkFonts,
+        issue,
+        reissue,
+        getPdf,
+        getStatus,
+        revoke,
+        getHistory
+    };
+})();
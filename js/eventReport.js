@@ -0,0 +1,212 @@
+/**
+ * Módulo para generar el informe de participantes de un evento en PDF (con jspdf-autotable) y en CSV
+ */
+
+const EventReport = (() => {
+    const { jsPDF } = window.jspdf;
+
+    // Columnas del CSV, en el orden en que se exportan (la cabecera está en el catálogo, report.csv.*)
+    const CSV_COLUMNS = [
+        { header: 'id', value: certificate => certificate.id },
+        { header: 'participant', value: certificate => certificate.participantName },
+        { header: 'role', value: certificate => certificate.participantRole },
+        { header: 'hours', value: certificate => getHours(certificate) },
+        { header: 'issueDate', value: certificate => (certificate.createdAt || '').substring(0, 10) },
+        { header: 'event', value: certificate => certificate.eventName },
+        { header: 'eventDate', value: certificate => certificate.eventDate },
+        { header: 'location', value: certificate => certificate.eventLocation }
+    ];
+
+    /**
+     * Obtiene las horas acreditadas por un certificado
+     * @param {Object} certificate - Certificado
+     * @returns {number} - Horas (0 si la duración no es un número)
+     */
+    const getHours = (certificate) => parseFloat(certificate.eventDuration) || 0;
+
+    /**
+     * Da formato a un número de horas sin decimales innecesarios
+     * @param {number} hours - Horas
+     * @returns {string} - Horas con hasta dos decimales
+     */
+    const formatHours = (hours) => String(Math.round(hours * 100) / 100);
+
+    /**
+     * Reúne los datos del informe de un evento: los certificados vigentes y los totales por rol
+     * @param {Object} event - Evento
+     * @returns {Promise<Object>} - Promesa que se resuelve con { certificates, roles, totalHours, revoked }
+     */
+    const collect = async (event) => {
+        const all = await Events.getCertificates(event.id);
+        // Los certificados revocados no acreditan horas: se cuentan aparte
+        const certificates = all.filter(certificate => Certificates.getStatus(certificate) !== Storage.CERTIFICATE_STATUS.REVOKED);
+
+        const totals = new Map();
+        certificates.forEach(certificate => {
+            const total = totals.get(certificate.participantRole) || { role: certificate.participantRole, count: 0, hours: 0 };
+            total.count++;
+            total.hours += getHours(certificate);
+            totals.set(certificate.participantRole, total);
+        });
+
+        return {
+            certificates,
+            roles: [...totals.values()].sort((a, b) => a.role.localeCompare(b.role)),
+            totalHours: certificates.reduce((sum, certificate) => sum + getHours(certificate), 0),
+            revoked: all.length - certificates.length
+        };
+    };
+
+    /**
+     * Genera el informe PDF de un evento
+     * @param {Object} event - Evento
+     * @param {Object} [options] - Opciones del informe
+     * @param {string|null} [options.logoDataUrl] - URL de datos del logo de la cabecera
+     * @returns {Promise<Blob>} - Promesa que se resuelve con el PDF
+     */
+    const buildPdf = async (event, { logoDataUrl = null } = {}) => {
+        const { t } = I18n;
+        const { certificates, roles, totalHours, revoked } = await collect(event);
+        const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const margin = 15;
+
+        // Cabecera con el logo y los datos del evento
+        const textX = margin + (logoDataUrl ? PDFGenerator.drawHeaderLogo(pdf, logoDataUrl, margin, margin) : 0);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(16);
+        pdf.text(t('report.title'), textX, margin + 6);
+        pdf.setFontSize(12);
+        pdf.text(event.name, textX, margin + 13, { maxWidth: pageWidth - textX - margin });
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(10);
+        pdf.text(t('report.eventLine', {
+            date: I18n.formatDate(event.date),
+            location: event.location,
+            hours: formatHours(parseFloat(event.duration) || 0)
+        }), textX, margin + 20);
+        pdf.setTextColor(120);
+        pdf.text(t('report.generatedOn', { date: new Date().toLocaleString(I18n.LANGUAGES[I18n.getUiLanguage()].locale) }), textX, margin + 25);
+        pdf.setTextColor(0);
+
+        // Participantes con certificado vigente
+        pdf.autoTable({
+            startY: margin + 32,
+            margin: { left: margin, right: margin },
+            head: [['#', t('report.participant'), t('report.role'), t('report.hours'), t('report.certificateId')]],
+            body: certificates.map((certificate, index) => [
+                index + 1,
+                certificate.participantName,
+                certificate.participantRole,
+                formatHours(getHours(certificate)),
+                certificate.id
+            ]),
+            headStyles: { fillColor: [44, 62, 80] },
+            columnStyles: {
+                0: { halign: 'right', cellWidth: 10 },
+                3: { halign: 'right' }
+            }
+        });
+
+        // Totales por rol y horas emitidas
+        pdf.autoTable({
+            startY: pdf.lastAutoTable.finalY + 10,
+            margin: { left: margin, right: margin },
+            head: [[t('report.role'), t('report.certificates'), t('report.hours')]],
+            body: roles.map(total => [total.role, total.count, formatHours(total.hours)]),
+            foot: [[t('report.total'), certificates.length, formatHours(totalHours)]],
+            headStyles: { fillColor: [44, 62, 80] },
+            footStyles: { fillColor: [236, 240, 241], textColor: 0 },
+            columnStyles: {
+                1: { halign: 'right' },
+                2: { halign: 'right' }
+            }
+        });
+
+        if (revoked > 0) {
+            pdf.setFontSize(9);
+            pdf.setTextColor(120);
+            pdf.text(t('report.revokedExcluded', { count: revoked }), margin, pdf.lastAutoTable.finalY + 6);
+            pdf.setTextColor(0);
+        }
+
+        // Número de página en el pie de cada hoja
+        const pageCount = pdf.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            pdf.setPage(page);
+            pdf.setFontSize(8);
+            pdf.setTextColor(120);
+            pdf.text(t('report.page', { page, pages: pageCount }), pageWidth - margin, pdf.internal.pageSize.getHeight() - 8, { align: 'right' });
+        }
+
+        return pdf.output('blob');
+    };
+
+    /**
+     * Escapa un valor para una celda CSV
+     * @param {*} value - Valor de la celda
+     * @returns {string} - Valor entre comillas si contiene separadores, comillas o saltos de línea
+     */
+    const escapeCsv = (value) => {
+        // Un texto que empieza como una fórmula se antepone con un apóstrofo para que la hoja de cálculo no la ejecute
+        const text = String(value ?? '').replace(/^[=+\-@\t\r]/, match => `'${match}`);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    /**
+     * Genera el CSV de los certificados vigentes de un evento (separado por comas, UTF-8 con BOM para Excel)
+     * @param {Object} event - Evento
+     * @returns {Promise<Blob>} - Promesa que se resuelve con el CSV
+     */
+    const buildCsv = async (event) => {
+        const { certificates } = await collect(event);
+        const lines = [
+            CSV_COLUMNS.map(column => escapeCsv(I18n.t(`report.csv.${column.header}`))).join(','),
+            ...certificates.map(certificate => CSV_COLUMNS.map(column => escapeCsv(column.value(certificate))).join(','))
+        ];
+        return new Blob(['\uFEFF', lines.join('\r\n'), '\r\n'], { type: 'text/csv;charset=utf-8' });
+    };
+
+    /**
+     * Obtiene el nombre base de los archivos del informe
+     * @param {Object} event - Evento
+     * @returns {string} - Nombre sin extensión
+     */
+    const getFileName = (event) => `Informe_${Utils.normalizeText(event.name).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')}_${event.date}`;
+
+    /**
+     * Descarga el informe PDF de un evento
+     * @param {Object} event - Evento
+     * @param {string|null} logoDataUrl - URL de datos del logo
+     */
+    const downloadPdf = async (event, logoDataUrl) => {
+        try {
+            Utils.downloadFile(await buildPdf(event, { logoDataUrl }), `${getFileName(event)}.pdf`);
+        } catch (error) {
+            console.error('Error al generar el informe del evento:', error);
+            UI.showToast(I18n.t('report.pdfError'), 'danger');
+        }
+    };
+
+    /**
+     * Descarga el CSV de un evento
+     * @param {Object} event - Evento
+     */
+    const downloadCsv = async (event) => {
+        try {
+            Utils.downloadFile(await buildCsv(event), `${getFileName(event)}.csv`);
+        } catch (error) {
+            console.error('Error al exportar el CSV del evento:', error);
+            UI.showToast(I18n.t('report.csvError'), 'danger');
+        }
+    };
+
+    // API pública
+    return {
+        collect,
+        buildPdf,
+        buildCsv,
+        downloadPdf,
+        downloadCsv
+    };
+})();
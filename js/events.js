@@ -0,0 +1,383 @@
+/**
+ * Módulo para gestionar los eventos y la lista de participantes de cada uno
+ */
+
+const Events = (() => {
+    let events = [];
+    let current = null;
+    let callbacks = {
+        onChange: () => {},
+        onUse: () => {},
+        getLogoDataUrl: () => null
+    };
+
+    /**
+     * Convierte un evento en los campos de evento que se guardan en cada certificado
+     * @param {Object} event - Evento
+     * @returns {Object} - Campos eventId, eventName, eventDate, eventLocation y eventDuration
+     */
+    const toCertificateFields = (event) => ({
+        eventId: event.id,
+        eventName: event.name,
+        eventDate: event.date,
+        eventLocation: event.location,
+        eventDuration: event.duration
+    });
+
+    /**
+     * Obtiene todos los eventos, del más reciente al más antiguo
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los eventos
+     */
+    const getAll = async () => {
+        const stored = await Storage.getAllRecords(Storage.STORES.EVENTS);
+        return stored.sort((a, b) => b.date.localeCompare(a.date) || a.name.localeCompare(b.name));
+    };
+
+    /**
+     * Obtiene un evento por su ID
+     * @param {string} id - ID del evento
+     * @returns {Promise<Object|undefined>} - Promesa que se resuelve con el evento
+     */
+    const get = (id) => Storage.getRecord(Storage.STORES.EVENTS, id);
+
+    /**
+     * Obtiene los certificados emitidos para un evento
+     * @param {string} id - ID del evento
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los certificados ordenados por participante
+     */
+    const getCertificates = async (id) => {
+        const certificates = await Storage.getRecordsByIndex(Storage.STORES.CERTIFICATES, 'eventId', id);
+        return certificates.sort((a, b) => a.participantName.localeCompare(b.participantName));
+    };
+
+    /**
+     * Valida un evento antes de guardarlo
+     * @param {Object} event - Evento a validar
+     * @returns {Array<string>} - Lista de errores (vacía si es válido)
+     */
+    const validate = (event) => {
+        // Los datos que se imprimen en los certificados siguen las reglas del formulario, salvo la fecha:
+        // un evento se puede registrar antes de celebrarse, aunque sus certificados no se emiten hasta entonces
+        const errors = CertificateSchema.describe(CertificateSchema.validate(toCertificateFields(event), [
+            'eventName',
+            'eventDate',
+            'eventLocation',
+            'eventDuration'
+        ], { allowFuture: true }));
+
+        if (!/^[A-Z0-9]{0,10}$/.test((event.code || '').trim().toUpperCase())) {
+            errors.push(I18n.t('events.codeInvalid'));
+        }
+
+        return errors;
+    };
+
+    /**
+     * Guarda un evento
+     * @param {Object} event - Evento a guardar (sin id si es nuevo)
+     * @returns {Promise<Object>} - Promesa que se resuelve con el evento guardado
+     */
+    const save = async (event) => {
+        const errors = validate(event);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        const existing = event.id ? await get(event.id) : null;
+        return Storage.putRecord(Storage.STORES.EVENTS, {
+            id: event.id || Utils.createId('evt'),
+            name: event.name.trim(),
+            date: event.date,
+            location: event.location.trim(),
+            duration: String(event.duration).trim(),
+            // Código para el marcador {event} de los IDs de certificado
+            code: (event.code || '').trim().toUpperCase(),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        });
+    };
+
+    /**
+     * Elimina un evento que no tiene certificados emitidos
+     * @param {string} id - ID del evento
+     * @returns {Promise} - Promesa que se resuelve cuando el evento es eliminado
+     */
+    const remove = async (id) => {
+        if ((await getCertificates(id)).length > 0) {
+            throw new Error(I18n.t('events.hasCertificates'));
+        }
+        return Storage.deleteRecord(Storage.STORES.EVENTS, id);
+    };
+
+    /**
+     * Busca el evento de los datos de un certificado sin crearlo
+     * @param {Object} data - Datos del certificado (con eventId o con los campos del evento)
+     * @returns {Promise<Object|null>} - Promesa que se resuelve con el evento o null si todavía no existe
+     */
+    const find = async (data) => {
+        if (data.eventId) {
+            const event = await get(data.eventId);
+            if (event) {
+                return event;
+            }
+        }
+
+        const key = Storage.getEventKey(data);
+        return (await getAll()).find(event => Storage.getEventKey(toCertificateFields(event)) === key) || null;
+    };
+
+    /**
+     * Obtiene el evento de los datos de un certificado, creándolo si todavía no existe
+     * @param {Object} data - Datos del certificado (con eventId o con los campos del evento)
+     * @returns {Promise<Object>} - Promesa que se resuelve con el evento
+     */
+    const resolve = async (data) => {
+        const existing = await find(data);
+        if (existing) {
+            return existing;
+        }
+
+        return save({
+            name: data.eventName,
+            date: data.eventDate,
+            location: data.eventLocation,
+            duration: data.eventDuration
+        });
+    };
+
+    /**
+     * Regenera los certificados de un evento con sus datos actuales y el logo del formulario
+     * @param {Object} event - Evento ya guardado
+     * @param {Array<Object>} certificates - Certificados del evento
+     * @returns {Promise<number>} - Promesa que se resuelve con el número de certificados que fallaron
+     */
+    const regenerateCertificates = async (event, certificates) => {
+        let cancelled = false;
+        let failures = 0;
+        // El logo no se guarda con el certificado: sin él, la nueva versión saldría sin logo
+        const logoDataUrl = callbacks.getLogoDataUrl();
+        const progress = UI.showProgress({
+            title: I18n.t('events.regenerating'),
+            total: certificates.length,
+            onCancel: () => {
+                cancelled = true;
+            }
+        });
+
+        for (const [index, certificate] of certificates.entries()) {
+            if (cancelled) {
+                break;
+            }
+
+            progress.update(index, certificate.participantName);
+            try {
+                await Certificates.reissue(certificate, toCertificateFields(event), { logoDataUrl });
+            } catch (error) {
+                console.error('Error al regenerar el certificado:', error);
+                failures++;
+            }
+        }
+
+        progress.close();
+        return failures;
+    };
+
+    /**
+     * Carga un evento en el formulario de edición
+     * @param {Object|null} event - Evento a editar (null para uno nuevo)
+     */
+    const fillForm = (event) => {
+        current = event;
+        document.getElementById('event-form-title').textContent = I18n.t(event ? 'events.editTitle' : 'events.newTitle');
+        document.getElementById('event-form-name').value = event ? event.name : '';
+        document.getElementById('event-form-date').value = event ? event.date : '';
+        document.getElementById('event-form-location').value = event ? event.location : '';
+        document.getElementById('event-form-duration').value = event ? event.duration : '';
+        document.getElementById('event-form-code').value = event ? event.code || '' : '';
+        document.getElementById('event-form-errors').textContent = '';
+        document.getElementById('event-delete-btn').disabled = !event;
+        document.getElementById('event-use-btn').disabled = !event;
+        document.getElementById('event-report-pdf-btn').disabled = !event;
+        document.getElementById('event-report-csv-btn').disabled = !event;
+        renderParticipants(event);
+    };
+
+    /**
+     * Muestra la lista de participantes con certificado del evento seleccionado
+     * @param {Object|null} event - Evento seleccionado
+     */
+    const renderParticipants = async (event) => {
+        const body = document.getElementById('event-participants-body');
+        const summary = document.getElementById('event-participants-summary');
+        body.innerHTML = '';
+        summary.textContent = '';
+        if (!event) {
+            return;
+        }
+
+        try {
+            const certificates = await getCertificates(event.id);
+            summary.textContent = `(${certificates.length})`;
+            certificates.forEach(certificate => {
+                const row = document.createElement('tr');
+                [certificate.participantName, certificate.participantRole, certificate.id].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error al cargar los participantes del evento:', error);
+        }
+    };
+
+    /**
+     * Dibuja la tabla de eventos
+     */
+    const renderList = async () => {
+        try {
+            events = await getAll();
+            const body = document.getElementById('events-table-body');
+            body.innerHTML = '';
+            document.getElementById('no-events').classList.toggle('d-none', events.length > 0);
+
+            events.forEach(event => {
+                const row = document.createElement('tr');
+                row.dataset.id = event.id;
+                row.classList.toggle('table-active', Boolean(current && current.id === event.id));
+                [event.name, I18n.formatDate(event.date), event.location, event.duration].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                row.addEventListener('click', () => {
+                    fillForm(event);
+                    renderList();
+                });
+                body.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error al cargar los eventos:', error);
+            UI.showToast(I18n.t('events.loadError'), 'danger');
+        }
+    };
+
+    /**
+     * Guarda el evento del formulario y ofrece regenerar sus certificados si cambió
+     */
+    const saveForm = async () => {
+        const { t } = I18n;
+        const errorsElement = document.getElementById('event-form-errors');
+        try {
+            const saved = await save({
+                id: current ? current.id : null,
+                name: document.getElementById('event-form-name').value,
+                date: document.getElementById('event-form-date').value,
+                location: document.getElementById('event-form-location').value,
+                duration: document.getElementById('event-form-duration').value,
+                code: document.getElementById('event-form-code').value
+            });
+
+            const changed = current && Storage.getEventKey(toCertificateFields(current)) !== Storage.getEventKey(toCertificateFields(saved));
+            // Los certificados revocados no se vuelven a emitir
+            const certificates = changed
+                ? (await getCertificates(saved.id)).filter(certificate => Certificates.getStatus(certificate) !== Storage.CERTIFICATE_STATUS.REVOKED)
+                : [];
+            fillForm(saved);
+            UI.showToast(t('events.saved'));
+
+            if (certificates.length > 0 && confirm(t('events.confirmRegenerate', { count: certificates.length }))) {
+                const failures = await regenerateCertificates(saved, certificates);
+                UI.showToast(failures > 0
+                    ? t('events.regenerateFailed', { count: failures })
+                    : t('events.regenerated'), failures > 0 ? 'warning' : 'success');
+                renderParticipants(saved);
+            }
+
+            await renderList();
+            callbacks.onChange();
+        } catch (error) {
+            console.error('Error al guardar el evento:', error);
+            errorsElement.textContent = error.message;
+        }
+    };
+
+    /**
+     * Elimina el evento seleccionado
+     */
+    const deleteSelected = async () => {
+        if (!current || !confirm(I18n.t('events.confirmDelete', { name: current.name }))) {
+            return;
+        }
+
+        try {
+            await remove(current.id);
+            UI.showToast(I18n.t('events.deleted'));
+            fillForm(null);
+            await renderList();
+            callbacks.onChange();
+        } catch (error) {
+            console.error('Error al eliminar el evento:', error);
+            UI.showToast(error.message, 'danger');
+        }
+    };
+
+    /**
+     * Muestra la pantalla de eventos con la lista actualizada
+     */
+    const show = () => {
+        renderList();
+        renderParticipants(current);
+    };
+
+    /**
+     * Inicializa la pantalla de gestión de eventos
+     * @param {Object} options - Funciones de enlace con el resto de la aplicación
+     * @param {Function} options.onChange - Se llama cuando se guarda o elimina un evento
+     * @param {Function} options.onUse - Recibe el evento para emitir certificados con él
+     * @param {Function} [options.getLogoDataUrl] - Devuelve el logo para la cabecera del informe
+     */
+    const init = (options) => {
+        callbacks = { ...callbacks, ...options };
+
+        document.getElementById('event-new-btn').addEventListener('click', () => {
+            fillForm(null);
+            renderList();
+            document.getElementById('event-form-name').focus();
+        });
+        document.getElementById('event-save-btn').addEventListener('click', saveForm);
+        document.getElementById('event-delete-btn').addEventListener('click', deleteSelected);
+        document.getElementById('event-use-btn').addEventListener('click', () => {
+            if (current) {
+                callbacks.onUse(current);
+            }
+        });
+        document.getElementById('event-report-pdf-btn').addEventListener('click', () => {
+            if (current) {
+                EventReport.downloadPdf(current, callbacks.getLogoDataUrl());
+            }
+        });
+        document.getElementById('event-report-csv-btn').addEventListener('click', () => {
+            if (current) {
+                EventReport.downloadCsv(current);
+            }
+        });
+
+        fillForm(null);
+    };
+
+    // API pública
+    return {
+        toCertificateFields,
+        getAll,
+        get,
+        getCertificates,
+        validate,
+        save,
+        remove,
+        find,
+        resolve,
+        show,
+        init
+    };
+})();
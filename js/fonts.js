@@ -0,0 +1,491 @@
+/**
+ * Módulo para gestionar las fuentes TrueType subidas, comprobar qué caracteres pueden dibujar
+ * y registrarlas en los PDF
+ */
+
+const Fonts = (() => {
+    // Fuentes incorporadas en jsPDF: solo dibujan los caracteres de la codificación WinAnsi (latín occidental)
+    const BUILT_IN = [
+        { id: 'helvetica', name: 'Helvetica' },
+        { id: 'times', name: 'Times' },
+        { id: 'courier', name: 'Courier' }
+    ];
+
+    // Caracteres de WinAnsi que no están en Latin-1
+    const WIN_ANSI_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+    const BUILT_IN_RANGES = [
+        [0x20, 0x7E],
+        [0xA0, 0xFF],
+        ...Array.from(WIN_ANSI_EXTRA, char => [char.codePointAt(0), char.codePointAt(0)])
+    ].sort((a, b) => a[0] - b[0]);
+
+    // Escrituras que se muestran en la lista de fuentes (su nombre está en el catálogo, fonts.script.*),
+    // con caracteres de muestra de cada una
+    const SCRIPTS = [
+        { id: 'latinExtended', sample: 'ŁřőĂșđ' },
+        { id: 'vietnamese', sample: 'ệẫơư' },
+        { id: 'greek', sample: 'αβγΩ' },
+        { id: 'cyrillic', sample: 'ДЖяё' },
+        { id: 'cjk', sample: '中文日本あア' },
+        { id: 'korean', sample: '한국어' }
+    ];
+
+    // Estilos con los que se registra cada fuente (un archivo TTF tiene un único estilo)
+    const STYLES = ['normal', 'bold', 'italic', 'bolditalic'];
+
+    // Archivos de fuente ya leídos de la base de datos (pueden ocupar varios MB)
+    const fileCache = new Map();
+
+    /**
+     * Une los intervalos de códigos que se solapan o son contiguos
+     * @param {Array<Array<number>>} ranges - Intervalos [inicio, fin]
+     * @returns {Array<Array<number>>} - Intervalos ordenados y unidos
+     */
+    const mergeRanges = (ranges) => {
+        const merged = [];
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1] + 1) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+        return merged;
+    };
+
+    /**
+     * Lee el directorio de tablas de una fuente TrueType
+     * @param {DataView} view - Contenido de la fuente
+     * @returns {Object} - Posición y longitud de cada tabla por su etiqueta
+     */
+    const readTables = (view) => {
+        const version = view.getUint32(0);
+        if (version === 0x4F54544F) {
+            throw new Error(I18n.t('fonts.cffNotSupported'));
+        }
+        if (version === 0x74746366) {
+            throw new Error(I18n.t('fonts.collectionNotSupported'));
+        }
+        if (version !== 0x00010000 && version !== 0x74727565) {
+            throw new Error(I18n.t('fonts.notTrueType'));
+        }
+
+        const tables = {};
+        const count = view.getUint16(4);
+        for (let i = 0; i < count; i++) {
+            const record = 12 + i * 16;
+            const tag = String.fromCharCode(...[0, 1, 2, 3].map(offset => view.getUint8(record + offset)));
+            tables[tag] = { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) };
+        }
+        return tables;
+    };
+
+    /**
+     * Lee los caracteres de una subtabla cmap de formato 4 (plano básico)
+     * @param {DataView} view - Contenido de la fuente
+     * @param {number} offset - Posición de la subtabla
+     * @returns {Array<Array<number>>} - Intervalos de códigos con glifo
+     */
+    const readFormat4 = (view, offset) => {
+        const segCount = view.getUint16(offset + 6) / 2;
+        const endCodes = offset + 14;
+        const startCodes = endCodes + segCount * 2 + 2;
+        const idDeltas = startCodes + segCount * 2;
+        const idRangeOffsets = idDeltas + segCount * 2;
+        const ranges = [];
+
+        for (let i = 0; i < segCount; i++) {
+            const start = view.getUint16(startCodes + i * 2);
+            const end = view.getUint16(endCodes + i * 2);
+            const delta = view.getUint16(idDeltas + i * 2);
+            const rangeOffset = view.getUint16(idRangeOffsets + i * 2);
+
+            // Un código sin glifo (el 0) no se puede dibujar aunque esté en el segmento
+            for (let code = start; code <= end && code !== 0xFFFF; code++) {
+                let glyph = 0;
+                if (rangeOffset === 0) {
+                    glyph = (code + delta) & 0xFFFF;
+                } else {
+                    glyph = view.getUint16(idRangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+                    glyph = glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+                }
+                if (glyph !== 0) {
+                    ranges.push([code, code]);
+                }
+            }
+        }
+
+        return mergeRanges(ranges);
+    };
+
+    /**
+     * Lee los caracteres de una subtabla cmap de formato 12 (Unicode completo)
+     * @param {DataView} view - Contenido de la fuente
+     * @param {number} offset - Posición de la subtabla
+     * @returns {Array<Array<number>>} - Intervalos de códigos con glifo
+     */
+    const readFormat12 = (view, offset) => {
+        const ranges = [];
+        const groups = view.getUint32(offset + 12);
+        for (let i = 0; i < groups; i++) {
+            const group = offset + 16 + i * 12;
+            ranges.push([view.getUint32(group), view.getUint32(group + 4)]);
+        }
+        return mergeRanges(ranges);
+    };
+
+    /**
+     * Obtiene los caracteres que puede dibujar una fuente a partir de su tabla cmap
+     * @param {DataView} view - Contenido de la fuente
+     * @param {Object} cmap - Posición de la tabla cmap
+     * @returns {Array<Array<number>>} - Intervalos de códigos con glifo
+     */
+    const readCoverage = (view, cmap) => {
+        const subtables = [];
+        const count = view.getUint16(cmap.offset + 2);
+        for (let i = 0; i < count; i++) {
+            const record = cmap.offset + 4 + i * 8;
+            const offset = cmap.offset + view.getUint32(record + 4);
+            subtables.push({
+                platform: view.getUint16(record),
+                encoding: view.getUint16(record + 2),
+                format: view.getUint16(offset),
+                offset
+            });
+        }
+
+        // Solo valen las subtablas Unicode (la de símbolos de Windows usa otros códigos); la completa es preferible
+        const unicode = subtables.filter(table => table.platform === 0 || (table.platform === 3 && table.encoding !== 0));
+        const full = unicode.find(table => table.format === 12);
+        if (full) {
+            return readFormat12(view, full.offset);
+        }
+        const basic = unicode.find(table => table.format === 4);
+        if (basic) {
+            return readFormat4(view, basic.offset);
+        }
+        throw new Error(I18n.t('fonts.noUnicodeCmap'));
+    };
+
+    /**
+     * Obtiene el nombre de la familia de una fuente a partir de su tabla name
+     * @param {DataView} view - Contenido de la fuente
+     * @param {Object} [table] - Posición de la tabla name
+     * @returns {string|null} - Nombre de la familia o null si no se encuentra
+     */
+    const readFamilyName = (view, table) => {
+        if (!table) {
+            return null;
+        }
+
+        const count = view.getUint16(table.offset + 2);
+        const storage = table.offset + view.getUint16(table.offset + 4);
+        const records = [];
+        for (let i = 0; i < count; i++) {
+            const record = table.offset + 6 + i * 12;
+            records.push({
+                platform: view.getUint16(record),
+                nameId: view.getUint16(record + 6),
+                length: view.getUint16(record + 8),
+                offset: storage + view.getUint16(record + 10)
+            });
+        }
+
+        // Nombre de la familia (ID 1): en UTF-16 en la tabla de Windows, en ASCII en la de Mac
+        const windows = records.find(record => record.nameId === 1 && record.platform === 3);
+        if (windows) {
+            let name = '';
+            for (let i = 0; i < windows.length; i += 2) {
+                name += String.fromCharCode(view.getUint16(windows.offset + i));
+            }
+            return name.trim() || null;
+        }
+        const mac = records.find(record => record.nameId === 1 && record.platform === 1);
+        if (mac) {
+            let name = '';
+            for (let i = 0; i < mac.length; i++) {
+                name += String.fromCharCode(view.getUint8(mac.offset + i));
+            }
+            return name.trim() || null;
+        }
+        return null;
+    };
+
+    /**
+     * Analiza un archivo TrueType
+     * @param {ArrayBuffer} buffer - Contenido del archivo
+     * @returns {Object} - { name, ranges } con el nombre de la familia y los caracteres que dibuja
+     */
+    const parse = (buffer) => {
+        const view = new DataView(buffer);
+        try {
+            const tables = readTables(view);
+            if (!tables.cmap || !tables.glyf) {
+                throw new Error(I18n.t('fonts.notTrueType'));
+            }
+            return {
+                name: readFamilyName(view, tables.name),
+                ranges: readCoverage(view, tables.cmap)
+            };
+        } catch (error) {
+            // Un archivo truncado o dañado hace que DataView lea fuera de sus límites
+            if (error instanceof RangeError) {
+                throw new Error(I18n.t('fonts.damaged'));
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Obtiene todas las fuentes subidas ordenadas por nombre (sin los archivos)
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con las fuentes
+     */
+    const getAll = async () => {
+        const fonts = await Storage.getAllRecords(Storage.STORES.FONTS);
+        return fonts.sort((a, b) => a.name.localeCompare(b.name));
+    };
+
+    /**
+     * Sube una fuente TrueType
+     * @param {File} file - Archivo TTF
+     * @returns {Promise<Object>} - Promesa que se resuelve con la fuente guardada
+     */
+    const add = async (file) => {
+        const buffer = await file.arrayBuffer();
+        const { name, ranges } = parse(buffer);
+        const font = {
+            id: Utils.createId('font'),
+            name: name || file.name.replace(/\.ttf$/i, ''),
+            fileName: file.name,
+            size: buffer.byteLength,
+            ranges,
+            createdAt: new Date().toISOString()
+        };
+        return Storage.saveFont(font, Utils.bytesToBase64(buffer));
+    };
+
+    /**
+     * Elimina una fuente (las plantillas que la usan pasan a la fuente incorporada por defecto)
+     * @param {string} id - ID de la fuente
+     * @returns {Promise} - Promesa que se resuelve cuando la fuente es eliminada
+     */
+    const remove = async (id) => {
+        fileCache.delete(id);
+        return Storage.deleteFont(id);
+    };
+
+    /**
+     * Comprueba si un carácter está en alguno de los intervalos
+     * @param {Array<Array<number>>} ranges - Intervalos ordenados
+     * @param {number} code - Código del carácter
+     * @returns {boolean} - True si el carácter está cubierto
+     */
+    const covers = (ranges, code) => {
+        let low = 0;
+        let high = ranges.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (code < ranges[middle][0]) {
+                high = middle - 1;
+            } else if (code > ranges[middle][1]) {
+                low = middle + 1;
+            } else {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Obtiene los caracteres de un texto que una fuente no puede dibujar (sin contar los espacios)
+     * @param {Array<Array<number>>} ranges - Caracteres de la fuente
+     * @param {string} text - Texto a comprobar
+     * @returns {Array<string>} - Caracteres que faltan, sin repetir
+     */
+    const getMissing = (ranges, text) => [...new Set(Array.from(text || ''))]
+        .filter(char => !/\s/.test(char) && !covers(ranges, char.codePointAt(0)));
+
+    /**
+     * Obtiene el nombre visible de una fuente
+     * @param {string} family - ID de la fuente
+     * @param {Array<Object>} fonts - Fuentes subidas
+     * @returns {string} - Nombre de la fuente
+     */
+    const getName = (family, fonts) => {
+        const font = BUILT_IN.find(item => item.id === family) || fonts.find(item => item.id === family);
+        return font ? font.name : family;
+    };
+
+    /**
+     * Elige la fuente con la que se dibuja un texto: la pedida si tiene todos sus caracteres y, si no,
+     * la fuente subida que más caracteres del texto pueda dibujar
+     * @param {string} family - Fuente elegida en la plantilla
+     * @param {string} text - Texto que se dibujará con ella
+     * @param {Array<Object>} fonts - Fuentes subidas
+     * @returns {Object} - { requested, family, name, missing } con la fuente elegida y los caracteres que no puede dibujar
+     */
+    const resolve = (family, text, fonts) => {
+        // Una fuente subida que ya no existe se sustituye por la incorporada por defecto
+        const font = fonts.find(item => item.id === family);
+        const requested = font || BUILT_IN.some(item => item.id === family) ? family : BUILT_IN[0].id;
+        let best = {
+            requested: family,
+            family: requested,
+            missing: getMissing(font ? font.ranges : BUILT_IN_RANGES, text)
+        };
+
+        if (best.missing.length > 0) {
+            fonts.forEach(candidate => {
+                const missing = getMissing(candidate.ranges, text);
+                if (missing.length < best.missing.length) {
+                    best = { requested: family, family: candidate.id, missing };
+                }
+            });
+        }
+
+        return { ...best, name: getName(best.family, fonts) };
+    };
+
+    /**
+     * Elige las fuentes del título, el nombre y el texto de un certificado
+     * @param {Object} config - Fuentes de la plantilla (family, titleFamily y nameFamily)
+     * @param {Object} texts - Textos del certificado por parte (title, name y body)
+     * @param {Array<Object>|null} [uploaded] - Fuentes subidas (por defecto, las de la base de datos)
+     * @returns {Promise<Object>} - Promesa que se resuelve con el resultado de resolve para cada parte
+     */
+    const resolveAll = async (config, texts, uploaded = null) => {
+        const fonts = uploaded || await getAll();
+        return {
+            title: resolve(config.titleFamily || config.family, texts.title, fonts),
+            name: resolve(config.nameFamily || config.family, texts.name, fonts),
+            body: resolve(config.family, texts.body, fonts)
+        };
+    };
+
+    /**
+     * Registra en un PDF las fuentes subidas que va a usar
+     * @param {jsPDF} pdf - Documento
+     * @param {Array<string>} families - IDs de las fuentes
+     * @param {Array<Object>} [uploaded] - Fuentes subidas que ya traen su archivo en base64 (data); las
+     * demás se leen de la base de datos
+     */
+    const register = async (pdf, families, uploaded = []) => {
+        for (const family of new Set(families)) {
+            if (BUILT_IN.some(item => item.id === family)) {
+                continue;
+            }
+
+            const font = uploaded.find(item => item.id === family && item.data);
+            if (font) {
+                fileCache.set(family, font.data);
+            } else if (!fileCache.has(family)) {
+                const file = await Storage.getRecord(Storage.STORES.FONT_FILES, family);
+                if (!file) {
+                    continue;
+                }
+                fileCache.set(family, file.data);
+            }
+
+            const fileName = `${family}.ttf`;
+            pdf.addFileToVFS(fileName, fileCache.get(family));
+            STYLES.forEach(style => pdf.addFont(fileName, family, style));
+        }
+    };
+
+    /**
+     * Rellena un selector con las fuentes incorporadas y las subidas
+     * @param {HTMLSelectElement} select - Selector a rellenar
+     * @param {Array<Object>} fonts - Fuentes subidas
+     * @param {string} [emptyLabel] - Texto de una opción vacía al principio (sin ella, no se añade)
+     */
+    const fillSelect = (select, fonts, emptyLabel) => {
+        select.innerHTML = '';
+        if (emptyLabel) {
+            select.add(new Option(emptyLabel, ''));
+        }
+        [...BUILT_IN, ...fonts].forEach(font => select.add(new Option(font.name, font.id)));
+    };
+
+    /**
+     * Dibuja la lista de fuentes subidas del modal de fuentes
+     * @param {Function} onChange - Se llama después de eliminar una fuente
+     */
+    const renderList = async (onChange) => {
+        const { t } = I18n;
+        const body = document.getElementById('fonts-table-body');
+        const fonts = await getAll();
+        body.innerHTML = '';
+        document.getElementById('no-fonts').classList.toggle('d-none', fonts.length > 0);
+
+        fonts.forEach(font => {
+            const row = document.createElement('tr');
+            const scripts = SCRIPTS.filter(script => getMissing(font.ranges, script.sample).length === 0);
+            [font.name, font.fileName, Utils.formatBytes(font.size), scripts.map(script => t(`fonts.script.${script.id}`)).join(', ') || t('fonts.script.latin')].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'text-end';
+            actions.innerHTML = '<button type="button" class="btn btn-outline-danger btn-sm"><i class="fas fa-trash"></i></button>';
+            actions.querySelector('button').title = t('fonts.delete');
+            actions.querySelector('button').addEventListener('click', async () => {
+                if (!confirm(t('fonts.confirmDelete', { name: font.name }))) {
+                    return;
+                }
+                try {
+                    await remove(font.id);
+                    UI.showToast(t('fonts.deleted'));
+                    renderList(onChange);
+                    onChange();
+                } catch (error) {
+                    console.error('Error al eliminar la fuente:', error);
+                    UI.showToast(t('fonts.deleteError'), 'danger');
+                }
+            });
+            row.appendChild(actions);
+            body.appendChild(row);
+        });
+    };
+
+    /**
+     * Inicializa el modal de gestión de fuentes
+     * @param {Function} onChange - Se llama cuando se suben o eliminan fuentes
+     */
+    const init = (onChange) => {
+        document.getElementById('fonts-modal').addEventListener('show.bs.modal', () => renderList(onChange));
+
+        document.getElementById('font-upload').addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files || []);
+            for (const file of files) {
+                try {
+                    const font = await add(file);
+                    UI.showToast(I18n.t('fonts.added', { name: font.name }));
+                } catch (error) {
+                    console.error('Error al subir la fuente:', error);
+                    UI.showToast(I18n.t('fonts.addError', { file: file.name, message: error.message }), 'danger');
+                }
+            }
+            e.target.value = '';
+            renderList(onChange);
+            onChange();
+        });
+    };
+
+    // API pública
+    return {
+        BUILT_IN,
+        parse,
+        getAll,
+        add,
+        remove,
+        getMissing,
+        resolve,
+        resolveAll,
+        register,
+        fillSelect,
+        init
+    };
+})();
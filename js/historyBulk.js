@@ -0,0 +1,284 @@
+/**
+ * Módulo para seleccionar varios certificados del historial y aplicarles acciones en bloque
+ */
+
+const HistoryBulk = (() => {
+    // IDs seleccionados; se conservan al cambiar de página para poder reunir certificados de varias
+    const selected = new Set();
+    // Total de registros de la consulta actual, para ofrecer seleccionar todos los que coinciden
+    let matchingTotal = 0;
+
+    let options = {
+        onChange: () => {},
+        getDefaults: () => ({}),
+        getLogoDataUrl: () => null
+    };
+
+    /**
+     * Obtiene las casillas de las filas de la página actual
+     * @returns {Array<HTMLInputElement>} - Casillas de selección
+     */
+    const getRowCheckboxes = () => Array.from(document.querySelectorAll('#history-table-body .history-select'));
+
+    /**
+     * Actualiza la barra de acciones y la casilla de la cabecera según la selección
+     */
+    const renderSelection = () => {
+        const { t } = I18n;
+        const checkboxes = getRowCheckboxes();
+        const pageSelected = checkboxes.filter(checkbox => checkbox.checked).length;
+        const pageCheckbox = document.getElementById('history-select-page');
+        pageCheckbox.checked = checkboxes.length > 0 && pageSelected === checkboxes.length;
+        pageCheckbox.indeterminate = pageSelected > 0 && pageSelected < checkboxes.length;
+
+        document.getElementById('history-bulk-bar').classList.toggle('d-none', selected.size === 0);
+        document.getElementById('history-bulk-count').textContent = t('history.selected', { count: selected.size });
+
+        const matchingBtn = document.getElementById('history-select-matching');
+        matchingBtn.textContent = t('history.selectMatching', { total: matchingTotal });
+        matchingBtn.classList.toggle('d-none', !pageCheckbox.checked || selected.size >= matchingTotal);
+    };
+
+    /**
+     * Enlaza las casillas de las filas recién pintadas con la selección
+     * @param {number} total - Total de registros que coinciden con los filtros
+     * @param {boolean} enabled - Si la vista admite selección (las versiones sustituidas no)
+     */
+    const attachRows = (total, enabled) => {
+        matchingTotal = total;
+        document.getElementById('history-select-page').disabled = !enabled;
+
+        getRowCheckboxes().forEach(checkbox => {
+            checkbox.checked = selected.has(checkbox.value);
+            checkbox.addEventListener('click', (e) => {
+                e.stopPropagation();
+            });
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    selected.add(checkbox.value);
+                } else {
+                    selected.delete(checkbox.value);
+                }
+                renderSelection();
+            });
+        });
+
+        renderSelection();
+    };
+
+    /**
+     * Selecciona todos los certificados que coinciden con los filtros, no solo los de la página
+     */
+    const selectMatching = async () => {
+        try {
+            const { records } = await Storage.queryCertificates({
+                ...HistoryFilters.getQuery(),
+                offset: 0,
+                limit: Infinity
+            });
+            records.forEach(record => selected.add(record.id));
+            renderSelection();
+        } catch (error) {
+            console.error('Error al seleccionar los certificados:', error);
+            UI.showToast(I18n.t('history.bulkSelectError'), 'danger');
+        }
+    };
+
+    /**
+     * Vacía la selección
+     */
+    const clearSelection = () => {
+        selected.clear();
+        getRowCheckboxes().forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        document.getElementById('history-bulk-failures').textContent = '';
+        renderSelection();
+    };
+
+    /**
+     * Aplica una acción a cada certificado seleccionado mostrando el progreso
+     * @param {string} name - Nombre de la acción para los textos del catálogo (zip, merge, regenerate o delete)
+     * @param {Function} action - Recibe cada certificado y devuelve una promesa
+     * @returns {Promise<Object>} - Promesa que se resuelve con { done, failures, cancelled }; cada fallo es { id, message }
+     */
+    const runBulk = async (name, action) => {
+        const ids = [...selected];
+        let cancelled = false;
+        const failures = [];
+        const progress = UI.showProgress({
+            title: I18n.t(`history.bulkProgress.${name}`),
+            total: ids.length,
+            onCancel: () => {
+                cancelled = true;
+            }
+        });
+
+        let done = 0;
+        for (const id of ids) {
+            if (cancelled) {
+                break;
+            }
+
+            progress.update(done, id);
+            try {
+                const certificate = await Storage.getCertificateById(id);
+                if (!certificate) {
+                    throw new Error(I18n.t('toast.notFound'));
+                }
+                await action(certificate);
+            } catch (error) {
+                console.error(`Error al procesar el certificado ${id}:`, error);
+                failures.push({ id, message: error.message });
+            }
+
+            done++;
+            progress.update(done, id);
+        }
+
+        progress.close();
+        return { done, failures, cancelled };
+    };
+
+    /**
+     * Informa del resultado de una acción en bloque; los fallos quedan además listados en la barra de acciones
+     * @param {Object} result - Resultado de runBulk
+     * @param {string} name - Nombre de la acción (el mismo que en runBulk)
+     */
+    const reportResult = ({ done, failures, cancelled }, name) => {
+        const { t } = I18n;
+        const summary = t(`history.bulkDone.${name}`, { count: done - failures.length });
+        document.getElementById('history-bulk-failures').textContent = failures.length > 0
+            ? t('history.bulkFailures', { failures: failures.map(({ id, message }) => `${id} (${message})`).join('; ') })
+            : '';
+
+        if (failures.length > 0) {
+            UI.showToast(`${summary} ${t('history.bulkFailedCount', { count: failures.length, ids: failures.map(({ id }) => id).join(', ') })}`, 'danger');
+        } else if (cancelled) {
+            UI.showToast(`${t('history.bulkCancelled')} ${summary}`, 'warning');
+        } else {
+            UI.showToast(summary);
+        }
+    };
+
+    /**
+     * Obtiene la fecha de hoy para los nombres de archivo (AAAAMMDD)
+     * @returns {string} - Fecha compacta
+     */
+    const getFileDate = () => new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+    /**
+     * Descarga los PDF seleccionados en un único archivo ZIP
+     */
+    const downloadZip = async () => {
+        const zip = new JSZip();
+        const result = await runBulk('zip', async (certificate) => {
+            zip.file(`Certificado_${certificate.id}.pdf`, await Certificates.getPdf(certificate));
+        });
+
+        if (!result.cancelled && result.done > result.failures.length) {
+            try {
+                const content = await zip.generateAsync({ type: 'blob' });
+                Utils.downloadFile(content, `Certificados_${getFileDate()}.zip`);
+            } catch (error) {
+                console.error('Error al crear el archivo ZIP:', error);
+                UI.showToast(I18n.t('history.bulkZipError'), 'danger');
+                return;
+            }
+        }
+        reportResult(result, 'zip');
+    };
+
+    /**
+     * Une los PDF seleccionados en un único documento para imprimirlos de una vez
+     */
+    const downloadMerged = async () => {
+        const merged = await PDFLib.PDFDocument.create();
+        const result = await runBulk('merge', async (certificate) => {
+            const source = await PDFLib.PDFDocument.load(await (await Certificates.getPdf(certificate)).arrayBuffer());
+            const pages = await merged.copyPages(source, source.getPageIndices());
+            pages.forEach(page => merged.addPage(page));
+        });
+
+        if (!result.cancelled && merged.getPageCount() > 0) {
+            try {
+                const content = new Blob([await merged.save()], { type: 'application/pdf' });
+                Utils.downloadFile(content, `Certificados_${getFileDate()}.pdf`);
+            } catch (error) {
+                console.error('Error al crear el PDF unido:', error);
+                UI.showToast(I18n.t('history.bulkMergeError'), 'danger');
+                return;
+            }
+        }
+        reportResult(result, 'merge');
+    };
+
+    /**
+     * Emite una nueva versión de los certificados seleccionados con la plantilla y el logo del formulario
+     */
+    const regenerateSelected = async () => {
+        if (!confirm(I18n.t('history.confirmRegenerate', { count: selected.size }))) {
+            return;
+        }
+
+        const { templateId } = options.getDefaults();
+        const logoDataUrl = options.getLogoDataUrl();
+        const result = await runBulk('regenerate', (certificate) => (
+            Certificates.reissue(certificate, { templateId }, { logoDataUrl })
+        ));
+        reportResult(result, 'regenerate');
+        options.onChange();
+    };
+
+    /**
+     * Elimina los certificados seleccionados tras una única confirmación
+     */
+    const deleteSelected = async () => {
+        if (!confirm(I18n.t('history.confirmDelete', { count: selected.size }))) {
+            return;
+        }
+
+        const result = await runBulk('delete', async (certificate) => {
+            await Storage.deleteCertificate(certificate.id);
+            selected.delete(certificate.id);
+        });
+        reportResult(result, 'delete');
+        options.onChange();
+    };
+
+    /**
+     * Inicializa la selección y las acciones en bloque
+     * @param {Object} config - Funciones de enlace con el resto de la aplicación
+     * @param {Function} config.onChange - Se llama cuando las acciones cambian el historial
+     * @param {Function} config.getDefaults - Devuelve los valores del formulario (la plantilla actual)
+     * @param {Function} config.getLogoDataUrl - Devuelve el logo cargado en el formulario
+     */
+    const init = (config) => {
+        options = { ...options, ...config };
+
+        document.getElementById('history-select-page').addEventListener('change', (e) => {
+            getRowCheckboxes().forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+                if (checkbox.checked) {
+                    selected.add(checkbox.value);
+                } else {
+                    selected.delete(checkbox.value);
+                }
+            });
+            renderSelection();
+        });
+
+        document.getElementById('history-select-matching').addEventListener('click', selectMatching);
+        document.getElementById('history-bulk-clear').addEventListener('click', clearSelection);
+        document.getElementById('history-bulk-zip').addEventListener('click', downloadZip);
+        document.getElementById('history-bulk-merge').addEventListener('click', downloadMerged);
+        document.getElementById('history-bulk-regenerate').addEventListener('click', regenerateSelected);
+        document.getElementById('history-bulk-delete').addEventListener('click', deleteSelected);
+    };
+
+    // API pública
+    return {
+        attachRows,
+        init
+    };
+})();
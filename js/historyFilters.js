@@ -0,0 +1,251 @@
+/**
+ * Módulo con los filtros, el orden y la paginación del historial de certificados
+ */
+
+const HistoryFilters = (() => {
+    const PAGE_SIZES = [25, 50, 100];
+
+    // Orden, página y tamaño de página; los filtros se leen de sus controles, que conservan su valor
+    // al salir del historial y volver
+    const state = {
+        sortField: 'createdAt',
+        sortDirection: 'desc',
+        page: 1,
+        pageSize: PAGE_SIZES[0]
+    };
+
+    let callbacks = {
+        onChange: () => {}
+    };
+
+    /**
+     * Obtiene los controles de los filtros
+     * @returns {Object} - Elementos de cada filtro
+     */
+    const getControls = () => ({
+        search: document.getElementById('search-input'),
+        status: document.getElementById('history-status-filter'),
+        eventId: document.getElementById('history-event-filter'),
+        participantRole: document.getElementById('history-role-filter'),
+        eventDateFrom: document.getElementById('history-event-date-from'),
+        eventDateTo: document.getElementById('history-event-date-to'),
+        issuedFrom: document.getElementById('history-issued-from'),
+        issuedTo: document.getElementById('history-issued-to')
+    });
+
+    /**
+     * Obtiene los valores de los filtros
+     * @returns {Object} - Filtros con valor (los vacíos se omiten)
+     */
+    const getFilters = () => {
+        const filters = {};
+        Object.entries(getControls()).forEach(([name, control]) => {
+            const value = control.value.trim();
+            if (value) {
+                filters[name] = value;
+            }
+        });
+        return filters;
+    };
+
+    /**
+     * Indica si hay algún filtro aplicado
+     * @returns {boolean} - True si algún filtro tiene valor
+     */
+    const hasFilters = () => Object.keys(getFilters()).length > 0;
+
+    /**
+     * Obtiene la consulta de la página actual para Storage.queryCertificates
+     * @returns {Object} - Filtros, orden y página
+     */
+    const getQuery = () => ({
+        ...getFilters(),
+        sortField: state.sortField,
+        sortDirection: state.sortDirection,
+        offset: (state.page - 1) * state.pageSize,
+        limit: state.pageSize
+    });
+
+    /**
+     * Obtiene la búsqueda y la página para guardarlas en la dirección (#/history?q=...&page=...)
+     * @returns {Object} - Consulta de la ruta (los valores por defecto se omiten)
+     */
+    const getRouteQuery = () => {
+        const query = {};
+        const search = getControls().search.value.trim();
+        if (search) {
+            query.q = search;
+        }
+        if (state.page > 1) {
+            query.page = String(state.page);
+        }
+        return query;
+    };
+
+    /**
+     * Aplica la búsqueda y la página de la dirección
+     * @param {Object} query - Consulta de la ruta
+     * @param {string} [query.q] - Texto de búsqueda
+     * @param {string} [query.page] - Página (empieza en 1)
+     */
+    const setRouteQuery = ({ q = '', page = '1' }) => {
+        getControls().search.value = q;
+        state.page = Math.max(1, parseInt(page, 10) || 1);
+    };
+
+    /**
+     * Vuelve a la primera página y avisa del cambio
+     */
+    const changeFilters = () => {
+        state.page = 1;
+        callbacks.onChange();
+    };
+
+    /**
+     * Ajusta la página si el total ya no llega a ella (por ejemplo, tras eliminar certificados)
+     * @param {number} total - Total de registros de la consulta
+     * @returns {boolean} - True si la página ha cambiado y hay que volver a consultar
+     */
+    const clampPage = (total) => {
+        const lastPage = Math.max(1, Math.ceil(total / state.pageSize));
+        if (state.page <= lastPage) {
+            return false;
+        }
+        state.page = lastPage;
+        return true;
+    };
+
+    /**
+     * Marca la columna por la que se ordena
+     */
+    const renderSortHeaders = () => {
+        document.querySelectorAll('#history-section th[data-sort]').forEach(header => {
+            const icon = header.querySelector('i');
+            const active = header.dataset.sort === state.sortField;
+            const ascending = state.sortDirection === 'asc';
+            icon.className = `fas ${active ? (ascending ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort text-muted'}`;
+            header.setAttribute('aria-sort', active ? (ascending ? 'ascending' : 'descending') : 'none');
+        });
+    };
+
+    /**
+     * Muestra la posición de la página y habilita los botones de paginación
+     * @param {number} total - Total de registros de la consulta
+     * @param {number} count - Registros de la página actual
+     */
+    const renderPagination = (total, count) => {
+        const { t } = I18n;
+        const from = (state.page - 1) * state.pageSize + 1;
+
+        document.getElementById('history-pagination').classList.toggle('d-none', total === 0);
+        document.getElementById('history-page-info').textContent = t('history.pageInfo', {
+            from,
+            to: from + count - 1,
+            total
+        });
+        document.getElementById('history-prev-page').disabled = state.page <= 1;
+        document.getElementById('history-next-page').disabled = state.page * state.pageSize >= total;
+        renderSortHeaders();
+    };
+
+    /**
+     * Rellena los selectores de evento y rol conservando la opción elegida
+     * @returns {Promise} - Promesa que se resuelve cuando los selectores están cargados
+     */
+    const loadOptions = async () => {
+        const { eventId, participantRole } = getControls();
+        try {
+            const [events, roles] = await Promise.all([Events.getAll(), Storage.getCertificateRoles()]);
+            const fill = (select, options) => {
+                const selected = select.value;
+                while (select.options.length > 1) {
+                    select.remove(1);
+                }
+                options.forEach(([value, label]) => select.add(new Option(label, value)));
+                select.value = options.some(([value]) => value === selected) ? selected : '';
+            };
+
+            fill(eventId, events.map(event => [event.id, `${event.name} (${I18n.formatDate(event.date)})`]));
+            fill(participantRole, roles.map(role => [role, role]));
+        } catch (error) {
+            console.error('Error al cargar los filtros del historial:', error);
+        }
+    };
+
+    /**
+     * Inicializa los filtros, las cabeceras ordenables y la paginación
+     * @param {Object} options - Funciones de enlace con el resto de la aplicación
+     * @param {Function} options.onChange - Se llama cuando cambia la consulta (la búsqueda y la página ya
+     * están cambiadas y se leen con getRouteQuery)
+     */
+    const init = (options) => {
+        callbacks = { ...callbacks, ...options };
+        const controls = getControls();
+
+        // La búsqueda se aplica con el botón o con Enter; el resto de filtros, al cambiar
+        Object.entries(controls).forEach(([name, control]) => {
+            if (name !== 'search') {
+                control.addEventListener('change', changeFilters);
+            }
+        });
+        document.getElementById('search-btn').addEventListener('click', changeFilters);
+        controls.search.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                changeFilters();
+            }
+        });
+
+        document.getElementById('history-clear-filters').addEventListener('click', () => {
+            Object.values(controls).forEach(control => {
+                control.value = '';
+            });
+            changeFilters();
+        });
+
+        // Un clic en una columna ordena por ella; un segundo clic invierte el orden
+        document.querySelectorAll('#history-section th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                if (state.sortField === header.dataset.sort) {
+                    state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+                } else {
+                    state.sortField = header.dataset.sort;
+                    // Las fechas empiezan por la más reciente; los textos, por orden alfabético
+                    state.sortDirection = ['createdAt', 'eventDate'].includes(state.sortField) ? 'desc' : 'asc';
+                }
+                changeFilters();
+            });
+        });
+
+        const pageSizeSelect = document.getElementById('history-page-size');
+        pageSizeSelect.innerHTML = '';
+        PAGE_SIZES.forEach(size => pageSizeSelect.add(new Option(size, size)));
+        pageSizeSelect.value = state.pageSize;
+        pageSizeSelect.addEventListener('change', () => {
+            state.pageSize = parseInt(pageSizeSelect.value, 10);
+            changeFilters();
+        });
+
+        document.getElementById('history-prev-page').addEventListener('click', () => {
+            state.page--;
+            callbacks.onChange();
+        });
+        document.getElementById('history-next-page').addEventListener('click', () => {
+            state.page++;
+            callbacks.onChange();
+        });
+
+        renderSortHeaders();
+    };
+
+    // API pública
+    return {
+        getQuery,
+        getRouteQuery,
+        setRouteQuery,
+        hasFilters,
+        clampPage,
+        renderPagination,
+        loadOptions,
+        init
+    };
+})();
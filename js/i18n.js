@@ -0,0 +1,1518 @@
+/**
+ * Módulo con el catálogo de textos de los certificados y de la interfaz en varios idiomas
+ */
+
+const I18n = (() => {
+    const DEFAULT_LANGUAGE = 'es';
+
+    // Idiomas disponibles y la configuración regional usada para las fechas
+    const LANGUAGES = {
+        es: { label: 'Español', locale: 'es-ES' },
+        en: { label: 'English', locale: 'en-GB' },
+        pt: { label: 'Português', locale: 'pt-BR' }
+    };
+
+    // Catálogo de textos; {nombre} se sustituye por el parámetro del mismo nombre
+    const STRINGS = {
+        es: {
+            'cert.title': 'CERTIFICADO DE PARTICIPACIÓN',
+            'cert.intro': 'Se certifica que:',
+            'cert.heldOn': 'Realizado el {date} en {location}.',
+            'cert.signatureLabel': 'Firma del Organizador',
+            'cert.issueDate': 'Fecha de emisión',
+            'cert.validation': 'Este certificado puede ser validado en {url}',
+            'cert.documentTitle': 'Certificado {id}',
+            'cert.digitalSignature': 'Firma digital (ECDSA P-256)',
+            'role.fallback': 'ha participado como {participantRole} en el evento "{eventName}" durante {eventDuration} horas.',
+
+            'app.title': 'Generador de Certificados',
+            'nav.generator': 'Generador',
+            'nav.history': 'Historial',
+            'nav.events': 'Eventos',
+            'nav.templates': 'Plantillas',
+            'nav.participants': 'Participantes',
+            'nav.verify': 'Verificar',
+            'nav.settings': 'Configuración',
+            'nav.install': 'Instalar',
+            'nav.installTitle': 'Instalar la aplicación para usarla sin conexión',
+            'update.available': 'Hay una nueva versión de la aplicación.',
+            'update.reload': 'Actualizar',
+            'generator.formTitle': 'Datos del Certificado',
+            'generator.previewTitle': 'Vista Previa',
+            'form.eventName': 'Nombre del Evento',
+            'form.event': 'Evento',
+            'form.newEvent': 'Nuevo evento (introducir los datos)',
+            'form.eventDate': 'Fecha',
+            'form.eventLocation': 'Lugar',
+            'form.participantName': 'Nombre del Participante',
+            'form.participantEmail': 'Correo electrónico (opcional)',
+            'form.participantNationalId': 'Documento de identidad (opcional)',
+            'form.participantRole': 'Rol',
+            'form.manageRoles': 'Gestionar',
+            'form.select': 'Seleccionar...',
+            'form.eventDuration': 'Duración (horas)',
+            'form.logo': 'Logo (opcional)',
+            'form.template': 'Plantilla',
+            'form.language': 'Idioma del certificado',
+            'form.secondaryLanguage': 'Segundo idioma (bilingüe)',
+            'form.noSecondaryLanguage': '(ninguno)',
+            'form.signatories': 'Firmantes',
+            'form.noSignatory': '(sin firmante)',
+            'btn.preview': 'Vista Previa',
+            'btn.generate': 'Generar PDF',
+            'btn.newCertificate': 'Nuevo certificado',
+            'btn.download': 'Descargar PDF',
+            'bulk.title': 'Importación Masiva',
+            'bulk.help': 'Importe una lista de participantes en formato CSV o XLSX. Los campos sin columna asignada se toman del formulario.',
+            'bulk.file': 'Lista de participantes',
+            'bulk.mapping': 'Asignación de columnas',
+            'bulk.preview': 'Vista previa',
+            'bulk.generate': 'Generar Certificados',
+            'history.title': 'Historial de Certificados',
+            'events.title': 'Eventos',
+            'participants.title': 'Participantes',
+            'history.search': 'Buscar...',
+            'history.participant': 'Participante',
+            'history.event': 'Evento',
+            'history.date': 'Fecha',
+            'history.actions': 'Acciones',
+            'history.empty': 'No hay certificados generados todavía.',
+            'history.view': 'Ver',
+            'history.download': 'Descargar',
+            'history.verify': 'Verificar',
+            'history.delete': 'Eliminar',
+            'history.status': 'Estado',
+            'history.statusAll': 'Todos los estados',
+            'history.statusActive': 'Activos',
+            'history.statusRevoked': 'Revocados',
+            'history.statusSuperseded': 'Versiones sustituidas',
+            'history.revoke': 'Revocar',
+            'history.log': 'Versiones y auditoría',
+            'history.issued': 'Emisión',
+            'history.role': 'Rol',
+            'history.allEvents': 'Todos los eventos',
+            'history.allRoles': 'Todos los roles',
+            'history.eventDate': 'Fecha del evento',
+            'history.issueDate': 'Fecha de emisión',
+            'history.from': 'Desde',
+            'history.to': 'Hasta',
+            'history.clearFilters': 'Limpiar filtros',
+            'history.noMatches': 'Ningún certificado coincide con los filtros.',
+            'history.pageInfo': '{from}–{to} de {total}',
+            'history.pageSize': 'Por página',
+            'history.previousPage': 'Página anterior',
+            'history.nextPage': 'Página siguiente',
+            'history.selected': '{count} seleccionados',
+            'history.selectMatching': 'Seleccionar los {total} que coinciden con los filtros',
+            'history.selectPage': 'Seleccionar la página',
+            'history.bulkZip': 'Descargar ZIP',
+            'history.bulkMerge': 'PDF para imprimir',
+            'history.bulkRegenerate': 'Regenerar',
+            'history.bulkClear': 'Quitar la selección',
+            'storage.title': 'Almacenamiento del navegador',
+            'storage.usage': '{usage} de {quota} ({percent} %)',
+            'storage.warning': 'El almacenamiento del navegador está casi lleno. Exporte una copia de seguridad y elimine los certificados que ya no necesite.',
+            'verify.title': 'Verificar Certificado',
+            'verify.idLabel': 'ID del certificado',
+            'verify.button': 'Verificar',
+            'verify.drop': 'Arrastre aquí el PDF del certificado',
+            'verify.selectFile': 'Seleccionar archivo',
+            'verify.publicKey': 'Clave pública del emisor (opcional)',
+            'verify.ownKey': 'Se usa la clave de este emisor.',
+            'verify.keyLoaded': 'Clave cargada{fingerprint}.',
+            'verify.resultTitle': 'Resultado',
+            'verify.intro': 'Introduzca un ID o cargue un PDF para comprobar si el certificado es auténtico.',
+            'verify.notFoundFile': 'El archivo no corresponde a ningún certificado registrado ni tiene una firma digital válida.',
+            'verify.notFoundId': 'No existe ningún certificado registrado con ese ID.',
+            'verify.checkDigitInvalid': 'El dígito de control no coincide: revise que el ID esté bien escrito.',
+            'verify.registered': 'El certificado existe en el registro.',
+            'verify.signedOnly': 'El certificado no está en este registro, pero su firma digital es válida.',
+            'verify.signatureValid': 'La firma digital es válida.',
+            'verify.signatureValidExternal': 'La firma digital es válida para la clave pública cargada.',
+            'verify.signatureInvalid': 'La firma digital falta o no es válida: los datos pueden haber sido alterados.',
+            'verify.signatureUnknownKey': 'La firma se hizo con una clave desconocida: no es la clave actual del emisor ni una que haya sustituido, así que no se puede comprobar.',
+            'verify.qrMatches': 'El código QR corresponde a los datos registrados.',
+            'verify.qrMismatch': 'El código QR NO corresponde a los datos registrados.',
+            'verify.fileMatches': 'El archivo coincide byte a byte con el PDF registrado.',
+            'verify.fileMismatch': 'El archivo NO coincide con el PDF registrado: puede haber sido modificado.',
+            'verify.error': 'Error al verificar el certificado.',
+            'verify.invalidKey': 'El archivo no contiene una clave pública válida.',
+            'verify.fieldId': 'ID',
+            'verify.fieldParticipant': 'Participante',
+            'verify.fieldRole': 'Rol',
+            'verify.fieldEvent': 'Evento',
+            'verify.fieldDate': 'Fecha del evento',
+            'verify.fieldLocation': 'Lugar',
+            'verify.fieldDuration': 'Duración',
+            'verify.fieldIssued': 'Emitido',
+            'verify.hours': '{hours} horas',
+            'verify.revoked': 'Este certificado fue REVOCADO el {date}. Motivo: {reason}',
+            'verify.superseded': 'Corresponde a la versión {version}, sustituida el {date} por una versión más reciente.',
+            'verify.fieldVersion': 'Versión vigente',
+            'verify.transcriptRegistered': 'El expediente existe en el registro.',
+            'verify.transcriptChanged': 'Después de emitir el expediente se revocaron o eliminaron {count} de sus certificados: {ids}.',
+            'verify.fieldCertificates': 'Certificados',
+            'verify.fieldTotalHours': 'Horas acumuladas',
+            'loading.title': 'Generando certificado...',
+            'loading.wait': 'Esto puede tardar unos segundos.',
+            'toast.invalidFields': 'Revise los campos marcados en el formulario.',
+            'toast.unknownPlaceholders': 'El texto del rol "{role}" contiene marcadores desconocidos: {placeholders}.',
+            'toast.generated': '¡Certificado generado con éxito!',
+            'toast.generateError': 'Error al generar el certificado. Inténtelo de nuevo.',
+            'validation.required': 'Este campo es obligatorio.',
+            'validation.maxLength': 'Use como máximo {max} caracteres para que quepa en el certificado.',
+            'validation.date': 'Introduzca una fecha válida.',
+            'validation.dateTooOld': 'La fecha debe ser del año {year} o posterior.',
+            'validation.futureDate': 'La fecha no puede ser posterior a hoy.',
+            'validation.hours': 'Introduzca entre {min} y {max} horas, con dos decimales como máximo.',
+            'validation.email': 'Introduzca un correo electrónico válido.',
+            'validation.label.eventName': 'Nombre del evento',
+            'validation.label.eventDate': 'Fecha',
+            'validation.label.eventLocation': 'Lugar',
+            'validation.label.eventDuration': 'Duración',
+            'validation.label.participantName': 'Nombre del participante',
+            'validation.label.participantRole': 'Rol',
+            'validation.label.participantEmail': 'Correo electrónico',
+            'validation.label.participantNationalId': 'Documento de identidad',
+            'toast.historyError': 'Error al cargar el historial de certificados.',
+            'toast.notFound': 'Certificado no encontrado.',
+            'toast.loaded': 'Certificado cargado.',
+            'toast.loadError': 'Error al cargar el certificado.',
+            'toast.downloadStarted': 'Descarga iniciada.',
+            'toast.downloadError': 'Error al descargar el certificado.',
+            'toast.deleted': 'Certificado eliminado.',
+            'toast.deleteError': 'Error al eliminar el certificado.',
+            'toast.revokedReissue': 'El certificado está revocado y no se puede volver a emitir.',
+            'toast.logoError': 'Error al cargar el logo. Verifique el formato de imagen.',
+            'confirm.delete': '¿Está seguro de que desea eliminar este certificado?',
+            'toast.fontFallback': 'La fuente elegida no puede dibujar todos los caracteres del certificado; se usará "{font}".',
+            'confirm.missingGlyphs': 'Ninguna fuente disponible puede dibujar estos caracteres: {chars}. Suba una fuente TTF que los incluya. ¿Desea generar el certificado de todos modos?',
+            'confirm.reissue': 'El certificado {id} ya existe. ¿Desea emitir la versión {version}? La versión anterior se conservará como sustituida.',
+            'confirm.duplicateParticipant': '{name} ya tiene un certificado vigente en este evento: {certificates}. ¿Desea emitir otro de todos modos?',
+            'preview.participant': 'Nombre del Participante',
+            'preview.role': 'Rol',
+            'preview.event': 'Nombre del Evento',
+            'preview.location': 'Lugar',
+            'preview.canvasTitle': 'Vista previa del certificado',
+            'preview.provisionalNote': 'El ID del certificado es provisional: se reserva al generarlo.',
+            'preview.overflowTitle': 'Parte del texto no cabe en la página:',
+            'preview.overflow.title': 'El título es más ancho que la página. Acórtelo o reduzca su tamaño en la plantilla.',
+            'preview.overflow.participantName': 'El nombre del participante es más ancho que la página.',
+            'preview.overflow.eventName': 'El nombre del evento no cabe en una línea y se partirá.',
+            'preview.overflow.content': 'El texto se sale por la parte inferior de la página. Acorte el texto del rol o use un logo más bajo.',
+            'confirm.layoutOverflow': 'Parte del texto no cabe en la página:\n{problems}\n¿Desea generar el certificado de todos modos?',
+            'log.status.active': 'Activo',
+            'log.status.revoked': 'Revocado',
+            'log.status.superseded': 'Sustituido',
+            'log.action.create': 'Emitido',
+            'log.action.reissue': 'Nueva versión',
+            'log.action.revoke': 'Revocado',
+            'log.action.delete': 'Eliminado',
+            'log.action.import': 'Importado',
+            'log.title': 'Historial del certificado {id}',
+            'log.deleted': 'El certificado fue eliminado.',
+            'log.revokedOn': 'Revocado el {date}. Motivo: {reason}',
+            'log.activeVersion': 'Activo. Versión vigente: v{version}.',
+            'log.downloadVersion': 'Descargar esta versión',
+            'log.reasonRequired': 'Indique el motivo de la revocación.',
+            'toast.revoked': 'Certificado {id} revocado.',
+            'toast.versionDownloadError': 'Error al descargar la versión del certificado.',
+            'toast.logError': 'Error al cargar el historial del certificado.',
+            'log.alreadyRevoked': 'El certificado ya está revocado.',
+            'log.revokedNoReissue': 'El certificado {id} está revocado y no se puede volver a emitir.',
+            'history.bulkProgress.zip': 'Preparando el archivo ZIP...',
+            'history.bulkProgress.merge': 'Uniendo los certificados...',
+            'history.bulkProgress.regenerate': 'Regenerando certificados...',
+            'history.bulkProgress.delete': 'Eliminando certificados...',
+            'history.bulkDone.zip': 'Se descargaron {count} certificados.',
+            'history.bulkDone.merge': 'Se unieron {count} certificados.',
+            'history.bulkDone.regenerate': 'Se regeneraron {count} certificados.',
+            'history.bulkDone.delete': 'Se eliminaron {count} certificados.',
+            'history.bulkFailedCount': 'Fallaron {count}: {ids}.',
+            'history.bulkCancelled': 'Operación cancelada.',
+            'history.bulkFailures': 'Fallaron: {failures}',
+            'history.bulkSelectError': 'Error al seleccionar los certificados.',
+            'history.bulkZipError': 'Error al crear el archivo ZIP.',
+            'history.bulkMergeError': 'Error al crear el PDF unido.',
+            'history.confirmRegenerate': 'Se emitirá una nueva versión de {count} certificados con la plantilla y el logo actuales del formulario. Mantendrán su ID y la versión anterior se conservará; los revocados no se regeneran. ¿Desea continuar?',
+            'history.confirmDelete': '¿Está seguro de que desea eliminar {count} certificados? También se eliminarán sus versiones anteriores. Esta acción no se puede deshacer.',
+            'events.codeInvalid': 'El código del evento solo puede contener hasta 10 letras y números.',
+            'events.hasCertificates': 'El evento tiene certificados emitidos y no se puede eliminar.',
+            'events.regenerating': 'Regenerando certificados...',
+            'events.editTitle': 'Editar evento',
+            'events.newTitle': 'Nuevo evento',
+            'events.loadError': 'Error al cargar los eventos.',
+            'events.saved': 'Evento guardado.',
+            'events.confirmRegenerate': 'Hay {count} certificados activos para este evento. ¿Desea regenerarlos con los datos corregidos? Mantendrán su ID y se emitirá una nueva versión firmada sin logo; la anterior se conservará.',
+            'events.regenerateFailed': 'No se pudieron regenerar {count} certificados.',
+            'events.regenerated': 'Certificados regenerados.',
+            'events.confirmDelete': '¿Está seguro de que desea eliminar el evento "{name}"?',
+            'events.deleted': 'Evento eliminado.',
+            'fonts.script.latinExtended': 'Latín extendido',
+            'fonts.script.vietnamese': 'Vietnamita',
+            'fonts.script.greek': 'Griego',
+            'fonts.script.cyrillic': 'Cirílico',
+            'fonts.script.cjk': 'Chino/Japonés',
+            'fonts.script.korean': 'Coreano',
+            'fonts.script.latin': 'Latín',
+            'fonts.cffNotSupported': 'Las fuentes OpenType con contornos CFF (.otf) no se admiten; use una fuente TrueType (.ttf).',
+            'fonts.collectionNotSupported': 'Las colecciones de fuentes (.ttc) no se admiten; use una fuente TrueType (.ttf).',
+            'fonts.notTrueType': 'El archivo no es una fuente TrueType (.ttf).',
+            'fonts.noUnicodeCmap': 'La fuente no tiene una tabla de caracteres Unicode.',
+            'fonts.damaged': 'El archivo de la fuente está dañado.',
+            'fonts.delete': 'Eliminar',
+            'fonts.confirmDelete': '¿Está seguro de que desea eliminar la fuente "{name}"? Las plantillas que la usan pasarán a usar Helvetica.',
+            'fonts.deleted': 'Fuente eliminada.',
+            'fonts.deleteError': 'Error al eliminar la fuente.',
+            'fonts.added': 'Fuente "{name}" añadida.',
+            'fonts.addError': 'No se pudo añadir {file}. {message}',
+            'backup.store.events': 'Evento',
+            'backup.store.fonts': 'Fuente',
+            'backup.store.fontFiles': 'Archivo de fuente',
+            'backup.store.templates': 'Plantilla',
+            'backup.store.roles': 'Rol',
+            'backup.store.signatories': 'Firmante',
+            'backup.store.signatureImages': 'Imagen de firma',
+            'backup.store.participants': 'Participante',
+            'backup.store.versions': 'Versión sustituida',
+            'backup.store.certificates': 'Certificado',
+            'backup.store.transcripts': 'Expediente',
+            'backup.store.audit': 'Entrada de auditoría',
+            'backup.resolution.skip': 'Omitir',
+            'backup.resolution.overwrite': 'Sobrescribir',
+            'backup.resolution.keepBoth': 'Conservar ambos',
+            'backup.exported': 'Copia exportada con {count} certificados.',
+            'backup.exportError': 'Error al exportar la copia de seguridad.',
+            'backup.invalidFormat': 'El archivo no es una copia de seguridad de certificados.',
+            'backup.unsupportedVersion': 'La copia usa la versión {version} del formato, que esta aplicación no admite.',
+            'backup.noData': 'La copia no contiene datos.',
+            'backup.notAList': 'La sección "{store}" no es una lista.',
+            'backup.missingId': '{store} {index}: falta el ID.',
+            'backup.recordError': '{store} {id}: {error}',
+            'backup.invalidPdf': '{store} {id}: el PDF incluido no es válido.',
+            'backup.invalidCounter': 'El contador de certificados no es válido.',
+            'backup.invalidCounters': 'Los contadores de IDs no son válidos.',
+            'backup.auditOverwritten': 'Sobrescrito desde una copia de seguridad',
+            'backup.auditRestored': 'Desde una copia de seguridad',
+            'backup.importedName': '{name} (importado)',
+            'backup.summary': '{newRecords} registros nuevos, {identical} ya existentes sin cambios y {conflicts} conflictos con IDs existentes.',
+            'backup.invalidJson': 'El archivo no es un JSON válido.',
+            'backup.moreErrors': '{errors} (y {count} errores más)',
+            'backup.importReadError': 'No se pudo importar la copia. {message}',
+            'backup.importedWithFailures': 'Se importaron {imported} registros; {failures} certificados no se pudieron volver a emitir.',
+            'backup.imported': 'Se importaron {imported} registros.',
+            'backup.keptRevoked': 'No se sobrescribieron {count} certificados revocados con una copia en la que no lo estaban.',
+            'backup.importError': 'Error al importar la copia de seguridad.',
+            'report.csv.id': 'ID certificado',
+            'report.csv.participant': 'Participante',
+            'report.csv.role': 'Rol',
+            'report.csv.hours': 'Horas',
+            'report.csv.issueDate': 'Fecha de emisión',
+            'report.csv.event': 'Evento',
+            'report.csv.eventDate': 'Fecha del evento',
+            'report.csv.location': 'Lugar',
+            'report.title': 'Informe del evento',
+            'report.eventLine': '{date} · {location} · {hours} horas',
+            'report.generatedOn': 'Generado el {date}',
+            'report.participant': 'Participante',
+            'report.role': 'Rol',
+            'report.hours': 'Horas',
+            'report.certificateId': 'ID del certificado',
+            'report.certificates': 'Certificados',
+            'report.total': 'Total',
+            'report.revokedExcluded': 'No se incluyen {count} certificados revocados.',
+            'report.page': 'Página {page} de {pages}',
+            'report.pdfError': 'Error al generar el informe del evento.',
+            'report.csvError': 'Error al exportar el CSV del evento.',
+            'transcript.title': 'Expediente de participación',
+            'transcript.summary': '{count} certificados · {hours} horas acumuladas',
+            'transcript.issuedOn': 'Expediente {id} emitido el {date}',
+            'transcript.event': 'Evento',
+            'transcript.date': 'Fecha',
+            'transcript.role': 'Rol',
+            'transcript.hours': 'Horas',
+            'transcript.certificateId': 'ID del certificado',
+            'transcript.events': 'Eventos',
+            'transcript.total': 'Total',
+            'transcript.signedNote': 'Este expediente está firmado digitalmente por el emisor.',
+            'transcript.verifyNote': 'Puede verificarse con su ID ({id}) o con este código QR.',
+            'transcript.activeOnlyNote': 'Solo incluye certificados vigentes en la fecha de emisión.',
+            'transcript.page': 'Página {page} de {pages}',
+            'transcript.participantMissing': 'El participante ya no existe.',
+            'transcript.noCertificates': 'El participante no tiene certificados vigentes.',
+            'transcript.selectParticipant': 'Seleccione un participante',
+            'transcript.detailSummary': '{count} certificados vigentes · {hours} horas',
+            'transcript.detailRevoked': '{count} revocados (no suman horas)',
+            'transcript.download': 'Descargar',
+            'transcript.loadError': 'Error al cargar los participantes.',
+            'transcript.pdfMissing': 'El PDF del expediente no está guardado.',
+            'transcript.downloadError': 'Error al descargar el expediente.',
+            'transcript.issued': 'Expediente {id} emitido.',
+            'transcript.issueError': 'Error al emitir el expediente.',
+            'participants.saved': 'Participante guardado.',
+            'participants.saveError': 'Error al guardar el participante.',
+            'signatories.nameRequired': 'El firmante necesita un nombre.',
+            'signatories.pngRequired': 'La imagen de la firma debe ser un PNG.',
+            'signatories.name': 'Nombre',
+            'signatories.title': 'Cargo (opcional)',
+            'signatories.imageAlt': 'Firma',
+            'signatories.clearImage': 'Quitar la imagen',
+            'signatories.imageHelp': 'Imagen PNG con fondo transparente.',
+            'signatories.delete': 'Eliminar',
+            'signatories.save': 'Guardar',
+            'signatories.saved': 'Firmante guardado.',
+            'signatories.confirmDelete': '¿Está seguro de que desea eliminar el firmante "{name}"? Los certificados ya emitidos conservarán su firma.',
+            'signatories.deleted': 'Firmante eliminado.',
+            'participants.keptMissing': 'El participante que se conserva ya no existe.',
+            'participants.mergeInclude': 'Incluir en la fusión',
+            'participants.mergeKeep': 'Conservar este',
+            'participants.certificateCount': '{count} certificados',
+            'participants.merge': 'Fusionar',
+            'participants.mergeSelectOther': 'Marque al menos otro participante para fusionarlo con el que se conserva.',
+            'participants.merged': 'Participantes fusionados en "{name}".',
+            'participants.mergeError': 'Error al fusionar los participantes.',
+            'keys.invalidFile': 'El archivo no contiene un par de claves válido.',
+            'keys.confirmGenerate': 'Los certificados nuevos se firmarán con la nueva clave; la actual se conserva para verificar los ya emitidos. Quien tenga la clave pública exportada necesitará la nueva. ¿Desea continuar?',
+            'keys.generated': 'Nuevo par de claves generado.',
+            'keys.confirmExportPrivate': 'El archivo contendrá la clave privada del emisor. Guárdelo en un lugar seguro. ¿Desea continuar?',
+            'keys.imported': 'Par de claves importado.',
+            'keys.importError': 'No se pudo importar el par de claves.',
+            'keys.generateError': 'No se pudo generar el par de claves.',
+            'keys.exportError': 'No se pudo exportar la clave.',
+            'templates.nameRequired': 'La plantilla necesita un nombre.',
+            'templates.invalidOrientation': 'Orientación de página no válida.',
+            'templates.invalidBorder': 'Estilo de borde no válido.',
+            'templates.invalidFont': 'Fuente no válida.',
+            'templates.invalidColor': 'Color no válido: {color}.',
+            'templates.invalidValue': 'Valor no válido para {key}.',
+            'templates.invalidBackground': 'Modo de fondo no válido.',
+            'templates.invalidTileSize': 'Tamaño de la trama no válido.',
+            'templates.invalidWatermark': 'Tipo de marca de agua no válido.',
+            'templates.invalidOpacity': 'La opacidad de la marca de agua debe estar entre 0 y 1.',
+            'templates.invalidSponsorPosition': 'Posición de los logos de patrocinadores no válida.',
+            'templates.invalidSponsorHeight': 'Alto de los logos de patrocinadores no válido.',
+            'templates.tooManySponsors': 'Como máximo {max} logos de patrocinadores.',
+            'templates.builtInDelete': 'La plantilla incorporada no se puede eliminar.',
+            'templates.sampleEvent': 'Congreso de Ejemplo',
+            'templates.builtInName': '{name} (incorporada)',
+            'templates.saveAsNew': 'Guardar como nueva',
+            'templates.save': 'Guardar',
+            'templates.loadError': 'Error al cargar las plantillas.',
+            'templates.saved': 'Plantilla guardada.',
+            'templates.saveError': 'No se pudo guardar la plantilla. {message}',
+            'templates.confirmDelete': '¿Está seguro de que desea eliminar la plantilla "{name}"?',
+            'templates.deleted': 'Plantilla eliminada.',
+            'templates.deleteError': 'Error al eliminar la plantilla.',
+            'templates.newName': 'Nueva plantilla',
+            'templates.copyName': '{name} (copia)',
+            'templates.sponsorLogo': 'Logo {number}',
+            'templates.removeSponsorLogo': 'Quitar el logo',
+            'bulk.noColumn': '(sin columna)',
+            'bulk.useFormValue': '(usar valor del formulario)',
+            'bulk.status': 'Estado',
+            'bulk.valid': 'Correcta',
+            'bulk.summary': '{total} filas, {valid} válidas, {invalid} con errores.',
+            'bulk.previewLimited': 'Se muestran las primeras {max} filas.',
+            'bulk.readError': 'No se pudo leer el archivo: {message}',
+            'bulk.confirmSkipped': 'Hay {count} filas con errores que no se generarán. ¿Desea continuar?',
+            'bulk.confirmUnreadable': 'Ninguna fuente disponible puede dibujar todos los caracteres de {count} certificados ({names}). Suba una fuente TTF que los incluya. ¿Desea generarlos de todos modos?',
+            'bulk.confirmRepeated': '{count} participantes ya tienen un certificado vigente en su evento ({names}). ¿Desea generarlos de todos modos?',
+            'bulk.generating': 'Generando certificados...',
+            'bulk.doneWithFailures': 'Se generaron {count} certificados. Fallaron: {names}.',
+            'bulk.cancelled': 'Generación cancelada. Se generaron {count} certificados.',
+            'bulk.done': '¡Se generaron {count} certificados con éxito!',
+            'bulk.error': 'Error en la generación masiva: {message}',
+            'progress.cancelling': 'Cancelando...',
+            'roster.xlsxUnavailable': 'La biblioteca para leer archivos XLSX no está disponible.',
+            'roster.empty': 'El archivo no contiene filas de participantes.',
+            'roster.column': 'Columna {number}',
+            'roster.unknownRole': 'Rol desconocido: "{role}".',
+            'roster.rolePlaceholders': 'El texto del rol "{role}" tiene marcadores desconocidos.',
+            'settings.saved': 'Configuración guardada.',
+            'roles.name': 'Nombre del rol',
+            'roles.text': 'Texto del certificado',
+            'roles.translation': 'Texto en {language} (opcional)',
+            'roles.delete': 'Eliminar',
+            'roles.save': 'Guardar',
+            'roles.nameRequired': 'El rol necesita un nombre.',
+            'roles.duplicateName': 'Ya existe un rol llamado "{name}".',
+            'roles.textRequired': 'El rol necesita un texto.',
+            'roles.unknownPlaceholders': 'Marcadores desconocidos: {placeholders}.',
+            'roles.saved': 'Rol guardado.',
+            'roles.confirmDelete': '¿Está seguro de que desea eliminar el rol "{name}"?',
+            'roles.deleted': 'Rol eliminado.',
+            'ids.seqRequired': 'El patrón debe contener {seq}.',
+            'ids.unknownTokens': 'El patrón contiene marcadores desconocidos: {tokens}.',
+            'ids.patternChars': 'Fuera de los marcadores, el patrón solo puede contener letras mayúsculas, números y guiones, y debe empezar por uno de ellos.',
+            'ids.prefix': 'El prefijo solo puede contener hasta 10 letras mayúsculas y números.',
+            'ids.padding': 'El número de cifras debe estar entre 1 y 10.',
+            'ids.reset': 'El reinicio del contador no es válido.',
+            'ids.missing': 'El certificado no tiene ID.',
+            'image.unreadableSize': 'No se pudieron leer las dimensiones de la imagen. Use PNG, JPEG o WebP.',
+            'image.unsupported': 'Formato de imagen no admitido. Use PNG, JPEG o WebP.',
+            'cli.usage': 'Uso: node cli/generate-certificates.js --roster <lista.csv|xlsx> [opciones]\n\nDatos del evento (para las columnas que no estén en la lista):\n  --event-name <texto>          Nombre del evento\n  --event-date <AAAA-MM-DD>     Fecha del evento\n  --event-location <texto>      Lugar\n  --event-duration <horas>      Duración en horas\n  --event-code <código>         Código del evento para el marcador {event} de los IDs\n  --role <rol>                  Rol de los participantes\n\nDiseño:\n  --template <archivo|ID>       Plantilla: archivo JSON o ID/nombre de una plantilla de la copia\n  --logo <imagen>               Logo (PNG, JPEG o WebP)\n  --language <es|en|pt>         Idioma del certificado (por defecto, es)\n  --secondary-language <código> Segundo idioma para certificados bilingües\n\nConfiguración:\n  --backup <copia.json>         Copia de seguridad de la aplicación: plantillas, roles, fuentes subidas,\n                                URL de verificación, formato de ID y contadores\n  --verification-url <plantilla> URL del código QR con {id} y {hash}\n  --start <número>              Primer número de secuencia de los IDs\n\nSalida:\n  --out <carpeta>               Carpeta de los PDF y del manifiesto (por defecto, ./certificados)\n  --ui-language <es|en|pt>      Idioma de los mensajes (por defecto, es)\n  --dry-run                     Solo valida la lista y las opciones, sin generar nada\n  --help                        Muestra esta ayuda',
+            'cli.missingRoster': 'Falta la lista de participantes (--roster).',
+            'cli.backupReadError': 'No se pudo leer la copia de seguridad ({file}): {message}',
+            'cli.notABackup': '{file} no es una copia de seguridad de la aplicación.',
+            'cli.templateReadError': 'No se pudo leer la plantilla ({file}): {message}',
+            'cli.templateNotFound': 'No existe el archivo ni una plantilla con el ID o nombre "{value}".',
+            'cli.logoReadError': 'No se pudo leer el logo ({file}): {message}',
+            'cli.logoFormat': 'Formato de imagen no admitido en el logo ({file}). Use PNG, JPEG o WebP.',
+            'cli.rosterReadError': 'No se pudo leer la lista de participantes ({file}): {message}',
+            'cli.rosterParseError': 'No se pudo leer la lista de participantes: {message}',
+            'cli.templateError': 'Plantilla: {error}',
+            'cli.urlMissingId': 'La URL de verificación debe contener {id}.',
+            'cli.unsupportedLanguage': 'Idioma no disponible: "{language}".',
+            'cli.unsupportedSecondaryLanguage': 'Segundo idioma no disponible: "{language}".',
+            'cli.invalidStart': 'El número de secuencia inicial debe ser un entero positivo.',
+            'cli.idFormatError': 'Formato de ID: {error}',
+            'cli.duplicateRow': 'Fila {row}: {name} ya aparece en la fila {previous} con el mismo rol.',
+            'cli.missingGlyphs': 'Fila {row}: ninguna fuente disponible puede dibujar {characters}.',
+            'cli.rowMessage': 'Fila {row}: {message}',
+            'cli.error': 'Error: {message}',
+            'cli.warning': 'Aviso: {message}',
+            'cli.done': 'Se generaron {count} certificados en {folder}.',
+            'cli.unexpectedError': 'Error al generar los certificados:'
+        },
+        en: {
+            'cert.title': 'CERTIFICATE OF PARTICIPATION',
+            'cert.intro': 'This is to certify that:',
+            'cert.heldOn': 'Held on {date} in {location}.',
+            'cert.signatureLabel': 'Organizer\'s Signature',
+            'cert.issueDate': 'Issue date',
+            'cert.validation': 'This certificate can be validated at {url}',
+            'cert.documentTitle': 'Certificate {id}',
+            'cert.digitalSignature': 'Digital signature (ECDSA P-256)',
+            'role.fallback': 'has participated as {participantRole} in the event "{eventName}" for {eventDuration} hours.',
+
+            'app.title': 'Certificate Generator',
+            'nav.generator': 'Generator',
+            'nav.history': 'History',
+            'nav.events': 'Events',
+            'nav.templates': 'Templates',
+            'nav.participants': 'Participants',
+            'nav.verify': 'Verify',
+            'nav.settings': 'Settings',
+            'nav.install': 'Install',
+            'nav.installTitle': 'Install the app to use it offline',
+            'update.available': 'A new version of the app is available.',
+            'update.reload': 'Update',
+            'generator.formTitle': 'Certificate Details',
+            'generator.previewTitle': 'Preview',
+            'form.eventName': 'Event Name',
+            'form.event': 'Event',
+            'form.newEvent': 'New event (enter the details)',
+            'form.eventDate': 'Date',
+            'form.eventLocation': 'Location',
+            'form.participantName': 'Participant Name',
+            'form.participantEmail': 'Email (optional)',
+            'form.participantNationalId': 'National ID number (optional)',
+            'form.participantRole': 'Role',
+            'form.manageRoles': 'Manage',
+            'form.select': 'Select...',
+            'form.eventDuration': 'Duration (hours)',
+            'form.logo': 'Logo (optional)',
+            'form.template': 'Template',
+            'form.language': 'Certificate language',
+            'form.secondaryLanguage': 'Second language (bilingual)',
+            'form.noSecondaryLanguage': '(none)',
+            'form.signatories': 'Signatories',
+            'form.noSignatory': '(no signatory)',
+            'btn.preview': 'Preview',
+            'btn.generate': 'Generate PDF',
+            'btn.newCertificate': 'New certificate',
+            'btn.download': 'Download PDF',
+            'bulk.title': 'Bulk Import',
+            'bulk.help': 'Import a participant list in CSV or XLSX format. Fields without an assigned column are taken from the form.',
+            'bulk.file': 'Participant list',
+            'bulk.mapping': 'Column mapping',
+            'bulk.preview': 'Preview',
+            'bulk.generate': 'Generate Certificates',
+            'history.title': 'Certificate History',
+            'events.title': 'Events',
+            'participants.title': 'Participants',
+            'history.search': 'Search...',
+            'history.participant': 'Participant',
+            'history.event': 'Event',
+            'history.date': 'Date',
+            'history.actions': 'Actions',
+            'history.empty': 'No certificates have been generated yet.',
+            'history.view': 'View',
+            'history.download': 'Download',
+            'history.verify': 'Verify',
+            'history.delete': 'Delete',
+            'history.status': 'Status',
+            'history.statusAll': 'All statuses',
+            'history.statusActive': 'Active',
+            'history.statusRevoked': 'Revoked',
+            'history.statusSuperseded': 'Superseded versions',
+            'history.revoke': 'Revoke',
+            'history.log': 'Versions and audit',
+            'history.issued': 'Issued',
+            'history.role': 'Role',
+            'history.allEvents': 'All events',
+            'history.allRoles': 'All roles',
+            'history.eventDate': 'Event date',
+            'history.issueDate': 'Issue date',
+            'history.from': 'From',
+            'history.to': 'To',
+            'history.clearFilters': 'Clear filters',
+            'history.noMatches': 'No certificates match the filters.',
+            'history.pageInfo': '{from}–{to} of {total}',
+            'history.pageSize': 'Per page',
+            'history.previousPage': 'Previous page',
+            'history.nextPage': 'Next page',
+            'history.selected': '{count} selected',
+            'history.selectMatching': 'Select all {total} matching the filters',
+            'history.selectPage': 'Select this page',
+            'history.bulkZip': 'Download ZIP',
+            'history.bulkMerge': 'Printable PDF',
+            'history.bulkRegenerate': 'Regenerate',
+            'history.bulkClear': 'Clear selection',
+            'storage.title': 'Browser storage',
+            'storage.usage': '{usage} of {quota} ({percent}%)',
+            'storage.warning': 'Browser storage is almost full. Export a backup and delete the certificates you no longer need.',
+            'verify.title': 'Verify Certificate',
+            'verify.idLabel': 'Certificate ID',
+            'verify.button': 'Verify',
+            'verify.drop': 'Drop the certificate PDF here',
+            'verify.selectFile': 'Select file',
+            'verify.publicKey': 'Issuer public key (optional)',
+            'verify.ownKey': 'Using this issuer\'s key.',
+            'verify.keyLoaded': 'Key loaded{fingerprint}.',
+            'verify.resultTitle': 'Result',
+            'verify.intro': 'Enter an ID or load a PDF to check whether the certificate is authentic.',
+            'verify.notFoundFile': 'The file does not match any registered certificate and has no valid digital signature.',
+            'verify.notFoundId': 'There is no registered certificate with that ID.',
+            'verify.checkDigitInvalid': 'The check digit does not match: make sure the ID is typed correctly.',
+            'verify.registered': 'The certificate exists in the registry.',
+            'verify.signedOnly': 'The certificate is not in this registry, but its digital signature is valid.',
+            'verify.signatureValid': 'The digital signature is valid.',
+            'verify.signatureValidExternal': 'The digital signature is valid for the loaded public key.',
+            'verify.signatureInvalid': 'The digital signature is missing or invalid: the data may have been altered.',
+            'verify.signatureUnknownKey': 'The signature was made with an unknown key: it is neither the issuer\'s current key nor one it has replaced, so it cannot be checked.',
+            'verify.qrMatches': 'The QR code matches the registered data.',
+            'verify.qrMismatch': 'The QR code does NOT match the registered data.',
+            'verify.fileMatches': 'The file matches the registered PDF byte for byte.',
+            'verify.fileMismatch': 'The file does NOT match the registered PDF: it may have been modified.',
+            'verify.error': 'Error while verifying the certificate.',
+            'verify.invalidKey': 'The file does not contain a valid public key.',
+            'verify.fieldId': 'ID',
+            'verify.fieldParticipant': 'Participant',
+            'verify.fieldRole': 'Role',
+            'verify.fieldEvent': 'Event',
+            'verify.fieldDate': 'Event date',
+            'verify.fieldLocation': 'Location',
+            'verify.fieldDuration': 'Duration',
+            'verify.fieldIssued': 'Issued',
+            'verify.hours': '{hours} hours',
+            'verify.revoked': 'This certificate was REVOKED on {date}. Reason: {reason}',
+            'verify.superseded': 'This matches version {version}, superseded on {date} by a newer version.',
+            'verify.fieldVersion': 'Current version',
+            'verify.transcriptRegistered': 'The transcript exists in the registry.',
+            'verify.transcriptChanged': '{count} of its certificates were revoked or deleted after the transcript was issued: {ids}.',
+            'verify.fieldCertificates': 'Certificates',
+            'verify.fieldTotalHours': 'Accumulated hours',
+            'loading.title': 'Generating certificate...',
+            'loading.wait': 'This may take a few seconds.',
+            'toast.invalidFields': 'Please check the highlighted fields in the form.',
+            'toast.unknownPlaceholders': 'The text of the role "{role}" contains unknown placeholders: {placeholders}.',
+            'toast.generated': 'Certificate generated successfully!',
+            'toast.generateError': 'Error generating the certificate. Please try again.',
+            'validation.required': 'This field is required.',
+            'validation.maxLength': 'Use at most {max} characters so that it fits on the certificate.',
+            'validation.date': 'Enter a valid date.',
+            'validation.dateTooOld': 'The date must be in {year} or later.',
+            'validation.futureDate': 'The date cannot be later than today.',
+            'validation.hours': 'Enter between {min} and {max} hours, with at most two decimals.',
+            'validation.email': 'Enter a valid email address.',
+            'validation.label.eventName': 'Event name',
+            'validation.label.eventDate': 'Date',
+            'validation.label.eventLocation': 'Location',
+            'validation.label.eventDuration': 'Duration',
+            'validation.label.participantName': 'Participant name',
+            'validation.label.participantRole': 'Role',
+            'validation.label.participantEmail': 'Email',
+            'validation.label.participantNationalId': 'National ID number',
+            'toast.historyError': 'Error loading the certificate history.',
+            'toast.notFound': 'Certificate not found.',
+            'toast.loaded': 'Certificate loaded.',
+            'toast.loadError': 'Error loading the certificate.',
+            'toast.downloadStarted': 'Download started.',
+            'toast.downloadError': 'Error downloading the certificate.',
+            'toast.deleted': 'Certificate deleted.',
+            'toast.deleteError': 'Error deleting the certificate.',
+            'toast.revokedReissue': 'The certificate is revoked and cannot be issued again.',
+            'toast.logoError': 'Error loading the logo. Check the image format.',
+            'confirm.delete': 'Are you sure you want to delete this certificate?',
+            'toast.fontFallback': 'The chosen font cannot draw every character of the certificate; "{font}" will be used.',
+            'confirm.missingGlyphs': 'No available font can draw these characters: {chars}. Upload a TTF font that includes them. Generate the certificate anyway?',
+            'confirm.reissue': 'Certificate {id} already exists. Issue version {version}? The previous version will be kept as superseded.',
+            'confirm.duplicateParticipant': '{name} already has an active certificate for this event: {certificates}. Issue another one anyway?',
+            'preview.participant': 'Participant Name',
+            'preview.role': 'Role',
+            'preview.event': 'Event Name',
+            'preview.location': 'Location',
+            'preview.canvasTitle': 'Certificate preview',
+            'preview.provisionalNote': 'The certificate ID is provisional: it is reserved when the certificate is generated.',
+            'preview.overflowTitle': 'Some text does not fit on the page:',
+            'preview.overflow.title': 'The title is wider than the page. Shorten it or reduce its size in the template.',
+            'preview.overflow.participantName': 'The participant name is wider than the page.',
+            'preview.overflow.eventName': 'The event name does not fit on one line and will be split.',
+            'preview.overflow.content': 'The text runs off the bottom of the page. Shorten the role text or use a shorter logo.',
+            'confirm.layoutOverflow': 'Some text does not fit on the page:\n{problems}\nGenerate the certificate anyway?',
+            'log.status.active': 'Active',
+            'log.status.revoked': 'Revoked',
+            'log.status.superseded': 'Superseded',
+            'log.action.create': 'Issued',
+            'log.action.reissue': 'New version',
+            'log.action.revoke': 'Revoked',
+            'log.action.delete': 'Deleted',
+            'log.action.import': 'Imported',
+            'log.title': 'Certificate history {id}',
+            'log.deleted': 'The certificate was deleted.',
+            'log.revokedOn': 'Revoked on {date}. Reason: {reason}',
+            'log.activeVersion': 'Active. Current version: v{version}.',
+            'log.downloadVersion': 'Download this version',
+            'log.reasonRequired': 'Enter the reason for the revocation.',
+            'toast.revoked': 'Certificate {id} revoked.',
+            'toast.versionDownloadError': 'Error downloading the certificate version.',
+            'toast.logError': 'Error loading the certificate history.',
+            'log.alreadyRevoked': 'The certificate is already revoked.',
+            'log.revokedNoReissue': 'Certificate {id} is revoked and cannot be reissued.',
+            'history.bulkProgress.zip': 'Preparing the ZIP file...',
+            'history.bulkProgress.merge': 'Merging the certificates...',
+            'history.bulkProgress.regenerate': 'Regenerating certificates...',
+            'history.bulkProgress.delete': 'Deleting certificates...',
+            'history.bulkDone.zip': '{count} certificates downloaded.',
+            'history.bulkDone.merge': '{count} certificates merged.',
+            'history.bulkDone.regenerate': '{count} certificates regenerated.',
+            'history.bulkDone.delete': '{count} certificates deleted.',
+            'history.bulkFailedCount': '{count} failed: {ids}.',
+            'history.bulkCancelled': 'Operation cancelled.',
+            'history.bulkFailures': 'Failed: {failures}',
+            'history.bulkSelectError': 'Error selecting the certificates.',
+            'history.bulkZipError': 'Error creating the ZIP file.',
+            'history.bulkMergeError': 'Error creating the merged PDF.',
+            'history.confirmRegenerate': 'A new version of {count} certificates will be issued with the template and logo currently in the form. They keep their ID and the previous version is kept; revoked certificates are not regenerated. Continue?',
+            'history.confirmDelete': 'Are you sure you want to delete {count} certificates? Their previous versions will also be deleted. This cannot be undone.',
+            'events.codeInvalid': 'The event code can only contain up to 10 letters and digits.',
+            'events.hasCertificates': 'The event has issued certificates and cannot be deleted.',
+            'events.regenerating': 'Regenerating certificates...',
+            'events.editTitle': 'Edit event',
+            'events.newTitle': 'New event',
+            'events.loadError': 'Error loading the events.',
+            'events.saved': 'Event saved.',
+            'events.confirmRegenerate': 'There are {count} active certificates for this event. Regenerate them with the corrected details? They keep their ID and a new signed version without a logo is issued; the previous one is kept.',
+            'events.regenerateFailed': '{count} certificates could not be regenerated.',
+            'events.regenerated': 'Certificates regenerated.',
+            'events.confirmDelete': 'Are you sure you want to delete the event "{name}"?',
+            'events.deleted': 'Event deleted.',
+            'fonts.script.latinExtended': 'Extended Latin',
+            'fonts.script.vietnamese': 'Vietnamese',
+            'fonts.script.greek': 'Greek',
+            'fonts.script.cyrillic': 'Cyrillic',
+            'fonts.script.cjk': 'Chinese/Japanese',
+            'fonts.script.korean': 'Korean',
+            'fonts.script.latin': 'Latin',
+            'fonts.cffNotSupported': 'OpenType fonts with CFF outlines (.otf) are not supported; use a TrueType font (.ttf).',
+            'fonts.collectionNotSupported': 'Font collections (.ttc) are not supported; use a TrueType font (.ttf).',
+            'fonts.notTrueType': 'The file is not a TrueType font (.ttf).',
+            'fonts.noUnicodeCmap': 'The font has no Unicode character map.',
+            'fonts.damaged': 'The font file is damaged.',
+            'fonts.delete': 'Delete',
+            'fonts.confirmDelete': 'Are you sure you want to delete the font "{name}"? Templates that use it will switch to Helvetica.',
+            'fonts.deleted': 'Font deleted.',
+            'fonts.deleteError': 'Error deleting the font.',
+            'fonts.added': 'Font "{name}" added.',
+            'fonts.addError': 'Could not add {file}. {message}',
+            'backup.store.events': 'Event',
+            'backup.store.fonts': 'Font',
+            'backup.store.fontFiles': 'Font file',
+            'backup.store.templates': 'Template',
+            'backup.store.roles': 'Role',
+            'backup.store.signatories': 'Signatory',
+            'backup.store.signatureImages': 'Signature image',
+            'backup.store.participants': 'Participant',
+            'backup.store.versions': 'Superseded version',
+            'backup.store.certificates': 'Certificate',
+            'backup.store.transcripts': 'Transcript',
+            'backup.store.audit': 'Audit entry',
+            'backup.resolution.skip': 'Skip',
+            'backup.resolution.overwrite': 'Overwrite',
+            'backup.resolution.keepBoth': 'Keep both',
+            'backup.exported': 'Backup exported with {count} certificates.',
+            'backup.exportError': 'Error exporting the backup.',
+            'backup.invalidFormat': 'The file is not a certificate backup.',
+            'backup.unsupportedVersion': 'The backup uses version {version} of the format, which this application does not support.',
+            'backup.noData': 'The backup contains no data.',
+            'backup.notAList': 'The "{store}" section is not a list.',
+            'backup.missingId': '{store} {index}: the ID is missing.',
+            'backup.recordError': '{store} {id}: {error}',
+            'backup.invalidPdf': '{store} {id}: the included PDF is not valid.',
+            'backup.invalidCounter': 'The certificate counter is not valid.',
+            'backup.invalidCounters': 'The ID counters are not valid.',
+            'backup.auditOverwritten': 'Overwritten from a backup',
+            'backup.auditRestored': 'From a backup',
+            'backup.importedName': '{name} (imported)',
+            'backup.summary': '{newRecords} new records, {identical} already present without changes and {conflicts} conflicts with existing IDs.',
+            'backup.invalidJson': 'The file is not valid JSON.',
+            'backup.moreErrors': '{errors} (and {count} more errors)',
+            'backup.importReadError': 'The backup could not be imported. {message}',
+            'backup.importedWithFailures': '{imported} records imported; {failures} certificates could not be reissued.',
+            'backup.imported': '{imported} records imported.',
+            'backup.keptRevoked': '{count} revoked certificates were not overwritten with a backup in which they were not revoked.',
+            'backup.importError': 'Error importing the backup.',
+            'report.csv.id': 'Certificate ID',
+            'report.csv.participant': 'Participant',
+            'report.csv.role': 'Role',
+            'report.csv.hours': 'Hours',
+            'report.csv.issueDate': 'Issue date',
+            'report.csv.event': 'Event',
+            'report.csv.eventDate': 'Event date',
+            'report.csv.location': 'Location',
+            'report.title': 'Event report',
+            'report.eventLine': '{date} · {location} · {hours} hours',
+            'report.generatedOn': 'Generated on {date}',
+            'report.participant': 'Participant',
+            'report.role': 'Role',
+            'report.hours': 'Hours',
+            'report.certificateId': 'Certificate ID',
+            'report.certificates': 'Certificates',
+            'report.total': 'Total',
+            'report.revokedExcluded': '{count} revoked certificates are not included.',
+            'report.page': 'Page {page} of {pages}',
+            'report.pdfError': 'Error generating the event report.',
+            'report.csvError': 'Error exporting the event CSV.',
+            'transcript.title': 'Participation transcript',
+            'transcript.summary': '{count} certificates · {hours} accumulated hours',
+            'transcript.issuedOn': 'Transcript {id} issued on {date}',
+            'transcript.event': 'Event',
+            'transcript.date': 'Date',
+            'transcript.role': 'Role',
+            'transcript.hours': 'Hours',
+            'transcript.certificateId': 'Certificate ID',
+            'transcript.events': 'Events',
+            'transcript.total': 'Total',
+            'transcript.signedNote': 'This transcript is digitally signed by the issuer.',
+            'transcript.verifyNote': 'It can be verified with its ID ({id}) or with this QR code.',
+            'transcript.activeOnlyNote': 'It only includes certificates that were valid on the issue date.',
+            'transcript.page': 'Page {page} of {pages}',
+            'transcript.participantMissing': 'The participant no longer exists.',
+            'transcript.noCertificates': 'The participant has no valid certificates.',
+            'transcript.selectParticipant': 'Select a participant',
+            'transcript.detailSummary': '{count} valid certificates · {hours} hours',
+            'transcript.detailRevoked': '{count} revoked (hours not counted)',
+            'transcript.download': 'Download',
+            'transcript.loadError': 'Error loading the participants.',
+            'transcript.pdfMissing': 'The transcript PDF is not stored.',
+            'transcript.downloadError': 'Error downloading the transcript.',
+            'transcript.issued': 'Transcript {id} issued.',
+            'transcript.issueError': 'Error issuing the transcript.',
+            'participants.saved': 'Participant saved.',
+            'participants.saveError': 'Error saving the participant.',
+            'signatories.nameRequired': 'The signatory needs a name.',
+            'signatories.pngRequired': 'The signature image must be a PNG.',
+            'signatories.name': 'Name',
+            'signatories.title': 'Title (optional)',
+            'signatories.imageAlt': 'Signature',
+            'signatories.clearImage': 'Remove the image',
+            'signatories.imageHelp': 'PNG image with a transparent background.',
+            'signatories.delete': 'Delete',
+            'signatories.save': 'Save',
+            'signatories.saved': 'Signatory saved.',
+            'signatories.confirmDelete': 'Are you sure you want to delete the signatory "{name}"? Certificates already issued keep their signature.',
+            'signatories.deleted': 'Signatory deleted.',
+            'participants.keptMissing': 'The participant being kept no longer exists.',
+            'participants.mergeInclude': 'Include in the merge',
+            'participants.mergeKeep': 'Keep this one',
+            'participants.certificateCount': '{count} certificates',
+            'participants.merge': 'Merge',
+            'participants.mergeSelectOther': 'Tick at least one other participant to merge into the one being kept.',
+            'participants.merged': 'Participants merged into "{name}".',
+            'participants.mergeError': 'Error merging the participants.',
+            'keys.invalidFile': 'The file does not contain a valid key pair.',
+            'keys.confirmGenerate': 'New certificates will be signed with the new key; the current one is kept to verify those already issued. Anyone holding the exported public key will need the new one. Continue?',
+            'keys.generated': 'New key pair generated.',
+            'keys.confirmExportPrivate': 'The file will contain the issuer\'s private key. Keep it somewhere safe. Continue?',
+            'keys.imported': 'Key pair imported.',
+            'keys.importError': 'The key pair could not be imported.',
+            'keys.generateError': 'The key pair could not be generated.',
+            'keys.exportError': 'The key could not be exported.',
+            'templates.nameRequired': 'The template needs a name.',
+            'templates.invalidOrientation': 'Invalid page orientation.',
+            'templates.invalidBorder': 'Invalid border style.',
+            'templates.invalidFont': 'Invalid font.',
+            'templates.invalidColor': 'Invalid colour: {color}.',
+            'templates.invalidValue': 'Invalid value for {key}.',
+            'templates.invalidBackground': 'Invalid background mode.',
+            'templates.invalidTileSize': 'Invalid tile size.',
+            'templates.invalidWatermark': 'Invalid watermark type.',
+            'templates.invalidOpacity': 'The watermark opacity must be between 0 and 1.',
+            'templates.invalidSponsorPosition': 'Invalid sponsor logo position.',
+            'templates.invalidSponsorHeight': 'Invalid sponsor logo height.',
+            'templates.tooManySponsors': 'At most {max} sponsor logos.',
+            'templates.builtInDelete': 'The built-in template cannot be deleted.',
+            'templates.sampleEvent': 'Sample Conference',
+            'templates.builtInName': '{name} (built-in)',
+            'templates.saveAsNew': 'Save as new',
+            'templates.save': 'Save',
+            'templates.loadError': 'Error loading the templates.',
+            'templates.saved': 'Template saved.',
+            'templates.saveError': 'The template could not be saved. {message}',
+            'templates.confirmDelete': 'Are you sure you want to delete the template "{name}"?',
+            'templates.deleted': 'Template deleted.',
+            'templates.deleteError': 'Error deleting the template.',
+            'templates.newName': 'New template',
+            'templates.copyName': '{name} (copy)',
+            'templates.sponsorLogo': 'Logo {number}',
+            'templates.removeSponsorLogo': 'Remove the logo',
+            'bulk.noColumn': '(no column)',
+            'bulk.useFormValue': '(use the form value)',
+            'bulk.status': 'Status',
+            'bulk.valid': 'OK',
+            'bulk.summary': '{total} rows, {valid} valid, {invalid} with errors.',
+            'bulk.previewLimited': 'Showing the first {max} rows.',
+            'bulk.readError': 'Could not read the file: {message}',
+            'bulk.confirmSkipped': 'There are {count} rows with errors that will not be generated. Do you want to continue?',
+            'bulk.confirmUnreadable': 'No available font can draw all the characters of {count} certificates ({names}). Upload a TTF font that includes them. Do you want to generate them anyway?',
+            'bulk.confirmRepeated': '{count} participants already have a valid certificate for their event ({names}). Do you want to generate them anyway?',
+            'bulk.generating': 'Generating certificates...',
+            'bulk.doneWithFailures': '{count} certificates were generated. Failed: {names}.',
+            'bulk.cancelled': 'Generation cancelled. {count} certificates were generated.',
+            'bulk.done': '{count} certificates generated successfully!',
+            'bulk.error': 'Error during bulk generation: {message}',
+            'progress.cancelling': 'Cancelling...',
+            'roster.xlsxUnavailable': 'The library for reading XLSX files is not available.',
+            'roster.empty': 'The file contains no participant rows.',
+            'roster.column': 'Column {number}',
+            'roster.unknownRole': 'Unknown role: "{role}".',
+            'roster.rolePlaceholders': 'The text of the role "{role}" has unknown placeholders.',
+            'settings.saved': 'Settings saved.',
+            'roles.name': 'Role name',
+            'roles.text': 'Certificate text',
+            'roles.translation': 'Text in {language} (optional)',
+            'roles.delete': 'Delete',
+            'roles.save': 'Save',
+            'roles.nameRequired': 'The role needs a name.',
+            'roles.duplicateName': 'A role named "{name}" already exists.',
+            'roles.textRequired': 'The role needs a text.',
+            'roles.unknownPlaceholders': 'Unknown placeholders: {placeholders}.',
+            'roles.saved': 'Role saved.',
+            'roles.confirmDelete': 'Are you sure you want to delete the role "{name}"?',
+            'roles.deleted': 'Role deleted.',
+            'ids.seqRequired': 'The pattern must contain {seq}.',
+            'ids.unknownTokens': 'The pattern contains unknown placeholders: {tokens}.',
+            'ids.patternChars': 'Outside the placeholders, the pattern can only contain capital letters, numbers and hyphens, and must start with one of them.',
+            'ids.prefix': 'The prefix can only contain up to 10 capital letters and numbers.',
+            'ids.padding': 'The number of digits must be between 1 and 10.',
+            'ids.reset': 'The counter reset is not valid.',
+            'ids.missing': 'The certificate has no ID.',
+            'image.unreadableSize': 'The image dimensions could not be read. Use PNG, JPEG or WebP.',
+            'image.unsupported': 'Unsupported image format. Use PNG, JPEG or WebP.',
+            'cli.usage': 'Usage: node cli/generate-certificates.js --roster <list.csv|xlsx> [options]\n\nEvent data (for the columns that are not in the list):\n  --event-name <text>           Event name\n  --event-date <YYYY-MM-DD>     Event date\n  --event-location <text>       Location\n  --event-duration <hours>      Duration in hours\n  --event-code <code>           Event code for the {event} placeholder of the IDs\n  --role <role>                 Role of the participants\n\nDesign:\n  --template <file|ID>          Template: JSON file or ID/name of a template in the backup\n  --logo <image>                Logo (PNG, JPEG or WebP)\n  --language <es|en|pt>         Certificate language (default: es)\n  --secondary-language <code>   Second language for bilingual certificates\n\nConfiguration:\n  --backup <backup.json>        Application backup: templates, roles, uploaded fonts,\n                                verification URL, ID format and counters\n  --verification-url <template> QR code URL with {id} and {hash}\n  --start <number>              First sequence number of the IDs\n\nOutput:\n  --out <folder>                Folder for the PDFs and the manifest (default: ./certificados)\n  --ui-language <es|en|pt>      Language of the messages (default: es)\n  --dry-run                     Only validate the list and the options, without generating anything\n  --help                        Show this help',
+            'cli.missingRoster': 'The participant list is missing (--roster).',
+            'cli.backupReadError': 'Could not read the backup ({file}): {message}',
+            'cli.notABackup': '{file} is not a backup of the application.',
+            'cli.templateReadError': 'Could not read the template ({file}): {message}',
+            'cli.templateNotFound': 'There is no file or template with the ID or name "{value}".',
+            'cli.logoReadError': 'Could not read the logo ({file}): {message}',
+            'cli.logoFormat': 'Unsupported image format in the logo ({file}). Use PNG, JPEG or WebP.',
+            'cli.rosterReadError': 'Could not read the participant list ({file}): {message}',
+            'cli.rosterParseError': 'Could not read the participant list: {message}',
+            'cli.templateError': 'Template: {error}',
+            'cli.urlMissingId': 'The verification URL must contain {id}.',
+            'cli.unsupportedLanguage': 'Language not available: "{language}".',
+            'cli.unsupportedSecondaryLanguage': 'Second language not available: "{language}".',
+            'cli.invalidStart': 'The first sequence number must be a positive integer.',
+            'cli.idFormatError': 'ID format: {error}',
+            'cli.duplicateRow': 'Row {row}: {name} already appears in row {previous} with the same role.',
+            'cli.missingGlyphs': 'Row {row}: no available font can draw {characters}.',
+            'cli.rowMessage': 'Row {row}: {message}',
+            'cli.error': 'Error: {message}',
+            'cli.warning': 'Warning: {message}',
+            'cli.done': '{count} certificates were generated in {folder}.',
+            'cli.unexpectedError': 'Error generating the certificates:'
+        },
+        pt: {
+            'cert.title': 'CERTIFICADO DE PARTICIPAÇÃO',
+            'cert.intro': 'Certifica-se que:',
+            'cert.heldOn': 'Realizado em {date} em {location}.',
+            'cert.signatureLabel': 'Assinatura do Organizador',
+            'cert.issueDate': 'Data de emissão',
+            'cert.validation': 'Este certificado pode ser validado em {url}',
+            'cert.documentTitle': 'Certificado {id}',
+            'cert.digitalSignature': 'Assinatura digital (ECDSA P-256)',
+            'role.fallback': 'participou como {participantRole} no evento "{eventName}" durante {eventDuration} horas.',
+
+            'app.title': 'Gerador de Certificados',
+            'nav.generator': 'Gerador',
+            'nav.history': 'Histórico',
+            'nav.events': 'Eventos',
+            'nav.templates': 'Modelos',
+            'nav.participants': 'Participantes',
+            'nav.verify': 'Verificar',
+            'nav.settings': 'Configurações',
+            'nav.install': 'Instalar',
+            'nav.installTitle': 'Instalar o aplicativo para usá-lo sem conexão',
+            'update.available': 'Há uma nova versão do aplicativo.',
+            'update.reload': 'Atualizar',
+            'generator.formTitle': 'Dados do Certificado',
+            'generator.previewTitle': 'Pré-visualização',
+            'form.eventName': 'Nome do Evento',
+            'form.event': 'Evento',
+            'form.newEvent': 'Novo evento (inserir os dados)',
+            'form.eventDate': 'Data',
+            'form.eventLocation': 'Local',
+            'form.participantName': 'Nome do Participante',
+            'form.participantEmail': 'E-mail (opcional)',
+            'form.participantNationalId': 'Documento de identidade (opcional)',
+            'form.participantRole': 'Função',
+            'form.manageRoles': 'Gerenciar',
+            'form.select': 'Selecionar...',
+            'form.eventDuration': 'Duração (horas)',
+            'form.logo': 'Logotipo (opcional)',
+            'form.template': 'Modelo',
+            'form.language': 'Idioma do certificado',
+            'form.secondaryLanguage': 'Segundo idioma (bilíngue)',
+            'form.noSecondaryLanguage': '(nenhum)',
+            'form.signatories': 'Signatários',
+            'form.noSignatory': '(sem signatário)',
+            'btn.preview': 'Pré-visualizar',
+            'btn.generate': 'Gerar PDF',
+            'btn.newCertificate': 'Novo certificado',
+            'btn.download': 'Baixar PDF',
+            'bulk.title': 'Importação em Massa',
+            'bulk.help': 'Importe uma lista de participantes em formato CSV ou XLSX. Os campos sem coluna atribuída são obtidos do formulário.',
+            'bulk.file': 'Lista de participantes',
+            'bulk.mapping': 'Atribuição de colunas',
+            'bulk.preview': 'Pré-visualização',
+            'bulk.generate': 'Gerar Certificados',
+            'history.title': 'Histórico de Certificados',
+            'events.title': 'Eventos',
+            'participants.title': 'Participantes',
+            'history.search': 'Pesquisar...',
+            'history.participant': 'Participante',
+            'history.event': 'Evento',
+            'history.date': 'Data',
+            'history.actions': 'Ações',
+            'history.empty': 'Ainda não há certificados gerados.',
+            'history.view': 'Ver',
+            'history.download': 'Baixar',
+            'history.verify': 'Verificar',
+            'history.delete': 'Excluir',
+            'history.status': 'Situação',
+            'history.statusAll': 'Todas as situações',
+            'history.statusActive': 'Ativos',
+            'history.statusRevoked': 'Revogados',
+            'history.statusSuperseded': 'Versões substituídas',
+            'history.revoke': 'Revogar',
+            'history.log': 'Versões e auditoria',
+            'history.issued': 'Emissão',
+            'history.role': 'Função',
+            'history.allEvents': 'Todos os eventos',
+            'history.allRoles': 'Todas as funções',
+            'history.eventDate': 'Data do evento',
+            'history.issueDate': 'Data de emissão',
+            'history.from': 'De',
+            'history.to': 'Até',
+            'history.clearFilters': 'Limpar filtros',
+            'history.noMatches': 'Nenhum certificado corresponde aos filtros.',
+            'history.pageInfo': '{from}–{to} de {total}',
+            'history.pageSize': 'Por página',
+            'history.previousPage': 'Página anterior',
+            'history.nextPage': 'Próxima página',
+            'history.selected': '{count} selecionados',
+            'history.selectMatching': 'Selecionar os {total} que correspondem aos filtros',
+            'history.selectPage': 'Selecionar a página',
+            'history.bulkZip': 'Baixar ZIP',
+            'history.bulkMerge': 'PDF para imprimir',
+            'history.bulkRegenerate': 'Regenerar',
+            'history.bulkClear': 'Limpar a seleção',
+            'storage.title': 'Armazenamento do navegador',
+            'storage.usage': '{usage} de {quota} ({percent}%)',
+            'storage.warning': 'O armazenamento do navegador está quase cheio. Exporte uma cópia de segurança e exclua os certificados de que não precisa mais.',
+            'verify.title': 'Verificar Certificado',
+            'verify.idLabel': 'ID do certificado',
+            'verify.button': 'Verificar',
+            'verify.drop': 'Arraste aqui o PDF do certificado',
+            'verify.selectFile': 'Selecionar arquivo',
+            'verify.publicKey': 'Chave pública do emissor (opcional)',
+            'verify.ownKey': 'É usada a chave deste emissor.',
+            'verify.keyLoaded': 'Chave carregada{fingerprint}.',
+            'verify.resultTitle': 'Resultado',
+            'verify.intro': 'Digite um ID ou carregue um PDF para verificar se o certificado é autêntico.',
+            'verify.notFoundFile': 'O arquivo não corresponde a nenhum certificado registrado nem tem uma assinatura digital válida.',
+            'verify.notFoundId': 'Não existe nenhum certificado registrado com esse ID.',
+            'verify.checkDigitInvalid': 'O dígito de controle não confere: verifique se o ID foi digitado corretamente.',
+            'verify.registered': 'O certificado existe no registro.',
+            'verify.signedOnly': 'O certificado não está neste registro, mas a sua assinatura digital é válida.',
+            'verify.signatureValid': 'A assinatura digital é válida.',
+            'verify.signatureValidExternal': 'A assinatura digital é válida para a chave pública carregada.',
+            'verify.signatureInvalid': 'A assinatura digital está ausente ou não é válida: os dados podem ter sido alterados.',
+            'verify.signatureUnknownKey': 'A assinatura foi feita com uma chave desconhecida: não é a chave atual do emissor nem uma que ela tenha substituído, por isso não pode ser verificada.',
+            'verify.qrMatches': 'O código QR corresponde aos dados registrados.',
+            'verify.qrMismatch': 'O código QR NÃO corresponde aos dados registrados.',
+            'verify.fileMatches': 'O arquivo coincide byte a byte com o PDF registrado.',
+            'verify.fileMismatch': 'O arquivo NÃO coincide com o PDF registrado: pode ter sido modificado.',
+            'verify.error': 'Erro ao verificar o certificado.',
+            'verify.invalidKey': 'O arquivo não contém uma chave pública válida.',
+            'verify.fieldId': 'ID',
+            'verify.fieldParticipant': 'Participante',
+            'verify.fieldRole': 'Função',
+            'verify.fieldEvent': 'Evento',
+            'verify.fieldDate': 'Data do evento',
+            'verify.fieldLocation': 'Local',
+            'verify.fieldDuration': 'Duração',
+            'verify.fieldIssued': 'Emitido',
+            'verify.hours': '{hours} horas',
+            'verify.revoked': 'Este certificado foi REVOGADO em {date}. Motivo: {reason}',
+            'verify.superseded': 'Corresponde à versão {version}, substituída em {date} por uma versão mais recente.',
+            'verify.fieldVersion': 'Versão vigente',
+            'verify.transcriptRegistered': 'O histórico existe no registro.',
+            'verify.transcriptChanged': 'Depois de emitir o histórico, {count} dos seus certificados foram revogados ou excluídos: {ids}.',
+            'verify.fieldCertificates': 'Certificados',
+            'verify.fieldTotalHours': 'Horas acumuladas',
+            'loading.title': 'Gerando certificado...',
+            'loading.wait': 'Isto pode levar alguns segundos.',
+            'toast.invalidFields': 'Verifique os campos assinalados no formulário.',
+            'toast.unknownPlaceholders': 'O texto da função "{role}" contém marcadores desconhecidos: {placeholders}.',
+            'toast.generated': 'Certificado gerado com sucesso!',
+            'toast.generateError': 'Erro ao gerar o certificado. Tente novamente.',
+            'validation.required': 'Este campo é obrigatório.',
+            'validation.maxLength': 'Use no máximo {max} caracteres para que caiba no certificado.',
+            'validation.date': 'Introduza uma data válida.',
+            'validation.dateTooOld': 'A data deve ser do ano {year} ou posterior.',
+            'validation.futureDate': 'A data não pode ser posterior a hoje.',
+            'validation.hours': 'Introduza entre {min} e {max} horas, com no máximo duas casas decimais.',
+            'validation.email': 'Introduza um e-mail válido.',
+            'validation.label.eventName': 'Nome do evento',
+            'validation.label.eventDate': 'Data',
+            'validation.label.eventLocation': 'Local',
+            'validation.label.eventDuration': 'Duração',
+            'validation.label.participantName': 'Nome do participante',
+            'validation.label.participantRole': 'Função',
+            'validation.label.participantEmail': 'E-mail',
+            'validation.label.participantNationalId': 'Documento de identidade',
+            'toast.historyError': 'Erro ao carregar o histórico de certificados.',
+            'toast.notFound': 'Certificado não encontrado.',
+            'toast.loaded': 'Certificado carregado.',
+            'toast.loadError': 'Erro ao carregar o certificado.',
+            'toast.downloadStarted': 'Download iniciado.',
+            'toast.downloadError': 'Erro ao baixar o certificado.',
+            'toast.deleted': 'Certificado excluído.',
+            'toast.deleteError': 'Erro ao excluir o certificado.',
+            'toast.revokedReissue': 'O certificado está revogado e não pode ser emitido novamente.',
+            'toast.logoError': 'Erro ao carregar o logotipo. Verifique o formato da imagem.',
+            'confirm.delete': 'Tem certeza de que deseja excluir este certificado?',
+            'toast.fontFallback': 'A fonte escolhida não consegue desenhar todos os caracteres do certificado; será usada "{font}".',
+            'confirm.missingGlyphs': 'Nenhuma fonte disponível consegue desenhar estes caracteres: {chars}. Envie uma fonte TTF que os inclua. Deseja gerar o certificado mesmo assim?',
+            'confirm.reissue': 'O certificado {id} já existe. Deseja emitir a versão {version}? A versão anterior será mantida como substituída.',
+            'confirm.duplicateParticipant': '{name} já tem um certificado válido neste evento: {certificates}. Deseja emitir outro mesmo assim?',
+            'preview.participant': 'Nome do Participante',
+            'preview.role': 'Função',
+            'preview.event': 'Nome do Evento',
+            'preview.location': 'Local',
+            'preview.canvasTitle': 'Pré-visualização do certificado',
+            'preview.provisionalNote': 'O ID do certificado é provisório: é reservado ao gerá-lo.',
+            'preview.overflowTitle': 'Parte do texto não cabe na página:',
+            'preview.overflow.title': 'O título é mais largo que a página. Encurte-o ou reduza o seu tamanho no modelo.',
+            'preview.overflow.participantName': 'O nome do participante é mais largo que a página.',
+            'preview.overflow.eventName': 'O nome do evento não cabe numa linha e será dividido.',
+            'preview.overflow.content': 'O texto sai pela parte inferior da página. Encurte o texto da função ou use um logótipo mais baixo.',
+            'confirm.layoutOverflow': 'Parte do texto não cabe na página:\n{problems}\nDeseja gerar o certificado mesmo assim?',
+            'log.status.active': 'Ativo',
+            'log.status.revoked': 'Revogado',
+            'log.status.superseded': 'Substituído',
+            'log.action.create': 'Emitido',
+            'log.action.reissue': 'Nova versão',
+            'log.action.revoke': 'Revogado',
+            'log.action.delete': 'Excluído',
+            'log.action.import': 'Importado',
+            'log.title': 'Histórico do certificado {id}',
+            'log.deleted': 'O certificado foi excluído.',
+            'log.revokedOn': 'Revogado em {date}. Motivo: {reason}',
+            'log.activeVersion': 'Ativo. Versão vigente: v{version}.',
+            'log.downloadVersion': 'Baixar esta versão',
+            'log.reasonRequired': 'Indique o motivo da revogação.',
+            'toast.revoked': 'Certificado {id} revogado.',
+            'toast.versionDownloadError': 'Erro ao baixar a versão do certificado.',
+            'toast.logError': 'Erro ao carregar o histórico do certificado.',
+            'log.alreadyRevoked': 'O certificado já está revogado.',
+            'log.revokedNoReissue': 'O certificado {id} está revogado e não pode ser emitido novamente.',
+            'history.bulkProgress.zip': 'Preparando o arquivo ZIP...',
+            'history.bulkProgress.merge': 'Unindo os certificados...',
+            'history.bulkProgress.regenerate': 'Regenerando certificados...',
+            'history.bulkProgress.delete': 'Excluindo certificados...',
+            'history.bulkDone.zip': '{count} certificados baixados.',
+            'history.bulkDone.merge': '{count} certificados unidos.',
+            'history.bulkDone.regenerate': '{count} certificados regenerados.',
+            'history.bulkDone.delete': '{count} certificados excluídos.',
+            'history.bulkFailedCount': 'Falharam {count}: {ids}.',
+            'history.bulkCancelled': 'Operação cancelada.',
+            'history.bulkFailures': 'Falharam: {failures}',
+            'history.bulkSelectError': 'Erro ao selecionar os certificados.',
+            'history.bulkZipError': 'Erro ao criar o arquivo ZIP.',
+            'history.bulkMergeError': 'Erro ao criar o PDF unido.',
+            'history.confirmRegenerate': 'Será emitida uma nova versão de {count} certificados com o modelo e o logótipo atuais do formulário. Eles mantêm o ID e a versão anterior é conservada; os revogados não são regenerados. Deseja continuar?',
+            'history.confirmDelete': 'Tem certeza de que deseja excluir {count} certificados? As versões anteriores também serão excluídas. Esta ação não pode ser desfeita.',
+            'events.codeInvalid': 'O código do evento só pode conter até 10 letras e números.',
+            'events.hasCertificates': 'O evento tem certificados emitidos e não pode ser excluído.',
+            'events.regenerating': 'Regenerando certificados...',
+            'events.editTitle': 'Editar evento',
+            'events.newTitle': 'Novo evento',
+            'events.loadError': 'Erro ao carregar os eventos.',
+            'events.saved': 'Evento salvo.',
+            'events.confirmRegenerate': 'Há {count} certificados ativos para este evento. Deseja regenerá-los com os dados corrigidos? Eles mantêm o ID e será emitida uma nova versão assinada sem logótipo; a anterior será conservada.',
+            'events.regenerateFailed': 'Não foi possível regenerar {count} certificados.',
+            'events.regenerated': 'Certificados regenerados.',
+            'events.confirmDelete': 'Tem certeza de que deseja excluir o evento "{name}"?',
+            'events.deleted': 'Evento excluído.',
+            'fonts.script.latinExtended': 'Latim estendido',
+            'fonts.script.vietnamese': 'Vietnamita',
+            'fonts.script.greek': 'Grego',
+            'fonts.script.cyrillic': 'Cirílico',
+            'fonts.script.cjk': 'Chinês/Japonês',
+            'fonts.script.korean': 'Coreano',
+            'fonts.script.latin': 'Latim',
+            'fonts.cffNotSupported': 'Fontes OpenType com contornos CFF (.otf) não são suportadas; use uma fonte TrueType (.ttf).',
+            'fonts.collectionNotSupported': 'Coleções de fontes (.ttc) não são suportadas; use uma fonte TrueType (.ttf).',
+            'fonts.notTrueType': 'O arquivo não é uma fonte TrueType (.ttf).',
+            'fonts.noUnicodeCmap': 'A fonte não tem uma tabela de caracteres Unicode.',
+            'fonts.damaged': 'O arquivo da fonte está danificado.',
+            'fonts.delete': 'Excluir',
+            'fonts.confirmDelete': 'Tem certeza de que deseja excluir a fonte "{name}"? Os modelos que a usam passarão a usar Helvetica.',
+            'fonts.deleted': 'Fonte excluída.',
+            'fonts.deleteError': 'Erro ao excluir a fonte.',
+            'fonts.added': 'Fonte "{name}" adicionada.',
+            'fonts.addError': 'Não foi possível adicionar {file}. {message}',
+            'backup.store.events': 'Evento',
+            'backup.store.fonts': 'Fonte',
+            'backup.store.fontFiles': 'Arquivo de fonte',
+            'backup.store.templates': 'Modelo',
+            'backup.store.roles': 'Função',
+            'backup.store.signatories': 'Signatário',
+            'backup.store.signatureImages': 'Imagem de assinatura',
+            'backup.store.participants': 'Participante',
+            'backup.store.versions': 'Versão substituída',
+            'backup.store.certificates': 'Certificado',
+            'backup.store.transcripts': 'Histórico',
+            'backup.store.audit': 'Entrada de auditoria',
+            'backup.resolution.skip': 'Ignorar',
+            'backup.resolution.overwrite': 'Substituir',
+            'backup.resolution.keepBoth': 'Manter ambos',
+            'backup.exported': 'Cópia exportada com {count} certificados.',
+            'backup.exportError': 'Erro ao exportar a cópia de segurança.',
+            'backup.invalidFormat': 'O arquivo não é uma cópia de segurança de certificados.',
+            'backup.unsupportedVersion': 'A cópia usa a versão {version} do formato, que esta aplicação não suporta.',
+            'backup.noData': 'A cópia não contém dados.',
+            'backup.notAList': 'A seção "{store}" não é uma lista.',
+            'backup.missingId': '{store} {index}: falta o ID.',
+            'backup.recordError': '{store} {id}: {error}',
+            'backup.invalidPdf': '{store} {id}: o PDF incluído não é válido.',
+            'backup.invalidCounter': 'O contador de certificados não é válido.',
+            'backup.invalidCounters': 'Os contadores de IDs não são válidos.',
+            'backup.auditOverwritten': 'Substituído a partir de uma cópia de segurança',
+            'backup.auditRestored': 'A partir de uma cópia de segurança',
+            'backup.importedName': '{name} (importado)',
+            'backup.summary': '{newRecords} registros novos, {identical} já existentes sem alterações e {conflicts} conflitos com IDs existentes.',
+            'backup.invalidJson': 'O arquivo não é um JSON válido.',
+            'backup.moreErrors': '{errors} (e mais {count} erros)',
+            'backup.importReadError': 'Não foi possível importar a cópia. {message}',
+            'backup.importedWithFailures': '{imported} registros importados; {failures} certificados não puderam ser emitidos novamente.',
+            'backup.imported': '{imported} registros importados.',
+            'backup.keptRevoked': '{count} certificados revogados não foram substituídos por uma cópia em que não estavam revogados.',
+            'backup.importError': 'Erro ao importar a cópia de segurança.',
+            'report.csv.id': 'ID do certificado',
+            'report.csv.participant': 'Participante',
+            'report.csv.role': 'Função',
+            'report.csv.hours': 'Horas',
+            'report.csv.issueDate': 'Data de emissão',
+            'report.csv.event': 'Evento',
+            'report.csv.eventDate': 'Data do evento',
+            'report.csv.location': 'Local',
+            'report.title': 'Relatório do evento',
+            'report.eventLine': '{date} · {location} · {hours} horas',
+            'report.generatedOn': 'Gerado em {date}',
+            'report.participant': 'Participante',
+            'report.role': 'Função',
+            'report.hours': 'Horas',
+            'report.certificateId': 'ID do certificado',
+            'report.certificates': 'Certificados',
+            'report.total': 'Total',
+            'report.revokedExcluded': 'Não estão incluídos {count} certificados revogados.',
+            'report.page': 'Página {page} de {pages}',
+            'report.pdfError': 'Erro ao gerar o relatório do evento.',
+            'report.csvError': 'Erro ao exportar o CSV do evento.',
+            'transcript.title': 'Histórico de participação',
+            'transcript.summary': '{count} certificados · {hours} horas acumuladas',
+            'transcript.issuedOn': 'Histórico {id} emitido em {date}',
+            'transcript.event': 'Evento',
+            'transcript.date': 'Data',
+            'transcript.role': 'Função',
+            'transcript.hours': 'Horas',
+            'transcript.certificateId': 'ID do certificado',
+            'transcript.events': 'Eventos',
+            'transcript.total': 'Total',
+            'transcript.signedNote': 'Este histórico está assinado digitalmente pelo emissor.',
+            'transcript.verifyNote': 'Pode ser verificado com o seu ID ({id}) ou com este código QR.',
+            'transcript.activeOnlyNote': 'Inclui apenas certificados vigentes na data de emissão.',
+            'transcript.page': 'Página {page} de {pages}',
+            'transcript.participantMissing': 'O participante já não existe.',
+            'transcript.noCertificates': 'O participante não tem certificados vigentes.',
+            'transcript.selectParticipant': 'Selecione um participante',
+            'transcript.detailSummary': '{count} certificados vigentes · {hours} horas',
+            'transcript.detailRevoked': '{count} revogados (não somam horas)',
+            'transcript.download': 'Baixar',
+            'transcript.loadError': 'Erro ao carregar os participantes.',
+            'transcript.pdfMissing': 'O PDF do histórico não está guardado.',
+            'transcript.downloadError': 'Erro ao baixar o histórico.',
+            'transcript.issued': 'Histórico {id} emitido.',
+            'transcript.issueError': 'Erro ao emitir o histórico.',
+            'participants.saved': 'Participante salvo.',
+            'participants.saveError': 'Erro ao salvar o participante.',
+            'signatories.nameRequired': 'O signatário precisa de um nome.',
+            'signatories.pngRequired': 'A imagem da assinatura deve ser um PNG.',
+            'signatories.name': 'Nome',
+            'signatories.title': 'Cargo (opcional)',
+            'signatories.imageAlt': 'Assinatura',
+            'signatories.clearImage': 'Remover a imagem',
+            'signatories.imageHelp': 'Imagem PNG com fundo transparente.',
+            'signatories.delete': 'Excluir',
+            'signatories.save': 'Salvar',
+            'signatories.saved': 'Signatário salvo.',
+            'signatories.confirmDelete': 'Tem certeza de que deseja excluir o signatário "{name}"? Os certificados já emitidos mantêm a assinatura.',
+            'signatories.deleted': 'Signatário excluído.',
+            'participants.keptMissing': 'O participante que é mantido já não existe.',
+            'participants.mergeInclude': 'Incluir na fusão',
+            'participants.mergeKeep': 'Manter este',
+            'participants.certificateCount': '{count} certificados',
+            'participants.merge': 'Mesclar',
+            'participants.mergeSelectOther': 'Marque pelo menos outro participante para mesclá-lo com o que é mantido.',
+            'participants.merged': 'Participantes mesclados em "{name}".',
+            'participants.mergeError': 'Erro ao mesclar os participantes.',
+            'keys.invalidFile': 'O arquivo não contém um par de chaves válido.',
+            'keys.confirmGenerate': 'Os novos certificados serão assinados com a nova chave; a atual é conservada para verificar os já emitidos. Quem tiver a chave pública exportada precisará da nova. Deseja continuar?',
+            'keys.generated': 'Novo par de chaves gerado.',
+            'keys.confirmExportPrivate': 'O arquivo conterá a chave privada do emissor. Guarde-o num lugar seguro. Deseja continuar?',
+            'keys.imported': 'Par de chaves importado.',
+            'keys.importError': 'Não foi possível importar o par de chaves.',
+            'keys.generateError': 'Não foi possível gerar o par de chaves.',
+            'keys.exportError': 'Não foi possível exportar a chave.',
+            'templates.nameRequired': 'O modelo precisa de um nome.',
+            'templates.invalidOrientation': 'Orientação de página inválida.',
+            'templates.invalidBorder': 'Estilo de borda inválido.',
+            'templates.invalidFont': 'Fonte inválida.',
+            'templates.invalidColor': 'Cor inválida: {color}.',
+            'templates.invalidValue': 'Valor inválido para {key}.',
+            'templates.invalidBackground': 'Modo de fundo inválido.',
+            'templates.invalidTileSize': 'Tamanho do padrão inválido.',
+            'templates.invalidWatermark': 'Tipo de marca d\'água inválido.',
+            'templates.invalidOpacity': 'A opacidade da marca d\'água deve estar entre 0 e 1.',
+            'templates.invalidSponsorPosition': 'Posição dos logótipos de patrocinadores inválida.',
+            'templates.invalidSponsorHeight': 'Altura dos logótipos de patrocinadores inválida.',
+            'templates.tooManySponsors': 'No máximo {max} logótipos de patrocinadores.',
+            'templates.builtInDelete': 'O modelo incorporado não pode ser excluído.',
+            'templates.sampleEvent': 'Congresso de Exemplo',
+            'templates.builtInName': '{name} (incorporado)',
+            'templates.saveAsNew': 'Salvar como novo',
+            'templates.save': 'Salvar',
+            'templates.loadError': 'Erro ao carregar os modelos.',
+            'templates.saved': 'Modelo salvo.',
+            'templates.saveError': 'Não foi possível salvar o modelo. {message}',
+            'templates.confirmDelete': 'Tem certeza de que deseja excluir o modelo "{name}"?',
+            'templates.deleted': 'Modelo excluído.',
+            'templates.deleteError': 'Erro ao excluir o modelo.',
+            'templates.newName': 'Novo modelo',
+            'templates.copyName': '{name} (cópia)',
+            'templates.sponsorLogo': 'Logo {number}',
+            'templates.removeSponsorLogo': 'Remover o logo',
+            'bulk.noColumn': '(sem coluna)',
+            'bulk.useFormValue': '(usar o valor do formulário)',
+            'bulk.status': 'Estado',
+            'bulk.valid': 'Correta',
+            'bulk.summary': '{total} linhas, {valid} válidas, {invalid} com erros.',
+            'bulk.previewLimited': 'São mostradas as primeiras {max} linhas.',
+            'bulk.readError': 'Não foi possível ler o arquivo: {message}',
+            'bulk.confirmSkipped': 'Há {count} linhas com erros que não serão geradas. Deseja continuar?',
+            'bulk.confirmUnreadable': 'Nenhuma fonte disponível consegue desenhar todos os caracteres de {count} certificados ({names}). Envie uma fonte TTF que os inclua. Deseja gerá-los mesmo assim?',
+            'bulk.confirmRepeated': '{count} participantes já têm um certificado válido no seu evento ({names}). Deseja gerá-los mesmo assim?',
+            'bulk.generating': 'Gerando certificados...',
+            'bulk.doneWithFailures': 'Foram gerados {count} certificados. Falharam: {names}.',
+            'bulk.cancelled': 'Geração cancelada. Foram gerados {count} certificados.',
+            'bulk.done': '{count} certificados gerados com sucesso!',
+            'bulk.error': 'Erro na geração em massa: {message}',
+            'progress.cancelling': 'Cancelando...',
+            'roster.xlsxUnavailable': 'A biblioteca para ler arquivos XLSX não está disponível.',
+            'roster.empty': 'O arquivo não contém linhas de participantes.',
+            'roster.column': 'Coluna {number}',
+            'roster.unknownRole': 'Função desconhecida: "{role}".',
+            'roster.rolePlaceholders': 'O texto da função "{role}" tem marcadores desconhecidos.',
+            'settings.saved': 'Configurações salvas.',
+            'roles.name': 'Nome da função',
+            'roles.text': 'Texto do certificado',
+            'roles.translation': 'Texto em {language} (opcional)',
+            'roles.delete': 'Excluir',
+            'roles.save': 'Salvar',
+            'roles.nameRequired': 'A função precisa de um nome.',
+            'roles.duplicateName': 'Já existe uma função chamada "{name}".',
+            'roles.textRequired': 'A função precisa de um texto.',
+            'roles.unknownPlaceholders': 'Marcadores desconhecidos: {placeholders}.',
+            'roles.saved': 'Função salva.',
+            'roles.confirmDelete': 'Tem certeza de que deseja excluir a função "{name}"?',
+            'roles.deleted': 'Função excluída.',
+            'ids.seqRequired': 'O padrão deve conter {seq}.',
+            'ids.unknownTokens': 'O padrão contém marcadores desconhecidos: {tokens}.',
+            'ids.patternChars': 'Fora dos marcadores, o padrão só pode conter letras maiúsculas, números e hífens, e deve começar por um deles.',
+            'ids.prefix': 'O prefixo só pode conter até 10 letras maiúsculas e números.',
+            'ids.padding': 'O número de dígitos deve estar entre 1 e 10.',
+            'ids.reset': 'O reinício do contador não é válido.',
+            'ids.missing': 'O certificado não tem ID.',
+            'image.unreadableSize': 'Não foi possível ler as dimensões da imagem. Use PNG, JPEG ou WebP.',
+            'image.unsupported': 'Formato de imagem não suportado. Use PNG, JPEG ou WebP.',
+            'cli.usage': 'Uso: node cli/generate-certificates.js --roster <lista.csv|xlsx> [opções]\n\nDados do evento (para as colunas que não estejam na lista):\n  --event-name <texto>          Nome do evento\n  --event-date <AAAA-MM-DD>     Data do evento\n  --event-location <texto>      Local\n  --event-duration <horas>      Duração em horas\n  --event-code <código>         Código do evento para o marcador {event} dos IDs\n  --role <função>               Função dos participantes\n\nDesign:\n  --template <arquivo|ID>       Modelo: arquivo JSON ou ID/nome de um modelo da cópia\n  --logo <imagem>               Logo (PNG, JPEG ou WebP)\n  --language <es|en|pt>         Idioma do certificado (por padrão, es)\n  --secondary-language <código> Segundo idioma para certificados bilíngues\n\nConfiguração:\n  --backup <copia.json>         Cópia de segurança do aplicativo: modelos, funções, fontes enviadas,\n                                URL de verificação, formato de ID e contadores\n  --verification-url <modelo>   URL do código QR com {id} e {hash}\n  --start <número>              Primeiro número de sequência dos IDs\n\nSaída:\n  --out <pasta>                 Pasta dos PDF e do manifesto (por padrão, ./certificados)\n  --ui-language <es|en|pt>      Idioma das mensagens (por padrão, es)\n  --dry-run                     Apenas valida a lista e as opções, sem gerar nada\n  --help                        Mostra esta ajuda',
+            'cli.missingRoster': 'Falta a lista de participantes (--roster).',
+            'cli.backupReadError': 'Não foi possível ler a cópia de segurança ({file}): {message}',
+            'cli.notABackup': '{file} não é uma cópia de segurança do aplicativo.',
+            'cli.templateReadError': 'Não foi possível ler o modelo ({file}): {message}',
+            'cli.templateNotFound': 'Não existe o arquivo nem um modelo com o ID ou nome "{value}".',
+            'cli.logoReadError': 'Não foi possível ler o logo ({file}): {message}',
+            'cli.logoFormat': 'Formato de imagem não suportado no logo ({file}). Use PNG, JPEG ou WebP.',
+            'cli.rosterReadError': 'Não foi possível ler a lista de participantes ({file}): {message}',
+            'cli.rosterParseError': 'Não foi possível ler a lista de participantes: {message}',
+            'cli.templateError': 'Modelo: {error}',
+            'cli.urlMissingId': 'A URL de verificação deve conter {id}.',
+            'cli.unsupportedLanguage': 'Idioma não disponível: "{language}".',
+            'cli.unsupportedSecondaryLanguage': 'Segundo idioma não disponível: "{language}".',
+            'cli.invalidStart': 'O primeiro número de sequência deve ser um inteiro positivo.',
+            'cli.idFormatError': 'Formato de ID: {error}',
+            'cli.duplicateRow': 'Linha {row}: {name} já aparece na linha {previous} com a mesma função.',
+            'cli.missingGlyphs': 'Linha {row}: nenhuma fonte disponível consegue desenhar {characters}.',
+            'cli.rowMessage': 'Linha {row}: {message}',
+            'cli.error': 'Erro: {message}',
+            'cli.warning': 'Aviso: {message}',
+            'cli.done': 'Foram gerados {count} certificados em {folder}.',
+            'cli.unexpectedError': 'Erro ao gerar os certificados:'
+        }
+    };
+
+    let uiLanguage = DEFAULT_LANGUAGE;
+
+    /**
+     * Comprueba si un idioma está disponible
+     * @param {string} language - Código del idioma
+     * @returns {boolean} - True si el idioma está en el catálogo
+     */
+    const isSupported = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+    /**
+     * Obtiene un texto del catálogo
+     * @param {string} key - Clave del texto
+     * @param {Object} [params] - Valores de los marcadores {nombre}
+     * @param {string} [language] - Idioma (por defecto, el de la interfaz)
+     * @returns {string} - Texto traducido (en español si falta la traducción)
+     */
+    const t = (key, params = {}, language = uiLanguage) => {
+        const strings = STRINGS[isSupported(language) ? language : DEFAULT_LANGUAGE];
+        const text = strings[key] ?? STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    };
+
+    /**
+     * Formatea una fecha como día, mes y año numéricos según el idioma
+     * @param {string} dateString - Fecha en formato YYYY-MM-DD
+     * @param {string} [language] - Idioma (por defecto, el de la interfaz)
+     * @returns {string} - Fecha formateada
+     */
+    const formatDate = (dateString, language = uiLanguage) => {
+        const { locale } = LANGUAGES[isSupported(language) ? language : DEFAULT_LANGUAGE];
+        return new Date(dateString).toLocaleDateString(locale, {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
+        });
+    };
+
+    /**
+     * Traduce los elementos estáticos de la página marcados con data-i18n
+     * @param {HTMLElement} [root] - Elemento desde el que se buscan los textos
+     */
+    const applyToDocument = (root = document) => {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = t(element.dataset.i18nTitle);
+        });
+    };
+
+    /**
+     * Cambia el idioma de la interfaz y lo recuerda para las próximas visitas
+     * @param {string} language - Código del idioma
+     */
+    const setUiLanguage = (language) => {
+        uiLanguage = isSupported(language) ? language : DEFAULT_LANGUAGE;
+        Settings.set({ uiLanguage });
+
+        // Fuera del navegador (en la herramienta de línea de comandos) solo cambia el idioma de los mensajes
+        if (typeof document === 'undefined') {
+            return;
+        }
+        document.documentElement.lang = uiLanguage;
+        document.title = t('app.title');
+        applyToDocument();
+    };
+
+    /**
+     * Obtiene el idioma actual de la interfaz
+     * @returns {string} - Código del idioma
+     */
+    const getUiLanguage = () => uiLanguage;
+
+    /**
+     * Rellena un selector con los idiomas disponibles
+     * @param {HTMLSelectElement} select - Selector a rellenar
+     */
+    const fillLanguageSelect = (select) => {
+        Object.entries(LANGUAGES).forEach(([code, { label }]) => {
+            select.appendChild(new Option(label, code));
+        });
+    };
+
+    /**
+     * Inicializa el selector de idioma de la interfaz
+     * @param {Function} [onChange] - Se llama después de cambiar el idioma
+     */
+    const init = (onChange) => {
+        const select = document.getElementById('ui-language-select');
+        fillLanguageSelect(select);
+
+        uiLanguage = isSupported(Settings.get('uiLanguage')) ? Settings.get('uiLanguage') : DEFAULT_LANGUAGE;
+        select.value = uiLanguage;
+        setUiLanguage(uiLanguage);
+
+        select.addEventListener('change', () => {
+            setUiLanguage(select.value);
+            if (onChange) {
+                onChange();
+            }
+        });
+    };
+
+    // API pública
+    return {
+        DEFAULT_LANGUAGE,
+        LANGUAGES,
+        isSupported,
+        t,
+        formatDate,
+        applyToDocument,
+        setUiLanguage,
+        getUiLanguage,
+        fillLanguageSelect,
+        init
+    };
+})();
@@ -3,155 +3,406 @@
  */
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Sin las bibliotecas externas la aplicación no funciona: se muestra la pantalla de error en su lugar
+    if (!AppShell.checkLibraries()) {
+        return;
+    }
+    
     // Referencias a los elementos del DOM
     const certificateForm = document.getElementById('certificate-form');
     const previewBtn = document.getElementById('preview-btn');
     const generateBtn = document.getElementById('generate-btn');
     const downloadBtn = document.getElementById('download-btn');
+    const newCertificateBtn = document.getElementById('new-certificate-btn');
     const navGenerator = document.getElementById('nav-generator');
     const navHistory = document.getElementById('nav-history');
+    const navEvents = document.getElementById('nav-events');
+    const navParticipants = document.getElementById('nav-participants');
+    const navTemplates = document.getElementById('nav-templates');
+    const navVerify = document.getElementById('nav-verify');
     const generatorSection = document.getElementById('generator-section');
     const historySection = document.getElementById('history-section');
+    const eventsSection = document.getElementById('events-section');
+    const participantsSection = document.getElementById('participants-section');
+    const templatesSection = document.getElementById('templates-section');
+    const verifySection = document.getElementById('verify-section');
+    const eventSelect = document.getElementById('event-select');
+    const templateSelect = document.getElementById('template-select');
+    const languageSelect = document.getElementById('certificate-language');
+    const secondaryLanguageSelect = document.getElementById('certificate-secondary-language');
     const logoUpload = document.getElementById('logo-upload');
-    const searchInput = document.getElementById('search-input');
-    const searchBtn = document.getElementById('search-btn');
+    const signatorySelects = Array.from(document.querySelectorAll('.signatory-select'));
     const historyTableBody = document.getElementById('history-table-body');
     const noRecords = document.getElementById('no-records');
     const previewContainer = document.getElementById('preview-container');
     const pdfContainer = document.getElementById('pdf-container');
     const pdfIframe = document.getElementById('pdf-iframe');
     
+    // Proporción del espacio disponible a partir de la cual se avisa de que se está llenando
+    const STORAGE_WARNING_RATIO = 0.8;
+    
+    // Tiempo de espera tras la última edición antes de volver a dibujar la vista previa
+    const PREVIEW_DELAY = 400;
+    
+    // Campos del formulario que se validan y su nombre en el esquema de los certificados
+    const FORM_FIELDS = {
+        'event-name': 'eventName',
+        'event-date': 'eventDate',
+        'event-location': 'eventLocation',
+        'participant-name': 'participantName',
+        'participant-email': 'participantEmail',
+        'participant-national-id': 'participantNationalId',
+        'participant-role': 'participantRole',
+        'event-duration': 'eventDuration'
+    };
+    
     // Variables para almacenar datos temporales
     let currentCertificateData = null;
-    let currentPdfDataUrl = null;
+    // ID del certificado cargado desde el historial: al generar se emite una nueva versión con él
+    let loadedCertificateId = null;
+    let currentPdfBlob = null;
+    let currentPdfUrl = null;
     let logoDataUrl = null;
+    // Perfiles de firmante del selector del formulario
+    let signatoryProfiles = [];
+    let previewTimer = null;
+    // Número de la última vista previa pedida: una que termina después de otra más reciente se descarta
+    let previewRequest = 0;
     
     // Modal de carga
     const loadingModal = new bootstrap.Modal(document.getElementById('loading-modal'));
     
+    // Notificaciones compartidas con el resto de módulos
+    const { showToast } = UI;
+    
+    // Textos de la interfaz en el idioma elegido
+    const { t } = I18n;
+    
     /**
-     * Muestra una notificación toast
-     * @param {string} message - Mensaje a mostrar
-     * @param {string} type - Tipo de notificación (success, danger, warning, info)
+     * Vuelve a dibujar la vista previa poco después del último cambio
      */
-    const showToast = (message, type = 'success') => {
-        const toastContainer = document.getElementById('toast-container');
-        const toastId = `toast-${Date.now()}`;
-        
-        const toastHtml = `
-            <div id="${toastId}" class="toast align-items-center text-white bg-${type} border-0" role="alert" aria-live="assertive" aria-atomic="true">
-                <div class="d-flex">
-                    <div class="toast-body">
-                        ${message}
-                    </div>
-                    <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
-                </div>
-            </div>
-        `;
-        
-        toastContainer.insertAdjacentHTML('beforeend', toastHtml);
-        const toastElement = document.getElementById(toastId);
-        const toast = new bootstrap.Toast(toastElement, { autohide: true, delay: 3000 });
-        toast.show();
-        
-        // Eliminar el toast del DOM después de ocultarse
-        toastElement.addEventListener('hidden.bs.toast', () => {
-            toastElement.remove();
-        });
+    const updatePreview = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(renderPreview, PREVIEW_DELAY);
     };
     
     /**
-     * Actualiza la vista previa del certificado con los datos del formulario
+     * Obtiene los datos con los que se emitiría el certificado, con textos de ejemplo en los campos vacíos;
+     * un certificado nuevo lleva el ID que recibiría ahora, pero no lo reserva hasta que se genera
+     * @returns {Promise<Object>} - Datos del certificado
      */
-    const updatePreview = () => {
-        const eventName = document.getElementById('event-name').value;
-        const eventDate = document.getElementById('event-date').value;
-        const eventLocation = document.getElementById('event-location').value;
-        const participantName = document.getElementById('participant-name').value;
-        const participantRole = document.getElementById('participant-role').value;
-        const eventDuration = document.getElementById('event-duration').value;
-        
-        document.getElementById('preview-event').textContent = eventName || 'Nombre del Evento';
-        document.getElementById('preview-date').textContent = eventDate ? formatDate(eventDate) : 'Fecha';
-        document.getElementById('preview-location').textContent = eventLocation || 'Lugar';
-        document.getElementById('preview-participant').textContent = participantName || 'Nombre del Participante';
-        document.getElementById('preview-role').textContent = participantRole || 'Rol';
-        document.getElementById('preview-duration').textContent = eventDuration || '0';
-        
-        // Generar ID único de certificado si no existe
-        const certificateId = document.getElementById('preview-certificate-id');
-        if (certificateId.textContent === 'ID: 000000') {
-            certificateId.textContent = `ID: ${Storage.generateCertificateId()}`;
+    const getPreviewData = async () => {
+        const data = collectFormData();
+        const { language } = data;
+        const event = data.eventId ? await Events.get(data.eventId) : { name: data.eventName };
+        return {
+            ...data,
+            id: data.id || await CertificateIds.peek({ event }),
+            participantName: data.participantName || t('preview.participant', {}, language),
+            participantRole: data.participantRole || t('preview.role', {}, language),
+            eventName: data.eventName || t('preview.event', {}, language),
+            eventDate: data.eventDate || new Date().toISOString().substring(0, 10),
+            eventLocation: data.eventLocation || t('preview.location', {}, language),
+            eventDuration: data.eventDuration || '0'
+        };
+    };
+    
+    /**
+     * Dibuja en la vista previa la primera página del PDF que se emitiría y avisa de los textos que no caben
+     */
+    const renderPreview = async () => {
+        const request = ++previewRequest;
+        const isCurrent = () => request === previewRequest;
+        try {
+            const { pdfDataUrl, warnings } = await Certificates.preview(await getPreviewData(), { logoDataUrl });
+            if (!isCurrent()) {
+                return;
+            }
+            
+            await PdfPreview.renderPage(document.getElementById('preview-canvas'), pdfDataUrl, isCurrent);
+            if (!isCurrent()) {
+                return;
+            }
+            
+            document.getElementById('preview-provisional').classList.toggle('d-none', Boolean(loadedCertificateId));
+            const list = document.getElementById('preview-warnings-list');
+            list.innerHTML = '';
+            warnings.forEach(part => {
+                const item = document.createElement('li');
+                item.textContent = t(`preview.overflow.${part}`);
+                list.appendChild(item);
+            });
+            document.getElementById('preview-warnings').classList.toggle('d-none', warnings.length === 0);
+        } catch (error) {
+            console.error('Error al generar la vista previa:', error);
         }
-        
-        // Mostrar el logo si se ha seleccionado
-        const logoPreview = document.getElementById('preview-logo').querySelector('img');
-        if (logoDataUrl) {
-            logoPreview.src = logoDataUrl;
-        } else {
-            logoPreview.src = 'download.png';
+    };
+    
+    /**
+     * Carga los roles del catálogo en el selector del formulario
+     */
+    const loadRolePicker = async () => {
+        try {
+            const roleSelect = document.getElementById('participant-role');
+            const selectedRole = roleSelect.value;
+            const roles = await Roles.getAll();
+            
+            roleSelect.innerHTML = '';
+            const emptyOption = new Option(t('form.select'), '');
+            emptyOption.dataset.i18n = 'form.select';
+            roleSelect.appendChild(emptyOption);
+            roles.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role.name;
+                option.textContent = role.name;
+                roleSelect.appendChild(option);
+            });
+            
+            // Conservar un rol que ya no está en el catálogo (por ejemplo, al ver un certificado antiguo)
+            if (selectedRole && !roles.some(role => role.name === selectedRole)) {
+                const option = document.createElement('option');
+                option.value = selectedRole;
+                option.textContent = selectedRole;
+                roleSelect.appendChild(option);
+            }
+            roleSelect.value = selectedRole;
+        } catch (error) {
+            console.error('Error al cargar los roles:', error);
+        }
+    };
+    
+    /**
+     * Carga los perfiles de firmante en los selectores del formulario
+     */
+    const loadSignatoryPicker = async () => {
+        try {
+            signatoryProfiles = await Signatories.getAll();
+            
+            signatorySelects.forEach(select => {
+                const selectedId = select.value;
+                select.innerHTML = '';
+                const emptyOption = new Option(t('form.noSignatory'), '');
+                emptyOption.dataset.i18n = 'form.noSignatory';
+                select.appendChild(emptyOption);
+                signatoryProfiles.forEach(signatory => {
+                    select.appendChild(new Option(signatory.title ? `${signatory.name} (${signatory.title})` : signatory.name, signatory.id));
+                });
+                // Un perfil eliminado deja el selector vacío
+                select.value = signatoryProfiles.some(signatory => signatory.id === selectedId) ? selectedId : '';
+            });
+        } catch (error) {
+            console.error('Error al cargar los firmantes:', error);
         }
     };
     
     /**
-     * Formatea una fecha como DD/MM/YYYY
-     * @param {string} dateString - Fecha en formato YYYY-MM-DD
-     * @returns {string} - Fecha formateada
+     * Obtiene los firmantes elegidos en el formulario, en orden y sin repetir
+     * @returns {Array<Object>} - Firmantes con { signatoryId, name, title, imageDataUrl }
      */
-    const formatDate = (dateString) => {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('es-ES', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric'
+    const getSelectedSignatories = () => {
+        const ids = [...new Set(signatorySelects.map(select => select.value).filter(Boolean))];
+        return ids
+            .map(id => signatoryProfiles.find(signatory => signatory.id === id))
+            .filter(Boolean)
+            .map(signatory => ({
+                signatoryId: signatory.id,
+                name: signatory.name,
+                title: signatory.title,
+                imageDataUrl: signatory.imageDataUrl
+            }));
+    };
+    
+    /**
+     * Carga las plantillas disponibles en el selector del formulario
+     */
+    const loadTemplatePicker = async () => {
+        try {
+            const selectedId = templateSelect.value;
+            const templates = await Templates.getAll();
+            templateSelect.innerHTML = '';
+            
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                templateSelect.appendChild(option);
+            });
+            
+            templateSelect.value = templates.some(template => template.id === selectedId)
+                ? selectedId
+                : Templates.DEFAULT_TEMPLATE.id;
+        } catch (error) {
+            console.error('Error al cargar las plantillas:', error);
+        }
+    };
+    
+    /**
+     * Carga los eventos guardados en el selector del formulario
+     */
+    const loadEventPicker = async () => {
+        try {
+            const selectedId = eventSelect.value;
+            const events = await Events.getAll();
+            
+            // La primera opción (evento nuevo) se conserva
+            while (eventSelect.options.length > 1) {
+                eventSelect.remove(1);
+            }
+            events.forEach(event => {
+                eventSelect.add(new Option(`${event.name} (${I18n.formatDate(event.date)})`, event.id));
+            });
+            
+            eventSelect.value = events.some(event => event.id === selectedId) ? selectedId : '';
+            await applySelectedEvent();
+        } catch (error) {
+            console.error('Error al cargar los eventos:', error);
+        }
+    };
+    
+    /**
+     * Rellena los campos del evento con el evento elegido y los bloquea; con un evento nuevo se editan a mano
+     */
+    const applySelectedEvent = async () => {
+        const event = eventSelect.value ? await Events.get(eventSelect.value) : null;
+        const fields = {
+            'event-name': 'eventName',
+            'event-date': 'eventDate',
+            'event-location': 'eventLocation',
+            'event-duration': 'eventDuration'
+        };
+        const values = event ? Events.toCertificateFields(event) : null;
+        
+        Object.entries(fields).forEach(([fieldId, key]) => {
+            const field = document.getElementById(fieldId);
+            if (values) {
+                field.value = values[key];
+                field.classList.remove('is-invalid');
+            }
+            field.readOnly = Boolean(values);
         });
     };
     
+    /**
+     * Carga los idiomas disponibles en los selectores de idioma del certificado
+     */
+    const loadLanguagePickers = () => {
+        I18n.fillLanguageSelect(languageSelect);
+        I18n.fillLanguageSelect(secondaryLanguageSelect);
+        languageSelect.value = I18n.DEFAULT_LANGUAGE;
+    };
+    
     /**
      * Recopila los datos del formulario
      * @returns {Object} - Datos del certificado
      */
     const collectFormData = () => {
-        const certId = document.getElementById('preview-certificate-id').textContent.replace('ID: ', '');
-        
         return {
-            id: certId,
+            // Sin ID, se reserva uno al emitir
+            id: loadedCertificateId,
             eventName: document.getElementById('event-name').value,
             eventDate: document.getElementById('event-date').value,
             eventLocation: document.getElementById('event-location').value,
             participantName: document.getElementById('participant-name').value,
+            participantEmail: document.getElementById('participant-email').value,
+            participantNationalId: document.getElementById('participant-national-id').value,
             participantRole: document.getElementById('participant-role').value,
-            eventDuration: document.getElementById('event-duration').value
+            eventDuration: document.getElementById('event-duration').value,
+            eventId: eventSelect.value || null,
+            templateId: templateSelect.value || Templates.DEFAULT_TEMPLATE.id,
+            signatories: getSelectedSignatories(),
+            language: languageSelect.value || I18n.DEFAULT_LANGUAGE,
+            // Un segundo idioma igual al principal no tiene sentido: se ignora
+            secondaryLanguage: secondaryLanguageSelect.value && secondaryLanguageSelect.value !== languageSelect.value
+                ? secondaryLanguageSelect.value
+                : null
         };
     };
     
+    /**
+     * Cambia el certificado cargado desde el historial
+     * @param {string|null} id - ID del certificado (null para emitir uno nuevo)
+     */
+    const setLoadedCertificate = (id) => {
+        loadedCertificateId = id;
+        // La dirección deja de apuntar al certificado que ya no se está editando
+        if (!id && Router.getCurrent().name === 'certificate') {
+            Router.replace({ name: 'generator' });
+        }
+        newCertificateBtn.classList.toggle('d-none', !id);
+        updatePreview();
+    };
+    
+    /**
+     * Valida un campo del formulario con el esquema y muestra su mensaje de error debajo
+     * @param {string} fieldId - ID del campo (una de las claves de FORM_FIELDS)
+     * @returns {boolean} - True si el campo es válido
+     */
+    const validateFormField = (fieldId) => {
+        const field = document.getElementById(fieldId);
+        const error = CertificateSchema.validateField(FORM_FIELDS[fieldId], field.value);
+        field.classList.toggle('is-invalid', Boolean(error));
+        document.getElementById(`${fieldId}-feedback`).textContent = error || '';
+        return !error;
+    };
+    
     /**
      * Valida el formulario
      * @returns {boolean} - True si el formulario es válido
      */
     const validateForm = () => {
-        const requiredFields = [
-            'event-name',
-            'event-date',
-            'event-location',
-            'participant-name',
-            'participant-role',
-            'event-duration'
-        ];
-        
-        let isValid = true;
-        
-        requiredFields.forEach(fieldId => {
-            const field = document.getElementById(fieldId);
-            if (!field.value.trim()) {
-                field.classList.add('is-invalid');
-                isValid = false;
-            } else {
-                field.classList.remove('is-invalid');
+        // Se validan todos los campos, no solo hasta el primer error, para marcarlos a la vez
+        const results = Object.keys(FORM_FIELDS).map(validateFormField);
+        return results.every(Boolean);
+    };
+    
+    /**
+     * Muestra un PDF en el visor del generador
+     * @param {Blob} pdfBlob - PDF a mostrar
+     */
+    const showPdf = (pdfBlob) => {
+        if (currentPdfUrl) {
+            URL.revokeObjectURL(currentPdfUrl);
+        }
+        currentPdfBlob = pdfBlob;
+        currentPdfUrl = URL.createObjectURL(pdfBlob);
+        pdfIframe.src = currentPdfUrl;
+        previewContainer.classList.add('d-none');
+        pdfContainer.classList.remove('d-none');
+    };
+    
+    /**
+     * Muestra el espacio ocupado en el navegador y avisa cuando se acerca al máximo
+     * @param {boolean} [notify] - Si se muestra también una notificación al superar el umbral
+     */
+    const updateStorageUsage = async (notify = false) => {
+        const container = document.getElementById('storage-usage');
+        try {
+            const estimate = await Storage.getStorageEstimate();
+            container.classList.toggle('d-none', !estimate);
+            if (!estimate) {
+                return;
             }
-        });
-        
-        return isValid;
+            
+            const { locale } = I18n.LANGUAGES[I18n.getUiLanguage()];
+            const ratio = estimate.usage / estimate.quota;
+            const nearQuota = ratio >= STORAGE_WARNING_RATIO;
+            const bar = document.getElementById('storage-usage-bar');
+            bar.style.width = `${Math.min(100, Math.max(1, ratio * 100))}%`;
+            bar.classList.toggle('bg-warning', nearQuota);
+            document.getElementById('storage-usage-text').textContent = t('storage.usage', {
+                usage: Utils.formatBytes(estimate.usage, locale),
+                quota: Utils.formatBytes(estimate.quota, locale),
+                percent: (ratio * 100).toLocaleString(locale, { maximumFractionDigits: 1 })
+            });
+            document.getElementById('storage-usage-warning').classList.toggle('d-none', !nearQuota);
+            
+            if (notify && nearQuota) {
+                showToast(t('storage.warning'), 'warning');
+            }
+        } catch (error) {
+            console.error('Error al consultar el espacio de almacenamiento:', error);
+            container.classList.add('d-none');
+        }
     };
     
     /**
@@ -160,76 +411,163 @@ document.addEventListener('DOMContentLoaded', () => {
     const generatePDF = async () => {
         try {
             if (!validateForm()) {
-                showToast('Por favor, complete todos los campos obligatorios.', 'danger');
+                showToast(t('toast.invalidFields'), 'danger');
+                return;
+            }
+            
+            // Comprobar el texto del rol antes de generar nada
+            const formData = collectFormData();
+            const role = await Roles.getByName(formData.participantRole);
+            const roleTexts = role ? [role.text, ...Object.values(role.translations || {})] : [];
+            const unknownPlaceholders = [...new Set(roleTexts.flatMap(text => Roles.findUnknownPlaceholders(text)))];
+            if (unknownPlaceholders.length > 0) {
+                showToast(t('toast.unknownPlaceholders', {
+                    role: role.name,
+                    placeholders: unknownPlaceholders.map(name => `{${name}}`).join(', ')
+                }), 'danger');
+                return;
+            }
+            
+            // Un ID que ya existe solo se vuelve a emitir como nueva versión, y nunca si está revocado
+            const existing = formData.id ? await Storage.getCertificateById(formData.id) : null;
+            if (existing && Certificates.getStatus(existing) === Storage.CERTIFICATE_STATUS.REVOKED) {
+                showToast(t('toast.revokedReissue'), 'danger');
+                return;
+            }
+            if (existing && !confirm(t('confirm.reissue', { id: existing.id, version: (existing.version || 1) + 1 }))) {
+                return;
+            }
+            
+            // Un participante con certificado en el mismo evento probablemente se está emitiendo dos veces
+            const duplicates = await Participants.findEventCertificates({ ...formData, participantId: existing ? existing.participantId : null });
+            if (duplicates.length > 0 && !confirm(t('confirm.duplicateParticipant', {
+                name: formData.participantName,
+                certificates: duplicates.map(certificate => `${certificate.id} (${certificate.participantRole})`).join(', ')
+            }))) {
+                return;
+            }
+            
+            if (!(await confirmFonts(formData)) || !(await confirmLayout())) {
                 return;
             }
             
             loadingModal.show();
             
-            // Recopilar datos del formulario
-            currentCertificateData = collectFormData();
+            // Firmar, generar el PDF y guardarlo en la base de datos
+            const { certificate, pdfBlob } = existing
+                ? await Certificates.reissue(existing, formData, { logoDataUrl })
+                : await Certificates.issue(formData, { logoDataUrl });
+            currentCertificateData = certificate;
             
-            // Generar el PDF
-            currentPdfDataUrl = await PDFGenerator.generateCertificatePDF(
-                currentCertificateData,
-                logoDataUrl
-            );
+            // El siguiente certificado recibirá un ID nuevo
+            setLoadedCertificate(null);
             
-            // Mostrar el PDF generado
-            pdfIframe.src = currentPdfDataUrl;
-            previewContainer.classList.add('d-none');
-            pdfContainer.classList.remove('d-none');
+            // Un evento nuevo queda guardado y seleccionado para los siguientes participantes
+            await loadEventPicker();
+            eventSelect.value = certificate.eventId;
+            await applySelectedEvent();
             
-            // Guardar en la base de datos
-            await Storage.saveCertificate(currentCertificateData, currentPdfDataUrl);
+            // Mostrar el PDF generado
+            showPdf(pdfBlob);
             
             loadingModal.hide();
-            showToast('¡Certificado generado con éxito!');
+            showToast(t('toast.generated'));
+            updateStorageUsage(true);
         } catch (error) {
             loadingModal.hide();
             console.error('Error al generar el PDF:', error);
-            showToast('Error al generar el certificado. Inténtelo de nuevo.', 'danger');
+            showToast(t('toast.generateError'), 'danger');
         }
     };
     
     /**
-     * Carga el historial de certificados
-     * @param {string} searchTerm - Término de búsqueda (opcional)
+     * Avisa antes de generar si las fuentes de la plantilla no pueden dibujar algún carácter del certificado
+     * @param {Object} data - Datos del certificado
+     * @returns {Promise<boolean>} - False si el usuario decide no generarlo
+     */
+    const confirmFonts = async (data) => {
+        const resolved = Object.values(await Certificates.checkFonts(data));
+        
+        // Se usa otra fuente subida que sí tiene los caracteres
+        [...new Set(resolved.filter(font => font.family !== font.requested).map(font => font.name))].forEach(name => {
+            showToast(t('toast.fontFallback', { font: name }), 'warning');
+        });
+        
+        // Ninguna fuente tiene los caracteres: saldrían mal dibujados o vacíos
+        const missing = [...new Set(resolved.flatMap(font => font.missing))];
+        return missing.length === 0 || confirm(t('confirm.missingGlyphs', { chars: missing.join(' ') }));
+    };
+    
+    /**
+     * Avisa antes de generar si parte del texto no cabe en la página
+     * @returns {Promise<boolean>} - False si el usuario decide no generarlo
      */
-    const loadCertificatesHistory = async (searchTerm = '') => {
+    const confirmLayout = async () => {
+        const { warnings } = await Certificates.preview(await getPreviewData(), { logoDataUrl });
+        return warnings.length === 0 || confirm(t('confirm.layoutOverflow', {
+            problems: warnings.map(part => `- ${t(`preview.overflow.${part}`)}`).join('\n')
+        }));
+    };
+    
+    /**
+     * Carga la página del historial de certificados que corresponde a los filtros, el orden y la paginación
+     */
+    const loadCertificatesHistory = async () => {
+        updateStorageUsage();
         try {
-            // Obtener certificados, filtrando por término de búsqueda si existe
-            const certificates = await Storage.searchCertificates(searchTerm);
+            // Las versiones sustituidas se guardan aparte; la consulta las lee de su almacén
+            const { records: certificates, total } = await Storage.queryCertificates(HistoryFilters.getQuery());
+            if (HistoryFilters.clampPage(total)) {
+                Router.replace({ name: 'history', query: HistoryFilters.getRouteQuery() });
+                loadCertificatesHistory();
+                return;
+            }
             
             // Limpiar tabla
             historyTableBody.innerHTML = '';
+            HistoryFilters.renderPagination(total, certificates.length);
             
             if (certificates.length === 0) {
+                document.getElementById('no-records-text').textContent = t(HistoryFilters.hasFilters() ? 'history.noMatches' : 'history.empty');
                 noRecords.classList.remove('d-none');
+                HistoryBulk.attachRows(0, false);
                 return;
             }
             
             noRecords.classList.add('d-none');
             
-            // Ordenar por fecha de creación descendente (más reciente primero)
-            certificates.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-            
             // Llenar tabla con datos
             certificates.forEach(cert => {
                 const row = document.createElement('tr');
                 row.dataset.id = cert.id;
+                // Las versiones sustituidas se identifican por su clave y solo se pueden descargar
+                if (cert.key) {
+                    row.dataset.key = cert.key;
+                }
+                const isActive = Certificates.getStatus(cert) === Storage.CERTIFICATE_STATUS.ACTIVE;
                 
-                const dateFormatted = new Date(cert.eventDate).toLocaleDateString('es-ES');
+                // Los datos vienen de lo que se escribió en el formulario o de archivos importados: se escapan todos
+                const escape = Utils.escapeHtml;
+                const dateFormatted = I18n.formatDate(cert.eventDate);
+                const issuedFormatted = I18n.formatDate(cert.createdAt);
                 
                 row.innerHTML = `
-                    <td>${cert.id}</td>
-                    <td>${cert.participantName}</td>
-                    <td>${cert.eventName}</td>
-                    <td>${dateFormatted}</td>
+                    <td class="history-select-cell">
+                        ${cert.key ? '' : `<input type="checkbox" class="form-check-input history-select" value="${escape(cert.id)}">`}
+                    </td>
+                    <td>${escape(cert.id)}</td>
+                    <td>${escape(cert.participantName)}</td>
+                    <td>${escape(cert.eventName)}</td>
+                    <td>${escape(dateFormatted)}</td>
+                    <td>${escape(issuedFormatted)}</td>
+                    <td>${CertificateLog.getStatusBadgeHtml(cert)}</td>
                     <td>
-                        <i class="fas fa-eye action-btn view" title="Ver"></i>
-                        <i class="fas fa-download action-btn download" title="Descargar"></i>
-                        <i class="fas fa-trash action-btn delete" title="Eliminar"></i>
+                        ${cert.key ? '' : `<i class="fas fa-eye action-btn view" title="${escape(t('history.view'))}"></i>`}
+                        <i class="fas fa-download action-btn download" title="${escape(t('history.download'))}"></i>
+                        <i class="fas fa-shield-alt action-btn verify" title="${escape(t('history.verify'))}"></i>
+                        <i class="fas fa-history action-btn log" title="${escape(t('history.log'))}"></i>
+                        ${isActive ? `<i class="fas fa-ban action-btn revoke" title="${escape(t('history.revoke'))}"></i>` : ''}
+                        ${cert.key ? '' : `<i class="fas fa-trash action-btn delete" title="${escape(t('history.delete'))}"></i>`}
                     </td>
                 `;
                 
@@ -238,9 +576,12 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Añadir eventos a los botones de acción
             addActionButtonsEvents();
+            
+            // Las acciones en bloque solo se aplican a certificados vigentes, no a versiones sustituidas
+            HistoryBulk.attachRows(total, !certificates[0].key);
         } catch (error) {
             console.error('Error al cargar el historial:', error);
-            showToast('Error al cargar el historial de certificados.', 'danger');
+            showToast(t('toast.historyError'), 'danger');
         }
     };
     
@@ -253,16 +594,44 @@ document.addEventListener('DOMContentLoaded', () => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const certId = e.target.closest('tr').dataset.id;
-                viewCertificate(certId);
+                Router.navigate({ name: 'certificate', params: [certId] });
             });
         });
         
-        // Descargar certificado
+        // Descargar certificado (o la versión sustituida de la fila)
         document.querySelectorAll('.action-btn.download').forEach(btn => {
             btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const { id, key } = e.target.closest('tr').dataset;
+                downloadCertificate(id, key);
+            });
+        });
+        
+        // Ver las versiones y el registro de auditoría
+        document.querySelectorAll('.action-btn.log').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                CertificateLog.openLog(e.target.closest('tr').dataset.id);
+            });
+        });
+        
+        // Revocar certificado
+        document.querySelectorAll('.action-btn.revoke').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const certificate = await Storage.getCertificateById(e.target.closest('tr').dataset.id);
+                if (certificate) {
+                    CertificateLog.openRevoke(certificate);
+                }
+            });
+        });
+        
+        // Verificar certificado
+        document.querySelectorAll('.action-btn.verify').forEach(btn => {
+            btn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const certId = e.target.closest('tr').dataset.id;
-                downloadCertificate(certId);
+                Router.navigate({ name: 'verify', params: [certId] });
             });
         });
         
@@ -271,85 +640,109 @@ document.addEventListener('DOMContentLoaded', () => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const certId = e.target.closest('tr').dataset.id;
-                if (confirm('¿Está seguro de que desea eliminar este certificado?')) {
+                if (confirm(t('confirm.delete'))) {
                     deleteCertificate(certId);
                 }
             });
         });
         
-        // Hacer que toda la fila sea clickeable para ver el certificado
+        // Hacer que toda la fila sea clickeable para ver el certificado (o el historial de una versión sustituida)
         document.querySelectorAll('#history-table-body tr').forEach(row => {
-            row.addEventListener('click', () => {
-                viewCertificate(row.dataset.id);
+            row.addEventListener('click', (e) => {
+                // La celda de la casilla solo selecciona la fila
+                if (e.target.closest('.history-select-cell')) {
+                    return;
+                }
+                if (row.dataset.key) {
+                    CertificateLog.openLog(row.dataset.id);
+                } else {
+                    Router.navigate({ name: 'certificate', params: [row.dataset.id] });
+                }
             });
         });
     };
     
     /**
-     * Ve un certificado específico
+     * Carga un certificado específico en el generador (la ruta #/certificate/ID ya muestra su vista)
      * @param {string} certId - ID del certificado
      */
     const viewCertificate = async (certId) => {
         try {
-            // Cambiar a la vista del generador
-            navGenerator.click();
-            
             // Obtener certificado de la base de datos
             const certificate = await Storage.getCertificateById(certId);
             if (!certificate) {
-                showToast('Certificado no encontrado.', 'warning');
+                showToast(t('toast.notFound'), 'warning');
                 return;
             }
             
-            // Cargar datos en el formulario
+            // Seleccionar el evento del certificado (los certificados antiguos pueden no tenerlo)
+            eventSelect.value = Array.from(eventSelect.options).some(option => option.value === certificate.eventId)
+                ? certificate.eventId
+                : '';
+            await applySelectedEvent();
+            
+            // Cargar datos en el formulario (el rol puede no estar ya en el catálogo)
+            const roleSelect = document.getElementById('participant-role');
+            if (!Array.from(roleSelect.options).some(option => option.value === certificate.participantRole)) {
+                roleSelect.add(new Option(certificate.participantRole, certificate.participantRole));
+            }
+            roleSelect.value = certificate.participantRole;
             document.getElementById('event-name').value = certificate.eventName;
             document.getElementById('event-date').value = certificate.eventDate;
             document.getElementById('event-location').value = certificate.eventLocation;
             document.getElementById('participant-name').value = certificate.participantName;
-            document.getElementById('participant-role').value = certificate.participantRole;
+            await Participants.showContact(certificate.participantId);
             document.getElementById('event-duration').value = certificate.eventDuration;
+            templateSelect.value = certificate.templateId || Templates.DEFAULT_TEMPLATE.id;
+            languageSelect.value = certificate.language || I18n.DEFAULT_LANGUAGE;
+            secondaryLanguageSelect.value = certificate.secondaryLanguage || '';
+            // Los firmantes cuyo perfil ya no existe no se pueden volver a elegir
+            const signatoryIds = (certificate.signatories || []).map(signatory => signatory.signatoryId);
+            signatorySelects.forEach((select, index) => {
+                const id = signatoryIds[index];
+                select.value = signatoryProfiles.some(signatory => signatory.id === id) ? id : '';
+            });
             
-            // Mostrar el PDF
-            pdfIframe.src = certificate.pdfDataUrl;
-            previewContainer.classList.add('d-none');
-            pdfContainer.classList.remove('d-none');
+            // Mostrar el PDF (se regenera si el certificado se importó sin él)
+            showPdf(await Certificates.getPdf(certificate));
             
             // Actualizar variables globales
             currentCertificateData = certificate;
-            currentPdfDataUrl = certificate.pdfDataUrl;
             
-            // Actualizar el ID en la vista previa
-            document.getElementById('preview-certificate-id').textContent = `ID: ${certificate.id}`;
+            // Actualizar el ID en la vista previa (al generar se emitirá una nueva versión)
+            setLoadedCertificate(certificate.id);
             
-            showToast('Certificado cargado.');
+            showToast(t('toast.loaded'));
         } catch (error) {
             console.error('Error al ver el certificado:', error);
-            showToast('Error al cargar el certificado.', 'danger');
+            showToast(t('toast.loadError'), 'danger');
         }
     };
     
     /**
      * Descarga un certificado específico
      * @param {string} certId - ID del certificado
+     * @param {string} [versionKey] - Clave de una versión sustituida (se descarga la vigente si se omite)
      */
-    const downloadCertificate = async (certId) => {
+    const downloadCertificate = async (certId, versionKey) => {
         try {
-            const certificate = await Storage.getCertificateById(certId);
+            const certificate = versionKey
+                ? await Storage.getRecord(Storage.STORES.VERSIONS, versionKey)
+                : await Storage.getCertificateById(certId);
             if (!certificate) {
-                showToast('Certificado no encontrado.', 'warning');
+                showToast(t('toast.notFound'), 'warning');
                 return;
             }
             
-            // Crear enlace de descarga
-            const link = document.createElement('a');
-            link.href = certificate.pdfDataUrl;
-            link.download = `Certificado_${certificate.id}.pdf`;
-            link.click();
+            const fileName = versionKey
+                ? `Certificado_${certificate.id}_v${certificate.version}.pdf`
+                : `Certificado_${certificate.id}.pdf`;
+            Utils.downloadFile(await Certificates.getPdf(certificate), fileName);
             
-            showToast('Descarga iniciada.');
+            showToast(t('toast.downloadStarted'));
         } catch (error) {
             console.error('Error al descargar el certificado:', error);
-            showToast('Error al descargar el certificado.', 'danger');
+            showToast(t('toast.downloadError'), 'danger');
         }
     };
     
@@ -360,11 +753,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const deleteCertificate = async (certId) => {
         try {
             await Storage.deleteCertificate(certId);
-            showToast('Certificado eliminado.');
-            loadCertificatesHistory(searchInput.value);
+            showToast(t('toast.deleted'));
+            loadCertificatesHistory();
         } catch (error) {
             console.error('Error al eliminar el certificado:', error);
-            showToast('Error al eliminar el certificado.', 'danger');
+            showToast(t('toast.deleteError'), 'danger');
         }
     };
     
@@ -377,36 +770,44 @@ document.addEventListener('DOMContentLoaded', () => {
         pdfContainer.classList.add('d-none');
     });
     
-    // Evento para generar PDF
+    // Evento para generar PDF (el formulario no se envía: la validación la hace el esquema)
     generateBtn.addEventListener('click', generatePDF);
+    certificateForm.addEventListener('submit', (e) => e.preventDefault());
+    
+    // Dejar de editar el certificado cargado para emitir uno nuevo con los mismos datos
+    newCertificateBtn.addEventListener('click', () => {
+        setLoadedCertificate(null);
+        updatePreview();
+        previewContainer.classList.remove('d-none');
+        pdfContainer.classList.add('d-none');
+    });
     
     // Evento para descargar el PDF actual
     downloadBtn.addEventListener('click', () => {
-        if (currentPdfDataUrl) {
-            const link = document.createElement('a');
-            link.href = currentPdfDataUrl;
-            const certId = currentCertificateData.id;
-            link.download = `Certificado_${certId}.pdf`;
-            link.click();
+        if (currentPdfBlob) {
+            Utils.downloadFile(currentPdfBlob, `Certificado_${currentCertificateData.id}.pdf`);
         }
     });
     
-    // Eventos de navegación
-    navGenerator.addEventListener('click', (e) => {
-        e.preventDefault();
-        historySection.classList.add('d-none');
-        generatorSection.classList.remove('d-none');
-        navHistory.classList.remove('active');
-        navGenerator.classList.add('active');
-    });
+    /**
+     * Muestra una sección y marca su enlace de navegación como activo
+     * @param {HTMLElement} activeNav - Enlace de navegación de la sección
+     * @param {HTMLElement} activeSection - Sección a mostrar
+     */
+    const showSection = (activeNav, activeSection) => {
+        [generatorSection, historySection, eventsSection, participantsSection, templatesSection, verifySection].forEach(section => {
+            section.classList.toggle('d-none', section !== activeSection);
+        });
+        [navGenerator, navHistory, navEvents, navParticipants, navTemplates, navVerify].forEach(nav => {
+            nav.classList.toggle('active', nav === activeNav);
+        });
+    };
     
+    // El enlace del historial vuelve con la búsqueda y la página que tenía (el resto de filtros se
+    // conservan en sus controles)
     navHistory.addEventListener('click', (e) => {
         e.preventDefault();
-        generatorSection.classList.add('d-none');
-        historySection.classList.remove('d-none');
-        navGenerator.classList.remove('active');
-        navHistory.classList.add('active');
-        loadCertificatesHistory();
+        Router.navigate({ name: 'history', query: HistoryFilters.getRouteQuery() });
     });
     
     // Evento para cargar logo
@@ -414,25 +815,179 @@ document.addEventListener('DOMContentLoaded', () => {
         if (e.target.files && e.target.files[0]) {
             try {
                 const file = e.target.files[0];
-                logoDataUrl = await PDFGenerator.fileToDataURL(file);
+                logoDataUrl = await PDFGenerator.prepareImage(file);
                 updatePreview();
             } catch (error) {
                 console.error('Error al cargar el logo:', error);
-                showToast('Error al cargar el logo. Verifique el formato de imagen.', 'danger');
+                showToast(t('toast.logoError'), 'danger');
             }
         }
     });
     
-    // Evento para buscar certificados
-    searchBtn.addEventListener('click', () => {
-        loadCertificatesHistory(searchInput.value);
+    // Filtros, orden y paginación del historial (se conservan al salir del historial y volver)
+    HistoryFilters.init({
+        onChange: () => Router.navigate({ name: 'history', query: HistoryFilters.getRouteQuery() })
+    });
+    
+    // Acciones en bloque sobre los certificados seleccionados (regenerar usa la plantilla y el logo del formulario)
+    HistoryBulk.init({
+        onChange: loadCertificatesHistory,
+        getDefaults: () => collectFormData(),
+        getLogoDataUrl: () => logoDataUrl
+    });
+    
+    // Evento del certificado
+    eventSelect.addEventListener('change', async () => {
+        await applySelectedEvent();
+        updatePreview();
+    });
+    
+    // Gestión de eventos (los cambios se reflejan en el selector; "Emitir certificados" lo preselecciona)
+    Events.init({
+        onChange: loadEventPicker,
+        onUse: async (event) => {
+            Router.navigate({ name: 'generator' });
+            await loadEventPicker();
+            eventSelect.value = event.id;
+            await applySelectedEvent();
+            updatePreview();
+        },
+        getLogoDataUrl: () => logoDataUrl
+    });
+    const eventPickerLoaded = loadEventPicker();
+    
+    // Participantes y sus expedientes (el logo del formulario va en la cabecera del expediente)
+    Transcripts.init({
+        getLogoDataUrl: () => logoDataUrl
+    });
+    
+    // Directorio de participantes: autocompletado del nombre y fusión de duplicados
+    Participants.init({
+        onChange: Transcripts.show
+    });
+    
+    // La vista previa se vuelve a dibujar mientras se escribe o se cambia cualquier campo del formulario
+    certificateForm.addEventListener('input', updatePreview);
+    
+    // Los errores de un campo se muestran al terminar de editarlo y desaparecen en cuanto se corrige
+    certificateForm.addEventListener('change', (e) => {
+        if (FORM_FIELDS[e.target.id]) {
+            validateFormField(e.target.id);
+        }
+    });
+    certificateForm.addEventListener('input', (e) => {
+        if (FORM_FIELDS[e.target.id] && e.target.classList.contains('is-invalid')) {
+            validateFormField(e.target.id);
+        }
+    });
+    
+    // El selector de fecha y las flechas de la duración se ajustan a los límites del esquema
+    const eventDateInput = document.getElementById('event-date');
+    eventDateInput.min = `${CertificateSchema.MIN_YEAR}-01-01`;
+    eventDateInput.max = CertificateSchema.getToday();
+    const eventDurationInput = document.getElementById('event-duration');
+    eventDurationInput.min = CertificateSchema.MIN_HOURS;
+    eventDurationInput.max = CertificateSchema.MAX_HOURS;
+    
+    // Importación masiva desde una lista de participantes
+    BulkImport.init({
+        getDefaults: () => collectFormData(),
+        getLogoDataUrl: () => logoDataUrl
+    });
+    
+    // Catálogo de roles (los cambios se reflejan en el selector y en la vista previa)
+    Roles.init(async () => {
+        await loadRolePicker();
+        updatePreview();
+    });
+    const rolePickerLoaded = loadRolePicker();
+    
+    // Perfiles de firmante (los cambios se reflejan en los selectores y en la vista previa)
+    Signatories.init(async () => {
+        await loadSignatoryPicker();
+        updatePreview();
+    });
+    const signatoryPickerLoaded = loadSignatoryPicker();
+    
+    // Editor de plantillas (los cambios se reflejan en el selector del formulario)
+    TemplateEditor.init(loadTemplatePicker);
+    const templatePickerLoaded = loadTemplatePicker();
+    
+    // Fuentes subidas (los cambios se reflejan en los selectores de fuentes del editor)
+    Fonts.init(() => TemplateEditor.loadFontOptions());
+    
+    // Verificación de certificados
+    Verification.init();
+    
+    // Revocación, versiones y registro de auditoría (tras revocar se recarga el historial)
+    CertificateLog.init({
+        onChange: () => loadCertificatesHistory()
+    });
+    
+    // Configuración (la plantilla de la URL cambia el código QR de la vista previa)
+    Settings.init(updatePreview);
+    Signing.init();
+    
+    // Copia de seguridad (tras importar se recargan los selectores y el historial)
+    Backup.init(async () => {
+        await Promise.all([loadEventPicker(), loadRolePicker(), loadSignatoryPicker(), loadTemplatePicker(), HistoryFilters.loadOptions()]);
+        if (!historySection.classList.contains('d-none')) {
+            loadCertificatesHistory();
+        }
+        updatePreview();
     });
     
-    searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            loadCertificatesHistory(searchInput.value);
+    // Idioma de la interfaz (se recarga el historial para traducir sus fechas y botones)
+    I18n.init(() => {
+        if (!historySection.classList.contains('d-none')) {
+            loadCertificatesHistory();
         }
     });
+    loadLanguagePickers();
+    
+    // Instalación, uso sin conexión y aviso de versiones nuevas
+    AppShell.init();
+    
+    // Rutas de cada vista; un certificado enlazado se carga cuando los selectores del formulario tienen
+    // sus opciones
+    Promise.all([eventPickerLoaded, rolePickerLoaded, signatoryPickerLoaded, templatePickerLoaded]).then(() => {
+        Router.init({
+            routes: {
+                generator: () => showSection(navGenerator, generatorSection),
+                certificate: ({ params: [certId] }) => {
+                    showSection(navGenerator, generatorSection);
+                    if (certId) {
+                        viewCertificate(certId);
+                    }
+                },
+                history: ({ query }) => {
+                    HistoryFilters.setRouteQuery(query);
+                    showSection(navHistory, historySection);
+                    HistoryFilters.loadOptions();
+                    loadCertificatesHistory();
+                },
+                events: () => {
+                    showSection(navEvents, eventsSection);
+                    Events.show();
+                },
+                participants: () => {
+                    showSection(navParticipants, participantsSection);
+                    Transcripts.show();
+                },
+                templates: () => {
+                    showSection(navTemplates, templatesSection);
+                    TemplateEditor.loadTemplates(templateSelect.value);
+                },
+                verify: ({ params: [certId] }) => {
+                    showSection(navVerify, verifySection);
+                    if (certId) {
+                        Verification.verifyAndShow(certId);
+                    }
+                }
+            },
+            defaultRoute: 'generator'
+        });
+    });
     
     // Inicializar la aplicación
     updatePreview();
@@ -0,0 +1,429 @@
+/**
+ * Módulo con el directorio de participantes (nombre, correo y documento de identidad): autocompletado
+ * del formulario, aviso de certificados repetidos en un evento y fusión de participantes duplicados
+ */
+
+const Participants = (() => {
+    // Distancia máxima entre dos nombres para proponerlos como la misma persona escrita de otra forma
+    const MAX_NAME_DISTANCE = 2;
+    // Los nombres más cortos solo se comparan enteros (con distancia 2, "Ana" y "Eva" serían la misma)
+    const MIN_FUZZY_NAME_LENGTH = 8;
+
+    // Participantes que ofrece el autocompletado y si el correo y el documento los puso él
+    let directory = [];
+    let contactFilled = false;
+    let callbacks = {
+        onChange: () => {}
+    };
+
+    /**
+     * Normaliza un correo electrónico para compararlo
+     * @param {string} email - Correo escrito
+     * @returns {string} - Correo sin espacios y en minúsculas
+     */
+    const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+    /**
+     * Normaliza un documento de identidad para compararlo
+     * @param {string} nationalId - Documento escrito
+     * @returns {string} - Documento en mayúsculas sin espacios, puntos ni guiones
+     */
+    const normalizeNationalId = (nationalId) => String(nationalId || '').toUpperCase().replace(/[\s.-]/g, '');
+
+    /**
+     * Normaliza un nombre para compararlo
+     * @param {string} name - Nombre escrito
+     * @returns {string} - Nombre sin mayúsculas, acentos ni espacios repetidos
+     */
+    const normalizeName = (name) => Utils.normalizeText(name).replace(/\s+/g, ' ');
+
+    /**
+     * Obtiene todos los participantes ordenados por nombre
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los participantes
+     */
+    const getAll = async () => {
+        const participants = await Storage.getAllRecords(Storage.STORES.PARTICIPANTS);
+        return participants.sort((a, b) => a.normalizedName.localeCompare(b.normalizedName));
+    };
+
+    /**
+     * Obtiene un participante por su ID
+     * @param {string} id - ID del participante
+     * @returns {Promise<Object|undefined>} - Promesa que se resuelve con el participante
+     */
+    const get = (id) => Storage.getRecord(Storage.STORES.PARTICIPANTS, id);
+
+    /**
+     * Valida un participante antes de guardarlo
+     * @param {Object} participant - Participante a validar
+     * @returns {Array<string>} - Lista de errores (vacía si es válido)
+     */
+    const validate = (participant) => CertificateSchema.describe(CertificateSchema.validate({
+        participantName: participant.name,
+        participantEmail: normalizeEmail(participant.email),
+        participantNationalId: participant.nationalId
+    }, ['participantName', 'participantEmail', 'participantNationalId']));
+
+    /**
+     * Guarda un participante
+     * @param {Object} participant - Participante a guardar (sin id si es nuevo)
+     * @returns {Promise<Object>} - Promesa que se resuelve con el participante guardado
+     */
+    const save = async (participant) => {
+        const errors = validate(participant);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        const name = participant.name.trim();
+        return Storage.putRecord(Storage.STORES.PARTICIPANTS, {
+            id: participant.id || Utils.createId('participant'),
+            name,
+            email: normalizeEmail(participant.email),
+            nationalId: normalizeNationalId(participant.nationalId),
+            normalizedName: normalizeName(name),
+            createdAt: participant.createdAt || new Date().toISOString()
+        });
+    };
+
+    /**
+     * Busca el participante de los datos de un certificado sin crearlo: por su ID, por el documento, por el
+     * correo y, por último, por el nombre si el correo y el documento no lo contradicen
+     * @param {Object} data - Datos del certificado (participantId, participantName, participantEmail, participantNationalId)
+     * @returns {Promise<Object|null>} - Promesa que se resuelve con el participante o null si no existe
+     */
+    const find = async (data) => {
+        if (data.participantId) {
+            const participant = await get(data.participantId);
+            if (participant) {
+                return participant;
+            }
+        }
+
+        const nationalId = normalizeNationalId(data.participantNationalId);
+        const email = normalizeEmail(data.participantEmail);
+        if (nationalId) {
+            const [match] = await Storage.getRecordsByIndex(Storage.STORES.PARTICIPANTS, 'nationalId', nationalId);
+            if (match) {
+                return match;
+            }
+        }
+        if (email) {
+            const [match] = await Storage.getRecordsByIndex(Storage.STORES.PARTICIPANTS, 'email', email);
+            if (match) {
+                return match;
+            }
+        }
+
+        const namesakes = await Storage.getRecordsByIndex(Storage.STORES.PARTICIPANTS, 'normalizedName', normalizeName(data.participantName));
+        return namesakes.find(participant => (!nationalId || !participant.nationalId) && (!email || !participant.email)) || null;
+    };
+
+    /**
+     * Obtiene el participante de los datos de un certificado, creándolo si todavía no existe; el correo y el
+     * documento escritos se añaden a su ficha
+     * @param {Object} data - Datos del certificado
+     * @returns {Promise<Object>} - Promesa que se resuelve con el participante
+     */
+    const resolve = async (data) => {
+        const email = normalizeEmail(data.participantEmail);
+        const nationalId = normalizeNationalId(data.participantNationalId);
+        const existing = await find(data);
+        if (!existing) {
+            return save({ name: data.participantName, email, nationalId });
+        }
+
+        if ((email && email !== existing.email) || (nationalId && nationalId !== existing.nationalId)) {
+            return save({ ...existing, email: email || existing.email, nationalId: nationalId || existing.nationalId });
+        }
+        return existing;
+    };
+
+    /**
+     * Obtiene los certificados vigentes que el participante de unos datos ya tiene en el mismo evento
+     * @param {Object} data - Datos del certificado que se va a emitir
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los certificados (vacío si no hay ninguno)
+     */
+    const findEventCertificates = async (data) => {
+        const participant = await find(data);
+        const event = participant ? await Events.find(data) : null;
+        if (!event) {
+            return [];
+        }
+
+        const certificates = await Storage.getRecordsByIndex(Storage.STORES.CERTIFICATES, 'participantId', participant.id);
+        return certificates.filter(certificate => certificate.eventId === event.id
+            && certificate.id !== data.id
+            && Certificates.getStatus(certificate) !== Storage.CERTIFICATE_STATUS.REVOKED);
+    };
+
+    /**
+     * Calcula cuántas letras hay que cambiar, añadir o quitar para pasar de un texto a otro
+     * @param {string} a - Primer texto
+     * @param {string} b - Segundo texto
+     * @returns {number} - Distancia de edición
+     */
+    const getDistance = (a, b) => {
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    };
+
+    /**
+     * Indica si dos participantes son probablemente la misma persona
+     * @param {Object} a - Primer participante
+     * @param {Object} b - Segundo participante
+     * @returns {boolean} - True si comparten documento o correo, o si sus nombres casi coinciden
+     */
+    const isLikelyDuplicate = (a, b) => {
+        if (a.nationalId && a.nationalId === b.nationalId) {
+            return true;
+        }
+        if (a.email && a.email === b.email) {
+            return true;
+        }
+        // Dos documentos distintos son dos personas aunque se llamen igual
+        if (a.nationalId && b.nationalId) {
+            return false;
+        }
+
+        // Los nombres se comparan sin espacios ni signos ("Mª José" y "Ma. Jose")
+        const nameA = a.normalizedName.replace(/[^a-z0-9]/g, '');
+        const nameB = b.normalizedName.replace(/[^a-z0-9]/g, '');
+        if (nameA === nameB) {
+            return true;
+        }
+        return Math.min(nameA.length, nameB.length) >= MIN_FUZZY_NAME_LENGTH
+            && Math.abs(nameA.length - nameB.length) <= MAX_NAME_DISTANCE
+            && getDistance(nameA, nameB) <= MAX_NAME_DISTANCE;
+    };
+
+    /**
+     * Agrupa los participantes que probablemente son la misma persona
+     * @param {Array<Object>} participants - Participantes del directorio
+     * @returns {Array<Array<Object>>} - Grupos de dos o más participantes
+     */
+    const findDuplicateGroups = (participants) => {
+        // Cada participante apunta a otro de su grupo hasta llegar al que lo representa
+        const parents = participants.map((participant, index) => index);
+        const getRoot = (index) => (parents[index] === index ? index : (parents[index] = getRoot(parents[index])));
+
+        participants.forEach((a, i) => {
+            for (let j = i + 1; j < participants.length; j++) {
+                if (isLikelyDuplicate(a, participants[j])) {
+                    parents[getRoot(j)] = getRoot(i);
+                }
+            }
+        });
+
+        const groups = new Map();
+        participants.forEach((participant, index) => {
+            const root = getRoot(index);
+            groups.set(root, [...(groups.get(root) || []), participant]);
+        });
+        return [...groups.values()].filter(group => group.length > 1);
+    };
+
+    /**
+     * Fusiona participantes en uno: sus certificados y expedientes pasan a él y los demás se eliminan
+     * @param {string} keepId - ID del participante que se conserva
+     * @param {Array<string>} mergedIds - IDs de los participantes que se fusionan con él
+     * @returns {Promise<Object>} - Promesa que se resuelve con el participante conservado
+     */
+    const merge = async (keepId, mergedIds) => {
+        const participant = await get(keepId);
+        if (!participant) {
+            throw new Error(I18n.t('participants.keptMissing'));
+        }
+
+        // El que se conserva completa su correo y su documento con los de los fusionados
+        const merged = (await Promise.all(mergedIds.map(get))).filter(Boolean);
+        merged.forEach(other => {
+            participant.email = participant.email || other.email;
+            participant.nationalId = participant.nationalId || other.nationalId;
+        });
+        return Storage.mergeParticipants(participant, merged.map(other => other.id));
+    };
+
+    /**
+     * Describe un participante por su correo y su documento
+     * @param {Object} participant - Participante
+     * @returns {string} - Correo y documento separados por un punto (vacío si no tiene ninguno)
+     */
+    const describeContact = (participant) => [participant.email, participant.nationalId].filter(Boolean).join(' · ');
+
+    /**
+     * Vuelve a cargar las opciones de autocompletado del nombre del participante
+     */
+    const loadOptions = async () => {
+        try {
+            directory = await getAll();
+        } catch (error) {
+            console.error('Error al cargar el directorio de participantes:', error);
+            return;
+        }
+
+        const list = document.getElementById('participant-options');
+        list.innerHTML = '';
+        directory.forEach(participant => {
+            const option = document.createElement('option');
+            option.value = participant.name;
+            option.textContent = describeContact(participant);
+            list.appendChild(option);
+        });
+    };
+
+    /**
+     * Rellena el correo y el documento del formulario cuando el nombre escrito es el de un único participante;
+     * si después se cambia el nombre, se vacían los que se rellenaron así
+     */
+    const fillContact = () => {
+        const emailInput = document.getElementById('participant-email');
+        const nationalIdInput = document.getElementById('participant-national-id');
+        const name = normalizeName(document.getElementById('participant-name').value);
+        const matches = directory.filter(participant => participant.normalizedName === name);
+
+        if (matches.length === 1) {
+            emailInput.value = matches[0].email;
+            nationalIdInput.value = matches[0].nationalId;
+            contactFilled = true;
+        } else if (contactFilled) {
+            emailInput.value = '';
+            nationalIdInput.value = '';
+            contactFilled = false;
+        }
+    };
+
+    /**
+     * Muestra en el formulario el correo y el documento de un participante del directorio
+     * @param {string|null} id - ID del participante (null para vaciarlos)
+     */
+    const showContact = async (id) => {
+        const participant = id ? await get(id) : null;
+        document.getElementById('participant-email').value = participant ? participant.email : '';
+        document.getElementById('participant-national-id').value = participant ? participant.nationalId : '';
+        contactFilled = Boolean(participant);
+    };
+
+    /**
+     * Crea la tarjeta de un grupo de posibles duplicados con la elección del participante que se conserva
+     * @param {Array<Object>} group - Participantes del grupo con su número de certificados
+     * @param {number} index - Posición del grupo (para el nombre de los botones de opción)
+     * @returns {HTMLElement} - Tarjeta del grupo
+     */
+    const createGroupCard = (group, index) => {
+        const card = document.createElement('div');
+        card.className = 'border rounded p-3 mb-3';
+
+        group.forEach((participant, position) => {
+            const row = document.createElement('div');
+            row.className = 'd-flex align-items-center gap-2 mb-2';
+            row.innerHTML = `
+                <input type="checkbox" class="form-check-input merge-include" title="Incluir en la fusión" data-i18n-title="participants.mergeInclude" checked>
+                <input type="radio" class="form-check-input merge-keep" name="merge-keep-${index}" title="Conservar este" data-i18n-title="participants.mergeKeep">
+                <div class="me-auto">
+                    <div class="merge-name"></div>
+                    <small class="text-muted merge-contact"></small>
+                </div>
+                <span class="badge bg-secondary merge-count"></span>
+            `;
+            I18n.applyToDocument(row);
+            row.dataset.id = participant.id;
+            row.querySelector('.merge-keep').checked = position === 0;
+            row.querySelector('.merge-name').textContent = participant.name;
+            row.querySelector('.merge-contact').textContent = describeContact(participant);
+            row.querySelector('.merge-count').textContent = I18n.t('participants.certificateCount', { count: participant.certificateCount });
+            card.appendChild(row);
+        });
+
+        const footer = document.createElement('div');
+        footer.className = 'd-flex justify-content-end';
+        footer.innerHTML = '<button type="button" class="btn btn-primary btn-sm"></button>';
+        footer.querySelector('button').textContent = I18n.t('participants.merge');
+        footer.querySelector('button').addEventListener('click', async () => {
+            const rows = [...card.querySelectorAll('[data-id]')];
+            const keep = rows.find(row => row.querySelector('.merge-keep').checked);
+            const mergedIds = rows
+                .filter(row => row !== keep && row.querySelector('.merge-include').checked)
+                .map(row => row.dataset.id);
+            if (mergedIds.length === 0) {
+                UI.showToast(I18n.t('participants.mergeSelectOther'), 'warning');
+                return;
+            }
+
+            try {
+                const participant = await merge(keep.dataset.id, mergedIds);
+                UI.showToast(I18n.t('participants.merged', { name: participant.name }));
+                renderDuplicates();
+                loadOptions();
+                callbacks.onChange();
+            } catch (error) {
+                console.error('Error al fusionar los participantes:', error);
+                UI.showToast(error.message || I18n.t('participants.mergeError'), 'danger');
+            }
+        });
+        card.appendChild(footer);
+
+        return card;
+    };
+
+    /**
+     * Dibuja los grupos de posibles duplicados del modal de fusión
+     */
+    const renderDuplicates = async () => {
+        const list = document.getElementById('participant-duplicates-list');
+        list.innerHTML = '';
+
+        const counts = new Map();
+        (await Storage.getAllCertificates()).forEach(certificate => {
+            counts.set(certificate.participantId, (counts.get(certificate.participantId) || 0) + 1);
+        });
+        const participants = (await getAll()).map(participant => ({ ...participant, certificateCount: counts.get(participant.id) || 0 }));
+        const groups = findDuplicateGroups(participants);
+
+        document.getElementById('no-participant-duplicates').classList.toggle('d-none', groups.length > 0);
+        groups.forEach((group, index) => {
+            // Se propone conservar el que tiene más certificados
+            const sorted = [...group].sort((a, b) => b.certificateCount - a.certificateCount);
+            list.appendChild(createGroupCard(sorted, index));
+        });
+    };
+
+    /**
+     * Inicializa el autocompletado del formulario y el modal de fusión de duplicados
+     * @param {Object} options - Funciones de enlace con el resto de la aplicación
+     * @param {Function} [options.onChange] - Se llama cuando se fusionan participantes
+     */
+    const init = (options) => {
+        callbacks = { ...callbacks, ...options };
+
+        const nameInput = document.getElementById('participant-name');
+        // El directorio cambia al emitir, importar o fusionar: se vuelve a leer al entrar en el campo
+        nameInput.addEventListener('focus', loadOptions);
+        nameInput.addEventListener('input', fillContact);
+        loadOptions();
+
+        document.getElementById('participant-merge-modal').addEventListener('show.bs.modal', renderDuplicates);
+    };
+
+    // API pública
+    return {
+        getAll,
+        get,
+        validate,
+        save,
+        find,
+        resolve,
+        findEventCertificates,
+        findDuplicateGroups,
+        merge,
+        showContact,
+        init
+    };
+})();
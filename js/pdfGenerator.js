@@ -3,8 +3,22 @@
  */
 
 const PDFGenerator = (() => {
-    // Accedemos a la biblioteca jsPDF desde el objeto window
-    const { jsPDF } = window.jspdf;
+    // La biblioteca jsPDF es global tanto en el navegador (window.jspdf) como en la herramienta de
+    // línea de comandos, que carga estos módulos en un contexto de Node
+    const { jsPDF } = globalThis.jspdf;
+    
+    // Lado mayor, en píxeles, a partir del cual las imágenes subidas se reducen antes de guardarlas
+    const MAX_IMAGE_SIZE = 1600;
+    
+    // Margen, en mm, que deben dejar a cada lado los textos de una sola línea (título y nombre) y bajo el pie
+    const PAGE_MARGIN = 20;
+    
+    // Firmas de los formatos de imagen admitidos (primeros bytes del archivo)
+    const IMAGE_FORMATS = [
+        { format: 'PNG', mimeType: 'image/png', matches: bytes => bytes.startsWith('\x89PNG') },
+        { format: 'JPEG', mimeType: 'image/jpeg', matches: bytes => bytes.startsWith('\xFF\xD8\xFF') },
+        { format: 'WEBP', mimeType: 'image/webp', matches: bytes => bytes.startsWith('RIFF') && bytes.substring(8, 12) === 'WEBP' }
+    ];
     
     /**
      * Convierte una imagen a una URL de datos
@@ -35,78 +49,458 @@ const PDFGenerator = (() => {
     };
     
     /**
-     * Formatea una fecha como DD/MM/YYYY
-     * @param {string} dateString - Fecha en formato YYYY-MM-DD
-     * @returns {string} - Fecha formateada
+     * Detecta el formato de una imagen por sus primeros bytes (el tipo declarado en la URL de datos no es fiable)
+     * @param {string} dataUrl - URL de datos de la imagen en base64
+     * @returns {Object|null} - { format, mimeType } o null si no es PNG, JPEG ni WebP
+     */
+    const detectImageFormat = (dataUrl) => {
+        const start = dataUrl.indexOf(',') + 1;
+        let bytes = '';
+        try {
+            bytes = atob(dataUrl.substring(start, start + 16));
+        } catch (error) {
+            return null;
+        }
+        return IMAGE_FORMATS.find(item => item.matches(bytes)) || null;
+    };
+    
+    /**
+     * Lee el ancho y el alto de una imagen de su cabecera, sin decodificarla: el diseño del certificado
+     * no depende de Image y se puede generar igual fuera del navegador
+     * @param {string} dataUrl - URL de datos de la imagen (PNG, JPEG o WebP)
+     * @returns {Object} - { width, height } en píxeles
+     */
+    const getImageSize = (dataUrl) => {
+        const detected = detectImageFormat(dataUrl);
+        const bytes = Utils.dataUrlToBytes(dataUrl);
+        const view = new DataView(bytes.buffer);
+        let size = null;
+        
+        try {
+            if (detected && detected.format === 'PNG') {
+                // Cabecera IHDR: ancho y alto justo después de la firma y el nombre del bloque
+                size = { width: view.getUint32(16), height: view.getUint32(20) };
+            } else if (detected && detected.format === 'JPEG') {
+                // Se recorren los segmentos hasta el marcador SOF, que lleva las dimensiones
+                let offset = 2;
+                while (!size && offset + 9 < bytes.length) {
+                    const marker = view.getUint16(offset);
+                    const isStartOfFrame = marker >= 0xFFC0 && marker <= 0xFFCF && ![0xFFC4, 0xFFC8, 0xFFCC].includes(marker);
+                    if (isStartOfFrame) {
+                        size = { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+                    }
+                    offset += 2 + view.getUint16(offset + 2);
+                }
+            } else if (detected && detected.format === 'WEBP') {
+                // Tres variantes: con pérdida (VP8), sin pérdida (VP8L) y extendida (VP8X)
+                const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+                if (chunk === 'VP8 ') {
+                    size = { width: view.getUint16(26, true) & 0x3FFF, height: view.getUint16(28, true) & 0x3FFF };
+                } else if (chunk === 'VP8L') {
+                    const bits = view.getUint32(21, true);
+                    size = { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+                } else if (chunk === 'VP8X') {
+                    const readUint24 = (offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+                    size = { width: readUint24(24) + 1, height: readUint24(27) + 1 };
+                }
+            }
+        } catch (error) {
+            // Una imagen truncada hace que DataView lea fuera de sus límites
+            size = null;
+        }
+        
+        if (!size || !size.width || !size.height) {
+            throw new Error(I18n.t('image.unreadableSize'));
+        }
+        return size;
+    };
+    
+    /**
+     * Lee una imagen subida y la reduce si es muy grande, para que el PDF y la base de datos no crezcan de más
+     * @param {File} file - Archivo de imagen (PNG, JPEG o WebP)
+     * @param {number} [maxSize] - Lado mayor máximo en píxeles
+     * @returns {Promise<string>} - Promesa que se resuelve con la URL de datos de la imagen
+     */
+    const prepareImage = async (file, maxSize = MAX_IMAGE_SIZE) => {
+        const dataUrl = await fileToDataURL(file);
+        const detected = detectImageFormat(dataUrl);
+        if (!detected) {
+            throw new Error(I18n.t('image.unsupported'));
+        }
+        
+        const image = await loadImage(dataUrl);
+        const scale = maxSize / Math.max(image.width, image.height);
+        if (scale >= 1) {
+            return dataUrl;
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        // Se conserva el formato (los navegadores sin WebP devuelven PNG; detectImageFormat lo reconoce al incrustarla)
+        return canvas.toDataURL(detected.mimeType, 0.85);
+    };
+    
+    /**
+     * Añade una imagen al PDF con el formato detectado
+     * @param {jsPDF} pdf - Documento
+     * @param {string} dataUrl - URL de datos de la imagen
+     * @param {number} x - Posición horizontal
+     * @param {number} y - Posición vertical
+     * @param {number} width - Ancho en mm
+     * @param {number} height - Alto en mm
+     */
+    const addImage = (pdf, dataUrl, x, y, width, height) => {
+        const detected = detectImageFormat(dataUrl);
+        pdf.addImage(dataUrl, detected ? detected.format : 'PNG', x, y, width, height);
+    };
+    
+    /**
+     * Dibuja un logo ajustado a un recuadro, manteniendo sus proporciones (cabecera de los informes)
+     * @param {jsPDF} pdf - Documento
+     * @param {string} logoDataUrl - URL de datos del logo
+     * @param {number} x - Margen izquierdo
+     * @param {number} y - Posición vertical
+     * @returns {number} - Ancho ocupado (0 si no se pudo dibujar)
+     */
+    const drawHeaderLogo = (pdf, logoDataUrl, x, y) => {
+        try {
+            const image = getImageSize(logoDataUrl);
+            const ratio = Math.min(30 / image.width, 20 / image.height);
+            addImage(pdf, logoDataUrl, x, y, image.width * ratio, image.height * ratio);
+            return image.width * ratio + 5;
+        } catch (error) {
+            console.error('Error al procesar el logo de la cabecera:', error);
+            return 0;
+        }
+    };
+    
+    /**
+     * Dibuja los firmantes uno al lado de otro: la imagen de la firma sobre la línea y, debajo, el nombre y el cargo
+     * @param {jsPDF} pdf - Documento
+     * @param {Array<Object>} signatories - Firmantes con { name, title, imageDataUrl }
+     * @param {number} y - Posición vertical de la línea de firma
+     * @param {Object} style - Colores y fuentes de la plantilla
+     * @returns {number} - Alto ocupado bajo la línea
      */
-    const formatDate = (dateString) => {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('es-ES', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric'
+    const drawSignatories = (pdf, signatories, y, { colors, fonts }) => {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const slotWidth = (pageWidth - 40) / signatories.length;
+        const lineWidth = Math.min(60, slotWidth - 10);
+        let height = 5;
+        
+        for (const [index, signatory] of signatories.entries()) {
+            const x = 20 + slotWidth * (index + 0.5);
+            
+            if (signatory.imageDataUrl) {
+                try {
+                    const image = getImageSize(signatory.imageDataUrl);
+                    const ratio = Math.min(Math.min(40, lineWidth) / image.width, 15 / image.height);
+                    const width = image.width * ratio;
+                    const imageHeight = image.height * ratio;
+                    addImage(pdf, signatory.imageDataUrl, x - width / 2, y - imageHeight - 1, width, imageHeight);
+                } catch (error) {
+                    console.error('Error al procesar la imagen de la firma:', error);
+                }
+            }
+            
+            pdf.line(x - lineWidth / 2, y, x + lineWidth / 2, y);
+            
+            pdf.setFont(fonts.family, 'bold');
+            pdf.setFontSize(fonts.bodySize * 0.9);
+            pdf.setTextColor(...Templates.hexToRgb(colors.text));
+            pdf.text(pdf.splitTextToSize(signatory.name, lineWidth)[0], x, y + 5, { align: 'center' });
+            
+            if (signatory.title) {
+                pdf.setFont(fonts.family, 'normal');
+                pdf.setFontSize(fonts.bodySize * 0.75);
+                pdf.setTextColor(...Templates.hexToRgb(colors.muted));
+                pdf.text(pdf.splitTextToSize(signatory.title, lineWidth)[0], x, y + 9, { align: 'center' });
+                height = 9;
+            }
+        }
+        
+        pdf.setFont(fonts.family, 'normal');
+        pdf.setFontSize(fonts.bodySize);
+        pdf.setTextColor(...Templates.hexToRgb(colors.text));
+        return height;
+    };
+    
+    /**
+     * Dibuja la imagen de fondo a toda la página o repetida como trama
+     * @param {jsPDF} pdf - Documento
+     * @param {Object} background - Fondo de la plantilla
+     */
+    const drawBackground = (pdf, { imageDataUrl, mode, tileSize }) => {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        
+        if (mode !== 'tile') {
+            addImage(pdf, imageDataUrl, 0, 0, pageWidth, pageHeight);
+            return;
+        }
+        
+        // jsPDF incrusta la imagen una sola vez aunque se dibuje en cada pieza
+        const image = getImageSize(imageDataUrl);
+        const tileHeight = tileSize * image.height / image.width;
+        for (let y = 0; y < pageHeight; y += tileHeight) {
+            for (let x = 0; x < pageWidth; x += tileSize) {
+                addImage(pdf, imageDataUrl, x, y, tileSize, tileHeight);
+            }
+        }
+    };
+    
+    /**
+     * Dibuja la marca de agua semitransparente en el centro de la página (el texto, en diagonal)
+     * @param {jsPDF} pdf - Documento
+     * @param {Object} watermark - Marca de agua de la plantilla
+     * @param {Object} style - Colores y fuentes de la plantilla
+     */
+    const drawWatermark = (pdf, { type, text, imageDataUrl, opacity }, { colors, fonts }) => {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        
+        pdf.saveGraphicsState();
+        pdf.setGState(new pdf.GState({ opacity }));
+        
+        if (type === 'text') {
+            // El texto ocupa unos dos tercios de la diagonal de la página
+            const angle = Math.atan2(pageHeight, pageWidth);
+            pdf.setFont(fonts.family, 'bold');
+            pdf.setFontSize(100);
+            const fontSize = Math.min(150, 100 * Math.hypot(pageWidth, pageHeight) * 0.65 / pdf.getTextWidth(text));
+            pdf.setFontSize(fontSize);
+            pdf.setTextColor(...Templates.hexToRgb(colors.muted));
+            const textWidth = pdf.getTextWidth(text);
+            pdf.text(
+                text,
+                pageWidth / 2 - Math.cos(angle) * textWidth / 2,
+                pageHeight / 2 + Math.sin(angle) * textWidth / 2,
+                { angle: angle * 180 / Math.PI, baseline: 'middle' }
+            );
+        } else {
+            const image = getImageSize(imageDataUrl);
+            const ratio = Math.min(pageWidth * 0.6 / image.width, pageHeight * 0.6 / image.height);
+            const width = image.width * ratio;
+            const height = image.height * ratio;
+            addImage(pdf, imageDataUrl, (pageWidth - width) / 2, (pageHeight - height) / 2, width, height);
+        }
+        
+        pdf.restoreGraphicsState();
+    };
+    
+    /**
+     * Dibuja la franja de logos de patrocinadores, centrada arriba o abajo de la página
+     * @param {jsPDF} pdf - Documento
+     * @param {Object} sponsors - Franja de logos de la plantilla
+     */
+    const drawSponsors = (pdf, { logos, position, height }) => {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const gap = 8;
+        
+        const images = [];
+        for (const dataUrl of logos) {
+            try {
+                const image = getImageSize(dataUrl);
+                images.push({ dataUrl, width: height * image.width / image.height });
+            } catch (error) {
+                console.error('Error al procesar el logo del patrocinador:', error);
+            }
+        }
+        if (images.length === 0) {
+            return;
+        }
+        
+        // La franja deja libres las esquinas inferiores, donde va el código QR
+        const totalWidth = images.reduce((sum, image) => sum + image.width, 0) + gap * (images.length - 1);
+        const scale = Math.min(1, (pageWidth - 100) / totalWidth);
+        const y = position === 'top' ? 18 : pageHeight - 18 - height * scale;
+        let x = (pageWidth - totalWidth * scale) / 2;
+        images.forEach(image => {
+            addImage(pdf, image.dataUrl, x, y, image.width * scale, height * scale);
+            x += (image.width + gap) * scale;
         });
     };
     
     /**
-     * Genera un texto específico según el rol del participante
+     * Reúne los textos que se dibujan en un certificado, agrupados por la fuente con la que se escriben
      * @param {Object} data - Datos del certificado
-     * @returns {string} - Texto personalizado según el rol
+     * @param {Object} template - Plantilla de diseño
+     * @param {Object} [options] - Textos ya preparados
+     * @param {Object} [options.roleTexts] - Texto del rol para cada idioma del certificado
+     * @param {Array<Object>} [options.signatories] - Firmantes
+     * @returns {Object} - { title, name, body } con el texto de cada parte
      */
-    const getRoleSpecificText = (data) => {
-        switch (data.participantRole) {
-            case 'Ponente':
-                return `ha participado como PONENTE en el evento "${data.eventName}", presentando su conocimiento y experiencia durante ${data.eventDuration} horas.`;
-            case 'Organizador':
-                return `ha participado como ORGANIZADOR en el evento "${data.eventName}", gestionando y coordinando actividades durante ${data.eventDuration} horas.`;
-            case 'Asistente':
-            default:
-                return `ha participado como ASISTENTE en el evento "${data.eventName}", completando satisfactoriamente ${data.eventDuration} horas de formación.`;
-        }
+    const getCertificateTexts = (data, template, { roleTexts = {}, signatories = [] } = {}) => {
+        const language = data.language || I18n.DEFAULT_LANGUAGE;
+        const languages = [language, data.secondaryLanguage].filter(Boolean);
+        return {
+            title: languages.map(lang => Templates.getTitle(template, lang)).join(' '),
+            name: data.participantName || '',
+            body: [
+                ...languages.flatMap(lang => [
+                    I18n.t('cert.intro', {}, lang),
+                    roleTexts[lang] || '',
+                    I18n.t('cert.heldOn', { date: I18n.formatDate(data.eventDate, lang), location: data.eventLocation }, lang),
+                    signatories.length > 0 ? '' : I18n.t('cert.signatureLabel', {}, lang)
+                ]),
+                I18n.t('cert.issueDate', {}, language),
+                // La URL real lleva el ID y la huella, que usan los mismos caracteres que sus marcadores
+                I18n.t('cert.validation', { url: Settings.get('verificationUrlTemplate') }, language),
+                ...signatories.flatMap(signatory => [signatory.name, signatory.title || '']),
+                template.watermark && template.watermark.type === 'text' ? template.watermark.text : ''
+            ].join(' ')
+        };
     };
     
     /**
      * Genera el PDF del certificado
      * @param {Object} data - Datos del certificado
-     * @param {string|null} logoDataUrl - URL de datos del logo (opcional)
+     * @param {Object} [options] - Opciones de generación
+     * @param {string|null} [options.logoDataUrl] - URL de datos del logo
+     * @param {Object} [options.template] - Plantilla de diseño (por defecto, la incorporada)
+     * @param {Object} [options.roleTexts] - Texto del rol ya sustituido para cada idioma del certificado
+     * @param {Array<Object>} [options.signatories] - Firmantes con su imagen; sin ellos se dibuja la firma genérica
+     * @param {Array<Object>|null} [options.fonts] - Fuentes subidas con su archivo en base64 (data); por defecto,
+     * las de la base de datos
+     * @param {Array<string>|null} [options.warnings] - Si se indica, se añaden a la lista las partes que no caben en
+     * la página: 'title', 'participantName', 'eventName' o 'content' (el texto se sale por debajo)
+     * @param {string|null} [options.verificationHash] - Huella corta del código QR (por defecto, la de los datos)
      * @returns {Promise<string>} - Promesa que se resuelve con la URL de datos del PDF
      */
-    const generateCertificatePDF = async (data, logoDataUrl) => {
+    const generateCertificatePDF = async (data, options = {}) => {
+        const language = data.language || I18n.DEFAULT_LANGUAGE;
+        const secondaryLanguage = data.secondaryLanguage && data.secondaryLanguage !== language
+            ? data.secondaryLanguage
+            : null;
+        const {
+            logoDataUrl = null,
+            template = Templates.DEFAULT_TEMPLATE,
+            roleTexts = {},
+            signatories = [],
+            fonts: uploadedFonts = null,
+            warnings = null,
+            verificationHash = null
+        } = options;
+        
         try {
-            // Crear un nuevo documento PDF en formato A4 horizontal
+            const { colors, positions, background, watermark, sponsors } = template;
+            
+            /**
+             * Obtiene el texto del rol en un idioma
+             * @param {string} lang - Código del idioma
+             * @returns {string} - Texto del rol
+             */
+            const getRoleText = (lang) => roleTexts[lang]
+                || Roles.renderText(I18n.t('role.fallback', {}, lang), data, lang);
+            
+            // Crear un nuevo documento PDF en formato A4 con la orientación de la plantilla
             const pdf = new jsPDF({
-                orientation: 'landscape',
+                orientation: template.orientation,
                 unit: 'mm',
                 format: 'a4'
             });
             
+            // Fecha e identificador fijos para que volver a generar un certificado guardado dé el mismo archivo
+            const issuedAt = data.createdAt ? new Date(data.createdAt) : new Date();
+            pdf.setCreationDate(issuedAt);
+            pdf.setFileId((await Utils.sha256Hex(new TextEncoder().encode(String(data.id)))).substring(0, 32).toUpperCase());
+            
+            // Fuentes del título, del nombre y del texto: si la elegida no tiene algún carácter se usa
+            // la fuente subida que pueda dibujarlos (los estilos negrita y cursiva usan el mismo archivo)
+            const resolvedFonts = await Fonts.resolveAll(template.fonts, getCertificateTexts(data, template, {
+                roleTexts: Object.fromEntries([language, secondaryLanguage].filter(Boolean).map(lang => [lang, getRoleText(lang)])),
+                signatories
+            }), uploadedFonts);
+            await Fonts.register(pdf, Object.values(resolvedFonts).map(resolved => resolved.family), uploadedFonts || []);
+            const fonts = {
+                ...template.fonts,
+                family: resolvedFonts.body.family,
+                titleFamily: resolvedFonts.title.family,
+                nameFamily: resolvedFonts.name.family
+            };
+            
             // Dimensiones del documento
             const pageWidth = pdf.internal.pageSize.getWidth();
             const pageHeight = pdf.internal.pageSize.getHeight();
             
+            /**
+             * Anota una parte del certificado que no cabe en la página (una sola vez)
+             * @param {string} part - Parte del certificado
+             */
+            const warn = (part) => {
+                if (warnings && !warnings.includes(part)) {
+                    warnings.push(part);
+                }
+            };
+            
+            /**
+             * Comprueba si un texto de una sola línea cabe entre los márgenes con la fuente actual
+             * @param {string} text - Texto
+             * @returns {boolean} - True si cabe
+             */
+            const fitsLine = (text) => pdf.getTextWidth(text) <= pageWidth - PAGE_MARGIN * 2;
+            
+            // Fondo de la plantilla, debajo de todo lo demás
+            if (background.imageDataUrl) {
+                try {
+                    drawBackground(pdf, background);
+                } catch (backgroundError) {
+                    console.error('Error al procesar la imagen de fondo:', backgroundError);
+                }
+            }
+            
             // Añadir un borde decorativo
-            pdf.setDrawColor(0, 110, 253); // Color azul primario de Bootstrap
-            pdf.setLineWidth(1);
-            pdf.rect(10, 10, pageWidth - 20, pageHeight - 20);
+            if (template.borderStyle !== 'none') {
+                pdf.setDrawColor(...Templates.hexToRgb(colors.border));
+                pdf.setLineWidth(1);
+                pdf.rect(10, 10, pageWidth - 20, pageHeight - 20);
+            }
             
             // Añadir un borde interno más fino
-            pdf.setDrawColor(220, 220, 220);
-            pdf.setLineWidth(0.5);
-            pdf.rect(15, 15, pageWidth - 30, pageHeight - 30);
+            if (template.borderStyle === 'double') {
+                pdf.setDrawColor(...Templates.hexToRgb(colors.innerBorder));
+                pdf.setLineWidth(0.5);
+                pdf.rect(15, 15, pageWidth - 30, pageHeight - 30);
+            }
+            
+            // Marca de agua y logos de patrocinadores
+            if ((watermark.type === 'text' && watermark.text.trim()) || (watermark.type === 'image' && watermark.imageDataUrl)) {
+                try {
+                    drawWatermark(pdf, watermark, { colors, fonts });
+                } catch (watermarkError) {
+                    console.error('Error al procesar la marca de agua:', watermarkError);
+                }
+            }
+            drawSponsors(pdf, sponsors);
             
             // Configurar fuente y tamaño
-            pdf.setFont('helvetica', 'bold');
-            pdf.setFontSize(24);
-            pdf.setTextColor(0, 110, 253);
+            pdf.setFont(fonts.titleFamily, 'bold');
+            pdf.setFontSize(fonts.titleSize);
+            pdf.setTextColor(...Templates.hexToRgb(colors.title));
             
             // Título del certificado
-            pdf.text('CERTIFICADO DE PARTICIPACIÓN', pageWidth / 2, 30, { align: 'center' });
+            pdf.text(Templates.getTitle(template, language), pageWidth / 2, positions.titleY, { align: 'center' });
+            if (!fitsLine(Templates.getTitle(template, language))) {
+                warn('title');
+            }
+            
+            // Título en el segundo idioma, más pequeño y justo debajo
+            if (secondaryLanguage) {
+                pdf.setFontSize(fonts.titleSize * 0.5);
+                pdf.text(Templates.getTitle(template, secondaryLanguage), pageWidth / 2, positions.titleY + 6, { align: 'center' });
+                if (!fitsLine(Templates.getTitle(template, secondaryLanguage))) {
+                    warn('title');
+                }
+            }
             
             // Procesar y añadir el logo si está disponible
             let logoHeight = 0;
             if (logoDataUrl) {
                 try {
-                    const logoImg = await loadImage(logoDataUrl);
+                    const logoImg = getImageSize(logoDataUrl);
                     // Calcular dimensiones proporcionales para el logo
                     const maxLogoWidth = 50;
                     const maxLogoHeight = 50;
@@ -126,11 +520,11 @@ const PDFGenerator = (() => {
                     }
                     
                     // Añadir el logo centrado
-                    pdf.addImage(
+                    addImage(
+                        pdf,
                         logoDataUrl,
-                        'PNG',
                         pageWidth / 2 - logoWidth / 2,
-                        40,
+                        positions.logoY,
                         logoWidth,
                         logoHeight
                     );
@@ -143,49 +537,125 @@ const PDFGenerator = (() => {
             }
             
             // Contenido principal
-            pdf.setFont('helvetica', 'normal');
-            pdf.setFontSize(12);
-            pdf.setTextColor(0, 0, 0);
-            pdf.text('Se certifica que:', pageWidth / 2, 50 + logoHeight, { align: 'center' });
+            let yPos = positions.contentY + logoHeight;
+            
+            /**
+             * Escribe un texto centrado y, en certificados bilingües, su traducción debajo en cursiva
+             * @param {Function} getText - Devuelve el texto para un idioma
+             * @param {number} y - Posición vertical del texto principal
+             * @returns {number} - Altura adicional ocupada por las líneas extra y la traducción
+             */
+            const drawTranslated = (getText, y) => {
+                const width = pageWidth - 80; // Margen de 40mm a cada lado
+                const lines = pdf.splitTextToSize(getText(language), width);
+                pdf.text(lines, pageWidth / 2, y, { align: 'center' });
+                const primaryHeight = (lines.length - 1) * 5 * fonts.bodySize / 12;
+                if (!secondaryLanguage) {
+                    return primaryHeight;
+                }
+                
+                pdf.setFont(fonts.family, 'italic');
+                pdf.setFontSize(fonts.bodySize * 0.8);
+                pdf.setTextColor(...Templates.hexToRgb(colors.muted));
+                const secondaryLines = pdf.splitTextToSize(getText(secondaryLanguage), width);
+                pdf.text(secondaryLines, pageWidth / 2, y + primaryHeight + 5, { align: 'center' });
+                pdf.setFont(fonts.family, 'normal');
+                pdf.setFontSize(fonts.bodySize);
+                pdf.setTextColor(...Templates.hexToRgb(colors.text));
+                return primaryHeight + secondaryLines.length * 4 * fonts.bodySize / 12;
+            };
+            
+            pdf.setFont(fonts.family, 'normal');
+            pdf.setFontSize(fonts.bodySize);
+            pdf.setTextColor(...Templates.hexToRgb(colors.text));
+            yPos += drawTranslated(lang => I18n.t('cert.intro', {}, lang), yPos);
             
             // Nombre del participante
-            pdf.setFont('helvetica', 'bold');
-            pdf.setFontSize(18);
-            pdf.text(data.participantName, pageWidth / 2, 60 + logoHeight, { align: 'center' });
+            pdf.setFont(fonts.nameFamily, 'bold');
+            pdf.setFontSize(fonts.nameSize);
+            pdf.text(data.participantName, pageWidth / 2, yPos + 10, { align: 'center' });
+            if (!fitsLine(data.participantName)) {
+                warn('participantName');
+            }
             
             // Descripción según rol
-            pdf.setFont('helvetica', 'normal');
-            pdf.setFontSize(12);
-            const roleText = getRoleSpecificText(data);
-            
+            pdf.setFont(fonts.family, 'normal');
+            pdf.setFontSize(fonts.bodySize);
+
             // Dividir el texto en líneas para que quepa en el ancho del PDF
             const textWidth = pageWidth - 80; // Margen de 40mm a cada lado
-            const splitText = pdf.splitTextToSize(roleText, textWidth);
-            pdf.text(splitText, pageWidth / 2, 70 + logoHeight, { align: 'center' });
+            const splitText = pdf.splitTextToSize(getRoleText(language), textWidth);
+            pdf.text(splitText, pageWidth / 2, yPos + 20, { align: 'center' });
+            
+            // Un nombre de evento más ancho que el texto se parte en varias líneas
+            if (pdf.getTextWidth(data.eventName || '') > textWidth) {
+                warn('eventName');
+            }
             
-            // Calcular la altura del texto dividido
-            const textHeight = splitText.length * 5;
+            // Calcular la altura del texto dividido (5mm por línea con cuerpo de 12pt)
+            const textHeight = splitText.length * 5 * fonts.bodySize / 12;
+            
+            // Texto del rol en el segundo idioma
+            if (secondaryLanguage) {
+                pdf.setFont(fonts.family, 'italic');
+                pdf.setFontSize(fonts.bodySize * 0.8);
+                pdf.setTextColor(...Templates.hexToRgb(colors.muted));
+                const secondaryText = pdf.splitTextToSize(getRoleText(secondaryLanguage), textWidth);
+                pdf.text(secondaryText, pageWidth / 2, yPos + 20 + textHeight, { align: 'center' });
+                yPos += secondaryText.length * 4 * fonts.bodySize / 12;
+                pdf.setFont(fonts.family, 'normal');
+                pdf.setFontSize(fonts.bodySize);
+                pdf.setTextColor(...Templates.hexToRgb(colors.text));
+            }
             
             // Información adicional
-            let yPos = 75 + logoHeight + textHeight;
-            pdf.text(`Realizado el ${formatDate(data.eventDate)} en ${data.eventLocation}.`, pageWidth / 2, yPos, { align: 'center' });
+            yPos += 25 + textHeight;
+            yPos += drawTranslated(lang => I18n.t('cert.heldOn', {
+                date: I18n.formatDate(data.eventDate, lang),
+                location: data.eventLocation
+            }, lang), yPos);
             
             // Firma
-            yPos += 30;
-            pdf.line(pageWidth / 2 - 30, yPos, pageWidth / 2 + 30, yPos);
-            yPos += 5;
-            pdf.text('Firma del Organizador', pageWidth / 2, yPos, { align: 'center' });
+            yPos += positions.signatureGap;
+            if (signatories.length > 0) {
+                yPos += drawSignatories(pdf, signatories, yPos, { colors, fonts });
+            } else {
+                pdf.line(pageWidth / 2 - 30, yPos, pageWidth / 2 + 30, yPos);
+                yPos += 5;
+                yPos += drawTranslated(lang => I18n.t('cert.signatureLabel', {}, lang), yPos);
+            }
             
             // ID del certificado y fecha de emisión
-            yPos += 20;
+            yPos += positions.footerGap;
             pdf.setFontSize(8);
-            pdf.setTextColor(100, 100, 100);
-            const today = new Date().toLocaleDateString('es-ES');
-            pdf.text(`ID: ${data.id} | Fecha de emisión: ${today}`, pageWidth / 2, yPos, { align: 'center' });
+            pdf.setTextColor(...Templates.hexToRgb(colors.muted));
+            // El pie se imprime solo en el idioma principal; "ID: ... |" lo usa la verificación de archivos
+            const issueDate = I18n.formatDate(issuedAt, language);
+            pdf.text(`ID: ${data.id} | ${I18n.t('cert.issueDate', {}, language)}: ${issueDate}`, pageWidth / 2, yPos, { align: 'center' });
             
-            // Añadir información de validación
+            // Información de validación: la misma URL que lleva el código QR
+            const verificationUrl = await CertificateQR.getVerificationUrl(data, verificationHash);
             yPos += 5;
-            pdf.text('Este certificado puede ser validado en www.nuestroevento.com/validar', pageWidth / 2, yPos, { align: 'center' });
+            pdf.text(I18n.t('cert.validation', { url: verificationUrl }, language), pageWidth / 2, yPos, { align: 'center' });
+            
+            pdf.setProperties({ title: I18n.t('cert.documentTitle', { id: data.id }, language) });
+            
+            // Firma digital del emisor: visible en el pie y legible por la verificación en los metadatos
+            if (data.signature) {
+                yPos += 4;
+                pdf.setFontSize(6);
+                pdf.text(`${I18n.t('cert.digitalSignature', {}, language)}: ${data.signature}`, pageWidth / 2, yPos, { align: 'center' });
+                pdf.setProperties({ keywords: Signing.buildPdfSignatureBlock(data) });
+            }
+            
+            // El pie tiene que quedar dentro de los bordes de la página
+            if (yPos > pageHeight - PAGE_MARGIN) {
+                warn('content');
+            }
+            
+            // Código QR con la URL de verificación en la esquina inferior derecha
+            const qrSize = 25;
+            CertificateQR.drawOnPdf(pdf, verificationUrl, pageWidth - 20 - qrSize, pageHeight - 20 - qrSize, qrSize);
             
             // Generar el PDF como data URL
             const pdfDataUrl = pdf.output('dataurlstring');
@@ -199,6 +669,11 @@ const PDFGenerator = (() => {
     // API pública
     return {
         generateCertificatePDF,
-        fileToDataURL
+        getCertificateTexts,
+        fileToDataURL,
+        prepareImage,
+        detectImageFormat,
+        getImageSize,
+        drawHeaderLogo
     };
 })();
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Módulo que dibuja la primera página de un PDF en un lienzo con PDF.js, para ver el certificado tal como
+ * se imprimirá
+ */
+
+const PdfPreview = (() => {
+    // Proceso de PDF.js en la misma versión que carga index.html
+    const WORKER_URL = 'js/vendor/pdf.worker.min.js';
+
+    // Ancho, en píxeles de pantalla, con el que se dibuja si el lienzo está oculto y no tiene medida
+    const DEFAULT_WIDTH = 600;
+
+    /**
+     * Dibuja la primera página de un PDF ajustada al ancho del contenedor del lienzo
+     * @param {HTMLCanvasElement} canvas - Lienzo de destino
+     * @param {string} pdfDataUrl - URL de datos del PDF
+     * @param {Function} [isCurrent] - Indica si la página se sigue queriendo al terminar de dibujarla (si se ha
+     * pedido otra más reciente, no se copia al lienzo)
+     * @returns {Promise} - Promesa que se resuelve cuando la página está dibujada
+     */
+    const renderPage = async (canvas, pdfDataUrl, isCurrent = () => true) => {
+        pdfjsLib.GlobalWorkerOptions.workerSrc = WORKER_URL;
+        const pdf = await pdfjsLib.getDocument({ data: Utils.dataUrlToBytes(pdfDataUrl) }).promise;
+        try {
+            const page = await pdf.getPage(1);
+            const width = (canvas.parentElement.clientWidth || DEFAULT_WIDTH) * (window.devicePixelRatio || 1);
+            const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+
+            // Se dibuja aparte y se copia al final: el lienzo visible no queda en blanco mientras tanto y
+            // una página más reciente puede dibujarse a la vez sin que PDF.js las mezcle
+            const buffer = document.createElement('canvas');
+            buffer.width = Math.floor(viewport.width);
+            buffer.height = Math.floor(viewport.height);
+            await page.render({ canvasContext: buffer.getContext('2d'), viewport }).promise;
+            if (!isCurrent()) {
+                return;
+            }
+
+            canvas.width = buffer.width;
+            canvas.height = buffer.height;
+            canvas.getContext('2d').drawImage(buffer, 0, 0);
+        } finally {
+            pdf.destroy();
+        }
+    };
+
+    // API pública
+    return {
+        renderPage
+    };
+})();
@@ -0,0 +1,340 @@
+/**
+ * Módulo para gestionar el catálogo de roles y el texto de cada uno con marcadores
+ */
+
+const Roles = (() => {
+    // Marcadores que se pueden usar en el texto de un rol
+    const PLACEHOLDERS = [
+        'participantName',
+        'participantRole',
+        'eventName',
+        'eventDate',
+        'eventLocation',
+        'eventDuration'
+    ];
+
+    // Roles con los que se crea el catálogo (los tres que existían antes de poder configurarlos); la base de
+    // datos los guarda al crearse y la herramienta de línea de comandos los usa si no recibe otro catálogo
+    const DEFAULT_ROLES = [
+        {
+            id: 'asistente',
+            name: 'Asistente',
+            text: 'ha participado como ASISTENTE en el evento "{eventName}", completando satisfactoriamente {eventDuration} horas de formación.',
+            translations: {
+                en: 'has participated as an ATTENDEE in the event "{eventName}", successfully completing {eventDuration} hours of training.',
+                pt: 'participou como PARTICIPANTE no evento "{eventName}", concluindo com êxito {eventDuration} horas de formação.'
+            }
+        },
+        {
+            id: 'ponente',
+            name: 'Ponente',
+            text: 'ha participado como PONENTE en el evento "{eventName}", presentando su conocimiento y experiencia durante {eventDuration} horas.',
+            translations: {
+                en: 'has participated as a SPEAKER in the event "{eventName}", sharing their knowledge and experience for {eventDuration} hours.',
+                pt: 'participou como PALESTRANTE no evento "{eventName}", apresentando o seu conhecimento e experiência durante {eventDuration} horas.'
+            }
+        },
+        {
+            id: 'organizador',
+            name: 'Organizador',
+            text: 'ha participado como ORGANIZADOR en el evento "{eventName}", gestionando y coordinando actividades durante {eventDuration} horas.',
+            translations: {
+                en: 'has participated as an ORGANIZER of the event "{eventName}", managing and coordinating activities for {eventDuration} hours.',
+                pt: 'participou como ORGANIZADOR do evento "{eventName}", gerenciando e coordenando atividades durante {eventDuration} horas.'
+            }
+        }
+    ];
+
+    /**
+     * Obtiene los marcadores de un texto que no están admitidos
+     * @param {string} text - Texto del rol
+     * @returns {Array<string>} - Marcadores desconocidos (sin llaves)
+     */
+    const findUnknownPlaceholders = (text) => {
+        const found = Array.from(text.matchAll(/\{([^{}]*)\}/g), match => match[1]);
+        return [...new Set(found.filter(name => !PLACEHOLDERS.includes(name)))];
+    };
+
+    // Idiomas a los que se puede traducir el texto de un rol (el español es el texto principal)
+    const TRANSLATION_LANGUAGES = Object.keys(I18n.LANGUAGES).filter(language => language !== I18n.DEFAULT_LANGUAGE);
+
+    /**
+     * Sustituye los marcadores de un texto por los datos del certificado
+     * @param {string} text - Texto con marcadores
+     * @param {Object} data - Datos del certificado
+     * @param {string} [language] - Idioma para el formato de la fecha
+     * @returns {string} - Texto final
+     */
+    const renderText = (text, data, language = I18n.DEFAULT_LANGUAGE) => text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!PLACEHOLDERS.includes(name)) {
+            return match;
+        }
+        if (name === 'eventDate') {
+            return data.eventDate ? I18n.formatDate(data.eventDate, language) : '';
+        }
+        return String(data[name] ?? '');
+    });
+
+    /**
+     * Obtiene el texto de un rol en un idioma
+     * @param {Object|undefined} role - Rol del catálogo
+     * @param {string} language - Código del idioma
+     * @returns {string} - Texto con marcadores (el genérico del idioma si el rol no existe o no está traducido)
+     */
+    const getText = (role, language) => {
+        if (role && language === I18n.DEFAULT_LANGUAGE) {
+            return role.text;
+        }
+        const translation = role && role.translations && role.translations[language];
+        return translation || I18n.t('role.fallback', {}, language);
+    };
+
+    /**
+     * Obtiene todos los roles del catálogo ordenados por nombre
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los roles
+     */
+    const getAll = async () => {
+        const roles = await Storage.getAllRecords(Storage.STORES.ROLES);
+        return roles.sort((a, b) => a.name.localeCompare(b.name));
+    };
+
+    /**
+     * Busca un rol por su nombre
+     * @param {string} name - Nombre del rol
+     * @returns {Promise<Object|undefined>} - Promesa que se resuelve con el rol encontrado
+     */
+    const getByName = async (name) => {
+        const roles = await getAll();
+        return roles.find(role => role.name === name);
+    };
+
+    /**
+     * Obtiene el texto del certificado según el rol del participante
+     * @param {Object} data - Datos del certificado
+     * @param {string} [language] - Idioma del texto (por defecto, el del certificado)
+     * @returns {Promise<string>} - Texto con los marcadores sustituidos
+     */
+    const describe = async (data, language = data.language || I18n.DEFAULT_LANGUAGE) => {
+        const role = await getByName(data.participantRole);
+        return renderText(getText(role, language), data, language);
+    };
+
+    /**
+     * Obtiene el texto del rol en cada idioma que se imprime en el certificado
+     * @param {Object} data - Datos del certificado
+     * @returns {Promise<Object>} - Textos indexados por código de idioma
+     */
+    const describeAll = async (data) => {
+        const languages = [data.language || I18n.DEFAULT_LANGUAGE];
+        if (data.secondaryLanguage) {
+            languages.push(data.secondaryLanguage);
+        }
+
+        const texts = {};
+        for (const language of languages) {
+            texts[language] = await describe(data, language);
+        }
+        return texts;
+    };
+
+    /**
+     * Da formato al aviso de marcadores desconocidos
+     * @param {Array<string>} names - Nombres de los marcadores
+     * @returns {string} - Aviso en el idioma de la interfaz
+     */
+    const describeUnknownPlaceholders = (names) => I18n.t('roles.unknownPlaceholders', {
+        placeholders: names.map(name => `{${name}}`).join(', ')
+    });
+
+    /**
+     * Valida un rol antes de guardarlo
+     * @param {Object} role - Rol a validar
+     * @param {Array<Object>} roles - Roles existentes
+     * @returns {Array<string>} - Lista de errores (vacía si es válido)
+     */
+    const validate = (role, roles) => {
+        const errors = [];
+        const name = (role.name || '').trim();
+
+        if (!name) {
+            errors.push(I18n.t('roles.nameRequired'));
+        } else if (roles.some(other => other.id !== role.id && other.name.toLowerCase() === name.toLowerCase())) {
+            errors.push(I18n.t('roles.duplicateName', { name }));
+        }
+
+        if (!(role.text || '').trim()) {
+            errors.push(I18n.t('roles.textRequired'));
+        }
+
+        const texts = [role.text, ...Object.values(role.translations || {})];
+        const unknown = [...new Set(texts.flatMap(text => findUnknownPlaceholders(text || '')))];
+        if (unknown.length > 0) {
+            errors.push(describeUnknownPlaceholders(unknown));
+        }
+
+        return errors;
+    };
+
+    /**
+     * Guarda un rol en el catálogo
+     * @param {Object} role - Rol a guardar
+     * @returns {Promise<Object>} - Promesa que se resuelve con el rol guardado
+     */
+    const save = async (role) => {
+        const errors = validate(role, await getAll());
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        // Guardar solo las traducciones que tienen texto
+        const translations = {};
+        Object.entries(role.translations || {}).forEach(([language, text]) => {
+            if (text && text.trim()) {
+                translations[language] = text.trim();
+            }
+        });
+
+        return Storage.putRecord(Storage.STORES.ROLES, {
+            id: role.id || Utils.createId('role'),
+            name: role.name.trim(),
+            text: role.text.trim(),
+            translations
+        });
+    };
+
+    /**
+     * Elimina un rol del catálogo
+     * @param {string} id - ID del rol
+     * @returns {Promise} - Promesa que se resuelve cuando el rol es eliminado
+     */
+    const remove = (id) => Storage.deleteRecord(Storage.STORES.ROLES, id);
+
+    /**
+     * Crea una tarjeta editable para un rol dentro del modal de roles
+     * @param {Object} role - Rol a editar (sin id si es nuevo)
+     * @param {Function} onChange - Se llama después de guardar o eliminar
+     * @returns {HTMLElement} - Tarjeta del rol
+     */
+    const createRoleEditor = (role, onChange) => {
+        const item = document.createElement('div');
+        item.className = 'border rounded p-3 mb-3';
+        item.innerHTML = `
+            <div class="mb-2">
+                <input type="text" class="form-control form-control-sm role-name" placeholder="Nombre del rol" data-i18n-placeholder="roles.name">
+            </div>
+            <div class="mb-2">
+                <textarea class="form-control form-control-sm role-text" rows="2" placeholder="Texto del certificado" data-i18n-placeholder="roles.text"></textarea>
+            </div>
+            ${TRANSLATION_LANGUAGES.map(language => `
+                <div class="mb-2">
+                    <textarea class="form-control form-control-sm role-translation" data-language="${language}" rows="2"
+                        placeholder="${Utils.escapeHtml(I18n.t('roles.translation', { language: I18n.LANGUAGES[language].label }))}"></textarea>
+                </div>
+            `).join('')}
+            <div class="invalid-feedback role-errors mb-2"></div>
+            <div class="d-flex justify-content-end gap-2">
+                <button type="button" class="btn btn-outline-danger btn-sm role-delete" data-i18n="roles.delete">Eliminar</button>
+                <button type="button" class="btn btn-primary btn-sm role-save" data-i18n="roles.save">Guardar</button>
+            </div>
+        `;
+        I18n.applyToDocument(item);
+
+        const nameInput = item.querySelector('.role-name');
+        const textInput = item.querySelector('.role-text');
+        const translationInputs = Array.from(item.querySelectorAll('.role-translation'));
+        const errorsElement = item.querySelector('.role-errors');
+        nameInput.value = role.name || '';
+        textInput.value = role.text || '';
+        translationInputs.forEach(input => {
+            input.value = (role.translations && role.translations[input.dataset.language]) || '';
+        });
+
+        // Avisar de los marcadores desconocidos mientras se escribe
+        [textInput, ...translationInputs].forEach(input => input.addEventListener('input', () => {
+            const unknown = findUnknownPlaceholders(input.value);
+            input.classList.toggle('is-invalid', unknown.length > 0);
+            errorsElement.classList.toggle('d-block', unknown.length > 0);
+            errorsElement.textContent = unknown.length > 0 ? describeUnknownPlaceholders(unknown) : '';
+        }));
+
+        item.querySelector('.role-save').addEventListener('click', async () => {
+            const translations = {};
+            translationInputs.forEach(input => {
+                translations[input.dataset.language] = input.value;
+            });
+
+            try {
+                await save({ id: role.id, name: nameInput.value, text: textInput.value, translations });
+                UI.showToast(I18n.t('roles.saved'));
+                onChange();
+            } catch (error) {
+                errorsElement.classList.add('d-block');
+                errorsElement.textContent = error.message;
+            }
+        });
+
+        item.querySelector('.role-delete').addEventListener('click', async () => {
+            if (!role.id) {
+                item.remove();
+                return;
+            }
+            if (confirm(I18n.t('roles.confirmDelete', { name: role.name }))) {
+                await remove(role.id);
+                UI.showToast(I18n.t('roles.deleted'));
+                onChange();
+            }
+        });
+
+        return item;
+    };
+
+    /**
+     * Dibuja la lista de roles del modal de gestión
+     * @param {Function} onChange - Se llama después de guardar o eliminar un rol
+     */
+    const renderRoleList = async (onChange) => {
+        const list = document.getElementById('roles-list');
+        list.innerHTML = '';
+        const refresh = () => {
+            renderRoleList(onChange);
+            onChange();
+        };
+        (await getAll()).forEach(role => list.appendChild(createRoleEditor(role, refresh)));
+    };
+
+    /**
+     * Inicializa el modal de gestión de roles
+     * @param {Function} onChange - Se llama cuando cambia el catálogo
+     */
+    const init = (onChange) => {
+        document.getElementById('roles-modal').addEventListener('show.bs.modal', () => renderRoleList(onChange));
+        document.getElementById('roles-placeholders').textContent = PLACEHOLDERS.map(name => `{${name}}`).join(' ');
+
+        document.getElementById('role-add-btn').addEventListener('click', () => {
+            const editor = createRoleEditor({}, () => {
+                renderRoleList(onChange);
+                onChange();
+            });
+            document.getElementById('roles-list').prepend(editor);
+            editor.querySelector('.role-name').focus();
+        });
+    };
+
+    // API pública
+    return {
+        DEFAULT_ROLES,
+        PLACEHOLDERS,
+        findUnknownPlaceholders,
+        TRANSLATION_LANGUAGES,
+        renderText,
+        getText,
+        getAll,
+        getByName,
+        describe,
+        describeAll,
+        validate,
+        save,
+        remove,
+        init
+    };
+})();
@@ -0,0 +1,235 @@
+/**
+ * Módulo para leer listas de participantes (CSV o XLSX) y convertirlas en datos de certificados
+ */
+
+const RosterParser = (() => {
+    // Campos que se pueden obtener de una columna de la lista; los opcionales son de cada participante y no
+    // se toman del formulario. Además de los alias, se reconocen los nombres de los campos en cada idioma
+    const FIELDS = [
+        { key: 'participantName', aliases: ['nombre', 'participante', 'name', 'nombre completo', 'full name'] },
+        { key: 'participantEmail', aliases: ['correo', 'email', 'e-mail', 'correo electronico', 'mail'], optional: true },
+        { key: 'participantNationalId', aliases: ['documento', 'dni', 'nie', 'cedula', 'cédula', 'pasaporte', 'national id', 'id number'], optional: true },
+        { key: 'participantRole', aliases: ['rol', 'role', 'cargo', 'tipo'] },
+        { key: 'eventDuration', aliases: ['horas', 'duracion', 'duración', 'duración (horas)', 'hours', 'duration'] },
+        { key: 'eventName', aliases: ['evento', 'event', 'nombre del evento'] },
+        { key: 'eventDate', aliases: ['fecha', 'date'] },
+        { key: 'eventLocation', aliases: ['lugar', 'ubicacion', 'ubicación', 'location', 'sede'] }
+    ];
+
+    /**
+     * Obtiene el nombre de un campo de la lista
+     * @param {string} key - Clave del campo (una de FIELDS)
+     * @param {string} [language] - Idioma (por defecto, el de la interfaz)
+     * @returns {string} - Nombre del campo
+     */
+    const getFieldLabel = (key, language) => I18n.t(`validation.label.${key}`, {}, language);
+
+    /**
+     * Detecta el separador más probable de un CSV a partir de su primera línea
+     * @param {string} text - Contenido del archivo
+     * @returns {string} - Separador detectado
+     */
+    const detectDelimiter = (text) => {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const candidates = [',', ';', '\t'];
+        return candidates.reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        , ',');
+    };
+
+    /**
+     * Convierte el texto de un CSV en una matriz de celdas
+     * @param {string} text - Contenido del archivo CSV
+     * @returns {Array<Array<string>>} - Filas con sus celdas
+     */
+    const parseCSV = (text) => {
+        const content = text.replace(/^\uFEFF/, '');
+        const delimiter = detectDelimiter(content);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Descartar las filas completamente vacías
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    };
+
+    /**
+     * Convierte la primera hoja de un libro XLSX en una matriz de celdas
+     * @param {ArrayBuffer} buffer - Contenido del archivo XLSX
+     * @returns {Array<Array<string>>} - Filas con sus celdas
+     */
+    const parseXLSX = (buffer) => {
+        if (!window.XLSX) {
+            throw new Error(I18n.t('roster.xlsxUnavailable'));
+        }
+
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' });
+
+        return rows
+            .map(cells => cells.map(value => String(value)))
+            .filter(cells => cells.some(value => value.trim() !== ''));
+    };
+
+    /**
+     * Lee un archivo de lista de participantes
+     * @param {File} file - Archivo CSV o XLSX
+     * @returns {Promise<Object>} - Promesa que se resuelve con { headers, rows }
+     */
+    const parseFile = async (file) => {
+        const isExcel = /\.(xlsx|xls)$/i.test(file.name);
+        const table = isExcel ? parseXLSX(await file.arrayBuffer()) : parseCSV(await file.text());
+
+        if (table.length < 2) {
+            throw new Error(I18n.t('roster.empty'));
+        }
+
+        const [headers, ...rows] = table;
+        return {
+            headers: headers.map((header, index) => header.trim() || I18n.t('roster.column', { number: index + 1 })),
+            rows
+        };
+    };
+
+    /**
+     * Propone una asignación de columnas a campos según los nombres de las cabeceras
+     * @param {Array<string>} headers - Cabeceras del archivo
+     * @returns {Object} - Asignación campo -> índice de columna (-1 si no hay columna)
+     */
+    const guessMapping = (headers) => {
+        const normalizedHeaders = headers.map(Utils.normalizeText);
+        const mapping = {};
+
+        FIELDS.forEach(field => {
+            const labels = Object.keys(I18n.LANGUAGES).map(language => getFieldLabel(field.key, language));
+            const candidates = [field.key, ...labels, ...field.aliases].map(Utils.normalizeText);
+            mapping[field.key] = normalizedHeaders.findIndex(header => candidates.includes(header));
+        });
+
+        return mapping;
+    };
+
+    /**
+     * Convierte una fecha en formato DD/MM/YYYY o YYYY-MM-DD a YYYY-MM-DD
+     * @param {string} value - Fecha leída del archivo
+     * @returns {string} - Fecha normalizada o el valor original si no se reconoce
+     */
+    const normalizeDate = (value) => {
+        const trimmed = value.trim();
+        const isoMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (isoMatch) {
+            return `${isoMatch[1]}-${isoMatch[2].padStart(2, '0')}-${isoMatch[3].padStart(2, '0')}`;
+        }
+
+        const localMatch = trimmed.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (localMatch) {
+            return `${localMatch[3]}-${localMatch[2].padStart(2, '0')}-${localMatch[1].padStart(2, '0')}`;
+        }
+
+        return trimmed;
+    };
+
+    /**
+     * Ajusta el rol al nombre exacto del catálogo sin distinguir mayúsculas ni acentos
+     * @param {string} value - Rol leído del archivo
+     * @param {Array<Object>} roles - Catálogo de roles
+     * @returns {string} - Rol del catálogo o el valor original si no se reconoce
+     */
+    const normalizeRole = (value, roles) => {
+        const match = roles.find(role => Utils.normalizeText(role.name) === Utils.normalizeText(value));
+        return match ? match.name : value.trim();
+    };
+
+    /**
+     * Construye los datos de certificado de cada fila según la asignación de columnas
+     * @param {Array<Array<string>>} rows - Filas del archivo
+     * @param {Object} mapping - Asignación campo -> índice de columna
+     * @param {Object} defaults - Valores del formulario para los campos sin columna
+     * @param {Array<Object>} roles - Catálogo de roles
+     * @returns {Array<Object>} - Datos de cada fila
+     */
+    const mapRows = (rows, mapping, defaults, roles) => rows.map(cells => {
+        const record = {};
+
+        FIELDS.forEach(field => {
+            const columnIndex = mapping[field.key];
+            const value = columnIndex >= 0 ? String(cells[columnIndex] || '').trim() : '';
+            record[field.key] = value || (field.optional ? '' : String(defaults[field.key] || '').trim());
+        });
+
+        record.participantRole = normalizeRole(record.participantRole, roles);
+        record.eventDate = normalizeDate(record.eventDate);
+        record.eventDuration = record.eventDuration.replace(',', '.');
+
+        return record;
+    });
+
+    /**
+     * Valida los datos de una fila
+     * @param {Object} record - Datos de la fila
+     * @param {Array<Object>} roles - Catálogo de roles
+     * @returns {Array<string>} - Lista de errores (vacía si la fila es válida)
+     */
+    const validateRecord = (record, roles) => {
+        // Las mismas reglas que el formulario de un certificado
+        const errors = CertificateSchema.describe(CertificateSchema.validate(record, FIELDS.map(field => field.key)));
+
+        const role = roles.find(item => item.name === record.participantRole);
+        if (record.participantRole && !role) {
+            errors.push(I18n.t('roster.unknownRole', { role: record.participantRole }));
+        } else if (role && [role.text, ...Object.values(role.translations || {})]
+            .some(text => Roles.findUnknownPlaceholders(text || '').length > 0)) {
+            errors.push(I18n.t('roster.rolePlaceholders', { role: role.name }));
+        }
+
+        return errors;
+    };
+
+    // API pública
+    return {
+        FIELDS,
+        getFieldLabel,
+        parseFile,
+        parseCSV,
+        guessMapping,
+        mapRows,
+        validateRecord
+    };
+})();
@@ -0,0 +1,108 @@
+/**
+ * Módulo de rutas: la vista actual se guarda en el fragmento de la dirección (#/history?q=...),
+ * así se puede recargar, guardar como marcador o compartir, y los botones atrás y adelante del
+ * navegador funcionan
+ */
+
+const Router = (() => {
+    let routes = {};
+    let defaultRoute = null;
+
+    /**
+     * Convierte un fragmento de la dirección en una ruta
+     * @param {string} hash - Fragmento, por ejemplo "#/certificate/CERT-1?x=1"
+     * @returns {Object} - Ruta con nombre, parámetros y consulta
+     */
+    const parse = (hash) => {
+        const [path, search = ''] = hash.replace(/^#\/?/, '').split('?');
+        const [name = '', ...params] = path.split('/').filter(Boolean).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (error) {
+                return segment;
+            }
+        });
+        const query = Object.fromEntries(new URLSearchParams(search));
+        return { name, params, query };
+    };
+
+    /**
+     * Convierte una ruta en un fragmento de la dirección
+     * @param {Object} route - Ruta
+     * @param {string} route.name - Nombre de la ruta
+     * @param {Array<string>} [route.params] - Parámetros de la ruta (por ejemplo, el ID del certificado)
+     * @param {Object} [route.query] - Consulta (los valores vacíos se omiten)
+     * @returns {string} - Fragmento
+     */
+    const toHash = ({ name, params = [], query = {} }) => {
+        const path = [name, ...params].map(encodeURIComponent).join('/');
+        const search = new URLSearchParams(
+            Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        return `#/${path}${search ? `?${search}` : ''}`;
+    };
+
+    /**
+     * Obtiene la ruta actual
+     * @returns {Object} - Ruta con nombre, parámetros y consulta
+     */
+    const getCurrent = () => parse(location.hash);
+
+    /**
+     * Atiende la ruta actual; si no existe, se sustituye por la ruta por defecto
+     */
+    const dispatch = () => {
+        const route = getCurrent();
+        if (!routes[route.name]) {
+            replace({ name: defaultRoute });
+            routes[defaultRoute]({ name: defaultRoute, params: [], query: {} });
+            return;
+        }
+        routes[route.name](route);
+    };
+
+    /**
+     * Va a una ruta añadiéndola al historial del navegador
+     * @param {Object} route - Ruta (ver toHash)
+     */
+    const navigate = (route) => {
+        const hash = toHash(route);
+        // Asignar el mismo fragmento no lanza hashchange: se vuelve a atender la ruta (por ejemplo, para recargar)
+        if (hash === location.hash) {
+            dispatch();
+            return;
+        }
+        location.hash = hash;
+    };
+
+    /**
+     * Cambia la dirección sin añadir una entrada al historial ni atender la ruta (para reflejar un
+     * cambio que ya se ha hecho, como ajustar la página)
+     * @param {Object} route - Ruta (ver toHash)
+     */
+    const replace = (route) => {
+        history.replaceState(history.state, '', toHash(route));
+    };
+
+    /**
+     * Empieza a atender las rutas, incluida la de la dirección con la que se ha abierto la aplicación
+     * @param {Object} options - Rutas de la aplicación
+     * @param {Object<string, Function>} options.routes - Función de cada ruta; recibe la ruta
+     * @param {string} options.defaultRoute - Ruta para un fragmento vacío o desconocido
+     */
+    const init = (options) => {
+        ({ routes, defaultRoute } = options);
+        window.addEventListener('hashchange', dispatch);
+        dispatch();
+    };
+
+    // API pública
+    return {
+        parse,
+        toHash,
+        getCurrent,
+        navigate,
+        replace,
+        init
+    };
+})();
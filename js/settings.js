@@ -0,0 +1,127 @@
+/**
+ * Módulo para guardar la configuración de la aplicación en localStorage
+ */
+
+const Settings = (() => {
+    const STORAGE_KEY = 'certificateSettings';
+
+    // Valores por defecto de cada opción
+    const DEFAULTS = {
+        // {id} y {hash} se sustituyen por el ID del certificado y su huella corta
+        verificationUrlTemplate: 'https://www.nuestroevento.com/validar?id={id}&h={hash}',
+        // Idioma de la interfaz (los certificados eligen el suyo en el formulario)
+        uiLanguage: 'es',
+        // Formato de los IDs de certificado (null: el formato por defecto de CertificateIds)
+        idFormat: null
+    };
+
+    /**
+     * Obtiene toda la configuración combinada con los valores por defecto
+     * @returns {Object} - Configuración actual
+     */
+    const getAll = () => {
+        try {
+            return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+        } catch (error) {
+            console.error('Error al leer la configuración:', error);
+            return { ...DEFAULTS };
+        }
+    };
+
+    /**
+     * Obtiene el valor de una opción
+     * @param {string} key - Nombre de la opción
+     * @returns {*} - Valor de la opción
+     */
+    const get = (key) => getAll()[key];
+
+    /**
+     * Guarda una o varias opciones
+     * @param {Object} values - Opciones a guardar
+     */
+    const set = (values) => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...getAll(), ...values }));
+    };
+
+    /**
+     * Inicializa el formulario del modal de configuración
+     * @param {Function} [onSave] - Se llama después de guardar los cambios
+     */
+    const init = (onSave) => {
+        const modalElement = document.getElementById('settings-modal');
+        const urlInput = document.getElementById('settings-verification-url');
+        const idInputs = {
+            prefix: document.getElementById('settings-id-prefix'),
+            pattern: document.getElementById('settings-id-pattern'),
+            padding: document.getElementById('settings-id-padding'),
+            reset: document.getElementById('settings-id-reset'),
+            checkDigit: document.getElementById('settings-id-check-digit')
+        };
+        const idErrors = document.getElementById('settings-id-errors');
+        const idExample = document.getElementById('settings-id-example');
+
+        // Lee el formato de ID del formulario
+        const readIdFormat = () => ({
+            prefix: idInputs.prefix.value.trim().toUpperCase(),
+            pattern: idInputs.pattern.value.trim(),
+            padding: parseInt(idInputs.padding.value, 10),
+            reset: idInputs.reset.value,
+            checkDigit: idInputs.checkDigit.checked
+        });
+
+        // Muestra un ID de ejemplo con el formato del formulario, o sus errores
+        const renderIdExample = () => {
+            const format = readIdFormat();
+            const errors = CertificateIds.validateFormat(format);
+            idErrors.textContent = errors.join(' ');
+            idExample.textContent = errors.length > 0
+                ? '-'
+                : CertificateIds.build(format, { sequence: 1, date: new Date(), eventCode: 'CONG' });
+        };
+
+        modalElement.addEventListener('show.bs.modal', () => {
+            urlInput.value = get('verificationUrlTemplate');
+            urlInput.classList.remove('is-invalid');
+
+            const format = CertificateIds.getFormat();
+            idInputs.prefix.value = format.prefix;
+            idInputs.pattern.value = format.pattern;
+            idInputs.padding.value = format.padding;
+            idInputs.reset.value = format.reset;
+            idInputs.checkDigit.checked = format.checkDigit;
+            renderIdExample();
+        });
+
+        Object.values(idInputs).forEach(input => input.addEventListener('input', renderIdExample));
+
+        document.getElementById('settings-save-btn').addEventListener('click', () => {
+            const template = urlInput.value.trim();
+            if (!template.includes('{id}')) {
+                urlInput.classList.add('is-invalid');
+                return;
+            }
+
+            const idFormat = readIdFormat();
+            if (CertificateIds.validateFormat(idFormat).length > 0) {
+                renderIdExample();
+                return;
+            }
+
+            set({ verificationUrlTemplate: template, idFormat });
+            bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+            UI.showToast(I18n.t('settings.saved'));
+            if (onSave) {
+                onSave();
+            }
+        });
+    };
+
+    // API pública
+    return {
+        DEFAULTS,
+        getAll,
+        get,
+        set,
+        init
+    };
+})();
@@ -0,0 +1,260 @@
+/**
+ * Módulo para gestionar los perfiles de firmantes (nombre, cargo e imagen de la firma) y la copia
+ * de los firmantes que se guarda con cada certificado
+ */
+
+const Signatories = (() => {
+    // Firmantes que caben uno al lado de otro en el certificado
+    const MAX_PER_CERTIFICATE = 3;
+
+    /**
+     * Obtiene todos los perfiles de firmante ordenados por nombre
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los perfiles
+     */
+    const getAll = async () => {
+        const signatories = await Storage.getAllRecords(Storage.STORES.SIGNATORIES);
+        return signatories.sort((a, b) => a.name.localeCompare(b.name));
+    };
+
+    /**
+     * Valida un perfil de firmante antes de guardarlo
+     * @param {Object} signatory - Perfil a validar
+     * @returns {Array<string>} - Lista de errores (vacía si es válido)
+     */
+    const validate = (signatory) => {
+        const errors = [];
+
+        if (!(signatory.name || '').trim()) {
+            errors.push(I18n.t('signatories.nameRequired'));
+        }
+        if (signatory.imageDataUrl && !signatory.imageDataUrl.startsWith('data:image/png')) {
+            errors.push(I18n.t('signatories.pngRequired'));
+        }
+
+        return errors;
+    };
+
+    /**
+     * Guarda un perfil de firmante
+     * @param {Object} signatory - Perfil a guardar (sin id si es nuevo)
+     * @returns {Promise<Object>} - Promesa que se resuelve con el perfil guardado
+     */
+    const save = async (signatory) => {
+        const errors = validate(signatory);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        return Storage.putRecord(Storage.STORES.SIGNATORIES, {
+            id: signatory.id || Utils.createId('signatory'),
+            name: signatory.name.trim(),
+            title: (signatory.title || '').trim(),
+            imageDataUrl: signatory.imageDataUrl || null
+        });
+    };
+
+    /**
+     * Elimina un perfil de firmante (los certificados emitidos conservan su copia)
+     * @param {string} id - ID del perfil
+     * @returns {Promise} - Promesa que se resuelve cuando el perfil es eliminado
+     */
+    const remove = (id) => Storage.deleteRecord(Storage.STORES.SIGNATORIES, id);
+
+    /**
+     * Guarda una imagen de firma identificada por su huella (la misma imagen se guarda una sola vez)
+     * @param {string} imageDataUrl - URL de datos de la imagen
+     * @returns {Promise<string>} - Promesa que se resuelve con el ID de la imagen
+     */
+    const storeImage = async (imageDataUrl) => {
+        const id = await Utils.sha256Hex(new TextEncoder().encode(imageDataUrl));
+        if (!(await Storage.getRecord(Storage.STORES.SIGNATURE_IMAGES, id))) {
+            await Storage.putRecord(Storage.STORES.SIGNATURE_IMAGES, { id, dataUrl: imageDataUrl });
+        }
+        return id;
+    };
+
+    /**
+     * Convierte los firmantes elegidos en la copia que se guarda con el certificado; la imagen se guarda
+     * aparte por su huella para que el historial no cargue las imágenes
+     * @param {Array<Object>} signatories - Firmantes con imageDataUrl o copias ya guardadas con imageId
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con { signatoryId, name, title, imageId }
+     */
+    const toSnapshot = async (signatories = []) => {
+        const snapshot = [];
+        for (const signatory of signatories.slice(0, MAX_PER_CERTIFICATE)) {
+            snapshot.push({
+                signatoryId: signatory.signatoryId || signatory.id || null,
+                name: signatory.name,
+                title: signatory.title || '',
+                imageId: signatory.imageDataUrl ? await storeImage(signatory.imageDataUrl) : (signatory.imageId || null)
+            });
+        }
+        return snapshot;
+    };
+
+    /**
+     * Recupera las imágenes de la copia de firmantes de un certificado para dibujarlas
+     * @param {Array<Object>} snapshot - Firmantes guardados con el certificado
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con { name, title, imageDataUrl }
+     */
+    const withImages = async (snapshot = []) => {
+        const signatories = [];
+        for (const signatory of snapshot) {
+            const image = signatory.imageId ? await Storage.getRecord(Storage.STORES.SIGNATURE_IMAGES, signatory.imageId) : null;
+            signatories.push({
+                name: signatory.name,
+                title: signatory.title,
+                imageDataUrl: signatory.imageDataUrl || (image ? image.dataUrl : null)
+            });
+        }
+        return signatories;
+    };
+
+    /**
+     * Crea una tarjeta editable para un firmante dentro del modal de firmantes
+     * @param {Object} signatory - Perfil a editar (sin id si es nuevo)
+     * @param {Function} onChange - Se llama después de guardar o eliminar
+     * @returns {HTMLElement} - Tarjeta del firmante
+     */
+    const createSignatoryEditor = (signatory, onChange) => {
+        const item = document.createElement('div');
+        item.className = 'border rounded p-3 mb-3';
+        item.innerHTML = `
+            <div class="row g-2 mb-2">
+                <div class="col-md-6">
+                    <input type="text" class="form-control form-control-sm signatory-name" placeholder="Nombre" data-i18n-placeholder="signatories.name">
+                </div>
+                <div class="col-md-6">
+                    <input type="text" class="form-control form-control-sm signatory-title" placeholder="Cargo (opcional)" data-i18n-placeholder="signatories.title">
+                </div>
+            </div>
+            <div class="d-flex align-items-center gap-2 mb-2">
+                <input type="file" class="form-control form-control-sm signatory-image" accept="image/png">
+                <img class="signatory-image-preview d-none">
+                <button type="button" class="btn btn-outline-secondary btn-sm signatory-image-clear d-none" title="Quitar la imagen" data-i18n-title="signatories.clearImage">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="form-text mb-2" data-i18n="signatories.imageHelp">Imagen PNG con fondo transparente.</div>
+            <div class="invalid-feedback signatory-errors mb-2"></div>
+            <div class="d-flex justify-content-end gap-2">
+                <button type="button" class="btn btn-outline-danger btn-sm signatory-delete" data-i18n="signatories.delete">Eliminar</button>
+                <button type="button" class="btn btn-primary btn-sm signatory-save" data-i18n="signatories.save">Guardar</button>
+            </div>
+        `;
+        I18n.applyToDocument(item);
+
+        const nameInput = item.querySelector('.signatory-name');
+        const titleInput = item.querySelector('.signatory-title');
+        const imageInput = item.querySelector('.signatory-image');
+        const imagePreview = item.querySelector('.signatory-image-preview');
+        imagePreview.alt = I18n.t('signatories.imageAlt');
+        const clearButton = item.querySelector('.signatory-image-clear');
+        const errorsElement = item.querySelector('.signatory-errors');
+        let imageDataUrl = signatory.imageDataUrl || null;
+        nameInput.value = signatory.name || '';
+        titleInput.value = signatory.title || '';
+
+        const showImage = () => {
+            imagePreview.src = imageDataUrl || '';
+            imagePreview.classList.toggle('d-none', !imageDataUrl);
+            clearButton.classList.toggle('d-none', !imageDataUrl);
+        };
+        showImage();
+
+        imageInput.addEventListener('change', async () => {
+            const file = imageInput.files && imageInput.files[0];
+            if (!file) {
+                return;
+            }
+            try {
+                const dataUrl = await PDFGenerator.prepareImage(file);
+                const detected = PDFGenerator.detectImageFormat(dataUrl);
+                if (detected.format !== 'PNG') {
+                    throw new Error(I18n.t('signatories.pngRequired'));
+                }
+                imageDataUrl = dataUrl;
+                errorsElement.textContent = '';
+                showImage();
+            } catch (error) {
+                errorsElement.classList.add('d-block');
+                errorsElement.textContent = error.message;
+                imageInput.value = '';
+            }
+        });
+
+        clearButton.addEventListener('click', () => {
+            imageDataUrl = null;
+            imageInput.value = '';
+            showImage();
+        });
+
+        item.querySelector('.signatory-save').addEventListener('click', async () => {
+            try {
+                await save({ id: signatory.id, name: nameInput.value, title: titleInput.value, imageDataUrl });
+                UI.showToast(I18n.t('signatories.saved'));
+                onChange();
+            } catch (error) {
+                errorsElement.classList.add('d-block');
+                errorsElement.textContent = error.message;
+            }
+        });
+
+        item.querySelector('.signatory-delete').addEventListener('click', async () => {
+            if (!signatory.id) {
+                item.remove();
+                return;
+            }
+            if (confirm(I18n.t('signatories.confirmDelete', { name: signatory.name }))) {
+                await remove(signatory.id);
+                UI.showToast(I18n.t('signatories.deleted'));
+                onChange();
+            }
+        });
+
+        return item;
+    };
+
+    /**
+     * Dibuja la lista de firmantes del modal de gestión
+     * @param {Function} onChange - Se llama después de guardar o eliminar un firmante
+     */
+    const renderSignatoryList = async (onChange) => {
+        const list = document.getElementById('signatories-list');
+        list.innerHTML = '';
+        const refresh = () => {
+            renderSignatoryList(onChange);
+            onChange();
+        };
+        (await getAll()).forEach(signatory => list.appendChild(createSignatoryEditor(signatory, refresh)));
+    };
+
+    /**
+     * Inicializa el modal de gestión de firmantes
+     * @param {Function} onChange - Se llama cuando cambian los perfiles
+     */
+    const init = (onChange) => {
+        document.getElementById('signatories-modal').addEventListener('show.bs.modal', () => renderSignatoryList(onChange));
+
+        document.getElementById('signatory-add-btn').addEventListener('click', () => {
+            const editor = createSignatoryEditor({}, () => {
+                renderSignatoryList(onChange);
+                onChange();
+            });
+            document.getElementById('signatories-list').prepend(editor);
+            editor.querySelector('.signatory-name').focus();
+        });
+    };
+
+    // API pública
+    return {
+        MAX_PER_CERTIFICATE,
+        getAll,
+        validate,
+        save,
+        remove,
+        toSnapshot,
+        withImages,
+        init
+    };
+})();
@@ -0,0 +1,340 @@
+/**
+ * Módulo para firmar y verificar certificados con el par de claves ECDSA del emisor
+ */
+
+const Signing = (() => {
+    const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+    const ISSUER_KEY_ID = 'issuer';
+    // Las claves públicas sustituidas se guardan con este prefijo y su huella para verificar certificados antiguos
+    const RETIRED_KEY_PREFIX = 'retired:';
+
+    // Prefijo con el que se guarda la firma en las palabras clave del PDF
+    const PDF_MARKER = 'certsig:v1:';
+    const PDF_PATTERN = /certsig:v1:([A-Za-z0-9+/=]+)\.([A-Za-z0-9+/=]+)(?:\.([0-9A-F:]+))?/;
+
+    let issuerKeys = null;
+
+    /**
+     * Obtiene la huella corta de una clave pública para identificarla
+     * @param {CryptoKey} publicKey - Clave pública
+     * @returns {Promise<string>} - Huella en hexadecimal agrupada de cuatro en cuatro
+     */
+    const getFingerprint = async (publicKey) => {
+        const spki = await crypto.subtle.exportKey('spki', publicKey);
+        const hash = await Utils.sha256Hex(spki);
+        return hash.substring(0, 16).match(/.{4}/g).join(':').toUpperCase();
+    };
+
+    /**
+     * Guarda el par de claves del emisor; la clave pública anterior se conserva para verificar lo que firmó
+     * @param {CryptoKey} publicKey - Clave pública
+     * @param {CryptoKey} privateKey - Clave privada
+     * @returns {Promise<Object>} - Registro guardado
+     */
+    const storeIssuerKeys = async (publicKey, privateKey) => {
+        const fingerprint = await getFingerprint(publicKey);
+        const previous = issuerKeys || await Storage.getRecord(Storage.STORES.KEYS, ISSUER_KEY_ID);
+        if (previous && previous.fingerprint !== fingerprint) {
+            await Storage.putRecord(Storage.STORES.KEYS, {
+                id: `${RETIRED_KEY_PREFIX}${previous.fingerprint}`,
+                publicKey: previous.publicKey,
+                fingerprint: previous.fingerprint,
+                createdAt: previous.createdAt,
+                retiredAt: new Date().toISOString()
+            });
+        }
+
+        issuerKeys = await Storage.putRecord(Storage.STORES.KEYS, {
+            id: ISSUER_KEY_ID,
+            publicKey,
+            privateKey,
+            fingerprint,
+            createdAt: new Date().toISOString()
+        });
+        return issuerKeys;
+    };
+
+    /**
+     * Genera un nuevo par de claves del emisor y reemplaza el anterior
+     * @returns {Promise<Object>} - Registro con las claves generadas
+     */
+    const generateIssuerKeys = async () => {
+        const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+        return storeIssuerKeys(keyPair.publicKey, keyPair.privateKey);
+    };
+
+    /**
+     * Obtiene el par de claves del emisor, generándolo la primera vez
+     * @returns {Promise<Object>} - Registro con las claves del emisor
+     */
+    const getIssuerKeys = async () => {
+        if (!issuerKeys) {
+            issuerKeys = await Storage.getRecord(Storage.STORES.KEYS, ISSUER_KEY_ID) || await generateIssuerKeys();
+        }
+        return issuerKeys;
+    };
+
+    /**
+     * Obtiene la clave pública propia con la que se firmó algo
+     * @param {string|null} fingerprint - Huella guardada junto a la firma (null si es anterior a guardarla)
+     * @returns {Promise<CryptoKey|null>} - Clave actual o sustituida con esa huella (null si no se conoce)
+     */
+    const getVerificationKey = async (fingerprint) => {
+        const keys = await getIssuerKeys();
+        if (!fingerprint || fingerprint === keys.fingerprint) {
+            return keys.publicKey;
+        }
+
+        const retired = await Storage.getRecord(Storage.STORES.KEYS, `${RETIRED_KEY_PREFIX}${fingerprint}`);
+        return retired ? retired.publicKey : null;
+    };
+
+    /**
+     * Comprueba si una huella corresponde a la clave actual del emisor o a una que ha sustituido
+     * @param {string|null} fingerprint - Huella guardada junto a la firma
+     * @returns {Promise<boolean>} - True si se conoce la clave
+     */
+    const isKnownKey = async (fingerprint) => (await getVerificationKey(fingerprint)) !== null;
+
+    /**
+     * Importa un par de claves exportado con exportKeyPair
+     * @param {Object} keyPairJwk - Objeto con las claves en formato JWK
+     * @returns {Promise<Object>} - Registro con las claves importadas
+     */
+    const importIssuerKeys = async (keyPairJwk) => {
+        if (!keyPairJwk || !keyPairJwk.publicKey || !keyPairJwk.privateKey) {
+            throw new Error(I18n.t('keys.invalidFile'));
+        }
+
+        const publicKey = await crypto.subtle.importKey('jwk', keyPairJwk.publicKey, KEY_ALGORITHM, true, ['verify']);
+        const privateKey = await crypto.subtle.importKey('jwk', keyPairJwk.privateKey, KEY_ALGORITHM, true, ['sign']);
+        return storeIssuerKeys(publicKey, privateKey);
+    };
+
+    /**
+     * Importa una clave pública de un emisor para verificar sus certificados
+     * @param {Object} publicKeyJwk - Clave pública en formato JWK
+     * @returns {Promise<CryptoKey>} - Clave importada
+     */
+    const importPublicKey = (publicKeyJwk) => {
+        const jwk = publicKeyJwk.publicKey || publicKeyJwk;
+        return crypto.subtle.importKey('jwk', jwk, KEY_ALGORITHM, true, ['verify']);
+    };
+
+    /**
+     * Exporta la clave pública del emisor para que terceros verifiquen sin conexión
+     * @returns {Promise<Object>} - Clave pública en formato JWK con su huella
+     */
+    const exportPublicKey = async () => {
+        const keys = await getIssuerKeys();
+        return {
+            format: 'certificate-issuer-public-key',
+            fingerprint: keys.fingerprint,
+            publicKey: await crypto.subtle.exportKey('jwk', keys.publicKey)
+        };
+    };
+
+    /**
+     * Exporta el par de claves completo para trasladarlo a otro equipo
+     * @returns {Promise<Object>} - Claves en formato JWK
+     */
+    const exportKeyPair = async () => {
+        const keys = await getIssuerKeys();
+        return {
+            format: 'certificate-issuer-key-pair',
+            fingerprint: keys.fingerprint,
+            publicKey: await crypto.subtle.exportKey('jwk', keys.publicKey),
+            privateKey: await crypto.subtle.exportKey('jwk', keys.privateKey)
+        };
+    };
+
+    /**
+     * Firma un texto con la clave privada del emisor
+     * @param {string} text - Texto a firmar (un JSON canónico)
+     * @returns {Promise<Object>} - Firma en base64 y huella de la clave usada
+     */
+    const signText = async (text) => {
+        const keys = await getIssuerKeys();
+        const signature = await crypto.subtle.sign(SIGN_ALGORITHM, keys.privateKey, new TextEncoder().encode(text));
+        return {
+            signature: Utils.bytesToBase64(signature),
+            signatureKey: keys.fingerprint
+        };
+    };
+
+    /**
+     * Comprueba la firma de un texto
+     * @param {string} text - Texto firmado
+     * @param {string} signature - Firma en base64
+     * @param {CryptoKey} [publicKey] - Clave pública a usar (por defecto, la propia con la huella signatureKey)
+     * @param {string} [signatureKey] - Huella de la clave con la que se firmó
+     * @returns {Promise<boolean>} - True si la firma es válida (false también si la clave no se conoce)
+     */
+    const verifyText = async (text, signature, publicKey = null, signatureKey = null) => {
+        if (!signature) {
+            return false;
+        }
+
+        const key = publicKey || await getVerificationKey(signatureKey);
+        if (!key) {
+            return false;
+        }
+        try {
+            return await crypto.subtle.verify(SIGN_ALGORITHM, key, Utils.base64ToBytes(signature), new TextEncoder().encode(text));
+        } catch (error) {
+            console.error('Error al verificar la firma:', error);
+            return false;
+        }
+    };
+
+    /**
+     * Firma el JSON canónico de los datos de un certificado
+     * @param {Object} data - Datos del certificado
+     * @returns {Promise<Object>} - Firma en base64 y huella de la clave usada
+     */
+    const signCertificate = (data) => signText(Utils.canonicalCertificateJSON(data));
+
+    /**
+     * Comprueba la firma de los datos de un certificado
+     * @param {Object} data - Datos del certificado
+     * @param {string} signature - Firma en base64
+     * @param {CryptoKey} [publicKey] - Clave pública a usar (por defecto, la propia con la huella signatureKey)
+     * @param {string} [signatureKey] - Huella de la clave con la que se firmó
+     * @returns {Promise<boolean>} - True si la firma es válida
+     */
+    const verifyCertificate = (data, signature, publicKey = null, signatureKey = null) => (
+        verifyText(Utils.canonicalCertificateJSON(data), signature, publicKey, signatureKey)
+    );
+
+    /**
+     * Construye el texto que se incrusta en el PDF con los datos firmados, su firma y la huella de la clave
+     * @param {Object} data - Datos del certificado firmados
+     * @returns {string} - Texto para las palabras clave del PDF
+     */
+    const buildPdfSignatureBlock = (data) => {
+        const payload = Utils.bytesToBase64(new TextEncoder().encode(Utils.canonicalCertificateJSON(data)));
+        const block = `${PDF_MARKER}${payload}.${data.signature}`;
+        return data.signatureKey ? `${block}.${data.signatureKey}` : block;
+    };
+
+    /**
+     * Extrae los datos firmados y la firma incrustados en un PDF
+     * @param {Uint8Array} bytes - Contenido del PDF
+     * @returns {Object|null} - Datos, firma y huella de la clave (null en PDF anteriores a incluirla), o null si el
+     * PDF no está firmado
+     */
+    const extractFromPdf = (bytes) => {
+        const text = new TextDecoder('latin1').decode(bytes);
+        const match = text.match(PDF_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            data: JSON.parse(new TextDecoder().decode(Utils.base64ToBytes(match[1]))),
+            signature: match[2],
+            signatureKey: match[3] || null
+        };
+    };
+
+    /**
+     * Muestra la huella de la clave del emisor en el modal de configuración
+     */
+    const renderFingerprint = async () => {
+        try {
+            const keys = await getIssuerKeys();
+            document.getElementById('settings-key-fingerprint').textContent = keys.fingerprint;
+        } catch (error) {
+            console.error('Error al obtener las claves del emisor:', error);
+        }
+    };
+
+    /**
+     * Descarga un objeto como archivo JSON
+     * @param {Object} content - Contenido a descargar
+     * @param {string} fileName - Nombre del archivo
+     */
+    const downloadJSON = (content, fileName) => {
+        Utils.downloadFile(new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' }), fileName);
+    };
+
+    /**
+     * Inicializa los controles de gestión de claves del modal de configuración
+     */
+    const init = () => {
+        document.getElementById('settings-modal').addEventListener('show.bs.modal', renderFingerprint);
+
+        document.getElementById('settings-generate-key-btn').addEventListener('click', async () => {
+            if (!confirm(I18n.t('keys.confirmGenerate'))) {
+                return;
+            }
+
+            try {
+                await generateIssuerKeys();
+                renderFingerprint();
+                UI.showToast(I18n.t('keys.generated'));
+            } catch (error) {
+                console.error('Error al generar las claves:', error);
+                UI.showToast(I18n.t('keys.generateError'), 'danger');
+            }
+        });
+
+        document.getElementById('settings-export-public-key-btn').addEventListener('click', async () => {
+            try {
+                downloadJSON(await exportPublicKey(), 'clave-publica-emisor.json');
+            } catch (error) {
+                console.error('Error al exportar la clave pública:', error);
+                UI.showToast(I18n.t('keys.exportError'), 'danger');
+            }
+        });
+
+        document.getElementById('settings-export-key-pair-btn').addEventListener('click', async () => {
+            if (!confirm(I18n.t('keys.confirmExportPrivate'))) {
+                return;
+            }
+
+            try {
+                downloadJSON(await exportKeyPair(), 'par-de-claves-emisor.json');
+            } catch (error) {
+                console.error('Error al exportar el par de claves:', error);
+                UI.showToast(I18n.t('keys.exportError'), 'danger');
+            }
+        });
+
+        document.getElementById('settings-import-key-pair').addEventListener('change', async (e) => {
+            if (!e.target.files || !e.target.files[0]) {
+                return;
+            }
+
+            try {
+                await importIssuerKeys(JSON.parse(await e.target.files[0].text()));
+                renderFingerprint();
+                UI.showToast(I18n.t('keys.imported'));
+            } catch (error) {
+                console.error('Error al importar las claves:', error);
+                UI.showToast(I18n.t('keys.importError'), 'danger');
+            } finally {
+                e.target.value = '';
+            }
+        });
+    };
+
+    // API pública
+    return {
+        init,
+        getIssuerKeys,
+        isKnownKey,
+        generateIssuerKeys,
+        importIssuerKeys,
+        importPublicKey,
+        exportPublicKey,
+        exportKeyPair,
+        signText,
+        verifyText,
+        signCertificate,
+        verifyCertificate,
+        buildPdfSignatureBlock,
+        extractFromPdf
+    };
+})();
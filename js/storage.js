@@ -5,11 +5,63 @@
 const Storage = (() => {
     // Configuración de la base de datos
     const DB_NAME = 'CertificatesDB';
-    const DB_VERSION = 1;
+    const DB_VERSION = 15;
     const CERTIFICATES_STORE = 'certificates';
+    const KEYS_STORE = 'keys';
+    const TEMPLATES_STORE = 'templates';
+    const ROLES_STORE = 'roles';
+    const EVENTS_STORE = 'events';
+    const PDFS_STORE = 'pdfs';
+    const VERSIONS_STORE = 'versions';
+    const AUDIT_STORE = 'audit';
+    const COUNTERS_STORE = 'counters';
+    const TRANSCRIPTS_STORE = 'transcripts';
+    const SIGNATORIES_STORE = 'signatories';
+    const SIGNATURE_IMAGES_STORE = 'signatureImages';
+    const FONTS_STORE = 'fonts';
+    const FONT_FILES_STORE = 'fontFiles';
+    const PARTICIPANTS_STORE = 'participants';
+    
+    // Estados de un certificado (las versiones sustituidas se guardan aparte con el estado SUPERSEDED)
+    const CERTIFICATE_STATUS = Object.freeze({
+        ACTIVE: 'active',
+        REVOKED: 'revoked',
+        SUPERSEDED: 'superseded'
+    });
+    
+    // Índices por los que se puede ordenar el historial (el ID usa la clave del almacén)
+    const HISTORY_SORT_INDEXES = {
+        participantName: 'normalizedParticipantName',
+        eventName: 'normalizedEventName',
+        eventDate: 'eventDate',
+        createdAt: 'createdAt'
+    };
     
     let db = null;
     
+    /**
+     * Obtiene la clave que identifica los datos de evento de un certificado
+     * @param {Object} data - Datos del certificado
+     * @returns {string} - Nombre, fecha, lugar y duración unidos
+     */
+    const getEventKey = (data) => [
+        String(data.eventName || '').trim(),
+        data.eventDate || '',
+        String(data.eventLocation || '').trim(),
+        String(data.eventDuration || '')
+    ].join('|');
+    
+    /**
+     * Añade a un certificado los campos normalizados que usan los índices del historial
+     * @param {Object} certificate - Certificado o versión sustituida
+     * @returns {Object} - Registro con los nombres normalizados
+     */
+    const withHistoryFields = (certificate) => ({
+        ...certificate,
+        normalizedParticipantName: Utils.normalizeText(certificate.participantName),
+        normalizedEventName: Utils.normalizeText(certificate.eventName)
+    });
+    
     /**
      * Inicializa la base de datos IndexedDB
      * @returns {Promise} - Promesa que se resuelve cuando la base de datos está lista
@@ -30,14 +82,217 @@ const Storage = (() => {
             
             request.onupgradeneeded = (event) => {
                 const database = event.target.result;
+                const upgradeTransaction = event.target.transaction;
                 
-                // Crear el almacén de certificados si no existe
+                // Versión 1: crear el almacén de certificados si no existe
                 if (!database.objectStoreNames.contains(CERTIFICATES_STORE)) {
                     const store = database.createObjectStore(CERTIFICATES_STORE, { keyPath: 'id' });
                     store.createIndex('participantName', 'participantName', { unique: false });
                     store.createIndex('eventName', 'eventName', { unique: false });
                     store.createIndex('date', 'date', { unique: false });
                 }
+                
+                // Versión 2: índice por la huella del PDF para verificar archivos
+                if (event.oldVersion < 2) {
+                    upgradeTransaction.objectStore(CERTIFICATES_STORE)
+                        .createIndex('contentHash', 'contentHash', { unique: false });
+                }
+                
+                // Versión 3: claves criptográficas del emisor
+                if (event.oldVersion < 3) {
+                    database.createObjectStore(KEYS_STORE, { keyPath: 'id' });
+                }
+                
+                // Versión 4: plantillas de diseño
+                if (event.oldVersion < 4) {
+                    database.createObjectStore(TEMPLATES_STORE, { keyPath: 'id' });
+                }
+                
+                // Versión 5: catálogo de roles con los roles originales
+                if (event.oldVersion < 5) {
+                    const rolesStore = database.createObjectStore(ROLES_STORE, { keyPath: 'id' });
+                    Roles.DEFAULT_ROLES.forEach(role => rolesStore.put(role));
+                }
+                
+                // Versión 6: traducciones de los roles originales cuyo texto no se ha modificado
+                if (event.oldVersion >= 5 && event.oldVersion < 6) {
+                    const rolesStore = upgradeTransaction.objectStore(ROLES_STORE);
+                    Roles.DEFAULT_ROLES.forEach(defaultRole => {
+                        const getRequest = rolesStore.get(defaultRole.id);
+                        getRequest.onsuccess = () => {
+                            const role = getRequest.result;
+                            if (role && !role.translations && role.text === defaultRole.text) {
+                                rolesStore.put({ ...role, translations: defaultRole.translations });
+                            }
+                        };
+                    });
+                }
+                
+                // Cambios que se aplican a cada certificado guardado (y a cada versión sustituida), en un solo
+                // recorrido al final para que los de una versión no se pierdan al escribir los de la siguiente
+                const certificateMigrations = [];
+                const versionMigrations = [];
+                
+                // Versión 7: eventos propios; se crea uno por cada combinación de datos de evento ya usada
+                if (event.oldVersion < 7) {
+                    const eventsStore = database.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+                    eventsStore.createIndex('name', 'name', { unique: false });
+                    upgradeTransaction.objectStore(CERTIFICATES_STORE)
+                        .createIndex('eventId', 'eventId', { unique: false });
+                    
+                    const eventIds = new Map();
+                    const migratedAt = new Date().toISOString();
+                    certificateMigrations.push((certificate) => {
+                        const key = getEventKey(certificate);
+                        if (!eventIds.has(key)) {
+                            const id = `evt-${Date.now()}-${eventIds.size + 1}`;
+                            eventIds.set(key, id);
+                            eventsStore.put({
+                                id,
+                                name: String(certificate.eventName || '').trim(),
+                                date: certificate.eventDate || '',
+                                location: String(certificate.eventLocation || '').trim(),
+                                duration: String(certificate.eventDuration || ''),
+                                createdAt: migratedAt
+                            });
+                        }
+                        return { ...certificate, eventId: eventIds.get(key) };
+                    });
+                }
+                
+                // Versión 8: los PDF pasan a un almacén propio como Blob para que el historial solo lea metadatos
+                if (event.oldVersion < 8) {
+                    const pdfsStore = database.createObjectStore(PDFS_STORE, { keyPath: 'id' });
+                    certificateMigrations.push(({ pdfDataUrl, ...certificate }) => {
+                        if (pdfDataUrl) {
+                            pdfsStore.put({ id: certificate.id, blob: Utils.dataUrlToBlob(pdfDataUrl) });
+                        }
+                        return certificate;
+                    });
+                }
+                
+                // Versión 9: estado de cada certificado, versiones anteriores y registro de auditoría
+                if (event.oldVersion < 9) {
+                    const versionsStore = database.createObjectStore(VERSIONS_STORE, { keyPath: 'key' });
+                    versionsStore.createIndex('certificateId', 'certificateId', { unique: false });
+                    versionsStore.createIndex('contentHash', 'contentHash', { unique: false });
+                    
+                    const auditStore = database.createObjectStore(AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+                    auditStore.createIndex('certificateId', 'certificateId', { unique: false });
+                    
+                    upgradeTransaction.objectStore(CERTIFICATES_STORE)
+                        .createIndex('status', 'status', { unique: false });
+                    certificateMigrations.push((certificate) => ({
+                        status: CERTIFICATE_STATUS.ACTIVE,
+                        version: 1,
+                        ...certificate
+                    }));
+                }
+                
+                // Versión 10: contadores de IDs en la base de datos; el global continúa desde el de localStorage
+                if (event.oldVersion < 10) {
+                    const countersStore = database.createObjectStore(COUNTERS_STORE, { keyPath: 'id' });
+                    countersStore.put({ id: 'global', value: parseInt(localStorage.getItem('certificateCounter') || '0') });
+                }
+                
+                // Versión 11: índices para ordenar y filtrar el historial con cursores; los de nombre usan
+                // textos normalizados para no depender de acentos ni mayúsculas, y el de "date" nunca tuvo datos
+                if (event.oldVersion < 11) {
+                    const certificatesStore = upgradeTransaction.objectStore(CERTIFICATES_STORE);
+                    const versionsStore = upgradeTransaction.objectStore(VERSIONS_STORE);
+                    ['participantName', 'eventName', 'date'].forEach(name => certificatesStore.deleteIndex(name));
+                    [certificatesStore, versionsStore].forEach(store => {
+                        Object.values(HISTORY_SORT_INDEXES).forEach(name => store.createIndex(name, name, { unique: false }));
+                        store.createIndex('participantRole', 'participantRole', { unique: false });
+                    });
+                    versionsStore.createIndex('eventId', 'eventId', { unique: false });
+                    
+                    certificateMigrations.push(withHistoryFields);
+                    versionMigrations.push(withHistoryFields);
+                }
+                
+                // Versión 12: expedientes de participantes, verificables por ID y por la huella de su PDF
+                if (event.oldVersion < 12) {
+                    const transcriptsStore = database.createObjectStore(TRANSCRIPTS_STORE, { keyPath: 'id' });
+                    transcriptsStore.createIndex('contentHash', 'contentHash', { unique: false });
+                    transcriptsStore.createIndex('normalizedParticipantName', 'normalizedParticipantName', { unique: false });
+                }
+                
+                // Versión 13: perfiles de firmantes e imágenes de firma (por su huella, para que los certificados
+                // guarden una referencia fija aunque el perfil cambie de imagen)
+                if (event.oldVersion < 13) {
+                    database.createObjectStore(SIGNATORIES_STORE, { keyPath: 'id' });
+                    database.createObjectStore(SIGNATURE_IMAGES_STORE, { keyPath: 'id' });
+                }
+                
+                // Versión 14: fuentes TrueType subidas (los datos de la fuente se guardan aparte, como los PDF)
+                if (event.oldVersion < 14) {
+                    database.createObjectStore(FONTS_STORE, { keyPath: 'id' });
+                    database.createObjectStore(FONT_FILES_STORE, { keyPath: 'id' });
+                }
+                
+                // Versión 15: directorio de participantes; se crea uno por cada nombre (sin mayúsculas ni acentos)
+                // de los certificados, las versiones sustituidas y los expedientes ya guardados
+                if (event.oldVersion < 15) {
+                    const participantsStore = database.createObjectStore(PARTICIPANTS_STORE, { keyPath: 'id' });
+                    ['normalizedName', 'email', 'nationalId'].forEach(name => participantsStore.createIndex(name, name, { unique: false }));
+                    [CERTIFICATES_STORE, VERSIONS_STORE, TRANSCRIPTS_STORE].forEach(storeName => {
+                        upgradeTransaction.objectStore(storeName).createIndex('participantId', 'participantId', { unique: false });
+                    });
+                    
+                    // Cada participante lleva el nombre de su certificado más reciente; las versiones sustituidas
+                    // y los expedientes solo lo crean si todavía no existe
+                    const participants = new Map();
+                    const migratedAt = new Date().toISOString();
+                    const withParticipant = (record, namedAt = '') => {
+                        const key = Utils.normalizeText(record.participantName).replace(/\s+/g, ' ');
+                        let participant = participants.get(key);
+                        if (!participant) {
+                            participant = {
+                                record: {
+                                    id: `participant-${Date.now()}-${participants.size + 1}`,
+                                    email: '',
+                                    nationalId: '',
+                                    normalizedName: key,
+                                    createdAt: migratedAt
+                                },
+                                namedAt: null
+                            };
+                            participants.set(key, participant);
+                        }
+                        if (participant.namedAt === null || namedAt > participant.namedAt) {
+                            participant.record.name = String(record.participantName || '').trim();
+                            participant.namedAt = namedAt;
+                            participantsStore.put(participant.record);
+                        }
+                        return { ...record, participantId: participant.record.id };
+                    };
+                    certificateMigrations.push(certificate => withParticipant(certificate, certificate.reissuedAt || certificate.createdAt || ''));
+                    versionMigrations.push(version => withParticipant(version));
+                    upgradeTransaction.objectStore(TRANSCRIPTS_STORE).openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (cursor) {
+                            cursor.update(withParticipant(cursor.value));
+                            cursor.continue();
+                        }
+                    };
+                }
+                
+                [[CERTIFICATES_STORE, certificateMigrations], [VERSIONS_STORE, versionMigrations]].forEach(([storeName, migrations]) => {
+                    if (migrations.length === 0) {
+                        return;
+                    }
+                    
+                    upgradeTransaction.objectStore(storeName).openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) {
+                            return;
+                        }
+                        
+                        cursor.update(migrations.reduce((record, migrate) => migrate(record), cursor.value));
+                        cursor.continue();
+                    };
+                });
             };
             
             request.onsuccess = (event) => {
@@ -48,50 +303,268 @@ const Storage = (() => {
     };
     
     /**
-     * Genera un ID único para cada certificado
-     * @returns {string} - ID generado con formato CERT-YYYYMMDD-XXXXX
+     * Obtiene el último número asignado por un contador de IDs
+     * @param {string} key - Clave del contador (global o year-YYYY)
+     * @returns {Promise<number>} - Promesa que se resuelve con el valor (0 si no se ha usado)
+     */
+    const getCounterValue = async (key) => {
+        const counter = await getRecord(COUNTERS_STORE, key);
+        return counter ? counter.value : 0;
+    };
+    
+    /**
+     * Sube los contadores de IDs a los valores indicados, sin hacerlos retroceder nunca
+     * @param {Array<Object>} counters - Contadores { id, value }
+     * @returns {Promise} - Promesa que se resuelve cuando los contadores están guardados
+     */
+    const mergeCounters = async (counters) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([COUNTERS_STORE], 'readwrite');
+            const store = transaction.objectStore(COUNTERS_STORE);
+            counters.forEach(({ id, value }) => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const current = request.result ? request.result.value : 0;
+                    store.put({ id, value: Math.max(current, value) });
+                };
+            });
+            
+            transaction.oncomplete = () => {
+                resolve();
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al guardar los contadores:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Reserva el siguiente ID de certificado o de expediente; el contador se incrementa en una transacción,
+     * así que dos pestañas nunca obtienen el mismo número, y se saltan los IDs que ya usa un certificado o
+     * un expediente (la verificación busca los dos por el mismo ID)
+     * @param {string} counterKey - Clave del contador (global, year-YYYY o transcript)
+     * @param {Function} buildId - Compone el ID a partir del número de secuencia
+     * @returns {Promise<string>} - Promesa que se resuelve con el ID reservado
      */
-    const generateCertificateId = () => {
-        const today = new Date();
-        const datePart = `${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+    const reserveCertificateId = async (counterKey, buildId) => {
+        await initDB();
         
-        // Obtener el contador actual de localStorage o iniciar en 1
-        const counter = parseInt(localStorage.getItem('certificateCounter') || '0') + 1;
-        localStorage.setItem('certificateCounter', counter.toString());
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([COUNTERS_STORE, CERTIFICATES_STORE, TRANSCRIPTS_STORE], 'readwrite');
+            const countersStore = transaction.objectStore(COUNTERS_STORE);
+            const certificatesStore = transaction.objectStore(CERTIFICATES_STORE);
+            const transcriptsStore = transaction.objectStore(TRANSCRIPTS_STORE);
+            let reserved = null;
+            
+            const tryNext = (value) => {
+                const id = buildId(value);
+                const certificateRequest = certificatesStore.count(id);
+                const transcriptRequest = transcriptsStore.count(id);
+                transcriptRequest.onsuccess = () => {
+                    if (certificateRequest.result + transcriptRequest.result > 0) {
+                        tryNext(value + 1);
+                        return;
+                    }
+                    reserved = id;
+                    countersStore.put({ id: counterKey, value });
+                };
+            };
+            
+            const counterRequest = countersStore.get(counterKey);
+            counterRequest.onsuccess = () => {
+                tryNext((counterRequest.result ? counterRequest.result.value : 0) + 1);
+            };
+            
+            transaction.oncomplete = () => {
+                resolve(reserved);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al reservar el ID del certificado:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Devuelve al contador un ID reservado que no llegó a usarse; solo retrocede si el ID sigue siendo el
+     * último reservado, así que nunca libera un número que otra pestaña haya obtenido después
+     * @param {string} counterKey - Clave del contador (global, year-YYYY o transcript)
+     * @param {Function} buildId - Compone el ID a partir del número de secuencia
+     * @param {string} id - ID reservado
+     * @returns {Promise<boolean>} - Promesa que se resuelve con true si el contador ha retrocedido
+     */
+    const releaseCertificateId = async (counterKey, buildId, id) => {
+        await initDB();
         
-        // Formato: CERT-YYYYMMDD-XXXXX (donde XXXXX es un número secuencial)
-        return `CERT-${datePart}-${String(counter).padStart(5, '0')}`;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([COUNTERS_STORE], 'readwrite');
+            const countersStore = transaction.objectStore(COUNTERS_STORE);
+            let released = false;
+            
+            const counterRequest = countersStore.get(counterKey);
+            counterRequest.onsuccess = () => {
+                const value = counterRequest.result ? counterRequest.result.value : 0;
+                if (value > 0 && buildId(value) === id) {
+                    released = true;
+                    countersStore.put({ id: counterKey, value: value - 1 });
+                }
+            };
+            
+            transaction.oncomplete = () => {
+                resolve(released);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al liberar el ID del certificado:', event.target.error);
+                reject(event.target.error);
+            };
+        });
     };
     
     /**
-     * Guarda un certificado en IndexedDB
+     * Escribe los metadatos de un certificado y su PDF en una sola transacción
+     * @param {Object} certificate - Registro completo del certificado (sin el PDF)
+     * @param {Blob|null} pdfBlob - PDF del certificado (null para conservar el guardado)
+     * @returns {Promise<Object>} - Promesa que se resuelve con el registro guardado
+     */
+    const putCertificate = async (certificate, pdfBlob) => {
+        await initDB();
+        
+        const { pdfDataUrl, ...data } = certificate;
+        const record = withHistoryFields(data);
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([CERTIFICATES_STORE, PDFS_STORE], 'readwrite');
+            transaction.objectStore(CERTIFICATES_STORE).put(record);
+            if (pdfBlob) {
+                transaction.objectStore(PDFS_STORE).put({ id: record.id, blob: pdfBlob });
+            }
+            
+            transaction.oncomplete = () => {
+                resolve(record);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al guardar el certificado:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Obtiene la clave con la que se guarda una versión anterior de un certificado y su PDF
+     * @param {string} id - ID del certificado
+     * @param {number} version - Número de versión
+     * @returns {string} - Clave de la versión
+     */
+    const getVersionKey = (id, version) => `${id}#${version}`;
+    
+    /**
+     * Crea el registro con el que se conserva la versión guardada de un certificado al sustituirla
+     * @param {Object} previous - Certificado guardado
+     * @param {string} supersededAt - Fecha de la sustitución (ISO)
+     * @returns {Object} - Versión sustituida, con su clave
+     */
+    const createSupersededVersion = (previous, supersededAt) => {
+        const version = previous.version || 1;
+        return {
+            ...previous,
+            key: getVersionKey(previous.id, version),
+            certificateId: previous.id,
+            version,
+            status: CERTIFICATE_STATUS.SUPERSEDED,
+            supersededAt
+        };
+    };
+    
+    /**
+     * Crea una entrada del registro de auditoría
+     * @param {string} action - Acción realizada (create, reissue, revoke, delete, import)
+     * @param {Object} certificate - Certificado afectado
+     * @param {Object} [details] - Datos adicionales de la acción (por ejemplo, el motivo)
+     * @returns {Object} - Entrada del registro
+     */
+    const createAuditEntry = (action, certificate, details = {}) => ({
+        certificateId: certificate.id,
+        action,
+        version: certificate.version || 1,
+        participantName: certificate.participantName,
+        eventName: certificate.eventName,
+        at: new Date().toISOString(),
+        ...details
+    });
+    
+    /**
+     * Guarda un certificado en IndexedDB; si ya existe, la versión guardada pasa a sustituida y se conserva con su PDF
      * @param {Object} certificateData - Datos del certificado a guardar
-     * @param {string} pdfDataUrl - URL de datos del PDF generado
+     * @param {Blob} pdfBlob - PDF generado
      * @returns {Promise} - Promesa que se resuelve cuando el certificado es guardado
      */
-    const saveCertificate = async (certificateData, pdfDataUrl) => {
+    const saveCertificate = async (certificateData, pdfBlob) => {
         try {
             await initDB();
             
-            const id = certificateData.id || generateCertificateId();
-            const certificate = {
+            const { id } = certificateData;
+            if (!id) {
+                throw new Error(I18n.t('ids.missing'));
+            }
+            const { pdfDataUrl, ...data } = certificateData;
+            const certificate = withHistoryFields({
                 id,
-                ...certificateData,
-                pdfDataUrl,
-                createdAt: new Date().toISOString()
-            };
+                ...data,
+                status: CERTIFICATE_STATUS.ACTIVE,
+                version: 1,
+                contentHash: await Utils.sha256Hex(await pdfBlob.arrayBuffer()),
+                dataHash: await Utils.certificateDataHash({ ...certificateData, id }),
+                // Un certificado regenerado conserva su fecha de creación original
+                createdAt: certificateData.createdAt || new Date().toISOString()
+            });
             
             return new Promise((resolve, reject) => {
-                const transaction = db.transaction([CERTIFICATES_STORE], 'readwrite');
-                const store = transaction.objectStore(CERTIFICATES_STORE);
+                const transaction = db.transaction([CERTIFICATES_STORE, PDFS_STORE, VERSIONS_STORE, AUDIT_STORE], 'readwrite');
+                const certificatesStore = transaction.objectStore(CERTIFICATES_STORE);
+                const pdfsStore = transaction.objectStore(PDFS_STORE);
                 
-                const request = store.put(certificate);
+                const getRequest = certificatesStore.get(id);
+                getRequest.onsuccess = () => {
+                    const previous = getRequest.result;
+                    if (previous && previous.status === CERTIFICATE_STATUS.REVOKED) {
+                        transaction.abort();
+                        reject(new Error(I18n.t('log.revokedNoReissue', { id })));
+                        return;
+                    }
+                    
+                    if (previous) {
+                        // La versión anterior se conserva con su PDF, que cambia de clave
+                        certificate.reissuedAt = new Date().toISOString();
+                        const previousVersion = createSupersededVersion(previous, certificate.reissuedAt);
+                        certificate.version = previousVersion.version + 1;
+                        transaction.objectStore(VERSIONS_STORE).put(previousVersion);
+                        const pdfRequest = pdfsStore.get(id);
+                        pdfRequest.onsuccess = () => {
+                            if (pdfRequest.result) {
+                                pdfsStore.put({ id: previousVersion.key, blob: pdfRequest.result.blob });
+                            }
+                            pdfsStore.put({ id, blob: pdfBlob });
+                        };
+                    } else {
+                        pdfsStore.put({ id, blob: pdfBlob });
+                    }
+                    
+                    certificatesStore.put(certificate);
+                    transaction.objectStore(AUDIT_STORE).add(createAuditEntry(previous ? 'reissue' : 'create', certificate));
+                };
                 
-                request.onsuccess = () => {
+                transaction.oncomplete = () => {
                     resolve(certificate);
                 };
                 
-                request.onerror = (event) => {
+                transaction.onerror = (event) => {
                     console.error('Error al guardar el certificado:', event.target.error);
                     reject(event.target.error);
                 };
@@ -103,7 +576,293 @@ const Storage = (() => {
     };
     
     /**
-     * Obtiene todos los certificados guardados
+     * Conserva con su PDF la versión guardada de un certificado antes de sustituirla por otra que no se
+     * emite en la aplicación (por ejemplo, al sobrescribirla desde una copia de seguridad). Si su número
+     * de versión ya está ocupado por otra versión sustituida, se conserva con el primero libre
+     * @param {string} id - ID del certificado
+     * @returns {Promise<number>} - Promesa que se resuelve con el número de la versión siguiente (1 si no estaba guardado)
+     */
+    const supersedeCertificate = async (id) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([CERTIFICATES_STORE, PDFS_STORE, VERSIONS_STORE], 'readwrite');
+            const pdfsStore = transaction.objectStore(PDFS_STORE);
+            let nextVersion = 1;
+            
+            const getRequest = transaction.objectStore(CERTIFICATES_STORE).get(id);
+            getRequest.onsuccess = () => {
+                const current = getRequest.result;
+                if (!current) {
+                    return;
+                }
+                
+                const versionsStore = transaction.objectStore(VERSIONS_STORE);
+                const keysRequest = versionsStore.index('certificateId').getAllKeys(id);
+                keysRequest.onsuccess = () => {
+                    const taken = new Set(keysRequest.result);
+                    let version = current.version || 1;
+                    while (taken.has(getVersionKey(id, version))) {
+                        version++;
+                    }
+                    
+                    const previousVersion = createSupersededVersion({ ...current, version }, new Date().toISOString());
+                    nextVersion = version + 1;
+                    versionsStore.put(previousVersion);
+                    const pdfRequest = pdfsStore.get(id);
+                    pdfRequest.onsuccess = () => {
+                        if (pdfRequest.result) {
+                            pdfsStore.put({ id: previousVersion.key, blob: pdfRequest.result.blob });
+                        }
+                    };
+                };
+            };
+            
+            transaction.oncomplete = () => {
+                resolve(nextVersion);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al conservar la versión del certificado:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Revoca un certificado activo
+     * @param {string} id - ID del certificado
+     * @param {string} reason - Motivo de la revocación
+     * @returns {Promise<Object>} - Promesa que se resuelve con el certificado revocado
+     */
+    const revokeCertificate = async (id, reason) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([CERTIFICATES_STORE, AUDIT_STORE], 'readwrite');
+            const certificatesStore = transaction.objectStore(CERTIFICATES_STORE);
+            let revoked = null;
+            
+            const getRequest = certificatesStore.get(id);
+            getRequest.onsuccess = () => {
+                const certificate = getRequest.result;
+                if (!certificate || certificate.status === CERTIFICATE_STATUS.REVOKED) {
+                    transaction.abort();
+                    reject(new Error(I18n.t(certificate ? 'log.alreadyRevoked' : 'toast.notFound')));
+                    return;
+                }
+                
+                revoked = {
+                    ...certificate,
+                    status: CERTIFICATE_STATUS.REVOKED,
+                    revokedAt: new Date().toISOString(),
+                    revocationReason: reason
+                };
+                certificatesStore.put(revoked);
+                transaction.objectStore(AUDIT_STORE).add(createAuditEntry('revoke', revoked, { reason }));
+            };
+            
+            transaction.oncomplete = () => {
+                resolve(revoked);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al revocar el certificado:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Añade una entrada al registro de auditoría (el registro solo admite añadir)
+     * @param {string} action - Acción realizada
+     * @param {Object} certificate - Certificado afectado
+     * @param {Object} [details] - Datos adicionales de la acción
+     * @returns {Promise<Object>} - Promesa que se resuelve con la entrada guardada
+     */
+    const appendAuditEntry = async (action, certificate, details = {}) => {
+        await initDB();
+        
+        const entry = createAuditEntry(action, certificate, details);
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([AUDIT_STORE], 'readwrite');
+            const request = transaction.objectStore(AUDIT_STORE).add(entry);
+            
+            request.onsuccess = () => {
+                resolve({ ...entry, id: request.result });
+            };
+            
+            request.onerror = (event) => {
+                console.error('Error al guardar en el registro de auditoría:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Obtiene el registro de auditoría, del más reciente al más antiguo
+     * @param {string} [certificateId] - ID del certificado (todos si se omite)
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con las entradas
+     */
+    const getAuditLog = async (certificateId) => {
+        const entries = certificateId
+            ? await getRecordsByIndex(AUDIT_STORE, 'certificateId', certificateId)
+            : await getAllRecords(AUDIT_STORE);
+        return entries.sort((a, b) => b.id - a.id);
+    };
+    
+    /**
+     * Obtiene las versiones sustituidas de un certificado, de la más reciente a la más antigua
+     * @param {string} id - ID del certificado
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con las versiones
+     */
+    const getCertificateVersions = async (id) => {
+        const versions = await getRecordsByIndex(VERSIONS_STORE, 'certificateId', id);
+        return versions.sort((a, b) => b.version - a.version);
+    };
+    
+    /**
+     * Obtiene la versión sustituida cuyo PDF tiene una huella SHA-256 determinada
+     * @param {string} contentHash - Huella del PDF en hexadecimal
+     * @returns {Promise<Object|undefined>} - Promesa que se resuelve con la versión encontrada
+     */
+    const getVersionByHash = async (contentHash) => {
+        const versions = await getRecordsByIndex(VERSIONS_STORE, 'contentHash', contentHash);
+        return versions[0];
+    };
+    
+    /**
+     * Obtiene el PDF guardado de un certificado, de una de sus versiones sustituidas o de un expediente
+     * @param {string} id - ID del certificado, clave de la versión o ID del expediente
+     * @returns {Promise<Blob|null>} - Promesa que se resuelve con el PDF (null si no está guardado)
+     */
+    const getCertificatePdf = async (id) => {
+        const record = await getRecord(PDFS_STORE, id);
+        return record ? record.blob : null;
+    };
+    
+    /**
+     * Guarda el PDF de un certificado ya existente
+     * @param {string} id - ID del certificado o clave de la versión
+     * @param {Blob} pdfBlob - PDF del certificado
+     * @returns {Promise} - Promesa que se resuelve cuando el PDF es guardado
+     */
+    const saveCertificatePdf = (id, pdfBlob) => putRecord(PDFS_STORE, { id, blob: pdfBlob });
+    
+    /**
+     * Guarda un expediente y su PDF en una sola transacción (el PDF se guarda con el ID del expediente)
+     * @param {Object} transcript - Expediente firmado
+     * @param {Blob} pdfBlob - PDF del expediente
+     * @returns {Promise<Object>} - Promesa que se resuelve con el expediente guardado
+     */
+    const saveTranscript = async (transcript, pdfBlob) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRANSCRIPTS_STORE, PDFS_STORE], 'readwrite');
+            transaction.objectStore(TRANSCRIPTS_STORE).put(transcript);
+            transaction.objectStore(PDFS_STORE).put({ id: transcript.id, blob: pdfBlob });
+            
+            transaction.oncomplete = () => {
+                resolve(transcript);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al guardar el expediente:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Guarda una fuente y su archivo en una sola transacción (el archivo se guarda con el ID de la fuente)
+     * @param {Object} font - Datos de la fuente
+     * @param {string} data - Archivo TTF en base64
+     * @returns {Promise<Object>} - Promesa que se resuelve con la fuente guardada
+     */
+    const saveFont = async (font, data) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([FONTS_STORE, FONT_FILES_STORE], 'readwrite');
+            transaction.objectStore(FONTS_STORE).put(font);
+            transaction.objectStore(FONT_FILES_STORE).put({ id: font.id, data });
+            
+            transaction.oncomplete = () => {
+                resolve(font);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al guardar la fuente:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Elimina una fuente y su archivo
+     * @param {string} id - ID de la fuente
+     * @returns {Promise<boolean>} - Promesa que se resuelve cuando la fuente es eliminada
+     */
+    const deleteFont = async (id) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([FONTS_STORE, FONT_FILES_STORE], 'readwrite');
+            transaction.objectStore(FONTS_STORE).delete(id);
+            transaction.objectStore(FONT_FILES_STORE).delete(id);
+            
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al eliminar la fuente:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Fusiona participantes duplicados: sus certificados, versiones y expedientes pasan al que se conserva
+     * y los duplicados se eliminan, todo en una transacción
+     * @param {Object} participant - Participante que se conserva (con los datos ya combinados)
+     * @param {Array<string>} mergedIds - IDs de los participantes que se eliminan
+     * @returns {Promise<Object>} - Promesa que se resuelve con el participante conservado
+     */
+    const mergeParticipants = async (participant, mergedIds) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([PARTICIPANTS_STORE, CERTIFICATES_STORE, VERSIONS_STORE, TRANSCRIPTS_STORE], 'readwrite');
+            const participantsStore = transaction.objectStore(PARTICIPANTS_STORE);
+            participantsStore.put(participant);
+            mergedIds.forEach(id => {
+                participantsStore.delete(id);
+                [CERTIFICATES_STORE, VERSIONS_STORE, TRANSCRIPTS_STORE].forEach(storeName => {
+                    transaction.objectStore(storeName).index('participantId').openCursor(id).onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (cursor) {
+                            cursor.update({ ...cursor.value, participantId: participant.id });
+                            cursor.continue();
+                        }
+                    };
+                });
+            });
+            
+            transaction.oncomplete = () => {
+                resolve(participant);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al fusionar los participantes:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Obtiene todos los certificados guardados (solo los metadatos; los PDF se leen con getCertificatePdf)
      * @returns {Promise<Array>} - Promesa que se resuelve con un array de certificados
      */
     const getAllCertificates = async () => {
@@ -131,30 +890,193 @@ const Storage = (() => {
     };
     
     /**
-     * Busca certificados por un término de búsqueda
-     * @param {string} searchTerm - Término de búsqueda
-     * @returns {Promise<Array>} - Promesa que se resuelve con los certificados filtrados
+     * Crea un rango de claves a partir de unos límites opcionales
+     * @param {string|null} lower - Límite inferior (incluido)
+     * @param {string|null} upper - Límite superior
+     * @param {boolean} [upperOpen] - Si el límite superior queda excluido
+     * @returns {IDBKeyRange|null} - Rango (null si no hay límites)
      */
-    const searchCertificates = async (searchTerm) => {
-        try {
-            const certificates = await getAllCertificates();
+    const getKeyRange = (lower, upper, upperOpen = false) => {
+        if (lower && upper) {
+            return IDBKeyRange.bound(lower, upper, false, upperOpen);
+        }
+        if (lower) {
+            return IDBKeyRange.lowerBound(lower);
+        }
+        return upper ? IDBKeyRange.upperBound(upper, upperOpen) : null;
+    };
+    
+    /**
+     * Convierte un día (AAAA-MM-DD) en el instante en que empieza en la zona horaria local
+     * @param {string} day - Día
+     * @param {number} [offsetDays] - Días que se suman
+     * @returns {string|null} - Fecha ISO como las de createdAt (null sin día)
+     */
+    const getDayStartIso = (day, offsetDays = 0) => {
+        if (!day) {
+            return null;
+        }
+        const date = new Date(`${day}T00:00:00`);
+        date.setDate(date.getDate() + offsetDays);
+        return date.toISOString();
+    };
+    
+    /**
+     * Obtiene una página del historial con los filtros y el orden indicados. El recorrido usa el
+     * índice del campo de orden (con el rango de fechas de ese campo) o, con un evento elegido, el
+     * índice del evento; sin más filtros, el total sale del propio índice y el cursor salta a la página
+     * @param {Object} query - Consulta
+     * @param {string} [query.status] - Estado (las versiones sustituidas se leen de su almacén)
+     * @param {string} [query.search] - Texto a buscar en el ID, el participante, el evento o su fecha
+     * @param {string} [query.eventId] - ID del evento
+     * @param {string} [query.participantRole] - Rol del participante
+     * @param {string} [query.eventDateFrom] - Primera fecha del evento (AAAA-MM-DD)
+     * @param {string} [query.eventDateTo] - Última fecha del evento (AAAA-MM-DD)
+     * @param {string} [query.issuedFrom] - Primer día de emisión (AAAA-MM-DD)
+     * @param {string} [query.issuedTo] - Último día de emisión (AAAA-MM-DD)
+     * @param {string} [query.sortField] - id, participantName, eventName, eventDate o createdAt
+     * @param {string} [query.sortDirection] - asc o desc
+     * @param {number} [query.offset] - Registros que se saltan
+     * @param {number} [query.limit] - Registros de la página
+     * @returns {Promise<Object>} - Promesa que se resuelve con { records, total }
+     */
+    const queryCertificates = async (query = {}) => {
+        await initDB();
+        
+        const {
+            status = '',
+            sortField = 'createdAt',
+            sortDirection = 'desc',
+            offset = 0,
+            limit = 25
+        } = query;
+        const storeName = status === CERTIFICATE_STATUS.SUPERSEDED ? VERSIONS_STORE : CERTIFICATES_STORE;
+        const sortIndex = HISTORY_SORT_INDEXES[sortField] || null;
+        const ranges = {
+            eventDate: getKeyRange(query.eventDateFrom, query.eventDateTo),
+            createdAt: getKeyRange(getDayStartIso(query.issuedFrom), getDayStartIso(query.issuedTo, 1), true)
+        };
+        // Con un evento elegido se recorre solo ese evento y se ordena en memoria
+        const byEvent = Boolean(query.eventId);
+        const rangeField = !byEvent && ranges[sortField] ? sortField : null;
+        
+        // Condiciones que el índice recorrido no resuelve por sí mismo
+        const predicates = [];
+        if (status && storeName === CERTIFICATES_STORE) {
+            predicates.push(record => (record.status || CERTIFICATE_STATUS.ACTIVE) === status);
+        }
+        if (query.participantRole) {
+            predicates.push(record => record.participantRole === query.participantRole);
+        }
+        Object.entries(ranges).forEach(([field, range]) => {
+            if (range && field !== rangeField) {
+                predicates.push(record => Boolean(record[field]) && range.includes(record[field]));
+            }
+        });
+        const terms = Utils.normalizeText(query.search).split(/\s+/).filter(Boolean);
+        if (terms.length > 0) {
+            predicates.push(record => {
+                const text = [record.id.toLowerCase(), record.normalizedParticipantName, record.normalizedEventName, record.eventDate].join(' ');
+                return terms.every(term => text.includes(term));
+            });
+        }
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const source = byEvent ? store.index('eventId') : (sortIndex ? store.index(sortIndex) : store);
+            const range = byEvent ? IDBKeyRange.only(query.eventId) : ranges[rangeField] || null;
+            const direction = sortDirection === 'asc' ? 'next' : 'prev';
+            const records = [];
+            let total = 0;
             
-            if (!searchTerm || searchTerm.trim() === '') {
-                return certificates;
+            if (!byEvent && predicates.length === 0) {
+                const countRequest = range ? source.count(range) : source.count();
+                countRequest.onsuccess = () => {
+                    total = countRequest.result;
+                };
+                
+                let skipped = offset === 0;
+                source.openCursor(range, direction).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || records.length >= limit) {
+                        return;
+                    }
+                    if (!skipped) {
+                        skipped = true;
+                        cursor.advance(offset);
+                        return;
+                    }
+                    records.push(cursor.value);
+                    cursor.continue();
+                };
+            } else {
+                source.openCursor(range, direction).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) {
+                        return;
+                    }
+                    if (predicates.every(predicate => predicate(cursor.value))) {
+                        if (byEvent || (total >= offset && records.length < limit)) {
+                            records.push(cursor.value);
+                        }
+                        total++;
+                    }
+                    cursor.continue();
+                };
             }
             
-            const term = searchTerm.toLowerCase().trim();
+            transaction.oncomplete = () => {
+                if (!byEvent) {
+                    resolve({ records, total });
+                    return;
+                }
+                
+                // Mismo orden que daría el índice: por el campo y, a igualdad, por la clave
+                const primaryKey = store.keyPath;
+                const sortKey = sortIndex || primaryKey;
+                const factor = sortDirection === 'asc' ? 1 : -1;
+                records.sort((a, b) => factor * (
+                    indexedDB.cmp(a[sortKey] || '', b[sortKey] || '') || indexedDB.cmp(a[primaryKey], b[primaryKey])
+                ));
+                resolve({ records: records.slice(offset, offset + limit), total });
+            };
             
-            return certificates.filter(cert => 
-                cert.id.toLowerCase().includes(term) ||
-                cert.participantName.toLowerCase().includes(term) ||
-                cert.eventName.toLowerCase().includes(term) ||
-                new Date(cert.date).toLocaleDateString().includes(term)
-            );
-        } catch (error) {
-            console.error('Error en searchCertificates:', error);
-            throw error;
-        }
+            transaction.onerror = (event) => {
+                console.error('Error al consultar el historial:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Obtiene los roles distintos de los certificados guardados, recorriendo solo su índice
+     * @returns {Promise<Array<string>>} - Promesa que se resuelve con los roles ordenados
+     */
+    const getCertificateRoles = async () => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([CERTIFICATES_STORE], 'readonly');
+            const roles = [];
+            
+            transaction.objectStore(CERTIFICATES_STORE).index('participantRole').openKeyCursor(null, 'nextunique').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    roles.push(cursor.key);
+                    cursor.continue();
+                }
+            };
+            
+            transaction.oncomplete = () => {
+                resolve(roles);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error al obtener los roles de los certificados:', event.target.error);
+                reject(event.target.error);
+            };
+        });
     };
     
     /**
@@ -187,7 +1109,36 @@ const Storage = (() => {
     };
     
     /**
-     * Elimina un certificado por su ID
+     * Obtiene el certificado cuyo PDF tiene una huella SHA-256 determinada
+     * @param {string} contentHash - Huella del PDF en hexadecimal
+     * @returns {Promise<Object>} - Promesa que se resuelve con el certificado encontrado
+     */
+    const getCertificateByHash = async (contentHash) => {
+        try {
+            await initDB();
+            
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([CERTIFICATES_STORE], 'readonly');
+                const store = transaction.objectStore(CERTIFICATES_STORE);
+                const request = store.index('contentHash').get(contentHash);
+                
+                request.onsuccess = () => {
+                    resolve(request.result);
+                };
+                
+                request.onerror = (event) => {
+                    console.error('Error al obtener certificado por huella:', event.target.error);
+                    reject(event.target.error);
+                };
+            });
+        } catch (error) {
+            console.error('Error en getCertificateByHash:', error);
+            throw error;
+        }
+    };
+    
+    /**
+     * Elimina un certificado por su ID junto con sus versiones; la eliminación queda en el registro de auditoría
      * @param {string} id - ID del certificado a eliminar
      * @returns {Promise} - Promesa que se resuelve cuando el certificado es eliminado
      */
@@ -196,15 +1147,33 @@ const Storage = (() => {
             await initDB();
             
             return new Promise((resolve, reject) => {
-                const transaction = db.transaction([CERTIFICATES_STORE], 'readwrite');
-                const store = transaction.objectStore(CERTIFICATES_STORE);
-                const request = store.delete(id);
+                const transaction = db.transaction([CERTIFICATES_STORE, PDFS_STORE, VERSIONS_STORE, AUDIT_STORE], 'readwrite');
+                const certificatesStore = transaction.objectStore(CERTIFICATES_STORE);
+                const pdfsStore = transaction.objectStore(PDFS_STORE);
+                const versionsStore = transaction.objectStore(VERSIONS_STORE);
                 
-                request.onsuccess = () => {
+                const getRequest = certificatesStore.get(id);
+                getRequest.onsuccess = () => {
+                    if (getRequest.result) {
+                        transaction.objectStore(AUDIT_STORE).add(createAuditEntry('delete', getRequest.result));
+                    }
+                };
+                certificatesStore.delete(id);
+                pdfsStore.delete(id);
+                
+                const versionsRequest = versionsStore.index('certificateId').getAllKeys(id);
+                versionsRequest.onsuccess = () => {
+                    versionsRequest.result.forEach(key => {
+                        versionsStore.delete(key);
+                        pdfsStore.delete(key);
+                    });
+                };
+                
+                transaction.oncomplete = () => {
                     resolve(true);
                 };
                 
-                request.onerror = (event) => {
+                transaction.onerror = (event) => {
                     console.error('Error al eliminar certificado:', event.target.error);
                     reject(event.target.error);
                 };
@@ -215,16 +1184,191 @@ const Storage = (() => {
         }
     };
     
+    /**
+     * Obtiene un registro de cualquier almacén por su clave
+     * @param {string} storeName - Nombre del almacén
+     * @param {*} key - Clave del registro
+     * @returns {Promise<Object>} - Promesa que se resuelve con el registro (o undefined)
+     */
+    const getRecord = async (storeName, key) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).get(key);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = (event) => {
+                console.error(`Error al leer de ${storeName}:`, event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Obtiene todos los registros de un almacén
+     * @param {string} storeName - Nombre del almacén
+     * @returns {Promise<Array>} - Promesa que se resuelve con los registros
+     */
+    const getAllRecords = async (storeName) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = (event) => {
+                console.error(`Error al leer de ${storeName}:`, event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Obtiene los registros de un almacén que tienen un valor en un índice
+     * @param {string} storeName - Nombre del almacén
+     * @param {string} indexName - Nombre del índice
+     * @param {*} value - Valor buscado
+     * @returns {Promise<Array>} - Promesa que se resuelve con los registros
+     */
+    const getRecordsByIndex = async (storeName, indexName, value) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).getAll(value);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = (event) => {
+                console.error(`Error al leer de ${storeName}:`, event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Guarda (o reemplaza) un registro en cualquier almacén
+     * @param {string} storeName - Nombre del almacén
+     * @param {Object} record - Registro a guardar
+     * @returns {Promise<Object>} - Promesa que se resuelve con el registro guardado
+     */
+    const putRecord = async (storeName, record) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).put(record);
+            
+            request.onsuccess = () => {
+                resolve(record);
+            };
+            
+            request.onerror = (event) => {
+                console.error(`Error al guardar en ${storeName}:`, event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Elimina un registro de cualquier almacén
+     * @param {string} storeName - Nombre del almacén
+     * @param {*} key - Clave del registro
+     * @returns {Promise} - Promesa que se resuelve cuando el registro es eliminado
+     */
+    const deleteRecord = async (storeName, key) => {
+        await initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).delete(key);
+            
+            request.onsuccess = () => {
+                resolve(true);
+            };
+            
+            request.onerror = (event) => {
+                console.error(`Error al eliminar de ${storeName}:`, event.target.error);
+                reject(event.target.error);
+            };
+        });
+    };
+    
+    /**
+     * Obtiene el espacio que ocupa la aplicación y el máximo que permite el navegador
+     * @returns {Promise<Object|null>} - Promesa que se resuelve con { usage, quota } en bytes (null si no se puede saber)
+     */
+    const getStorageEstimate = async () => {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        return quota ? { usage, quota } : null;
+    };
+    
     // Inicializar la base de datos cuando se carga el script
     initDB().catch(console.error);
     
     // API pública
     return {
-        generateCertificateId,
+        STORES: {
+            CERTIFICATES: CERTIFICATES_STORE,
+            KEYS: KEYS_STORE,
+            TEMPLATES: TEMPLATES_STORE,
+            ROLES: ROLES_STORE,
+            EVENTS: EVENTS_STORE,
+            PDFS: PDFS_STORE,
+            VERSIONS: VERSIONS_STORE,
+            AUDIT: AUDIT_STORE,
+            COUNTERS: COUNTERS_STORE,
+            TRANSCRIPTS: TRANSCRIPTS_STORE,
+            SIGNATORIES: SIGNATORIES_STORE,
+            SIGNATURE_IMAGES: SIGNATURE_IMAGES_STORE,
+            FONTS: FONTS_STORE,
+            FONT_FILES: FONT_FILES_STORE,
+            PARTICIPANTS: PARTICIPANTS_STORE
+        },
+        CERTIFICATE_STATUS,
+        getEventKey,
+        getRecord,
+        getAllRecords,
+        getRecordsByIndex,
+        putRecord,
+        deleteRecord,
+        getCounterValue,
+        mergeCounters,
+        reserveCertificateId,
+        releaseCertificateId,
+        putCertificate,
         saveCertificate,
+        supersedeCertificate,
+        getCertificatePdf,
+        saveCertificatePdf,
+        saveTranscript,
+        saveFont,
+        deleteFont,
+        mergeParticipants,
+        revokeCertificate,
+        appendAuditEntry,
+        getAuditLog,
+        getCertificateVersions,
+        getVersionByHash,
         getAllCertificates,
-        searchCertificates,
+        queryCertificates,
+        getCertificateRoles,
         getCertificateById,
-        deleteCertificate
+        getCertificateByHash,
+        deleteCertificate,
+        getStorageEstimate
     };
 })();
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * Módulo que gestiona el editor de plantillas con vista previa en vivo
+ */
+
+const TemplateEditor = (() => {
+    // Tiempo de espera tras la última edición antes de regenerar la vista previa
+    const PREVIEW_DELAY = 400;
+
+    /**
+     * Obtiene los datos de ejemplo para la vista previa de la plantilla, en el idioma de la interfaz
+     * @returns {Object} - Datos de un certificado de ejemplo
+     */
+    const getSampleData = () => ({
+        id: 'CERT-00000000-00000',
+        eventName: I18n.t('templates.sampleEvent'),
+        eventDate: new Date().toISOString().substring(0, 10),
+        eventLocation: 'Madrid',
+        participantName: I18n.t('preview.participant'),
+        participantRole: Roles.DEFAULT_ROLES[0].name,
+        eventDuration: '8'
+    });
+
+    let templates = [];
+    let current = null;
+    let previewTimer = null;
+    let onChange = () => {};
+
+    /**
+     * Lee un valor anidado de un objeto a partir de una ruta como "colors.border"
+     * @param {Object} object - Objeto de origen
+     * @param {string} path - Ruta del valor
+     * @returns {*} - Valor encontrado
+     */
+    const getPath = (object, path) => path.split('.').reduce((value, key) => value[key], object);
+
+    /**
+     * Escribe un valor anidado en un objeto a partir de una ruta como "colors.border"
+     * @param {Object} object - Objeto de destino
+     * @param {string} path - Ruta del valor
+     * @param {*} value - Valor a escribir
+     */
+    const setPath = (object, path, value) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.reduce((target, key) => target[key], object)[last] = value;
+    };
+
+    /**
+     * Obtiene los campos del formulario del editor
+     * @returns {Array<HTMLElement>} - Campos con el atributo data-template-field
+     */
+    const getFields = () => Array.from(document.querySelectorAll('#template-form [data-template-field]'));
+
+    /**
+     * Muestra las miniaturas del fondo, de la marca de agua y de los logos de patrocinadores
+     */
+    const renderImages = () => {
+        document.querySelectorAll('#template-form [data-template-image-thumb]').forEach(thumb => {
+            const dataUrl = getPath(current, thumb.dataset.templateImageThumb);
+            thumb.src = dataUrl || '';
+            thumb.classList.toggle('d-none', !dataUrl);
+        });
+        document.querySelectorAll('#template-form [data-template-image-clear]').forEach(button => {
+            button.classList.toggle('d-none', !getPath(current, button.dataset.templateImageClear));
+        });
+
+        const list = document.getElementById('template-sponsor-list');
+        list.innerHTML = '';
+        current.sponsors.logos.forEach((dataUrl, index) => {
+            const item = document.createElement('div');
+            item.className = 'd-flex align-items-center gap-1';
+            item.innerHTML = `
+                <img class="template-image-thumb">
+                <button type="button" class="btn btn-outline-secondary btn-sm">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            item.querySelector('img').src = dataUrl;
+            item.querySelector('img').alt = I18n.t('templates.sponsorLogo', { number: index + 1 });
+            item.querySelector('button').title = I18n.t('templates.removeSponsorLogo');
+            item.querySelector('button').addEventListener('click', () => {
+                setSection('sponsors', { logos: current.sponsors.logos.filter((logo, position) => position !== index) });
+            });
+            list.appendChild(item);
+        });
+    };
+
+    /**
+     * Cambia valores de una sección de la plantilla editada (las imágenes no son campos del formulario)
+     * @param {string} section - Sección de la plantilla (background, watermark o sponsors)
+     * @param {Object} values - Valores que se sustituyen
+     */
+    const setSection = (section, values) => {
+        current = { ...current, [section]: { ...current[section], ...values } };
+        renderImages();
+        schedulePreview();
+    };
+
+    /**
+     * Carga una plantilla en el formulario del editor
+     * @param {Object} template - Plantilla a editar
+     */
+    const fillForm = (template) => {
+        current = template;
+        getFields().forEach(field => {
+            field.value = getPath(template, field.dataset.templateField);
+            // Una fuente subida que ya no existe no está entre las opciones: queda la primera
+            if (field.tagName === 'SELECT' && field.selectedIndex === -1) {
+                field.selectedIndex = 0;
+            }
+        });
+
+        document.getElementById('template-delete-btn').disabled = !template.id || template.builtIn;
+        document.getElementById('template-save-btn').innerHTML =
+            `<i class="fas fa-save"></i> ${I18n.t(template.builtIn ? 'templates.saveAsNew' : 'templates.save')}`;
+        renderImages();
+        schedulePreview();
+    };
+
+    /**
+     * Construye la plantilla a partir de los valores del formulario
+     * @returns {Object} - Plantilla editada
+     */
+    const readForm = () => {
+        const template = {
+            ...current,
+            titles: { ...current.titles },
+            colors: { ...current.colors },
+            fonts: { ...current.fonts },
+            positions: { ...current.positions },
+            background: { ...current.background },
+            watermark: { ...current.watermark },
+            sponsors: { ...current.sponsors, logos: [...current.sponsors.logos] }
+        };
+
+        getFields().forEach(field => {
+            const value = field.type === 'number' ? parseFloat(field.value) : field.value;
+            setPath(template, field.dataset.templateField, value);
+        });
+
+        return template;
+    };
+
+    /**
+     * Regenera la vista previa poco después de la última edición
+     */
+    const schedulePreview = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(async () => {
+            const template = readForm();
+            if (Templates.validate(template).length > 0) {
+                return;
+            }
+
+            try {
+                const sampleData = getSampleData();
+                const roleTexts = await Roles.describeAll(sampleData);
+                const pdfDataUrl = await PDFGenerator.generateCertificatePDF(sampleData, { template, roleTexts });
+                document.getElementById('template-preview-iframe').src = pdfDataUrl;
+            } catch (error) {
+                console.error('Error al generar la vista previa de la plantilla:', error);
+            }
+        }, PREVIEW_DELAY);
+    };
+
+    /**
+     * Rellena los selectores de fuentes con las incorporadas y las subidas, conservando la elección actual
+     */
+    const loadFontOptions = async () => {
+        try {
+            const fonts = await Fonts.getAll();
+            document.querySelectorAll('#template-form .template-font-select').forEach(select => {
+                const selected = select.value;
+                Fonts.fillSelect(select, fonts, select.dataset.fontEmpty);
+                // Si la fuente elegida se ha eliminado, queda la primera opción
+                select.value = Array.from(select.options).some(option => option.value === selected)
+                    ? selected
+                    : select.options[0].value;
+            });
+        } catch (error) {
+            console.error('Error al cargar las fuentes:', error);
+        }
+    };
+
+    /**
+     * Carga la lista de plantillas y selecciona una de ellas
+     * @param {string} [selectedId] - ID de la plantilla a seleccionar
+     */
+    const loadTemplates = async (selectedId) => {
+        try {
+            templates = await Templates.getAll();
+            await loadFontOptions();
+            const select = document.getElementById('template-editor-select');
+            select.innerHTML = '';
+
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.builtIn ? I18n.t('templates.builtInName', { name: template.name }) : template.name;
+                select.appendChild(option);
+            });
+
+            const selected = templates.find(template => template.id === selectedId) || templates[0];
+            select.value = selected.id;
+            fillForm(selected);
+        } catch (error) {
+            console.error('Error al cargar las plantillas:', error);
+            UI.showToast(I18n.t('templates.loadError'), 'danger');
+        }
+    };
+
+    /**
+     * Guarda la plantilla editada
+     */
+    const saveTemplate = async () => {
+        try {
+            const saved = await Templates.save(readForm());
+            UI.showToast(I18n.t('templates.saved'));
+            await loadTemplates(saved.id);
+            onChange();
+        } catch (error) {
+            console.error('Error al guardar la plantilla:', error);
+            UI.showToast(I18n.t('templates.saveError', { message: error.message }), 'danger');
+        }
+    };
+
+    /**
+     * Elimina la plantilla seleccionada
+     */
+    const deleteTemplate = async () => {
+        if (!current.id || current.builtIn || !confirm(I18n.t('templates.confirmDelete', { name: current.name }))) {
+            return;
+        }
+
+        try {
+            await Templates.remove(current.id);
+            UI.showToast(I18n.t('templates.deleted'));
+            await loadTemplates();
+            onChange();
+        } catch (error) {
+            console.error('Error al eliminar la plantilla:', error);
+            UI.showToast(I18n.t('templates.deleteError'), 'danger');
+        }
+    };
+
+    /**
+     * Inicializa los eventos del editor de plantillas
+     * @param {Function} [onTemplatesChange] - Se llama cuando se guarda o elimina una plantilla
+     */
+    const init = (onTemplatesChange) => {
+        if (onTemplatesChange) {
+            onChange = onTemplatesChange;
+        }
+
+        document.getElementById('template-editor-select').addEventListener('change', (e) => {
+            const template = templates.find(item => item.id === e.target.value);
+            if (template) {
+                fillForm(template);
+            }
+        });
+
+        document.getElementById('template-form').addEventListener('input', schedulePreview);
+
+        document.getElementById('template-new-btn').addEventListener('click', () => {
+            fillForm({ ...Templates.DEFAULT_TEMPLATE, id: null, builtIn: false, name: I18n.t('templates.newName') });
+        });
+
+        document.getElementById('template-duplicate-btn').addEventListener('click', () => {
+            const template = readForm();
+            fillForm({ ...template, id: null, builtIn: false, name: I18n.t('templates.copyName', { name: template.name }) });
+        });
+
+        // Imágenes del fondo y de la marca de agua: se reducen al subirlas
+        document.querySelectorAll('#template-form [data-template-image]').forEach(input => {
+            input.addEventListener('change', async () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    return;
+                }
+                try {
+                    const [section, key] = input.dataset.templateImage.split('.');
+                    setSection(section, { [key]: await PDFGenerator.prepareImage(file) });
+                } catch (error) {
+                    console.error('Error al cargar la imagen de la plantilla:', error);
+                    UI.showToast(error.message, 'danger');
+                }
+                input.value = '';
+            });
+        });
+
+        document.querySelectorAll('#template-form [data-template-image-clear]').forEach(button => {
+            button.addEventListener('click', () => {
+                const [section, key] = button.dataset.templateImageClear.split('.');
+                setSection(section, { [key]: null });
+            });
+        });
+
+        document.getElementById('template-sponsor-logos').addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files || []);
+            const logos = [...current.sponsors.logos];
+            try {
+                for (const file of files) {
+                    if (logos.length >= Templates.MAX_SPONSOR_LOGOS) {
+                        UI.showToast(I18n.t('templates.tooManySponsors', { max: Templates.MAX_SPONSOR_LOGOS }), 'warning');
+                        break;
+                    }
+                    logos.push(await PDFGenerator.prepareImage(file));
+                }
+            } catch (error) {
+                console.error('Error al cargar el logo del patrocinador:', error);
+                UI.showToast(error.message, 'danger');
+            }
+            setSection('sponsors', { logos });
+            e.target.value = '';
+        });
+
+        document.getElementById('template-save-btn').addEventListener('click', saveTemplate);
+        document.getElementById('template-delete-btn').addEventListener('click', deleteTemplate);
+    };
+
+    // API pública
+    return {
+        init,
+        loadTemplates,
+        loadFontOptions
+    };
+})();
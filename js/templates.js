@@ -0,0 +1,262 @@
+/**
+ * Módulo para gestionar las plantillas de diseño de los certificados
+ */
+
+const Templates = (() => {
+    // Plantilla incorporada: reproduce el diseño original y no se puede modificar ni eliminar
+    const DEFAULT_TEMPLATE = Object.freeze({
+        id: 'default',
+        name: 'Clásica',
+        builtIn: true,
+        orientation: 'landscape',
+        title: 'CERTIFICADO DE PARTICIPACIÓN',
+        // Título en otros idiomas; vacío para usar el del catálogo de textos
+        titles: Object.freeze({
+            en: '',
+            pt: ''
+        }),
+        borderStyle: 'double',
+        colors: Object.freeze({
+            border: '#006efd',
+            innerBorder: '#dcdcdc',
+            title: '#006efd',
+            text: '#000000',
+            muted: '#646464'
+        }),
+        // Fuente del texto y, si se eligen, fuentes distintas para el título y el nombre (vacías: la del texto)
+        fonts: Object.freeze({
+            family: 'helvetica',
+            titleFamily: '',
+            nameFamily: '',
+            titleSize: 24,
+            nameSize: 18,
+            bodySize: 12
+        }),
+        // Posiciones verticales en mm; el contenido se desplaza hacia abajo si hay logo
+        positions: Object.freeze({
+            titleY: 30,
+            logoY: 40,
+            contentY: 50,
+            signatureGap: 30,
+            footerGap: 20
+        }),
+        // Imagen de fondo a toda la página ('cover') o repetida como trama ('tile', con el ancho de cada pieza en mm)
+        background: Object.freeze({
+            imageDataUrl: null,
+            mode: 'cover',
+            tileSize: 40
+        }),
+        // Marca de agua de texto o de imagen sobre el fondo; la opacidad va de 0 a 1
+        watermark: Object.freeze({
+            type: 'none',
+            text: '',
+            imageDataUrl: null,
+            opacity: 0.1
+        }),
+        // Franja de logos de patrocinadores, arriba o abajo de la página, con el alto de los logos en mm
+        sponsors: Object.freeze({
+            logos: Object.freeze([]),
+            position: 'bottom',
+            height: 12
+        })
+    });
+
+    const BORDER_STYLES = ['double', 'single', 'none'];
+    const FONT_FAMILIES = ['helvetica', 'times', 'courier'];
+    const FONT_FAMILY_KEYS = ['family', 'titleFamily', 'nameFamily'];
+    const ORIENTATIONS = ['landscape', 'portrait'];
+    const BACKGROUND_MODES = ['cover', 'tile'];
+    const WATERMARK_TYPES = ['none', 'text', 'image'];
+    const SPONSOR_POSITIONS = ['top', 'bottom'];
+    const MAX_SPONSOR_LOGOS = 6;
+
+    /**
+     * Convierte un color hexadecimal en sus componentes RGB
+     * @param {string} hex - Color en formato #RRGGBB
+     * @returns {Array<number>} - Componentes [r, g, b]
+     */
+    const hexToRgb = (hex) => {
+        const value = hex.replace('#', '');
+        return [0, 2, 4].map(offset => parseInt(value.substring(offset, offset + 2), 16));
+    };
+
+    /**
+     * Comprueba si una fuente es una de las incorporadas o una subida (su ID empieza por "font-")
+     * @param {string} family - ID de la fuente
+     * @returns {boolean} - True si la fuente es válida
+     */
+    const isFontFamily = (family) => FONT_FAMILIES.includes(family) || /^font-/.test(family);
+
+    /**
+     * Completa una plantilla con los valores por defecto de los campos que le falten
+     * @param {Object} template - Plantilla guardada
+     * @returns {Object} - Plantilla completa
+     */
+    const normalize = (template) => ({
+        ...DEFAULT_TEMPLATE,
+        ...template,
+        builtIn: template.id === DEFAULT_TEMPLATE.id,
+        titles: { ...DEFAULT_TEMPLATE.titles, ...template.titles },
+        colors: { ...DEFAULT_TEMPLATE.colors, ...template.colors },
+        fonts: { ...DEFAULT_TEMPLATE.fonts, ...template.fonts },
+        positions: { ...DEFAULT_TEMPLATE.positions, ...template.positions },
+        background: { ...DEFAULT_TEMPLATE.background, ...template.background },
+        watermark: { ...DEFAULT_TEMPLATE.watermark, ...template.watermark },
+        sponsors: {
+            ...DEFAULT_TEMPLATE.sponsors,
+            ...template.sponsors,
+            logos: [...((template.sponsors && template.sponsors.logos) || [])]
+        }
+    });
+
+    /**
+     * Obtiene el título de una plantilla en un idioma
+     * @param {Object} template - Plantilla
+     * @param {string} language - Código del idioma
+     * @returns {string} - Título traducido; si no lo hay, el del catálogo cuando el título es el original
+     */
+    const getTitle = (template, language) => {
+        if (language === I18n.DEFAULT_LANGUAGE) {
+            return template.title;
+        }
+        if (template.titles && template.titles[language]) {
+            return template.titles[language];
+        }
+        return template.title === DEFAULT_TEMPLATE.title ? I18n.t('cert.title', {}, language) : template.title;
+    };
+
+    /**
+     * Obtiene todas las plantillas, empezando por la incorporada
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con las plantillas
+     */
+    const getAll = async () => {
+        const stored = await Storage.getAllRecords(Storage.STORES.TEMPLATES);
+        stored.sort((a, b) => a.name.localeCompare(b.name));
+        return [normalize(DEFAULT_TEMPLATE), ...stored.map(normalize)];
+    };
+
+    /**
+     * Obtiene una plantilla por su ID (la incorporada si no existe)
+     * @param {string} [id] - ID de la plantilla
+     * @returns {Promise<Object>} - Promesa que se resuelve con la plantilla
+     */
+    const get = async (id) => {
+        if (!id || id === DEFAULT_TEMPLATE.id) {
+            return normalize(DEFAULT_TEMPLATE);
+        }
+
+        const template = await Storage.getRecord(Storage.STORES.TEMPLATES, id);
+        return normalize(template || DEFAULT_TEMPLATE);
+    };
+
+    /**
+     * Valida una plantilla antes de guardarla
+     * @param {Object} template - Plantilla a validar
+     * @returns {Array<string>} - Lista de errores (vacía si es válida)
+     */
+    const validate = (template) => {
+        const { t } = I18n;
+        const errors = [];
+
+        if (!template.name || !template.name.trim()) {
+            errors.push(t('templates.nameRequired'));
+        }
+        if (!ORIENTATIONS.includes(template.orientation)) {
+            errors.push(t('templates.invalidOrientation'));
+        }
+        if (!BORDER_STYLES.includes(template.borderStyle)) {
+            errors.push(t('templates.invalidBorder'));
+        }
+        if (!isFontFamily(template.fonts.family)
+            || [template.fonts.titleFamily, template.fonts.nameFamily].some(family => family && !isFontFamily(family))) {
+            errors.push(t('templates.invalidFont'));
+        }
+        Object.values(template.colors).forEach(color => {
+            if (!/^#[0-9a-f]{6}$/i.test(color)) {
+                errors.push(t('templates.invalidColor', { color }));
+            }
+        });
+        Object.entries({ ...template.fonts, ...template.positions }).forEach(([key, value]) => {
+            if (!FONT_FAMILY_KEYS.includes(key) && (!Number.isFinite(value) || value < 0)) {
+                errors.push(t('templates.invalidValue', { key }));
+            }
+        });
+        if (!BACKGROUND_MODES.includes(template.background.mode)) {
+            errors.push(t('templates.invalidBackground'));
+        }
+        if (!Number.isFinite(template.background.tileSize) || template.background.tileSize <= 0) {
+            errors.push(t('templates.invalidTileSize'));
+        }
+        if (!WATERMARK_TYPES.includes(template.watermark.type)) {
+            errors.push(t('templates.invalidWatermark'));
+        }
+        if (!Number.isFinite(template.watermark.opacity) || template.watermark.opacity < 0 || template.watermark.opacity > 1) {
+            errors.push(t('templates.invalidOpacity'));
+        }
+        if (!SPONSOR_POSITIONS.includes(template.sponsors.position)) {
+            errors.push(t('templates.invalidSponsorPosition'));
+        }
+        if (!Number.isFinite(template.sponsors.height) || template.sponsors.height <= 0) {
+            errors.push(t('templates.invalidSponsorHeight'));
+        }
+        if (template.sponsors.logos.length > MAX_SPONSOR_LOGOS) {
+            errors.push(t('templates.tooManySponsors', { max: MAX_SPONSOR_LOGOS }));
+        }
+
+        return errors;
+    };
+
+    /**
+     * Guarda una plantilla; la incorporada se guarda como copia nueva
+     * @param {Object} template - Plantilla a guardar
+     * @returns {Promise<Object>} - Promesa que se resuelve con la plantilla guardada
+     */
+    const save = async (template) => {
+        const errors = validate(template);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        const id = !template.id || template.id === DEFAULT_TEMPLATE.id ? Utils.createId('tpl') : template.id;
+        const { builtIn, ...record } = template;
+        return Storage.putRecord(Storage.STORES.TEMPLATES, {
+            ...record,
+            id,
+            name: template.name.trim(),
+            updatedAt: new Date().toISOString()
+        });
+    };
+
+    /**
+     * Elimina una plantilla guardada
+     * @param {string} id - ID de la plantilla
+     * @returns {Promise} - Promesa que se resuelve cuando la plantilla es eliminada
+     */
+    const remove = async (id) => {
+        if (id === DEFAULT_TEMPLATE.id) {
+            throw new Error(I18n.t('templates.builtInDelete'));
+        }
+        return Storage.deleteRecord(Storage.STORES.TEMPLATES, id);
+    };
+
+    // API pública
+    return {
+        DEFAULT_TEMPLATE,
+        BORDER_STYLES,
+        FONT_FAMILIES,
+        FONT_FAMILY_KEYS,
+        ORIENTATIONS,
+        BACKGROUND_MODES,
+        WATERMARK_TYPES,
+        SPONSOR_POSITIONS,
+        MAX_SPONSOR_LOGOS,
+        hexToRgb,
+        normalize,
+        getTitle,
+        getAll,
+        get,
+        validate,
+        save,
+        remove
+    };
+})();
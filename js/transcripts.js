@@ -0,0 +1,528 @@
+/**
+ * Módulo con la vista de participantes y sus expedientes: los certificados de una persona en todos los
+ * eventos, las horas acumuladas por rol y un PDF firmado con su propio ID verificable
+ */
+
+const Transcripts = (() => {
+    const { jsPDF } = window.jspdf;
+
+    // Datos de cada certificado que se copian en el expediente y se firman
+    const ENTRY_FIELDS = ['certificateId', 'eventName', 'eventDate', 'eventLocation', 'participantRole', 'hours'];
+
+    // Participantes del directorio con sus certificados e ID del seleccionado
+    let participants = [];
+    let currentId = null;
+    let callbacks = {
+        getLogoDataUrl: () => null
+    };
+
+    /**
+     * Da formato a un número de horas sin decimales innecesarios
+     * @param {number} hours - Horas
+     * @returns {string} - Horas con hasta dos decimales
+     */
+    const formatHours = (hours) => String(Math.round(hours * 100) / 100);
+
+    /**
+     * Convierte un certificado en la línea que lo representa en el expediente
+     * @param {Object} certificate - Certificado
+     * @returns {Object} - Línea del expediente
+     */
+    const toEntry = (certificate) => ({
+        certificateId: certificate.id,
+        eventName: certificate.eventName,
+        eventDate: certificate.eventDate,
+        eventLocation: certificate.eventLocation,
+        participantRole: certificate.participantRole,
+        hours: formatHours(parseFloat(certificate.eventDuration) || 0)
+    });
+
+    /**
+     * Suma las horas de unas líneas de expediente por rol
+     * @param {Array<Object>} entries - Líneas del expediente
+     * @returns {Array<Object>} - Totales { role, count, hours } ordenados por rol
+     */
+    const getRoleTotals = (entries) => {
+        const totals = new Map();
+        entries.forEach(entry => {
+            const total = totals.get(entry.participantRole) || { role: entry.participantRole, count: 0, hours: 0 };
+            total.count++;
+            total.hours += parseFloat(entry.hours) || 0;
+            totals.set(entry.participantRole, total);
+        });
+        return [...totals.values()].sort((a, b) => a.role.localeCompare(b.role));
+    };
+
+    /**
+     * Obtiene el total de horas de unas líneas de expediente
+     * @param {Array<Object>} entries - Líneas del expediente
+     * @returns {number} - Horas acumuladas
+     */
+    const getTotalHours = (entries) => entries.reduce((sum, entry) => sum + (parseFloat(entry.hours) || 0), 0);
+
+    /**
+     * Reúne los certificados de un participante: los vigentes, por fecha del evento, acreditan horas
+     * @param {Array<Object>} certificates - Certificados del participante
+     * @returns {Object} - { certificates, entries, roles, totalHours, revoked }
+     */
+    const summarize = (certificates) => {
+        const sorted = [...certificates].sort((a, b) => a.eventDate.localeCompare(b.eventDate) || a.eventName.localeCompare(b.eventName));
+        const active = sorted.filter(certificate => Certificates.getStatus(certificate) !== Storage.CERTIFICATE_STATUS.REVOKED);
+        const entries = active.map(toEntry);
+        return {
+            certificates: sorted,
+            entries,
+            roles: getRoleTotals(entries),
+            totalHours: getTotalHours(entries),
+            revoked: sorted.length - active.length
+        };
+    };
+
+    /**
+     * Obtiene los participantes del directorio con sus certificados
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los participantes (con certificates) ordenados por nombre
+     */
+    const getParticipants = async () => {
+        const groups = new Map((await Participants.getAll()).map(participant => [participant.id, { ...participant, certificates: [] }]));
+        (await Storage.getAllCertificates()).forEach(certificate => {
+            const group = groups.get(certificate.participantId);
+            if (group) {
+                group.certificates.push(certificate);
+            }
+        });
+        return [...groups.values()];
+    };
+
+    /**
+     * Serializa los datos firmados de un expediente de forma estable
+     * @param {Object} transcript - Expediente
+     * @returns {string} - JSON canónico
+     */
+    const canonicalJSON = (transcript) => JSON.stringify({
+        createdAt: String(transcript.createdAt ?? ''),
+        entries: transcript.entries.map(entry => ENTRY_FIELDS.map(field => String(entry[field] ?? ''))),
+        id: String(transcript.id ?? ''),
+        participantName: String(transcript.participantName ?? ''),
+        totalHours: String(transcript.totalHours ?? '')
+    });
+
+    /**
+     * Calcula la huella corta de los datos de un expediente (la que lleva su código QR)
+     * @param {Object} transcript - Expediente
+     * @returns {Promise<string>} - Primeros 12 caracteres de la huella SHA-256
+     */
+    const getDataHash = async (transcript) => {
+        const hash = await Utils.sha256Hex(new TextEncoder().encode(canonicalJSON(transcript)));
+        return hash.substring(0, 12);
+    };
+
+    /**
+     * Comprueba la firma de un expediente
+     * @param {Object} transcript - Expediente guardado
+     * @param {CryptoKey} [publicKey] - Clave pública a usar (por defecto, la propia con la que se firmó)
+     * @returns {Promise<boolean>} - True si la firma es válida
+     */
+    const verifySignature = (transcript, publicKey = null) => (
+        Signing.verifyText(canonicalJSON(transcript), transcript.signature, publicKey, transcript.signatureKey)
+    );
+
+    /**
+     * Obtiene las líneas de un expediente cuyo certificado se ha revocado o eliminado después de emitirlo
+     * @param {Object} transcript - Expediente guardado
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con las líneas afectadas
+     */
+    const getChangedEntries = async (transcript) => {
+        const changed = [];
+        for (const entry of transcript.entries) {
+            const certificate = await Storage.getCertificateById(entry.certificateId);
+            if (!certificate || Certificates.getStatus(certificate) === Storage.CERTIFICATE_STATUS.REVOKED) {
+                changed.push(entry);
+            }
+        }
+        return changed;
+    };
+
+    /**
+     * Obtiene un expediente por su ID
+     * @param {string} id - ID del expediente
+     * @returns {Promise<Object|undefined>} - Promesa que se resuelve con el expediente
+     */
+    const get = (id) => Storage.getRecord(Storage.STORES.TRANSCRIPTS, id);
+
+    /**
+     * Busca un expediente por la huella de su PDF
+     * @param {string} contentHash - Huella SHA-256 del PDF
+     * @returns {Promise<Object|null>} - Promesa que se resuelve con el expediente (null si no existe)
+     */
+    const getByHash = async (contentHash) => {
+        const transcripts = await Storage.getRecordsByIndex(Storage.STORES.TRANSCRIPTS, 'contentHash', contentHash);
+        return transcripts[0] || null;
+    };
+
+    /**
+     * Obtiene los expedientes emitidos para un participante, del más reciente al más antiguo
+     * @param {string} participantId - ID del participante
+     * @returns {Promise<Array<Object>>} - Promesa que se resuelve con los expedientes
+     */
+    const getIssued = async (participantId) => {
+        const transcripts = await Storage.getRecordsByIndex(Storage.STORES.TRANSCRIPTS, 'participantId', participantId);
+        return transcripts.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    };
+
+    /**
+     * Genera el PDF de un expediente firmado
+     * @param {Object} transcript - Expediente firmado
+     * @param {Object} [options] - Opciones del PDF
+     * @param {string|null} [options.logoDataUrl] - URL de datos del logo de la cabecera
+     * @returns {Promise<Blob>} - Promesa que se resuelve con el PDF
+     */
+    const buildPdf = async (transcript, { logoDataUrl = null } = {}) => {
+        const { t } = I18n;
+        const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const margin = 15;
+        const issueDate = I18n.formatDate(transcript.createdAt);
+
+        // Cabecera con el logo y los datos del participante
+        const textX = margin + (logoDataUrl ? PDFGenerator.drawHeaderLogo(pdf, logoDataUrl, margin, margin) : 0);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(16);
+        pdf.text(t('transcript.title'), textX, margin + 6);
+        pdf.setFontSize(12);
+        pdf.text(transcript.participantName, textX, margin + 13, { maxWidth: pageWidth - textX - margin });
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(10);
+        pdf.text(t('transcript.summary', { count: transcript.entries.length, hours: transcript.totalHours }), textX, margin + 20);
+        pdf.setTextColor(120);
+        pdf.text(t('transcript.issuedOn', { id: transcript.id, date: issueDate }), textX, margin + 25);
+        pdf.setTextColor(0);
+
+        // Un evento por línea, en orden cronológico
+        pdf.autoTable({
+            startY: margin + 32,
+            margin: { left: margin, right: margin, bottom: 20 },
+            head: [['#', t('transcript.event'), t('transcript.date'), t('transcript.role'), t('transcript.hours'), t('transcript.certificateId')]],
+            body: transcript.entries.map((entry, index) => [
+                index + 1,
+                entry.eventName,
+                I18n.formatDate(entry.eventDate),
+                entry.participantRole,
+                entry.hours,
+                entry.certificateId
+            ]),
+            headStyles: { fillColor: [44, 62, 80] },
+            columnStyles: {
+                0: { halign: 'right', cellWidth: 10 },
+                4: { halign: 'right' }
+            }
+        });
+
+        // Horas acumuladas por rol
+        pdf.autoTable({
+            startY: pdf.lastAutoTable.finalY + 10,
+            margin: { left: margin, right: margin, bottom: 20 },
+            head: [[t('transcript.role'), t('transcript.events'), t('transcript.hours')]],
+            body: getRoleTotals(transcript.entries).map(total => [total.role, total.count, formatHours(total.hours)]),
+            foot: [[t('transcript.total'), transcript.entries.length, transcript.totalHours]],
+            headStyles: { fillColor: [44, 62, 80] },
+            footStyles: { fillColor: [236, 240, 241], textColor: 0 },
+            columnStyles: {
+                1: { halign: 'right' },
+                2: { halign: 'right' }
+            }
+        });
+
+        // Código QR de verificación tras las tablas (en una página nueva si no cabe)
+        const qrSize = 25;
+        let qrY = pdf.lastAutoTable.finalY + 10;
+        if (qrY + qrSize > pageHeight - 20) {
+            pdf.addPage();
+            qrY = margin;
+        }
+        const verificationUrl = await CertificateQR.getVerificationUrl(transcript, await getDataHash(transcript));
+        CertificateQR.drawOnPdf(pdf, verificationUrl, margin, qrY, qrSize);
+        pdf.setFontSize(9);
+        pdf.setTextColor(120);
+        pdf.text([
+            t('transcript.signedNote'),
+            t('transcript.verifyNote', { id: transcript.id }),
+            t('transcript.activeOnlyNote')
+        ], margin + qrSize + 5, qrY + 8);
+
+        // Pie de cada hoja: "ID: ... |" lo usa la verificación de archivos, como en los certificados
+        const pageCount = pdf.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            pdf.setPage(page);
+            pdf.setFontSize(8);
+            pdf.setTextColor(120);
+            pdf.text(`ID: ${transcript.id} | ${t('cert.issueDate')}: ${issueDate}`, margin, pageHeight - 8);
+            pdf.text(t('transcript.page', { page, pages: pageCount }), pageWidth - margin, pageHeight - 8, { align: 'right' });
+        }
+
+        return pdf.output('blob');
+    };
+
+    /**
+     * Emite el expediente de un participante con sus certificados vigentes: reserva el ID, firma, genera el PDF y lo guarda
+     * @param {string} participantId - ID del participante
+     * @param {Object} [assets] - Recursos gráficos del expediente
+     * @param {string|null} [assets.logoDataUrl] - URL de datos del logo
+     * @returns {Promise<Object>} - Promesa que se resuelve con { transcript, pdfBlob }
+     */
+    const issue = async (participantId, { logoDataUrl = null } = {}) => {
+        const participant = await Participants.get(participantId);
+        if (!participant) {
+            throw new Error(I18n.t('transcript.participantMissing'));
+        }
+        const certificates = await Storage.getRecordsByIndex(Storage.STORES.CERTIFICATES, 'participantId', participantId);
+        const { entries, totalHours } = summarize(certificates);
+        if (entries.length === 0) {
+            throw new Error(I18n.t('transcript.noCertificates'));
+        }
+
+        const createdAt = new Date();
+        const data = {
+            id: await CertificateIds.reserveTranscript(createdAt),
+            participantId,
+            participantName: participant.name,
+            normalizedParticipantName: participant.normalizedName,
+            entries,
+            totalHours: formatHours(totalHours),
+            createdAt: createdAt.toISOString()
+        };
+        const signed = { ...data, ...(await Signing.signText(canonicalJSON(data))) };
+
+        const pdfBlob = await buildPdf(signed, { logoDataUrl });
+        const transcript = await Storage.saveTranscript({
+            ...signed,
+            contentHash: await Utils.sha256Hex(await pdfBlob.arrayBuffer())
+        }, pdfBlob);
+
+        return { transcript, pdfBlob };
+    };
+
+    /**
+     * Obtiene el nombre del archivo PDF de un expediente
+     * @param {Object} transcript - Expediente
+     * @returns {string} - Nombre del archivo
+     */
+    const getFileName = (transcript) => `Expediente_${transcript.id}.pdf`;
+
+    /**
+     * Crea una fila de tabla con celdas de texto
+     * @param {Array<string|number>} values - Valores de las celdas
+     * @returns {HTMLTableRowElement} - Fila creada
+     */
+    const createRow = (values) => {
+        const row = document.createElement('tr');
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    };
+
+    /**
+     * Muestra los certificados, los totales por rol y los expedientes del participante seleccionado
+     */
+    const renderDetail = async () => {
+        const participant = participants.find(group => group.id === currentId) || null;
+        const title = document.getElementById('participant-detail-title');
+        const summaryElement = document.getElementById('participant-detail-summary');
+        const certificatesBody = document.getElementById('participant-certificates-body');
+        const rolesBody = document.getElementById('participant-roles-body');
+        const transcriptsBody = document.getElementById('participant-transcripts-body');
+        [certificatesBody, rolesBody, transcriptsBody].forEach(body => {
+            body.innerHTML = '';
+        });
+        document.getElementById('participant-detail').classList.toggle('d-none', !participant);
+        document.getElementById('participant-transcript-btn').disabled = !participant;
+        title.textContent = participant ? participant.name : I18n.t('transcript.selectParticipant');
+        summaryElement.textContent = '';
+        if (!participant) {
+            return;
+        }
+
+        document.getElementById('participant-edit-name').value = participant.name;
+        document.getElementById('participant-edit-email').value = participant.email;
+        document.getElementById('participant-edit-national-id').value = participant.nationalId;
+
+        const { certificates, entries, roles, totalHours, revoked } = summarize(participant.certificates);
+        summaryElement.textContent = I18n.t('transcript.detailSummary', { count: entries.length, hours: formatHours(totalHours) })
+            + (revoked > 0 ? ` · ${I18n.t('transcript.detailRevoked', { count: revoked })}` : '');
+
+        certificates.forEach(certificate => {
+            const row = createRow([
+                certificate.eventName,
+                I18n.formatDate(certificate.eventDate),
+                certificate.participantRole,
+                formatHours(parseFloat(certificate.eventDuration) || 0),
+                certificate.id
+            ]);
+            row.classList.toggle('text-muted', Certificates.getStatus(certificate) === Storage.CERTIFICATE_STATUS.REVOKED);
+            certificatesBody.appendChild(row);
+        });
+
+        roles.forEach(total => rolesBody.appendChild(createRow([total.role, total.count, formatHours(total.hours)])));
+        rolesBody.appendChild(createRow([I18n.t('transcript.total'), entries.length, formatHours(totalHours)]));
+        rolesBody.lastChild.classList.add('fw-bold');
+
+        try {
+            (await getIssued(participant.id)).forEach(transcript => {
+                const row = createRow([
+                    transcript.id,
+                    I18n.formatDate(transcript.createdAt),
+                    transcript.entries.length,
+                    transcript.totalHours
+                ]);
+                const cell = document.createElement('td');
+                cell.className = 'text-end';
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-outline-primary';
+                button.title = I18n.t('transcript.download');
+                button.innerHTML = '<i class="fas fa-download"></i>';
+                button.addEventListener('click', () => download(transcript));
+                cell.appendChild(button);
+                row.appendChild(cell);
+                transcriptsBody.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error al cargar los expedientes del participante:', error);
+        }
+    };
+
+    /**
+     * Dibuja la lista de participantes que coinciden con la búsqueda
+     */
+    const renderList = () => {
+        const body = document.getElementById('participants-table-body');
+        const terms = Utils.normalizeText(document.getElementById('participants-search').value).split(/\s+/).filter(Boolean);
+        const visible = participants.filter(participant => {
+            const searchable = `${participant.normalizedName} ${participant.email} ${participant.nationalId.toLowerCase()}`;
+            return terms.every(term => searchable.includes(term));
+        });
+        body.innerHTML = '';
+        document.getElementById('no-participants').classList.toggle('d-none', visible.length > 0);
+
+        visible.forEach(participant => {
+            const { entries, totalHours } = summarize(participant.certificates);
+            const row = createRow([participant.name, entries.length, formatHours(totalHours)]);
+            row.classList.toggle('table-active', participant.id === currentId);
+            row.addEventListener('click', () => {
+                currentId = participant.id;
+                renderList();
+                renderDetail();
+            });
+            body.appendChild(row);
+        });
+    };
+
+    /**
+     * Muestra la pantalla de participantes con los certificados actuales
+     */
+    const show = async () => {
+        try {
+            participants = await getParticipants();
+            renderList();
+            renderDetail();
+        } catch (error) {
+            console.error('Error al cargar los participantes:', error);
+            UI.showToast(I18n.t('transcript.loadError'), 'danger');
+        }
+    };
+
+    /**
+     * Descarga el PDF guardado de un expediente
+     * @param {Object} transcript - Expediente
+     */
+    const download = async (transcript) => {
+        try {
+            const pdfBlob = await Storage.getCertificatePdf(transcript.id);
+            if (!pdfBlob) {
+                throw new Error(I18n.t('transcript.pdfMissing'));
+            }
+            Utils.downloadFile(pdfBlob, getFileName(transcript));
+        } catch (error) {
+            console.error('Error al descargar el expediente:', error);
+            UI.showToast(I18n.t('transcript.downloadError'), 'danger');
+        }
+    };
+
+    /**
+     * Emite y descarga el expediente del participante seleccionado
+     */
+    const issueSelected = async () => {
+        if (!currentId) {
+            return;
+        }
+
+        try {
+            const { transcript, pdfBlob } = await issue(currentId, { logoDataUrl: callbacks.getLogoDataUrl() });
+            Utils.downloadFile(pdfBlob, getFileName(transcript));
+            UI.showToast(I18n.t('transcript.issued', { id: transcript.id }));
+            renderDetail();
+        } catch (error) {
+            console.error('Error al emitir el expediente:', error);
+            UI.showToast(error.message || I18n.t('transcript.issueError'), 'danger');
+        }
+    };
+
+    /**
+     * Guarda los cambios en el nombre, el correo o el documento del participante seleccionado
+     * @param {Event} event - Envío del formulario
+     */
+    const saveSelected = async (event) => {
+        event.preventDefault();
+        const participant = participants.find(group => group.id === currentId);
+        if (!participant) {
+            return;
+        }
+
+        try {
+            const { certificates, ...record } = participant;
+            await Participants.save({
+                ...record,
+                name: document.getElementById('participant-edit-name').value,
+                email: document.getElementById('participant-edit-email').value,
+                nationalId: document.getElementById('participant-edit-national-id').value
+            });
+            UI.showToast(I18n.t('participants.saved'));
+            show();
+        } catch (error) {
+            console.error('Error al guardar el participante:', error);
+            UI.showToast(error.message || I18n.t('participants.saveError'), 'danger');
+        }
+    };
+
+    /**
+     * Inicializa la pantalla de participantes
+     * @param {Object} options - Funciones de enlace con el resto de la aplicación
+     * @param {Function} [options.getLogoDataUrl] - Devuelve el logo para la cabecera del expediente
+     */
+    const init = (options) => {
+        callbacks = { ...callbacks, ...options };
+
+        document.getElementById('participants-search').addEventListener('input', renderList);
+        document.getElementById('participant-transcript-btn').addEventListener('click', issueSelected);
+        document.getElementById('participant-edit-form').addEventListener('submit', saveSelected);
+    };
+
+    // API pública
+    return {
+        getParticipants,
+        summarize,
+        getDataHash,
+        verifySignature,
+        getChangedEntries,
+        get,
+        getByHash,
+        getIssued,
+        buildPdf,
+        issue,
+        show,
+        init
+    };
+})();
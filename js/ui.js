@@ -0,0 +1,91 @@
+/**
+ * Módulo con utilidades de interfaz compartidas entre los distintos módulos
+ */
+
+const UI = (() => {
+    /**
+     * Muestra una notificación toast
+     * @param {string} message - Mensaje a mostrar
+     * @param {string} type - Tipo de notificación (success, danger, warning, info)
+     */
+    const showToast = (message, type = 'success') => {
+        const toastContainer = document.getElementById('toast-container');
+        const toastId = `toast-${Date.now()}`;
+
+        const toastHtml = `
+            <div id="${toastId}" class="toast align-items-center text-white bg-${type} border-0" role="alert" aria-live="assertive" aria-atomic="true">
+                <div class="d-flex">
+                    <div class="toast-body">
+                        ${Utils.escapeHtml(message)}
+                    </div>
+                    <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
+                </div>
+            </div>
+        `;
+
+        toastContainer.insertAdjacentHTML('beforeend', toastHtml);
+        const toastElement = document.getElementById(toastId);
+        const toast = new bootstrap.Toast(toastElement, { autohide: true, delay: 3000 });
+        toast.show();
+
+        // Eliminar el toast del DOM después de ocultarse
+        toastElement.addEventListener('hidden.bs.toast', () => {
+            toastElement.remove();
+        });
+    };
+
+    /**
+     * Muestra el modal de progreso para tareas largas
+     * @param {Object} options - Opciones del diálogo
+     * @param {string} options.title - Título que se muestra en el modal
+     * @param {number} options.total - Número total de elementos a procesar
+     * @param {Function} [options.onCancel] - Se llama cuando el usuario pulsa Cancelar
+     * @returns {Object} - Controlador con los métodos update(done, message) y close()
+     */
+    const showProgress = ({ title, total, onCancel }) => {
+        const modalElement = document.getElementById('progress-modal');
+        const titleElement = document.getElementById('progress-title');
+        const bar = document.getElementById('progress-bar');
+        const statusElement = document.getElementById('progress-status');
+        const cancelBtn = document.getElementById('progress-cancel-btn');
+        const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+
+        const handleCancel = () => {
+            cancelBtn.disabled = true;
+            statusElement.textContent = I18n.t('progress.cancelling');
+            if (onCancel) {
+                onCancel();
+            }
+        };
+
+        titleElement.textContent = title;
+        cancelBtn.disabled = false;
+        cancelBtn.addEventListener('click', handleCancel);
+
+        const update = (done, message = '') => {
+            const percent = total > 0 ? Math.round((done / total) * 100) : 100;
+            bar.style.width = `${percent}%`;
+            bar.setAttribute('aria-valuenow', String(percent));
+            bar.textContent = `${done} / ${total}`;
+            if (!cancelBtn.disabled) {
+                statusElement.textContent = message;
+            }
+        };
+
+        const close = () => {
+            cancelBtn.removeEventListener('click', handleCancel);
+            modal.hide();
+        };
+
+        update(0);
+        modal.show();
+
+        return { update, close };
+    };
+
+    // API pública
+    return {
+        showToast,
+        showProgress
+    };
+})();
@@ -0,0 +1,191 @@
+/**
+ * Módulo con funciones auxiliares compartidas por el resto de módulos
+ */
+
+const Utils = (() => {
+    // Campos que identifican el contenido de un certificado
+    const CERTIFICATE_FIELDS = [
+        'id',
+        'eventName',
+        'eventDate',
+        'eventLocation',
+        'participantName',
+        'participantRole',
+        'eventDuration'
+    ];
+
+    /**
+     * Convierte una URL de datos en base64 a bytes
+     * @param {string} dataUrl - URL de datos
+     * @returns {Uint8Array} - Contenido decodificado
+     */
+    const dataUrlToBytes = (dataUrl) => {
+        const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    /**
+     * Convierte una URL de datos en base64 a un Blob con su tipo MIME
+     * @param {string} dataUrl - URL de datos
+     * @returns {Blob} - Contenido decodificado
+     */
+    const dataUrlToBlob = (dataUrl) => {
+        const type = dataUrl.substring(5, dataUrl.search(/[;,]/));
+        return new Blob([dataUrlToBytes(dataUrl)], { type });
+    };
+
+    /**
+     * Convierte un Blob en una URL de datos en base64
+     * @param {Blob} blob - Contenido a convertir
+     * @returns {Promise<string>} - Promesa que se resuelve con la URL de datos
+     */
+    const blobToDataUrl = async (blob) => `data:${blob.type};base64,${bytesToBase64(await blob.arrayBuffer())}`;
+
+    /**
+     * Da formato legible a un tamaño en bytes
+     * @param {number} bytes - Tamaño en bytes
+     * @param {string} [locale] - Configuración regional para los decimales
+     * @returns {string} - Tamaño con su unidad (por ejemplo, "1,5 MB")
+     */
+    const formatBytes = (bytes, locale) => {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toLocaleString(locale, { maximumFractionDigits: unit === 0 ? 0 : 1 })} ${units[unit]}`;
+    };
+
+    /**
+     * Codifica bytes en base64
+     * @param {ArrayBuffer|Uint8Array} bytes - Contenido a codificar
+     * @returns {string} - Texto en base64
+     */
+    const bytesToBase64 = (bytes) => {
+        const view = new Uint8Array(bytes);
+        let binary = '';
+        for (let i = 0; i < view.length; i++) {
+            binary += String.fromCharCode(view[i]);
+        }
+        return btoa(binary);
+    };
+
+    /**
+     * Decodifica un texto en base64 a bytes
+     * @param {string} base64 - Texto en base64
+     * @returns {Uint8Array} - Contenido decodificado
+     */
+    const base64ToBytes = (base64) => dataUrlToBytes(`,${base64}`);
+
+    /**
+     * Descarga un contenido como archivo
+     * @param {Blob|string} content - Contenido o URL de datos
+     * @param {string} fileName - Nombre del archivo
+     */
+    const downloadFile = (content, fileName) => {
+        const isBlob = content instanceof Blob;
+        const link = document.createElement('a');
+        link.href = isBlob ? URL.createObjectURL(content) : content;
+        link.download = fileName;
+        link.click();
+        if (isBlob) {
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+    };
+
+    /**
+     * Calcula la huella SHA-256 de un contenido
+     * @param {ArrayBuffer|Uint8Array} bytes - Contenido a resumir
+     * @returns {Promise<string>} - Promesa que se resuelve con la huella en hexadecimal
+     */
+    const sha256Hex = async (bytes) => {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    };
+
+    /**
+     * Serializa los datos de un certificado de forma estable (campos ordenados y como texto)
+     * @param {Object} data - Datos del certificado
+     * @returns {string} - JSON canónico
+     */
+    const canonicalCertificateJSON = (data) => {
+        const canonical = {};
+        [...CERTIFICATE_FIELDS].sort().forEach(field => {
+            canonical[field] = String(data[field] ?? '');
+        });
+        return JSON.stringify(canonical);
+    };
+
+    /**
+     * Calcula la huella corta de los datos de un certificado
+     * @param {Object} data - Datos del certificado
+     * @returns {Promise<string>} - Primeros 12 caracteres de la huella SHA-256
+     */
+    const certificateDataHash = async (data) => {
+        const bytes = new TextEncoder().encode(canonicalCertificateJSON(data));
+        const hash = await sha256Hex(bytes);
+        return hash.substring(0, 12);
+    };
+
+    /**
+     * Normaliza un texto para buscar y ordenar sin distinguir mayúsculas ni acentos
+     * @param {string} text - Texto original
+     * @returns {string} - Texto en minúsculas, sin acentos y sin espacios sobrantes
+     */
+    const normalizeText = (text) => String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+
+    /**
+     * Crea el ID de un registro nuevo; es aleatorio para que dos registros creados en el mismo milisegundo
+     * no se sobrescriban al guardarlos con put
+     * @param {string} prefix - Prefijo del tipo de registro (evt, participant, role...)
+     * @returns {string} - ID único con el prefijo
+     */
+    const createId = (prefix) => `${prefix}-${crypto.randomUUID()}`;
+
+    // Caracteres con significado en HTML y su entidad
+    const HTML_ENTITIES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    /**
+     * Escapa un valor para insertarlo en marcado HTML (como texto o dentro de un atributo entre comillas)
+     * @param {*} value - Valor a escapar
+     * @returns {string} - Texto sin caracteres con significado en HTML
+     */
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+    // API pública
+    return {
+        CERTIFICATE_FIELDS,
+        dataUrlToBytes,
+        dataUrlToBlob,
+        blobToDataUrl,
+        bytesToBase64,
+        base64ToBytes,
+        downloadFile,
+        formatBytes,
+        sha256Hex,
+        canonicalCertificateJSON,
+        certificateDataHash,
+        normalizeText,
+        createId,
+        escapeHtml
+    };
+})();
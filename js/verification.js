@@ -0,0 +1,466 @@
+/**
+ * Módulo para verificar certificados y expedientes por ID o a partir del archivo PDF
+ */
+
+const Verification = (() => {
+    // El pie del PDF contiene "ID: <id> | Fecha de emisión: ..." (la etiqueta de la fecha depende del idioma)
+    const ID_PATTERN = /ID: ([A-Z0-9][A-Z0-9-]*) \|/;
+
+    // Clave pública de otro emisor cargada por el usuario (null = clave propia)
+    let externalPublicKey = null;
+
+    /**
+     * Busca el ID del certificado dentro del contenido de un PDF generado por la aplicación
+     * @param {Uint8Array} bytes - Contenido del PDF
+     * @returns {string|null} - ID encontrado o null
+     */
+    const extractCertificateId = (bytes) => {
+        const text = new TextDecoder('latin1').decode(bytes);
+        const match = text.match(ID_PATTERN);
+        return match ? match[1] : null;
+    };
+
+    /**
+     * Obtiene la huella del PDF guardado, calculándola si el registro es anterior a su uso
+     * @param {Object} certificate - Certificado guardado
+     * @returns {Promise<string|null>} - Huella SHA-256 en hexadecimal (null si no hay PDF guardado)
+     */
+    const getStoredHash = async (certificate) => {
+        if (certificate.contentHash) {
+            return certificate.contentHash;
+        }
+        const pdfBlob = await Storage.getCertificatePdf(certificate.id);
+        return pdfBlob ? Utils.sha256Hex(await pdfBlob.arrayBuffer()) : null;
+    };
+
+    /**
+     * Interpreta lo introducido por el usuario: un ID o la URL leída del código QR
+     * @param {string} input - ID del certificado o URL de verificación
+     * @returns {Object} - ID y huella corta (null si no viene en la URL)
+     */
+    const parseVerificationInput = (input) => {
+        const value = input.trim();
+        try {
+            const url = new URL(value);
+            if (url.searchParams.has('id')) {
+                return { id: url.searchParams.get('id'), hash: url.searchParams.get('h') };
+            }
+        } catch (error) {
+            // No es una URL: se trata como un ID
+        }
+        return { id: value, hash: null };
+    };
+
+    /**
+     * Comprueba si algo se firmó con una clave propia que ya no se conoce (con una clave externa no se sabe)
+     * @param {string|null} signatureKey - Huella de la clave con la que se firmó
+     * @returns {Promise<boolean>} - True si la clave es desconocida
+     */
+    const isUnknownKey = async (signatureKey) => !externalPublicKey && !(await Signing.isKnownKey(signatureKey));
+
+    /**
+     * Completa el resultado de un expediente: su firma, la huella del QR y los certificados que han cambiado
+     * @param {Object} transcript - Expediente guardado
+     * @param {string|null} hash - Huella corta leída del QR
+     * @returns {Promise<Object>} - Resultado de la verificación del expediente
+     */
+    const checkTranscript = async (transcript, hash = null) => {
+        const result = {
+            transcript,
+            signatureChecked: true,
+            signatureValid: await Transcripts.verifySignature(transcript, externalPublicKey),
+            signatureKeyUnknown: await isUnknownKey(transcript.signatureKey),
+            changedEntries: await Transcripts.getChangedEntries(transcript),
+            hashChecked: Boolean(hash)
+        };
+        if (hash) {
+            result.hashMatches = (await Transcripts.getDataHash(transcript)) === hash;
+        }
+        return result;
+    };
+
+    /**
+     * Verifica un certificado por su ID o por la URL de su código QR
+     * @param {string} input - ID del certificado o URL de verificación
+     * @returns {Promise<Object>} - Resultado con el certificado encontrado (o null)
+     */
+    const verifyById = async (input) => {
+        const { id, hash } = parseVerificationInput(input);
+        const certificate = await Storage.getCertificateById(id.trim().toUpperCase());
+
+        // Los expedientes de participantes se verifican con el mismo ID que imprimen
+        if (!certificate) {
+            const transcript = await Transcripts.get(id.trim().toUpperCase());
+            if (transcript) {
+                return checkTranscript(transcript, hash);
+            }
+        }
+
+        const result = { certificate: certificate || null, hashChecked: Boolean(hash) };
+
+        // Con dígito de control, un ID inexistente puede ser un error al teclearlo
+        if (!certificate && CertificateIds.getFormat().checkDigit) {
+            result.checkDigitInvalid = !CertificateIds.hasValidCheckDigit(id.trim());
+        }
+
+        if (certificate) {
+            result.signatureChecked = true;
+            result.signatureValid = await Signing.verifyCertificate(
+                certificate, certificate.signature, externalPublicKey, certificate.signatureKey
+            );
+            result.signatureKeyUnknown = await isUnknownKey(certificate.signatureKey);
+        }
+
+        // La huella del QR se calcula sobre los datos, así que detecta registros alterados
+        if (certificate && hash) {
+            result.hashMatches = (await Utils.certificateDataHash(certificate)) === hash;
+
+            // Un QR de una versión sustituida no es una alteración: corresponde a datos anteriores
+            if (!result.hashMatches) {
+                const versions = await Storage.getCertificateVersions(certificate.id);
+                result.supersededVersion = versions.find(version => version.dataHash === hash) || null;
+                result.hashMatches = Boolean(result.supersededVersion);
+            }
+        }
+
+        return result;
+    };
+
+    /**
+     * Verifica un archivo PDF comparando su huella con la del certificado guardado
+     * @param {File} file - Archivo PDF cargado
+     * @returns {Promise<Object>} - Resultado con el certificado, la huella y si el archivo coincide
+     */
+    const verifyFile = async (file) => {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const hash = await Utils.sha256Hex(bytes);
+        const result = { hash, fileChecked: true, signatureChecked: true, signatureValid: false };
+
+        // La firma incrustada permite verificar el PDF aunque no esté en este registro
+        const embedded = Signing.extractFromPdf(bytes);
+        if (embedded) {
+            result.signedData = embedded.data;
+            result.signatureValid = await Signing.verifyCertificate(
+                embedded.data, embedded.signature, externalPublicKey, embedded.signatureKey
+            );
+            result.signatureKeyUnknown = await isUnknownKey(embedded.signatureKey);
+        }
+
+        const byHash = await Storage.getCertificateByHash(hash);
+        if (byHash) {
+            return { ...result, certificate: byHash, fileMatches: true };
+        }
+
+        // El archivo puede ser el PDF de una versión que se ha vuelto a emitir
+        const supersededVersion = await Storage.getVersionByHash(hash);
+        if (supersededVersion) {
+            const current = await Storage.getCertificateById(supersededVersion.certificateId);
+            return { ...result, certificate: current || null, supersededVersion, fileMatches: true };
+        }
+
+        const transcriptByHash = await Transcripts.getByHash(hash);
+        if (transcriptByHash) {
+            return { ...result, ...(await checkTranscript(transcriptByHash)), fileChecked: true, fileMatches: true };
+        }
+
+        // Si la huella no coincide, se intenta localizar el certificado (o el expediente) por el ID impreso
+        const extractedId = embedded ? embedded.data.id : extractCertificateId(bytes);
+        const certificate = extractedId ? await Storage.getCertificateById(extractedId) : null;
+        const transcript = !certificate && extractedId ? await Transcripts.get(extractedId) : null;
+        if (transcript) {
+            return { ...result, ...(await checkTranscript(transcript)), fileChecked: true, fileMatches: false };
+        }
+        const fileMatches = certificate ? (await getStoredHash(certificate)) === hash : false;
+
+        return { ...result, certificate: certificate || null, fileMatches };
+    };
+
+    /**
+     * Añade una fila de detalle al resultado
+     * @param {HTMLElement} list - Lista de definiciones
+     * @param {string} label - Nombre del dato
+     * @param {string} value - Valor del dato
+     */
+    const appendDetail = (list, label, value) => {
+        const term = document.createElement('dt');
+        term.className = 'col-sm-4';
+        term.textContent = label;
+        const definition = document.createElement('dd');
+        definition.className = 'col-sm-8';
+        definition.textContent = value;
+        list.append(term, definition);
+    };
+
+    /**
+     * Crea un aviso de Bootstrap con texto plano
+     * @param {string} type - Tipo de aviso (success, danger, warning)
+     * @param {string} message - Texto del aviso
+     * @returns {HTMLElement} - Elemento del aviso
+     */
+    const createAlert = (type, message) => {
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type}`;
+        alert.textContent = message;
+        return alert;
+    };
+
+    /**
+     * Crea el aviso con el resultado de la comprobación de la firma
+     * @param {Object} result - Resultado de la verificación
+     * @returns {HTMLElement} - Elemento del aviso
+     */
+    const createSignatureAlert = (result) => {
+        const { t } = I18n;
+        if (result.signatureValid) {
+            return createAlert('success', t(externalPublicKey ? 'verify.signatureValidExternal' : 'verify.signatureValid'));
+        }
+        return result.signatureKeyUnknown
+            ? createAlert('warning', t('verify.signatureUnknownKey'))
+            : createAlert('danger', t('verify.signatureInvalid'));
+    };
+
+    /**
+     * Muestra el resultado de la verificación de un expediente
+     * @param {HTMLElement} container - Contenedor del resultado
+     * @param {Object} result - Resultado con el expediente
+     */
+    const renderTranscriptResult = (container, result) => {
+        const { t } = I18n;
+        const { transcript } = result;
+
+        container.appendChild(createAlert('success', t('verify.transcriptRegistered')));
+        container.appendChild(createSignatureAlert(result));
+
+        if (result.changedEntries.length > 0) {
+            container.appendChild(createAlert('warning', t('verify.transcriptChanged', {
+                count: result.changedEntries.length,
+                ids: result.changedEntries.map(entry => entry.certificateId).join(', ')
+            })));
+        }
+
+        if (result.hashChecked) {
+            container.appendChild(result.hashMatches
+                ? createAlert('success', t('verify.qrMatches'))
+                : createAlert('warning', t('verify.qrMismatch')));
+        }
+
+        if (result.fileChecked) {
+            container.appendChild(result.fileMatches
+                ? createAlert('success', t('verify.fileMatches'))
+                : createAlert('warning', t('verify.fileMismatch')));
+        }
+
+        const details = document.createElement('dl');
+        details.className = 'row mb-0';
+        appendDetail(details, t('verify.fieldId'), transcript.id);
+        appendDetail(details, t('verify.fieldParticipant'), transcript.participantName);
+        appendDetail(details, t('verify.fieldCertificates'), String(transcript.entries.length));
+        appendDetail(details, t('verify.fieldTotalHours'), t('verify.hours', { hours: transcript.totalHours }));
+        const { locale } = I18n.LANGUAGES[I18n.getUiLanguage()];
+        appendDetail(details, t('verify.fieldIssued'), new Date(transcript.createdAt).toLocaleString(locale));
+
+        // Certificados incluidos, tal como se firmaron en el expediente
+        const entries = document.createElement('ul');
+        entries.className = 'small mt-3 mb-0';
+        transcript.entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.certificateId} · ${entry.eventName} (${I18n.formatDate(entry.eventDate)}) · ${entry.participantRole} · ${t('verify.hours', { hours: entry.hours })}`;
+            entries.appendChild(item);
+        });
+        container.append(details, entries);
+    };
+
+    /**
+     * Muestra el resultado de una verificación
+     * @param {Object} result - Resultado de verifyById o verifyFile
+     */
+    const renderResult = (result) => {
+        const { t } = I18n;
+        const container = document.getElementById('verify-result');
+        container.innerHTML = '';
+        container.classList.remove('text-muted');
+
+        if (result.transcript) {
+            renderTranscriptResult(container, result);
+            return;
+        }
+
+        const certificate = result.certificate || (result.signatureValid ? result.signedData : null);
+        if (!certificate) {
+            let message = t('verify.notFoundId');
+            if (result.fileChecked) {
+                message = t('verify.notFoundFile');
+            } else if (result.checkDigitInvalid) {
+                message = t('verify.checkDigitInvalid');
+            }
+            container.appendChild(createAlert('danger', message));
+            return;
+        }
+
+        // La revocación se muestra antes que cualquier otra comprobación
+        if (result.certificate && Certificates.getStatus(result.certificate) === Storage.CERTIFICATE_STATUS.REVOKED) {
+            container.appendChild(createAlert('danger', t('verify.revoked', {
+                date: I18n.formatDate(result.certificate.revokedAt),
+                reason: result.certificate.revocationReason
+            })));
+        }
+
+        container.appendChild(result.certificate
+            ? createAlert('success', t('verify.registered'))
+            : createAlert('info', t('verify.signedOnly')));
+
+        if (result.supersededVersion) {
+            container.appendChild(createAlert('warning', t('verify.superseded', {
+                version: result.supersededVersion.version,
+                date: I18n.formatDate(result.supersededVersion.supersededAt)
+            })));
+        }
+
+        if (result.signatureChecked) {
+            container.appendChild(createSignatureAlert(result));
+        }
+
+        if (result.hashChecked) {
+            container.appendChild(result.hashMatches
+                ? createAlert('success', t('verify.qrMatches'))
+                : createAlert('warning', t('verify.qrMismatch')));
+        }
+
+        if (result.fileChecked) {
+            container.appendChild(result.fileMatches
+                ? createAlert('success', t('verify.fileMatches'))
+                : createAlert('warning', t('verify.fileMismatch')));
+        }
+
+        const details = document.createElement('dl');
+        details.className = 'row mb-0';
+        appendDetail(details, t('verify.fieldId'), certificate.id);
+        appendDetail(details, t('verify.fieldParticipant'), certificate.participantName);
+        appendDetail(details, t('verify.fieldRole'), certificate.participantRole);
+        appendDetail(details, t('verify.fieldEvent'), certificate.eventName);
+        appendDetail(details, t('verify.fieldDate'), I18n.formatDate(certificate.eventDate));
+        appendDetail(details, t('verify.fieldLocation'), certificate.eventLocation);
+        appendDetail(details, t('verify.fieldDuration'), t('verify.hours', { hours: certificate.eventDuration }));
+        if (certificate.createdAt) {
+            const { locale } = I18n.LANGUAGES[I18n.getUiLanguage()];
+            appendDetail(details, t('verify.fieldIssued'), new Date(certificate.createdAt).toLocaleString(locale));
+        }
+        if (result.certificate && (certificate.version || 1) > 1) {
+            appendDetail(details, t('verify.fieldVersion'), `v${certificate.version}`);
+        }
+        container.appendChild(details);
+    };
+
+    /**
+     * Ejecuta una verificación mostrando su resultado o un error
+     * @param {Function} check - Función que devuelve la promesa del resultado
+     */
+    const runCheck = async (check) => {
+        try {
+            renderResult(await check());
+        } catch (error) {
+            console.error('Error al verificar el certificado:', error);
+            UI.showToast(I18n.t('verify.error'), 'danger');
+        }
+    };
+
+    /**
+     * Verifica un ID y muestra el resultado en la vista de verificación
+     * @param {string} id - ID del certificado
+     */
+    const verifyAndShow = (id) => {
+        document.getElementById('verify-id-input').value = id;
+        runCheck(() => verifyById(id));
+    };
+
+    /**
+     * Carga la clave pública de otro emisor para verificar sus certificados
+     * @param {File|null} file - Archivo JSON con la clave pública (null para usar la propia)
+     */
+    const loadPublicKey = async (file) => {
+        const status = document.getElementById('verify-public-key-status');
+        // El texto de la clave propia se traduce con la interfaz; el de una clave cargada incluye su huella
+        const showOwnKey = () => {
+            status.dataset.i18n = 'verify.ownKey';
+            status.textContent = I18n.t('verify.ownKey');
+        };
+
+        if (!file) {
+            externalPublicKey = null;
+            showOwnKey();
+            return;
+        }
+
+        try {
+            const content = JSON.parse(await file.text());
+            externalPublicKey = await Signing.importPublicKey(content);
+            delete status.dataset.i18n;
+            status.textContent = I18n.t('verify.keyLoaded', { fingerprint: content.fingerprint ? `: ${content.fingerprint}` : '' });
+        } catch (error) {
+            externalPublicKey = null;
+            showOwnKey();
+            console.error('Error al cargar la clave pública:', error);
+            UI.showToast(I18n.t('verify.invalidKey'), 'danger');
+        }
+    };
+
+    /**
+     * Inicializa los eventos de la vista de verificación
+     */
+    const init = () => {
+        const idInput = document.getElementById('verify-id-input');
+        const fileInput = document.getElementById('verify-file-input');
+        const dropzone = document.getElementById('verify-dropzone');
+
+        const checkId = () => {
+            if (idInput.value.trim()) {
+                runCheck(() => verifyById(idInput.value));
+            }
+        };
+
+        document.getElementById('verify-id-btn').addEventListener('click', checkId);
+        idInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                checkId();
+            }
+        });
+
+        document.getElementById('verify-public-key').addEventListener('change', (e) => {
+            loadPublicKey(e.target.files && e.target.files[0] ? e.target.files[0] : null);
+        });
+
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                runCheck(() => verifyFile(e.target.files[0]));
+                fileInput.value = '';
+            }
+        });
+
+        // Soltar un PDF sobre la zona de verificación
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+
+        dropzone.addEventListener('dragleave', () => {
+            dropzone.classList.remove('dragover');
+        });
+
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                runCheck(() => verifyFile(file));
+            }
+        });
+    };
+
+    // API pública
+    return {
+        init,
+        verifyAndShow,
+        verifyById,
+        verifyFile
+    };
+})();
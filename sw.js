@@ -0,0 +1,121 @@
+/**
+ * Service worker: guarda la aplicación y sus bibliotecas en la caché para poder instalarla y usarla
+ * sin conexión
+ */
+
+// Al cambiar cualquier archivo de la aplicación hay que subir la versión para que los navegadores
+// descarguen la nueva y ofrezcan actualizarla
+const CACHE_VERSION = 6;
+const CACHE_NAME = `certificados-v${CACHE_VERSION}`;
+
+// Archivos de la aplicación, con las copias locales de las bibliotecas (y las fuentes de los iconos,
+// que la hoja de Font Awesome pide aparte, y el proceso de PDF.js, que se carga al dibujar la vista previa)
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/vendor/bootstrap/bootstrap.min.css',
+    'js/vendor/fontawesome/css/all.min.css',
+    'js/vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'js/vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'js/vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'js/vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+    'js/vendor/bootstrap/bootstrap.bundle.min.js',
+    'js/vendor/jspdf.umd.min.js',
+    'js/vendor/jspdf.plugin.autotable.min.js',
+    'js/vendor/jszip.min.js',
+    'js/vendor/pdf-lib.min.js',
+    'js/vendor/pdf.min.js',
+    'js/vendor/pdf.worker.min.js',
+    'js/vendor/xlsx.full.min.js',
+    'js/vendor/qrcode.js',
+    'js/utils.js',
+    'js/ui.js',
+    'js/appShell.js',
+    'js/router.js',
+    'js/settings.js',
+    'js/i18n.js',
+    'js/certificateSchema.js',
+    'js/certificateIds.js',
+    'js/roles.js',
+    'js/storage.js',
+    'js/certificateQR.js',
+    'js/signing.js',
+    'js/fonts.js',
+    'js/templates.js',
+    'js/signatories.js',
+    'js/events.js',
+    'js/participants.js',
+    'js/pdfGenerator.js',
+    'js/pdfPreview.js',
+    'js/certificates.js',
+    'js/eventReport.js',
+    'js/transcripts.js',
+    'js/templateEditor.js',
+    'js/rosterParser.js',
+    'js/bulkImport.js',
+    'js/verification.js',
+    'js/certificateLog.js',
+    'js/historyFilters.js',
+    'js/historyBulk.js',
+    'js/backup.js',
+    'js/main.js'
+];
+
+// Instalación: se descarga todo de una vez; si algo falla, se vuelve a intentar en la siguiente visita
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+});
+
+// Activación: se eliminan las cachés de versiones anteriores
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('certificados-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// La nueva versión espera hasta que el usuario acepta actualizar (así no cambia a mitad de una emisión)
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+// Primero la caché; lo que no está se pide a la red y se guarda. Sin conexión, las páginas reciben index.html
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) {
+                return cached;
+            }
+
+            return fetch(request)
+                .then(response => {
+                    // Solo se guardan los archivos propios: todo lo que necesita la aplicación se sirve desde ella
+                    if (response.ok && new URL(request.url).origin === self.location.origin) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    if (request.mode === 'navigate') {
+                        return caches.match('index.html');
+                    }
+                    throw error;
+                });
+        })
+    );
+});
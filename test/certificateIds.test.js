@@ -0,0 +1,197 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadModules } = require('./helpers/loadModules');
+
+const { CertificateIds, Settings } = loadModules([
+    'js/utils.js',
+    'js/settings.js',
+    'js/i18n.js',
+    'js/certificateIds.js'
+], ['CertificateIds', 'Settings']);
+
+const { DEFAULT_FORMAT } = CertificateIds;
+const DATE = new Date(2024, 2, 10);
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+describe('CertificateIds.computeCheckDigit', () => {
+    it('calcula el dígito de Luhn en base 36', () => {
+        // "1": 2 × 1 = 2 → (36 − 2) mod 36 = 34 → "Y"
+        assert.equal(CertificateIds.computeCheckDigit('1'), 'Y');
+        // "Z": 2 × 35 = 70 = 1·36 + 34 → 1 + 34 = 35 → (36 − 35) mod 36 = 1 → "1"
+        assert.equal(CertificateIds.computeCheckDigit('Z'), '1');
+        assert.equal(CertificateIds.computeCheckDigit('CERT-20240310-00007'), 'R');
+    });
+
+    it('ignora los guiones, los espacios y las mayúsculas', () => {
+        assert.equal(CertificateIds.computeCheckDigit('cert 20240310 00007'), 'R');
+    });
+});
+
+describe('CertificateIds.hasValidCheckDigit', () => {
+    const id = 'CERT-20240310-00007-R';
+
+    it('acepta un ID con su dígito de control', () => {
+        assert.equal(CertificateIds.hasValidCheckDigit(id), true);
+        assert.equal(CertificateIds.hasValidCheckDigit(id.toLowerCase()), true);
+    });
+
+    it('detecta cualquier carácter cambiado', () => {
+        [...id].forEach((char, index) => {
+            if (char === '-') {
+                return;
+            }
+            CHARSET.split('').filter(other => other !== char).forEach(other => {
+                const changed = `${id.slice(0, index)}${other}${id.slice(index + 1)}`;
+                assert.equal(CertificateIds.hasValidCheckDigit(changed), false, changed);
+            });
+        });
+    });
+
+    it('detecta dos cifras contiguas intercambiadas', () => {
+        assert.equal(CertificateIds.hasValidCheckDigit('CERT-20240310-00070-R'), false);
+        assert.equal(CertificateIds.hasValidCheckDigit('CERT-02240310-00007-R'), false);
+    });
+
+    it('rechaza un ID demasiado corto', () => {
+        assert.equal(CertificateIds.hasValidCheckDigit('Y'), false);
+        assert.equal(CertificateIds.hasValidCheckDigit(''), false);
+    });
+});
+
+describe('CertificateIds.build', () => {
+    it('reproduce el formato CERT-YYYYMMDD-XXXXX por defecto', () => {
+        assert.equal(CertificateIds.build(DEFAULT_FORMAT, { sequence: 7, date: DATE }), 'CERT-20240310-00007');
+    });
+
+    it('sustituye los marcadores del evento y del año', () => {
+        const format = { ...DEFAULT_FORMAT, pattern: '{prefix}-{event}-{year}-{seq}', padding: 4 };
+        assert.equal(CertificateIds.build(format, { sequence: 42, date: DATE, eventCode: 'JS' }), 'CERT-JS-2024-0042');
+    });
+
+    it('no deja guiones repetidos ni en los extremos cuando un marcador queda vacío', () => {
+        const format = { ...DEFAULT_FORMAT, prefix: '', pattern: '{prefix}-{year}--{seq}-' };
+        assert.equal(CertificateIds.build(format, { sequence: 1, date: DATE }), '2024-00001');
+    });
+
+    it('no recorta las secuencias más largas que el número de cifras', () => {
+        const format = { ...DEFAULT_FORMAT, padding: 2 };
+        assert.equal(CertificateIds.build(format, { sequence: 1234, date: DATE }), 'CERT-20240310-1234');
+    });
+
+    it('añade el dígito de control si el formato lo pide', () => {
+        const id = CertificateIds.build({ ...DEFAULT_FORMAT, checkDigit: true }, { sequence: 7, date: DATE });
+        assert.equal(id, 'CERT-20240310-00007-R');
+        assert.equal(CertificateIds.hasValidCheckDigit(id), true);
+    });
+});
+
+describe('CertificateIds.getEventCode', () => {
+    it('usa el código del evento si lo tiene', () => {
+        assert.equal(CertificateIds.getEventCode({ name: 'Jornada de Salud', code: 'JSALUD' }), 'JSALUD');
+    });
+
+    it('usa las iniciales del nombre, sin acentos y con seis letras como máximo', () => {
+        assert.equal(CertificateIds.getEventCode({ name: 'Jornada de Salud Pública' }), 'JDSP');
+        assert.equal(CertificateIds.getEventCode({ name: 'Ética y ñandúes: una mirada a ocho ámbitos' }), 'EYNUMA');
+    });
+
+    it('usa EV si no hay evento o el nombre no tiene letras ni números', () => {
+        assert.equal(CertificateIds.getEventCode(null), 'EV');
+        assert.equal(CertificateIds.getEventCode({ name: '¡¿?!' }), 'EV');
+    });
+});
+
+describe('CertificateIds.getCounterKey', () => {
+    it('usa un contador global o uno por año', () => {
+        assert.equal(CertificateIds.getCounterKey(DEFAULT_FORMAT, DATE), 'global');
+        assert.equal(CertificateIds.getCounterKey({ ...DEFAULT_FORMAT, reset: 'yearly' }, DATE), 'year-2024');
+    });
+});
+
+describe('CertificateIds.validateFormat', () => {
+    it('acepta el formato por defecto', () => {
+        assert.equal(CertificateIds.validateFormat(DEFAULT_FORMAT).length, 0);
+    });
+
+    it('exige el marcador {seq}', () => {
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, pattern: '{prefix}-{date}' }).length, 1);
+    });
+
+    it('rechaza los marcadores desconocidos', () => {
+        const errors = CertificateIds.validateFormat({ ...DEFAULT_FORMAT, pattern: '{prefix}-{month}-{seq}' });
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /\{month\}/);
+    });
+
+    it('solo admite mayúsculas, números y guiones fuera de los marcadores', () => {
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, pattern: 'cert-{seq}' }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, pattern: 'CERT_{seq}' }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, pattern: '-{seq}' }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, pattern: 'C2-{seq}' }).length, 0);
+    });
+
+    it('comprueba el prefijo, el número de cifras y el reinicio', () => {
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, prefix: 'ABCDEFGHIJK' }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, prefix: 'cert' }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, padding: 0 }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, padding: 11 }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, padding: 2.5 }).length, 1);
+        assert.equal(CertificateIds.validateFormat({ ...DEFAULT_FORMAT, reset: 'monthly' }).length, 1);
+    });
+});
+
+describe('CertificateIds.getFormat', () => {
+    afterEach(() => {
+        Settings.set({ idFormat: null });
+    });
+
+    it('completa el formato configurado con los valores por defecto', () => {
+        assert.deepStrictEqual(structuredClone(CertificateIds.getFormat()), { ...DEFAULT_FORMAT });
+        Settings.set({ idFormat: { prefix: 'DIP', checkDigit: true } });
+        assert.deepStrictEqual(structuredClone(CertificateIds.getFormat()), { ...DEFAULT_FORMAT, prefix: 'DIP', checkDigit: true });
+    });
+});
+
+describe('CertificateIds.reserve y CertificateIds.release', () => {
+    /**
+     * Carga los módulos de los IDs sobre una base de datos simulada vacía
+     * @returns {Object} - Módulos cargados
+     */
+    const loadWithStorage = () => loadModules([
+        'js/utils.js',
+        'js/settings.js',
+        'js/i18n.js',
+        'js/roles.js',
+        'js/storage.js',
+        'js/certificateIds.js'
+    ], ['CertificateIds', 'Storage'], { indexedDB: new IDBFactory(), IDBKeyRange, Blob });
+
+    it('reserva números consecutivos y salta los IDs que ya usa un certificado', async () => {
+        const { CertificateIds: Ids, Storage } = loadWithStorage();
+        assert.equal(await Ids.reserve({ date: DATE }), 'CERT-20240310-00001');
+        await Storage.putRecord(Storage.STORES.CERTIFICATES, { id: 'CERT-20240310-00002' });
+        assert.equal(await Ids.peek({ date: DATE }), 'CERT-20240310-00002');
+        assert.equal(await Ids.reserve({ date: DATE }), 'CERT-20240310-00003');
+        assert.equal(await Storage.getCounterValue('global'), 3);
+    });
+
+    it('devuelve al contador el último ID reservado si no llegó a usarse', async () => {
+        const { CertificateIds: Ids, Storage } = loadWithStorage();
+        await Ids.reserve({ date: DATE });
+        const id = await Ids.reserve({ date: DATE });
+        assert.equal(await Ids.release(id, { date: DATE }), true);
+        assert.equal(await Storage.getCounterValue('global'), 1);
+        assert.equal(await Ids.reserve({ date: DATE }), id);
+    });
+
+    it('no libera un ID si después se ha reservado otro', async () => {
+        const { CertificateIds: Ids, Storage } = loadWithStorage();
+        const id = await Ids.reserve({ date: DATE });
+        await Ids.reserve({ date: DATE });
+        assert.equal(await Ids.release(id, { date: DATE }), false);
+        assert.equal(await Storage.getCounterValue('global'), 2);
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const { CertificateSchema, I18n } = loadModules([
+    'js/utils.js',
+    'js/settings.js',
+    'js/i18n.js',
+    'js/certificateSchema.js'
+], ['CertificateSchema', 'I18n']);
+
+const VALID = {
+    eventName: 'Jornada de Salud',
+    eventDate: '2024-03-10',
+    eventLocation: 'Madrid',
+    eventDuration: '7.5',
+    participantName: 'Ana Pérez',
+    participantRole: 'Asistente',
+    participantEmail: 'ana@example.org',
+    participantNationalId: '12345678Z'
+};
+
+/**
+ * Valida un único campo con el resto de los datos válidos
+ * @param {string} field - Campo
+ * @param {*} value - Valor
+ * @returns {string|null} - Error del campo
+ */
+const errorFor = (field, value) => CertificateSchema.validate({ ...VALID, [field]: value })[field] || null;
+
+describe('CertificateSchema.validate', () => {
+    it('acepta unos datos completos', () => {
+        assert.deepStrictEqual(structuredClone(CertificateSchema.validate(VALID)), {});
+    });
+
+    it('exige los campos obligatorios y deja vacíos los opcionales', () => {
+        const errors = CertificateSchema.validate({});
+        assert.deepStrictEqual(Object.keys(errors).sort(), [
+            'eventDate', 'eventDuration', 'eventLocation', 'eventName', 'participantName', 'participantRole'
+        ]);
+        assert.equal(errorFor('participantName', '   '), I18n.t('validation.required'));
+        assert.equal(errorFor('participantEmail', ''), null);
+        assert.equal(errorFor('participantNationalId', undefined), null);
+    });
+
+    it('solo valida los campos indicados', () => {
+        assert.deepStrictEqual(Object.keys(CertificateSchema.validate({}, ['participantName'])), ['participantName']);
+    });
+
+    it('limita la longitud de los textos sin contar los espacios de los extremos', () => {
+        const { maxLength } = CertificateSchema.FIELDS.participantName;
+        assert.equal(errorFor('participantName', 'a'.repeat(maxLength)), null);
+        assert.equal(errorFor('participantName', ` ${'a'.repeat(maxLength)} `), null);
+        assert.equal(errorFor('participantName', 'a'.repeat(maxLength + 1)), I18n.t('validation.maxLength', { max: maxLength }));
+    });
+
+    it('solo admite fechas del calendario, desde el año mínimo y no posteriores a hoy', () => {
+        assert.equal(errorFor('eventDate', '2024-02-29'), null);
+        assert.equal(errorFor('eventDate', '2023-02-29'), I18n.t('validation.date'));
+        assert.equal(errorFor('eventDate', '2024-13-01'), I18n.t('validation.date'));
+        assert.equal(errorFor('eventDate', '10/03/2024'), I18n.t('validation.date'));
+        assert.equal(errorFor('eventDate', `${CertificateSchema.MIN_YEAR - 1}-12-31`), I18n.t('validation.dateTooOld', { year: CertificateSchema.MIN_YEAR }));
+        assert.equal(errorFor('eventDate', CertificateSchema.getToday()), null);
+        assert.equal(errorFor('eventDate', `${new Date().getFullYear() + 1}-01-01`), I18n.t('validation.futureDate'));
+    });
+
+    it('admite fechas posteriores a hoy con allowFuture', () => {
+        const data = { ...VALID, eventDate: `${new Date().getFullYear() + 1}-01-01` };
+        assert.deepStrictEqual(structuredClone(CertificateSchema.validate(data, ['eventDate'], { allowFuture: true })), {});
+    });
+
+    it('admite entre el mínimo y el máximo de horas con dos decimales como máximo', () => {
+        const message = I18n.t('validation.hours', { min: CertificateSchema.MIN_HOURS, max: CertificateSchema.MAX_HOURS });
+        ['1', '7.5', '7.25', String(CertificateSchema.MAX_HOURS), 8].forEach(value => {
+            assert.equal(errorFor('eventDuration', value), null, String(value));
+        });
+        ['0', '0.5', '1000', '7.125', '7,5', '-2', '1e2', 'ocho'].forEach(value => {
+            assert.equal(errorFor('eventDuration', value), message, value);
+        });
+    });
+
+    it('comprueba el formato del correo', () => {
+        assert.equal(errorFor('participantEmail', 'ana.perez+cursos@example.co.uk'), null);
+        ['ana', 'ana@example', 'ana perez@example.org', '@example.org'].forEach(value => {
+            assert.equal(errorFor('participantEmail', value), I18n.t('validation.email'), value);
+        });
+    });
+});
+
+describe('CertificateSchema.describe', () => {
+    it('antepone el nombre de cada campo al mensaje', () => {
+        const errors = CertificateSchema.validate({ ...VALID, participantName: '', participantEmail: 'ana' });
+        assert.deepStrictEqual(structuredClone(CertificateSchema.describe(errors)), [
+            'Nombre del participante: Este campo es obligatorio.',
+            'Correo electrónico: Introduzca un correo electrónico válido.'
+        ]);
+    });
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { APP_ROOT } = require('./helpers/loadModules');
+
+const CLI = path.join(APP_ROOT, 'cli', 'generate-certificates.js');
+
+const ROSTER = [
+    'Nombre;Correo;Rol;Horas',
+    'Ana Pérez;ana@example.org;Ponente;7,5',
+    'Luis Martín;;asistente;8'
+].join('\n');
+
+const EVENT_OPTIONS = [
+    '--event-name', 'Jornada de Salud',
+    '--event-date', '2024-03-10',
+    '--event-location', 'Madrid'
+];
+
+let workDir;
+
+/**
+ * Escribe un archivo en la carpeta de trabajo de las pruebas
+ * @param {string} name - Nombre del archivo
+ * @param {string} content - Contenido
+ * @returns {string} - Ruta del archivo
+ */
+const writeFile = (name, content) => {
+    const file = path.join(workDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+};
+
+/**
+ * Ejecuta la herramienta de línea de comandos
+ * @param {Array<string>} args - Argumentos
+ * @returns {Object} - { status, stdout, stderr }
+ */
+const runCli = (args) => {
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd: workDir, encoding: 'utf8', timeout: 60000 });
+    if (result.error) {
+        throw result.error;
+    }
+    return result;
+};
+
+describe('cli/generate-certificates.js', () => {
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificados-cli-'));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('muestra la ayuda', () => {
+        const { status, stdout } = runCli(['--help']);
+        assert.equal(status, 0);
+        assert.match(stdout, /^Uso: node cli\/generate-certificates\.js --roster/);
+    });
+
+    it('termina con el código 2 si falta la lista o una opción no existe', () => {
+        const missing = runCli([]);
+        assert.equal(missing.status, 2);
+        assert.match(missing.stderr, /--roster/);
+
+        assert.equal(runCli(['--roster', 'lista.csv', '--unknown']).status, 2);
+    });
+
+    it('valida la lista sin generar nada con --dry-run', () => {
+        const roster = writeFile('lista.csv', ROSTER);
+        const out = path.join(workDir, 'dry-run');
+        const { status, stdout, stderr } = runCli(['--roster', roster, ...EVENT_OPTIONS, '--out', out, '--dry-run']);
+        assert.equal(status, 0, stderr);
+        assert.match(stdout, /2 filas, 2 válidas, 0 con errores\./);
+        assert.equal(fs.existsSync(out), false);
+    });
+
+    it('informa de las filas no válidas y de las opciones incorrectas y termina con el código 1', () => {
+        const roster = writeFile('errores.csv', `${ROSTER}\n;;Moderador;0`);
+        const { status, stdout, stderr } = runCli([
+            '--roster', roster, ...EVENT_OPTIONS, '--language', 'fr', '--start', '0', '--dry-run'
+        ]);
+        assert.equal(status, 1);
+        assert.match(stdout, /3 filas, 2 válidas, 1 con errores\./);
+        assert.match(stderr, /^Fila 4: .*"Moderador"/m);
+        assert.match(stderr, /^Error: .*"fr"/m);
+        assert.match(stderr, /^Error: .*entero positivo/m);
+    });
+
+    it('muestra los mensajes en el idioma de --ui-language', () => {
+        const roster = writeFile('idioma.csv', `${ROSTER}\nana perez;;Ponente;7,5`);
+        const { status, stdout, stderr } = runCli(['--roster', roster, ...EVENT_OPTIONS, '--ui-language', 'en', '--dry-run']);
+        assert.equal(status, 0, stderr);
+        assert.match(stdout, /3 rows, 3 valid, 0 with errors\./);
+        assert.match(stderr, /^Warning: Row 4: ana perez already appears in row 2 with the same role\./m);
+    });
+
+    it('avisa de los participantes repetidos con el mismo rol', () => {
+        const roster = writeFile('repetidos.csv', `${ROSTER}\nana perez;;Ponente;7,5`);
+        const { status, stderr } = runCli(['--roster', roster, ...EVENT_OPTIONS, '--dry-run']);
+        assert.equal(status, 0);
+        assert.match(stderr, /^Aviso: Fila 4: ana perez ya aparece en la fila 2 con el mismo rol\./m);
+    });
+
+    it('genera los PDF y el manifiesto con los IDs de la copia de seguridad', () => {
+        const roster = writeFile('generar.csv', ROSTER);
+        const backup = writeFile('copia.json', JSON.stringify({
+            stores: {
+                // El siguiente número del contador ya está usado: se salta
+                certificates: [{ id: 'DIP-0042-5' }]
+            },
+            settings: {
+                idFormat: { prefix: 'DIP', pattern: '{prefix}-{seq}', padding: 4, reset: 'global', checkDigit: true },
+                verificationUrlTemplate: 'https://example.org/verificar?id={id}&h={hash}'
+            },
+            counters: [{ id: 'global', value: 41 }]
+        }));
+        const out = path.join(workDir, 'certificados');
+
+        const { status, stdout, stderr } = runCli(['--roster', roster, ...EVENT_OPTIONS, '--backup', backup, '--out', out]);
+        assert.equal(status, 0, stderr);
+        assert.match(stdout, /Se generaron 2 certificados/);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8'));
+        assert.deepStrictEqual(manifest.certificates.map(({ row, id, participantName, participantEmail, participantRole }) => ({
+            row, id, participantName, participantEmail, participantRole
+        })), [
+            { row: 2, id: 'DIP-0043-3', participantName: 'Ana Pérez', participantEmail: 'ana@example.org', participantRole: 'Ponente' },
+            { row: 3, id: 'DIP-0044-1', participantName: 'Luis Martín', participantEmail: '', participantRole: 'Asistente' }
+        ]);
+        assert.equal(manifest.nextSequence, 45);
+        assert.equal(manifest.language, 'es');
+
+        manifest.certificates.forEach(certificate => {
+            const pdf = fs.readFileSync(path.join(out, certificate.file));
+            assert.equal(pdf.subarray(0, 5).toString('latin1'), '%PDF-');
+            assert.match(certificate.dataHash, /^[0-9a-f]{12}$/);
+            assert.equal(certificate.verificationUrl, `https://example.org/verificar?id=${certificate.id}&h=${certificate.dataHash}`);
+        });
+
+        const csv = fs.readFileSync(path.join(out, 'manifest.csv'), 'utf8').trim().split('\n');
+        assert.equal(csv[0], 'row,id,file,participantName,participantEmail,participantNationalId,participantRole,dataHash,verificationUrl');
+        assert.equal(csv.length, 3);
+    });
+
+    it('usa el código del evento de la copia aunque el nombre difiera en mayúsculas, acentos o espacios', () => {
+        const roster = writeFile('codigo.csv', ROSTER.split('\n').slice(0, 2).join('\n'));
+        const backup = writeFile('copia-eventos.json', JSON.stringify({
+            stores: {
+                events: [{ id: 'evt-1', name: ' JORNADA DE SALÚD ', date: '2024-03-10', code: 'JSAL' }]
+            },
+            settings: {
+                idFormat: { prefix: 'CERT', pattern: '{prefix}-{event}-{seq}', padding: 3, reset: 'global', checkDigit: false }
+            }
+        }));
+        const out = path.join(workDir, 'codigo');
+
+        const { status, stderr } = runCli(['--roster', roster, ...EVENT_OPTIONS, '--backup', backup, '--out', out]);
+        assert.equal(status, 0, stderr);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8'));
+        assert.equal(manifest.certificates[0].id, 'CERT-JSAL-001');
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Carga módulos de la aplicación en un contexto de Node para las pruebas, igual que la herramienta de
+ * línea de comandos: cada archivo se ejecuta como si fuera una etiqueta <script> de index.html.
+ *
+ * Los objetos creados dentro del contexto tienen sus propios prototipos (Array, Object...), así que las
+ * pruebas los copian con structuredClone antes de compararlos con assert.deepStrictEqual.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+const APP_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Ejecuta los módulos indicados en un contexto nuevo
+ * @param {Array<string>} scripts - Rutas de los módulos, en el mismo orden que en index.html
+ * @param {Array<string>} names - Módulos que se devuelven
+ * @param {Object} [globals] - Variables globales adicionales (indexedDB, jspdf...)
+ * @returns {Object} - Módulos cargados, por su nombre
+ */
+const loadModules = (scripts, names, globals = {}) => {
+    // La configuración que en el navegador va en localStorage se guarda en memoria
+    const settings = new Map();
+    const sandbox = {
+        console,
+        atob,
+        btoa,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        URLSearchParams,
+        crypto: webcrypto,
+        Date,
+        localStorage: {
+            getItem: key => (settings.has(key) ? settings.get(key) : null),
+            setItem: (key, value) => settings.set(key, String(value)),
+            removeItem: key => settings.delete(key)
+        },
+        ...globals
+    };
+    sandbox.window = sandbox;
+
+    const context = vm.createContext(sandbox);
+    scripts.forEach(script => {
+        const file = path.join(APP_ROOT, script);
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+};
+
+module.exports = { APP_ROOT, loadModules };
@@ -0,0 +1,156 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./helpers/loadModules');
+
+const { RosterParser, Roles } = loadModules([
+    'js/utils.js',
+    'js/settings.js',
+    'js/i18n.js',
+    'js/certificateSchema.js',
+    'js/roles.js',
+    'js/rosterParser.js'
+], ['RosterParser', 'Roles']);
+
+const ROLES = Roles.DEFAULT_ROLES;
+
+// Fila completa y válida, con los nombres de campo de RosterParser.FIELDS
+const VALID_RECORD = {
+    participantName: 'Ana Pérez',
+    participantEmail: 'ana@example.org',
+    participantNationalId: '12345678Z',
+    participantRole: 'Asistente',
+    eventDuration: '8',
+    eventName: 'Jornada de Salud',
+    eventDate: '2024-03-10',
+    eventLocation: 'Madrid'
+};
+
+describe('RosterParser.parseCSV', () => {
+    it('detecta la coma como separador', () => {
+        assert.deepStrictEqual(structuredClone(RosterParser.parseCSV('nombre,rol\nAna,Ponente\n')), [
+            ['nombre', 'rol'],
+            ['Ana', 'Ponente']
+        ]);
+    });
+
+    it('detecta el punto y coma y deja las comas dentro de las celdas', () => {
+        assert.deepStrictEqual(structuredClone(RosterParser.parseCSV('nombre;horas\nAna;7,5\n')), [
+            ['nombre', 'horas'],
+            ['Ana', '7,5']
+        ]);
+    });
+
+    it('detecta el tabulador', () => {
+        assert.deepStrictEqual(structuredClone(RosterParser.parseCSV('nombre\trol\tlugar\nAna\tPonente\tMadrid')), [
+            ['nombre', 'rol', 'lugar'],
+            ['Ana', 'Ponente', 'Madrid']
+        ]);
+    });
+
+    it('decide el separador solo por la primera línea', () => {
+        assert.deepStrictEqual(structuredClone(RosterParser.parseCSV('nombre;evento\nAna;Salud, 2024\n')), [
+            ['nombre', 'evento'],
+            ['Ana', 'Salud, 2024']
+        ]);
+    });
+
+    it('quita la marca BOM y lee comillas, comillas dobles, saltos de línea entre comillas y finales CRLF', () => {
+        const text = '\uFEFFnombre,evento\r\n"Pérez, Ana","Congreso ""Salud""\nsegundo día"\r\n';
+        assert.deepStrictEqual(structuredClone(RosterParser.parseCSV(text)), [
+            ['nombre', 'evento'],
+            ['Pérez, Ana', 'Congreso "Salud"\nsegundo día']
+        ]);
+    });
+
+    it('descarta las filas vacías', () => {
+        assert.deepStrictEqual(structuredClone(RosterParser.parseCSV('nombre,rol\n\n,\nAna,Ponente\n\n')), [
+            ['nombre', 'rol'],
+            ['Ana', 'Ponente']
+        ]);
+    });
+});
+
+describe('RosterParser.guessMapping', () => {
+    it('reconoce las cabeceras sin distinguir mayúsculas ni acentos y marca con -1 las que faltan', () => {
+        const mapping = RosterParser.guessMapping(['NOMBRE', 'Duración', 'E-mail', 'Cédula', 'Rol']);
+        assert.equal(mapping.participantName, 0);
+        assert.equal(mapping.eventDuration, 1);
+        assert.equal(mapping.participantEmail, 2);
+        assert.equal(mapping.participantNationalId, 3);
+        assert.equal(mapping.participantRole, 4);
+        assert.equal(mapping.eventName, -1);
+    });
+});
+
+describe('RosterParser.mapRows', () => {
+    const headers = ['Nombre', 'Rol', 'Fecha', 'Horas', 'Correo'];
+    const mapping = RosterParser.guessMapping(headers);
+    const defaults = { eventName: 'Jornada de Salud', eventLocation: 'Madrid', eventDate: '2024-01-01', participantEmail: 'no@usar.org' };
+
+    it('normaliza la fecha, las horas y el rol, y completa los campos sin columna con los del formulario', () => {
+        const [record] = RosterParser.mapRows([[' Ana ', 'ponente', '5/3/2024', '7,5', '']], mapping, defaults, ROLES);
+        assert.deepStrictEqual(structuredClone(record), {
+            participantName: 'Ana',
+            participantEmail: '',
+            participantNationalId: '',
+            participantRole: 'Ponente',
+            eventDuration: '7.5',
+            eventName: 'Jornada de Salud',
+            eventDate: '2024-03-05',
+            eventLocation: 'Madrid'
+        });
+    });
+
+    it('usa el valor del formulario cuando la celda de un campo obligatorio está vacía', () => {
+        const [record] = RosterParser.mapRows([['Ana', 'Asistente', '', '8', '']], mapping, defaults, ROLES);
+        assert.equal(record.eventDate, '2024-01-01');
+    });
+});
+
+describe('RosterParser.validateRecord', () => {
+    it('acepta una fila completa', () => {
+        assert.deepStrictEqual(structuredClone(RosterParser.validateRecord(VALID_RECORD, ROLES)), []);
+    });
+
+    it('aplica las reglas del esquema de certificados', () => {
+        const errors = RosterParser.validateRecord({
+            ...VALID_RECORD,
+            participantName: '',
+            participantEmail: 'ana@',
+            eventDuration: '0',
+            eventDate: '2024-02-30'
+        }, ROLES);
+        assert.equal(errors.length, 4);
+        assert.ok(errors.some(error => error.startsWith('Nombre del participante:')));
+        assert.ok(errors.some(error => error.startsWith('Correo electrónico:')));
+        assert.ok(errors.some(error => error.startsWith('Duración:')));
+        assert.ok(errors.some(error => error.startsWith('Fecha:')));
+    });
+
+    it('rechaza un rol que no está en el catálogo', () => {
+        const errors = RosterParser.validateRecord({ ...VALID_RECORD, participantRole: 'Moderador' }, ROLES);
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /"Moderador"/);
+    });
+
+    it('rechaza un rol cuyo texto tiene marcadores desconocidos', () => {
+        const roles = [...ROLES, { id: 'custom', name: 'Moderador', text: 'moderó {sesion} en {eventName}' }];
+        const errors = RosterParser.validateRecord({ ...VALID_RECORD, participantRole: 'Moderador' }, roles);
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /"Moderador"/);
+    });
+
+    it('rechaza un rol con marcadores desconocidos en una traducción', () => {
+        const roles = [...ROLES, {
+            id: 'custom',
+            name: 'Moderador',
+            text: 'moderó una sesión en {eventName}',
+            translations: { en: 'moderated {session} at {eventName}' }
+        }];
+        const errors = RosterParser.validateRecord({ ...VALID_RECORD, participantRole: 'Moderador' }, roles);
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /"Moderador"/);
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadModules } = require('./helpers/loadModules');
+
+const DATA = {
+    id: 'CERT-20240310-00007',
+    participantName: 'Ana Pérez',
+    eventName: 'Taller de accesibilidad',
+    eventDate: '2024-03-10'
+};
+
+/**
+ * Carga el módulo de firma con una base de datos simulada vacía
+ * @returns {Object} - Módulos Signing y Storage
+ */
+const loadSigning = () => loadModules([
+    'js/utils.js',
+    'js/settings.js',
+    'js/i18n.js',
+    'js/roles.js',
+    'js/storage.js',
+    'js/signing.js'
+], ['Signing', 'Storage'], { indexedDB: new IDBFactory(), IDBKeyRange, Blob });
+
+describe('Signing.verifyCertificate', () => {
+    it('acepta los datos firmados y rechaza los alterados', async () => {
+        const { Signing } = loadSigning();
+        const { signature, signatureKey } = await Signing.signCertificate(DATA);
+
+        assert.equal(await Signing.verifyCertificate(DATA, signature, null, signatureKey), true);
+        assert.equal(await Signing.verifyCertificate({ ...DATA, participantName: 'Otra persona' }, signature, null, signatureKey), false);
+    });
+
+    it('verifica con la clave anterior lo firmado antes de generar una nueva', async () => {
+        const { Signing } = loadSigning();
+        const { signature, signatureKey } = await Signing.signCertificate(DATA);
+        const newKeys = await Signing.generateIssuerKeys();
+
+        assert.notEqual(newKeys.fingerprint, signatureKey);
+        assert.equal(await Signing.isKnownKey(signatureKey), true);
+        assert.equal(await Signing.verifyCertificate(DATA, signature, null, signatureKey), true);
+    });
+
+    it('verifica con la clave anterior lo firmado antes de importar otro par de claves', async () => {
+        const other = loadSigning().Signing;
+        const imported = await other.exportKeyPair();
+
+        const { Signing } = loadSigning();
+        const { signature, signatureKey } = await Signing.signCertificate(DATA);
+        await Signing.importIssuerKeys(imported);
+
+        assert.equal((await Signing.getIssuerKeys()).fingerprint, imported.fingerprint);
+        assert.equal(await Signing.verifyCertificate(DATA, signature, null, signatureKey), true);
+    });
+
+    it('distingue una clave desconocida de una firma no válida', async () => {
+        const other = loadSigning().Signing;
+        const { signature, signatureKey } = await other.signCertificate(DATA);
+
+        const { Signing } = loadSigning();
+        await Signing.getIssuerKeys();
+
+        assert.equal(await Signing.isKnownKey(signatureKey), false);
+        assert.equal(await Signing.verifyCertificate(DATA, signature, null, signatureKey), false);
+    });
+});
+
+describe('Signing.extractFromPdf', () => {
+    it('recupera los datos, la firma y la huella de la clave incrustados', async () => {
+        const { Signing } = loadSigning();
+        const signed = { ...DATA, ...(await Signing.signCertificate(DATA)) };
+        const bytes = new TextEncoder().encode(`/Keywords (${Signing.buildPdfSignatureBlock(signed)})`);
+
+        const embedded = Signing.extractFromPdf(bytes);
+        assert.equal(embedded.signature, signed.signature);
+        assert.equal(embedded.signatureKey, signed.signatureKey);
+        assert.equal(await Signing.verifyCertificate(embedded.data, embedded.signature, null, embedded.signatureKey), true);
+    });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadModules } = require('./helpers/loadModules');
+
+const DB_NAME = 'CertificatesDB';
+const PDF_DATA_URL = `data:application/pdf;base64,${Buffer.from('%PDF-1.3 prueba').toString('base64')}`;
+
+/**
+ * Abre una base de datos con una versión antigua y la rellena como la dejaba esa versión de la aplicación
+ * @param {IDBFactory} indexedDB - Base de datos simulada
+ * @param {number} version - Versión antigua
+ * @param {Function} upgrade - Crea los almacenes de esa versión a partir de (database)
+ * @param {Object} records - Registros de cada almacén
+ * @returns {Promise} - Promesa que se resuelve cuando la base de datos está cerrada
+ */
+const createLegacyDatabase = (indexedDB, version, upgrade, records) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+        const database = request.result;
+        const transaction = database.transaction(Object.keys(records), 'readwrite');
+        Object.entries(records).forEach(([storeName, values]) => {
+            values.forEach(value => transaction.objectStore(storeName).put(value));
+        });
+        transaction.oncomplete = () => {
+            database.close();
+            resolve();
+        };
+        transaction.onerror = () => reject(transaction.error);
+    };
+});
+
+/**
+ * Carga el módulo de almacenamiento sobre una base de datos simulada, que se actualiza al abrirla
+ * @param {IDBFactory} indexedDB - Base de datos simulada
+ * @param {Object} [storage] - Valores iniciales de localStorage
+ * @returns {Object} - Módulos cargados
+ */
+const loadStorage = (indexedDB, storage = {}) => {
+    const modules = loadModules([
+        'js/utils.js',
+        'js/settings.js',
+        'js/i18n.js',
+        'js/roles.js',
+        'js/storage.js'
+    ], ['Storage', 'Roles', 'Utils', 'localStorage'], { indexedDB, IDBKeyRange, Blob });
+    Object.entries(storage).forEach(([key, value]) => modules.localStorage.setItem(key, value));
+    return modules;
+};
+
+/**
+ * Obtiene los nombres de los índices de un almacén
+ * @param {IDBFactory} indexedDB - Base de datos simulada
+ * @param {string} storeName - Nombre del almacén
+ * @returns {Promise<Array<string>>} - Promesa que se resuelve con los nombres ordenados
+ */
+const getIndexNames = (indexedDB, storeName) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+        const database = request.result;
+        resolve([...database.transaction(storeName).objectStore(storeName).indexNames].sort());
+        database.close();
+    };
+});
+
+describe('Migraciones de Storage', () => {
+    it('actualiza una base de datos de la versión 1 hasta la actual', async () => {
+        const indexedDB = new IDBFactory();
+        await createLegacyDatabase(indexedDB, 1, (database) => {
+            const store = database.createObjectStore('certificates', { keyPath: 'id' });
+            store.createIndex('participantName', 'participantName', { unique: false });
+            store.createIndex('eventName', 'eventName', { unique: false });
+            store.createIndex('date', 'date', { unique: false });
+        }, {
+            certificates: [
+                { id: 'CERT-20240310-00001', participantName: 'José Pérez', eventName: 'Jornada de Salud', eventDate: '2024-03-10', eventLocation: 'Madrid', eventDuration: '8', createdAt: '2024-03-10T10:00:00.000Z', pdfDataUrl: PDF_DATA_URL },
+                { id: 'CERT-20240310-00002', participantName: 'Ana Gómez', eventName: 'Jornada de Salud', eventDate: '2024-03-10', eventLocation: 'Madrid', eventDuration: '8', createdAt: '2024-03-10T10:05:00.000Z' },
+                { id: 'CERT-20240420-00003', participantName: 'jose perez', eventName: 'Taller de Ética', eventDate: '2024-04-20', eventLocation: 'Lima', eventDuration: '4', createdAt: '2024-04-20T09:00:00.000Z' }
+            ]
+        });
+
+        // Antes de la versión 10 el contador de IDs estaba en localStorage
+        const { Storage, Roles, Utils } = loadStorage(indexedDB, { certificateCounter: '3' });
+        const { STORES } = Storage;
+
+        // Versión 5: roles originales
+        const roles = await Storage.getAllRecords(STORES.ROLES);
+        assert.deepStrictEqual(structuredClone(roles.map(role => role.id).sort()), structuredClone(Roles.DEFAULT_ROLES.map(role => role.id).sort()));
+
+        // Versión 7: un evento por cada combinación de datos de evento
+        const events = await Storage.getAllRecords(STORES.EVENTS);
+        assert.deepStrictEqual(structuredClone(events.map(event => event.name).sort()), ['Jornada de Salud', 'Taller de Ética']);
+
+        const certificates = await Storage.getAllRecords(STORES.CERTIFICATES);
+        const byId = new Map(certificates.map(certificate => [certificate.id, certificate]));
+        const first = byId.get('CERT-20240310-00001');
+        assert.equal(first.eventId, byId.get('CERT-20240310-00002').eventId);
+        assert.notEqual(first.eventId, byId.get('CERT-20240420-00003').eventId);
+
+        // Versión 8: el PDF pasa a su propio almacén
+        assert.equal('pdfDataUrl' in first, false);
+        const pdf = await Storage.getCertificatePdf(first.id);
+        assert.equal(await pdf.text(), '%PDF-1.3 prueba');
+        assert.equal(pdf.type, 'application/pdf');
+        assert.equal(await Storage.getCertificatePdf('CERT-20240310-00002'), null);
+
+        certificates.forEach(certificate => {
+            // Versión 9: estado y versión
+            assert.equal(certificate.status, Storage.CERTIFICATE_STATUS.ACTIVE);
+            assert.equal(certificate.version, 1);
+            // Versión 11: campos normalizados del historial
+            assert.equal(certificate.normalizedEventName, Utils.normalizeText(certificate.eventName));
+        });
+        assert.equal(first.normalizedParticipantName, 'jose perez');
+
+        // Versión 10: el contador global continúa desde el de localStorage
+        assert.equal(await Storage.getCounterValue('global'), 3);
+
+        // Versión 15: un participante por nombre, con el nombre del certificado más reciente
+        const participants = await Storage.getAllRecords(STORES.PARTICIPANTS);
+        assert.deepStrictEqual(structuredClone(participants.map(participant => participant.name).sort()), ['Ana Gómez', 'jose perez']);
+        assert.equal(first.participantId, byId.get('CERT-20240420-00003').participantId);
+        assert.notEqual(first.participantId, byId.get('CERT-20240310-00002').participantId);
+
+        assert.deepStrictEqual(await getIndexNames(indexedDB, STORES.CERTIFICATES), [
+            'contentHash', 'createdAt', 'eventDate', 'eventId', 'normalizedEventName',
+            'normalizedParticipantName', 'participantId', 'participantRole', 'status'
+        ]);
+    });
+
+    it('crea el directorio de participantes al actualizar de la versión 14 a la 15', async () => {
+        const indexedDB = new IDBFactory();
+        // Solo los almacenes que recorre la migración a la versión 15
+        await createLegacyDatabase(indexedDB, 14, (database) => {
+            database.createObjectStore('certificates', { keyPath: 'id' });
+            database.createObjectStore('versions', { keyPath: 'key' });
+            database.createObjectStore('transcripts', { keyPath: 'id' });
+        }, {
+            certificates: [
+                // El mismo participante con el nombre escrito de tres maneras: gana el certificado más reciente,
+                // contando la fecha de reemisión
+                { id: 'C1', participantName: 'maria  lopez', createdAt: '2024-01-01T00:00:00.000Z' },
+                { id: 'C2', participantName: 'María López', createdAt: '2023-01-01T00:00:00.000Z', reissuedAt: '2024-06-01T00:00:00.000Z' },
+                { id: 'C3', participantName: 'MARÍA LÓPEZ', createdAt: '2024-03-01T00:00:00.000Z' },
+                { id: 'C4', participantName: 'Luis Martín', createdAt: '2024-02-01T00:00:00.000Z' }
+            ],
+            versions: [
+                // Una versión sustituida no cambia el nombre de un participante que ya existe
+                { key: 'C4#1', certificateId: 'C4', participantName: 'Luis Martin' },
+                { key: 'C9#1', certificateId: 'C9', participantName: 'Eva Ruiz' }
+            ],
+            transcripts: [
+                { id: 'EXP-1', participantName: 'Luis Martin' },
+                { id: 'EXP-2', participantName: 'Pedro Sanz' }
+            ]
+        });
+
+        const { Storage, Utils } = loadStorage(indexedDB);
+        const { STORES } = Storage;
+
+        const participants = await Storage.getAllRecords(STORES.PARTICIPANTS);
+        const names = new Map(participants.map(participant => [participant.id, participant.name]));
+        assert.deepStrictEqual([...names.values()].sort(), ['Eva Ruiz', 'Luis Martín', 'María López', 'Pedro Sanz']);
+        participants.forEach(participant => {
+            assert.equal(participant.email, '');
+            assert.equal(participant.nationalId, '');
+            assert.equal(participant.normalizedName, Utils.normalizeText(participant.name));
+        });
+
+        const certificates = await Storage.getAllRecords(STORES.CERTIFICATES);
+        const versions = await Storage.getAllRecords(STORES.VERSIONS);
+        const transcripts = await Storage.getAllRecords(STORES.TRANSCRIPTS);
+        [...certificates, ...versions, ...transcripts].forEach(record => {
+            assert.ok(names.has(record.participantId), `${record.id || record.key} sin participante`);
+        });
+        assert.equal(new Set(certificates.filter(certificate => certificate.id !== 'C4').map(certificate => certificate.participantId)).size, 1);
+        assert.equal(names.get(certificates.find(certificate => certificate.id === 'C4').participantId), 'Luis Martín');
+        assert.equal(versions.find(version => version.key === 'C4#1').participantId, certificates.find(certificate => certificate.id === 'C4').participantId);
+        assert.equal(transcripts.find(transcript => transcript.id === 'EXP-1').participantId, certificates.find(certificate => certificate.id === 'C4').participantId);
+
+        assert.deepStrictEqual(await getIndexNames(indexedDB, STORES.PARTICIPANTS), ['email', 'nationalId', 'normalizedName']);
+        for (const storeName of [STORES.CERTIFICATES, STORES.VERSIONS, STORES.TRANSCRIPTS]) {
+            assert.ok((await getIndexNames(indexedDB, storeName)).includes('participantId'), storeName);
+        }
+    });
+
+    it('crea una base de datos nueva sin registros', async () => {
+        const indexedDB = new IDBFactory();
+        const { Storage } = loadStorage(indexedDB);
+        assert.equal((await Storage.getAllRecords(Storage.STORES.CERTIFICATES)).length, 0);
+        assert.equal((await Storage.getAllRecords(Storage.STORES.PARTICIPANTS)).length, 0);
+        assert.equal(await Storage.getCounterValue('global'), 0);
+    });
+});